@@ -3,7 +3,19 @@ const express = require('express');
 const session = require('express-session');
 const cookieParser = require('cookie-parser');
 const path = require('path');
-const fs = require('fs');
+const { getEnabledTenants, getTenant, createTenantRouter, isFeatureEnabled } = require('./utils/tenants');
+const { requireWebhookAuth } = require('./utils/webhookAuth');
+const { createAgentRouter } = require('./routes/agent');
+const { createSmsRouter } = require('./routes/sms');
+const { createMetaRouter } = require('./routes/meta');
+const { createProviderHealthRouter } = require('./routes/providerHealth');
+const { createProviderScheduleRouter } = require('./routes/providerSchedule');
+const { createCalendarSyncRouter } = require('./routes/calendarSync');
+const { createReconciliationRouter } = require('./routes/reconciliation');
+const { createJobsRouter } = require('./routes/jobs');
+const { createPaymentsRouter } = require('./routes/payments');
+const { createJobRunner } = require('./utils/jobs');
+const { getScheduledJobs } = require('./utils/scheduledJobs');
 
 // Initialize app
 const app = express();
@@ -11,7 +23,12 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.set('trust proxy', 1); // Trust first proxy for HTTPS
-app.use(express.json());
+// Keep the raw bytes for webhooks that sign the body (Meta)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use(session({
@@ -33,40 +50,60 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 // Original routes (for backward compatibility)
 app.use('/', require('./routes/auth'));
-app.use('/webhook', require('./routes/webhook')); 
-
-// Explicitly register known client routes
-app.use('/clients/barbershop/webhook', require('./routes/clients/barbershop/webhook'));
-app.use('/clients/justin/webhook', require('./routes/clients/justin/webhook'));
-
-// Check if makeup-artist webhook exists and register it
-const makeupArtistWebhook = path.join(__dirname, 'routes', 'clients', 'makeup-artist', 'webhook.js');
-if (fs.existsSync(makeupArtistWebhook)) {
-  app.use('/clients/makeup-artist/webhook', require('./routes/clients/makeup-artist/webhook'));
-  console.log('Loaded makeup-artist webhook route');
-}
-
-// Dynamically load any additional client-specific webhook routes
-const clientsDir = path.join(__dirname, 'routes', 'clients');
-
-// Check if the clients directory exists
-if (fs.existsSync(clientsDir)) {
-  // Read all directories in the clients directory
-  const clients = fs.readdirSync(clientsDir).filter(file => {
-    return fs.statSync(path.join(clientsDir, file)).isDirectory();
-  });
+app.use('/dashboard', require('./routes/dashboard'));
+// The legacy endpoints serve the barbershop, so they take its credentials
+app.use('/webhook', requireWebhookAuth(getTenant('barbershop').auth), require('./routes/webhook'));
 
-  // Register each client's webhook routes (skipping the ones we explicitly registered)
-  clients.forEach(client => {
-    if (client !== 'barbershop' && client !== 'justin' && client !== 'makeup-artist') {
-      const webhookPath = path.join(clientsDir, client, 'webhook.js');
-      if (fs.existsSync(webhookPath)) {
-        console.log(`Loading webhook routes for client: ${client}`);
-        app.use(`/clients/${client}/webhook`, require(webhookPath));
-      }
-    }
-  });
-}
+// Mount every enabled tenant from config/tenants
+const tenants = getEnabledTenants();
+
+tenants.forEach(tenant => {
+  const router = createTenantRouter(tenant);
+  if (!router) {
+    console.warn(`No webhook router found for tenant: ${tenant.slug}`);
+    return;
+  }
+
+  // Webhooks and the agent API need the tenant's API key; the SMS and Meta
+  // channels below verify their providers' own signatures instead
+  const auth = requireWebhookAuth(tenant.auth);
+
+  app.use(`/clients/${tenant.slug}/webhook`, auth, router);
+  console.log(`Loaded webhook routes for tenant: ${tenant.slug}`);
+
+  // Google token health for the tenant's calendar owners
+  app.use(`/clients/${tenant.slug}/providers`, auth, createProviderHealthRouter(tenant));
+
+  // Working hours that availability and booking validation read from
+  app.use(`/clients/${tenant.slug}/schedule`, auth, createProviderScheduleRouter(tenant));
+
+  // Google Calendar push notifications; /watch checks the API key itself
+  app.use(`/clients/${tenant.slug}/calendar`, createCalendarSyncRouter(tenant));
+
+  // Appointments rows against calendar events, for admins
+  app.use(`/clients/${tenant.slug}/reconciliation`, auth, createReconciliationRouter(tenant));
+
+  // Background job queue status and dead-letter retries
+  app.use(`/clients/${tenant.slug}/jobs`, auth, createJobsRouter(tenant));
+
+  if (isFeatureEnabled(tenant, 'agent')) {
+    app.use(`/clients/${tenant.slug}/agent`, auth, createAgentRouter(tenant));
+  }
+
+  // SMS replies come from the agent or answer a reminder, so the channel needs one of them
+  if (isFeatureEnabled(tenant, 'sms') && (isFeatureEnabled(tenant, 'agent') || isFeatureEnabled(tenant, 'reminders'))) {
+    app.use(`/clients/${tenant.slug}/sms`, createSmsRouter(tenant));
+  }
+
+  // Payment provider webhooks, verified by their signature
+  if (isFeatureEnabled(tenant, 'payments')) {
+    app.use(`/clients/${tenant.slug}/payments`, createPaymentsRouter(tenant));
+  }
+
+  if (isFeatureEnabled(tenant, 'directMessages') && isFeatureEnabled(tenant, 'agent')) {
+    app.use(`/clients/${tenant.slug}/meta`, createMetaRouter(tenant));
+  }
+});
 
 // Home route - serves the generic landing page
 app.get('/', (req, res) => {
@@ -86,7 +123,16 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`- Visit homepage: http://localhost:${PORT}`);
-  console.log(`- Barbershop webhook: http://localhost:${PORT}/clients/barbershop/webhook`);
-  console.log(`- Justin webhook: http://localhost:${PORT}/clients/justin/webhook`);
-  console.log(`- Makeup Artist webhook: http://localhost:${PORT}/clients/makeup-artist/webhook`);
+  tenants.forEach(tenant => {
+    console.log(`- ${tenant.name} webhook: http://localhost:${PORT}/clients/${tenant.slug}/webhook`);
+  });
+
+  // Reminders, reconciliation and other background work run from each tenant's jobs table
+  tenants.forEach(tenant => {
+    const definitions = getScheduledJobs(tenant);
+    createJobRunner(tenant, definitions, {
+      pollIntervalMs: (Number(process.env.JOB_POLL_INTERVAL_SECONDS) || 5) * 1000
+    }).start();
+    console.log(`- ${tenant.name} jobs: ${Object.keys(definitions).join(', ') || 'none scheduled'}`);
+  });
 });
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * Tenant configuration for the multi-chair barbershop
+ */
+module.exports = {
+  slug: 'barbershop',
+  name: 'Barbershop',
+  businessType: 'barbershop',
+
+  // Falls back to the shared project when the shop has no dedicated database
+  supabase: {
+    url: process.env.BARBERSHOP_SUPABASE_URL || process.env.SUPABASE_URL,
+    key: process.env.BARBERSHOP_SUPABASE_KEY || process.env.SUPABASE_KEY
+  },
+
+  // Callers of /clients/<slug>/webhook and /agent present one of these keys, and
+  // a signature when signing secrets are set. Comma-separated lists allow rotation.
+  auth: {
+    apiKeys: process.env.BARBERSHOP_API_KEYS,
+    signingSecrets: process.env.BARBERSHOP_SIGNING_SECRETS
+  },
+
+  timeZone: 'America/Los_Angeles',
+
+  // Every barber has their own calendar; requests name one or let the router pick
+  calendarOwner: {
+    table: 'barbers',
+    id: null
+  },
+
+  // Shop hours for barbers without their own schedule (barbers.schedule)
+  schedule: {
+    weekly: {
+      monday: [{ start: '09:00', end: '18:00' }],
+      tuesday: [{ start: '09:00', end: '18:00' }],
+      wednesday: [{ start: '09:00', end: '18:00' }],
+      thursday: [{ start: '09:00', end: '18:00' }],
+      friday: [{ start: '09:00', end: '18:00' }],
+      saturday: [{ start: '10:00', end: '16:00' }]
+    }
+  },
+
+  // Booking rules applied by utils/availability.js
+  availability: {
+    minNoticeMinutes: 60,
+    maxDaysAhead: 30
+  },
+
+  features: {
+    conversations: true,
+    tempMessages: true,
+    agent: true,
+    sms: true,
+    reminders: true
+  },
+
+  // /conversation/process-message acknowledges each message at once and posts the
+  // batched turn here when the client goes quiet
+  conversations: {
+    callbackUrl: process.env.BARBERSHOP_CONVERSATION_CALLBACK_URL
+  },
+
+  // Conversational booking agent (POST /clients/<slug>/agent/message)
+  agent: {
+    instructions: 'Each barber has their own calendar. Look up the client\'s preferred barber first; if they have none or any barber will do, search without a barber so the earliest free barber who offers the service is booked.'
+  },
+
+  // Texts sent ahead of each appointment; clients reply C to confirm or CANCEL to cancel
+  reminders: {
+    offsetsMinutes: [48 * 60, 2 * 60]
+  },
+
+  // Twilio number clients text (POST /clients/<slug>/sms/inbound). Credentials
+  // default to TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN.
+  sms: {
+    from: process.env.BARBERSHOP_SMS_NUMBER
+  }
+};
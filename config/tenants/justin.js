@@ -0,0 +1,74 @@
+/**
+ * Tenant configuration for Justin's single-chair barber service
+ */
+module.exports = {
+  slug: 'justin',
+  name: 'Justin',
+  businessType: 'barber',
+
+  supabase: {
+    url: process.env.SUPABASE_URL,
+    key: process.env.SUPABASE_KEY
+  },
+
+  // Callers of /clients/<slug>/webhook and /agent present one of these keys, and
+  // a signature when signing secrets are set. Comma-separated lists allow rotation.
+  auth: {
+    apiKeys: process.env.JUSTIN_API_KEYS,
+    signingSecrets: process.env.JUSTIN_SIGNING_SECRETS
+  },
+
+  timeZone: 'America/Los_Angeles',
+
+  calendarOwner: {
+    table: 'barbers',
+    id: process.env.JUSTIN_BARBER_ID,
+    calendarId: 'primary'
+  },
+
+  // Starting hours until Justin's row has its own schedule (barbers.schedule)
+  schedule: {
+    weekly: {
+      thursday: [{ start: '18:00', end: '22:00' }],
+      friday: [{ start: '14:00', end: '20:00' }]
+    }
+  },
+
+  // Booking rules applied by utils/availability.js; starts are offered on the half hour
+  availability: {
+    minNoticeMinutes: 120,
+    maxDaysAhead: 14,
+    slotGranularityMinutes: 30
+  },
+
+  features: {
+    conversations: false,
+    tempMessages: false,
+    agent: true,
+    sms: true,
+    directMessages: true,
+    reminders: true
+  },
+
+  // Conversational booking agent (POST /clients/<slug>/agent/message)
+  agent: {
+    instructions: 'Justin is a solo barber in Davis, CA. His hours change, so check availability instead of assuming them.'
+  },
+
+  // Texts sent ahead of each appointment; clients reply C to confirm or CANCEL to cancel
+  reminders: {
+    offsetsMinutes: [48 * 60, 2 * 60]
+  },
+
+  // Twilio number clients text (POST /clients/<slug>/sms/inbound). Credentials
+  // default to TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN.
+  sms: {
+    from: process.env.JUSTIN_SMS_NUMBER
+  },
+
+  // Instagram/Messenger DMs (GET/POST /clients/<slug>/meta/webhook)
+  meta: {
+    verifyToken: process.env.JUSTIN_META_VERIFY_TOKEN,
+    pageAccessToken: process.env.JUSTIN_META_PAGE_ACCESS_TOKEN
+  }
+};
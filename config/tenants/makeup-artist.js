@@ -0,0 +1,95 @@
+/**
+ * Tenant configuration for the makeup artist
+ */
+module.exports = {
+  slug: 'makeup-artist',
+  name: 'Makeup Artist',
+  businessType: 'makeup_artist',
+
+  supabase: {
+    url: process.env.MAKEUP_ARTIST_SUPABASE_URL || process.env.SUPABASE_URL,
+    key: process.env.MAKEUP_ARTIST_SUPABASE_KEY || process.env.SUPABASE_KEY
+  },
+
+  // Callers of /clients/<slug>/webhook and /agent present one of these keys, and
+  // a signature when signing secrets are set. Comma-separated lists allow rotation.
+  auth: {
+    apiKeys: process.env.MAKEUP_ARTIST_API_KEYS,
+    signingSecrets: process.env.MAKEUP_ARTIST_SIGNING_SECRETS
+  },
+
+  timeZone: 'America/Chicago',
+
+  // The makeup artist database holds a single artist row
+  calendarOwner: {
+    table: 'makeup_artists',
+    id: null
+  },
+
+  // Hours until the artist stores a schedule (makeup_artists.schedule); older rows
+  // with business_hours_start/end use those hours every day
+  schedule: {
+    weekly: Object.fromEntries(
+      ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+        .map(day => [day, [{ start: '09:00', end: '18:00' }]])
+    )
+  },
+
+  // Booking rules applied by utils/availability.js; events are booked a day or more out
+  availability: {
+    minNoticeMinutes: 24 * 60,
+    maxDaysAhead: 365
+  },
+
+  features: {
+    conversations: true,
+    tempMessages: true,
+    pendingConfirmation: true,
+    calendarBlocks: true,
+    agent: true,
+    sms: true,
+    reminders: true,
+    payments: true
+  },
+
+  // /conversation/process-message acknowledges each message at once and posts the
+  // batched turn here when the client goes quiet
+  conversations: {
+    callbackUrl: process.env.MAKEUP_ARTIST_CONVERSATION_CALLBACK_URL
+  },
+
+  // Conversational booking agent (POST /clients/<slug>/agent/message)
+  agent: {
+    instructions: 'Hold new bookings with store_pending_appointment and only confirm once the client agrees to the time and price. When it returns a deposit link, send it to the client: paying the deposit confirms the booking.'
+  },
+
+  // Pending bookings the artist has not confirmed within a day are released and
+  // the client is told the time is free again
+  holds: {
+    expiryMinutes: 24 * 60,
+    notifyClient: true
+  },
+
+  // Deposits are taken through Stripe (or any compatible provider) when a booking
+  // is held; the webhook is POST /clients/<slug>/payments/webhook
+  payments: {
+    secretKey: process.env.MAKEUP_ARTIST_STRIPE_SECRET_KEY,
+    webhookSecret: process.env.MAKEUP_ARTIST_STRIPE_WEBHOOK_SECRET,
+    currency: 'usd',
+    // A quarter of the service's base price, never under $25; $50 when the price is unknown
+    deposit: { percent: 25, minimumCents: 2500, amountCents: 5000 },
+    // Full refund up to three days ahead, half after that
+    refundPolicy: { fullRefundHoursBefore: 72, lateRefundPercent: 50 }
+  },
+
+  // Texts sent ahead of each appointment; clients reply C to confirm or CANCEL to cancel
+  reminders: {
+    offsetsMinutes: [48 * 60, 2 * 60]
+  },
+
+  // Twilio number clients text (POST /clients/<slug>/sms/inbound). Credentials
+  // default to TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN.
+  sms: {
+    from: process.env.MAKEUP_ARTIST_SMS_NUMBER
+  }
+};
@@ -0,0 +1,33 @@
+const express = require('express');
+const { queueAgentMessage } = require('../utils/agent');
+
+/**
+ * Creates the conversational booking agent router for a tenant
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - Express router with POST /message
+ */
+function createAgentRouter(tenant) {
+  const router = express.Router();
+
+  router.post('/message', async (req, res) => {
+    const { clientPhone, message } = req.body;
+
+    if (!clientPhone || !message) {
+      return res.status(400).json({ success: false, error: 'Client phone and message are required' });
+    }
+
+    try {
+      const { isFinal, reply = null, toolCalls = [] } = await queueAgentMessage(tenant, { clientPhone, message });
+
+      // isFinal is false when a follow-up message arrived and will be answered together with this one
+      return res.status(200).json({ success: true, isFinal, reply, toolCalls });
+    } catch (e) {
+      console.error('Error in agent message endpoint:', e);
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAgentRouter };
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
 const { google } = require('googleapis');
 
 // Import Supabase client creator
@@ -7,6 +8,10 @@ const { createClient } = require('@supabase/supabase-js');
 
 // Import multiple Supabase clients
 const { createSupabaseClient, createClientOperations } = require('../utils/supabase/base');
+const { getTenant } = require('../utils/tenants');
+const { GOOGLE_SCOPES, createOAuth2Client, isRefreshTokenUsable } = require('../utils/googleAuth');
+const { refreshTokenColumns } = require('../utils/tokenVault');
+const { verifyReconnectToken } = require('../utils/tokenHealth');
 
 // Regular barber shop operations
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -14,20 +19,214 @@ const supabaseKey = process.env.SUPABASE_KEY;
 const supabase = createSupabaseClient(supabaseUrl, supabaseKey);
 const { barberOps } = createClientOperations(supabase);
 
-// Makeup artist operations - using a separate Supabase database
-const makeupArtistUrl = process.env.MAKEUP_ARTIST_SUPABASE_URL || process.env.SUPABASE_URL;
-const makeupArtistKey = process.env.MAKEUP_ARTIST_SUPABASE_KEY || process.env.SUPABASE_KEY;
-const makeupArtistSupabase = createClient(makeupArtistUrl, makeupArtistKey);
+// Makeup artist operations - using the makeup artist tenant's Supabase database
+const makeupArtistTenant = getTenant('makeup-artist');
+const makeupArtistSupabase = createClient(makeupArtistTenant.supabase.url, makeupArtistTenant.supabase.key);
 
 // Set up OAuth2 client
-const oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.REDIRECT_URI
-);
+const oauth2Client = createOAuth2Client();
+
+// Provider tables searched at sign-in, with the database each one lives in
+const PROVIDER_SOURCES = [
+  { table: 'barbers', db: supabase },
+  { table: 'makeup_artists', db: makeupArtistSupabase }
+];
+
+/**
+ * Finds a registered provider by the Google account they signed in with. Only
+ * google_email counts: it was stored from Google by an earlier OAuth connection,
+ * while the contact email column is whatever the provider typed at registration.
+ * @param {string} email - Verified Google account email
+ * @returns {Object|null} - { table, db, record }
+ */
+async function findProviderByGoogleEmail(email) {
+  // Case-insensitive, with LIKE wildcards in the address matched literally
+  const pattern = email.replace(/[\\%_]/g, '\\$&');
+
+  for (const source of PROVIDER_SOURCES) {
+    const { data, error } = await source.db
+      .from(source.table)
+      .select('*')
+      .ilike('google_email', pattern)
+      .limit(1);
+
+    if (error) {
+      console.error(`Error looking up ${source.table} by google_email:`, error);
+      continue;
+    }
+    if (data.length > 0) {
+      return { ...source, record: data[0] };
+    }
+  }
+  return null;
+}
+
+// Looks up the provider named in a reconnect link
+async function findProviderById(table, providerId) {
+  const source = PROVIDER_SOURCES.find(candidate => candidate.table === table);
+  if (!source) {
+    return null;
+  }
+
+  const { data, error } = await source.db
+    .from(table)
+    .select('*')
+    .eq('id', providerId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Error looking up ${table} ${providerId}:`, error);
+    return null;
+  }
+  return data ? { ...source, record: data } : null;
+}
+
+// Sends a provider to Google to sign in. Consent (and with it a new refresh
+// token) is only requested when the stored token is missing or revoked.
+function redirectToGoogleLogin(req, res, { consent = false, loginHint, reconnect } = {}) {
+  req.session.oauthFlow = 'login';
+  req.session.oauthState = crypto.randomBytes(16).toString('hex');
+  req.session.loginConsent = consent;
+  req.session.reconnectProvider = reconnect;
+
+  const authUrl = oauth2Client.generateAuthUrl({
+    access_type: 'offline',
+    scope: GOOGLE_SCOPES,
+    state: req.session.oauthState,
+    prompt: consent ? 'consent' : 'select_account',
+    ...(loginHint && { login_hint: loginHint })
+  });
+
+  res.redirect(authUrl);
+}
+
+async function handleLoginCallback(req, res) {
+  const { code, state, error } = req.query;
+  const expectedState = req.session.oauthState;
+  const consentRequested = req.session.loginConsent;
+  const reconnect = req.session.reconnectProvider;
+  delete req.session.oauthFlow;
+  delete req.session.oauthState;
+  delete req.session.loginConsent;
+  delete req.session.reconnectProvider;
+
+  if (error) {
+    return res.render('login', { message: 'Google sign-in was cancelled.' });
+  }
+  if (!state || state !== expectedState) {
+    return res.status(400).render('error', { message: 'Sign-in could not be verified. Please try again.' });
+  }
+
+  try {
+    const loginClient = createOAuth2Client();
+    const { tokens } = await loginClient.getToken(code);
+    loginClient.setCredentials(tokens);
+
+    const { data: profile } = await google.oauth2({ auth: loginClient, version: 'v2' }).userinfo.get();
+    if (!profile.email || profile.verified_email === false) {
+      return res.status(403).render('login', { message: 'Your Google account email is not verified.' });
+    }
+
+    const provider = reconnect
+      ? await findProviderById(reconnect.table, reconnect.providerId)
+      : await findProviderByGoogleEmail(profile.email);
+    if (!provider) {
+      return res.status(403).render('login', {
+        message: `No provider account is connected to ${profile.email}. Register first to connect your calendar.`
+      });
+    }
+
+    // A reconnect link must not attach someone else's calendar to the provider
+    if (reconnect) {
+      const knownEmails = [provider.record.google_email, provider.record.email]
+        .filter(Boolean)
+        .map(email => email.toLowerCase());
+      if (!knownEmails.includes(profile.email.toLowerCase())) {
+        return res.status(403).render('login', {
+          message: `Reconnect with the Google account you registered with (${provider.record.google_email || provider.record.email || 'unknown'}).`
+        });
+      }
+    }
+
+    const hasUsableToken = !provider.record.needs_reauth && await isRefreshTokenUsable(provider.record.refresh_token);
+    if (!tokens.refresh_token && !hasUsableToken) {
+      if (consentRequested) {
+        return res.render('error', { message: 'Google did not grant calendar access. Please sign in again and allow access.' });
+      }
+      return redirectToGoogleLogin(req, res, { consent: true, loginHint: profile.email });
+    }
+
+    // Google only returns a refresh token after consent; keep it, and remember the account
+    if (tokens.refresh_token || provider.record.google_email !== profile.email) {
+      const { error: updateError } = await provider.db
+        .from(provider.table)
+        .update({
+          google_email: profile.email,
+          ...(tokens.refresh_token && {
+            ...refreshTokenColumns(tokens.refresh_token),
+            token_last_success_at: new Date().toISOString()
+          }),
+          updated_at: new Date()
+        })
+        .eq('id', provider.record.id);
+
+      if (updateError) {
+        console.error(`Error updating ${provider.table} after sign-in:`, updateError);
+        return res.render('error', { message: 'Sign-in failed. Please try again.' });
+      }
+    }
+
+    // The link only proves its holder can replace the token; the dashboard still needs a sign-in
+    if (reconnect) {
+      const signedIn = req.session.provider;
+      if (signedIn && signedIn.table === provider.table && signedIn.id === provider.record.id) {
+        req.session.flash = { type: 'success', message: 'Google Calendar reconnected.' };
+        return res.redirect('/dashboard');
+      }
+      return res.render('login', { message: 'Google Calendar reconnected. Sign in to see your bookings.' });
+    }
+
+    // A fresh session id on sign-in, so one planted before it is worthless
+    const returnTo = req.session.returnTo;
+    req.session.regenerate(err => {
+      if (err) {
+        console.error('Error starting provider session:', err);
+        return res.render('error', { message: 'Sign-in failed. Please try again.' });
+      }
+
+      req.session.provider = {
+        table: provider.table,
+        id: provider.record.id,
+        name: provider.record.name,
+        email: profile.email
+      };
+      req.session.googleEmail = profile.email;
+      res.redirect(returnTo || '/dashboard');
+    });
+  } catch (e) {
+    console.error('Login callback error:', e);
+    res.render('error', { message: 'Sign-in failed. Please try again.' });
+  }
+}
 
 // Google login route
-router.get('/auth/google', (req, res) => {
+router.get('/auth/google', async (req, res) => {
+  delete req.session.oauthFlow;
+
+  // Reconnect links (sent when a token is revoked) only replace the provider's token
+  if (req.query.reconnect) {
+    const target = verifyReconnectToken(req.query.reconnect);
+    const provider = target && await findProviderById(target.table, target.providerId);
+    if (!provider) {
+      return res.status(400).render('error', { message: 'This reconnect link is invalid or has expired. Sign in to reconnect your calendar.' });
+    }
+    return redirectToGoogleLogin(req, res, {
+      consent: true,
+      loginHint: provider.record.google_email || provider.record.email,
+      reconnect: target
+    });
+  }
+
   // Store registration info in session
   if (req.query.phone) {
     req.session.phoneNumber = req.query.phone;
@@ -52,12 +251,7 @@ router.get('/auth/google', (req, res) => {
   // Generate authentication URL
   const authUrl = oauth2Client.generateAuthUrl({
     access_type: 'offline',
-    scope: [
-      'https://www.googleapis.com/auth/calendar',
-      'https://www.googleapis.com/auth/calendar.events',
-      'profile',
-      'email'
-    ],
+    scope: GOOGLE_SCOPES,
     prompt: 'consent' // Force to get refresh token
   });
 
@@ -67,6 +261,11 @@ router.get('/auth/google', (req, res) => {
 // Callback route after Google authentication
 router.get('/auth/google/callback', async (req, res) => {
   const { code } = req.query;
+
+  // Sign-ins share the registered redirect URI and are told apart by their state
+  if (req.session.oauthFlow === 'login') {
+    return handleLoginCallback(req, res);
+  }
   
   try {
     // Exchange authorization code for tokens
@@ -87,7 +286,6 @@ router.get('/auth/google/callback', async (req, res) => {
     
     // Store user information in session
     req.session.googleEmail = data.email;
-    req.session.refreshToken = tokens.refresh_token;
     req.session.calendars = calendarList.data.items.map(cal => ({
       id: cal.id,
       summary: cal.summary
@@ -133,7 +331,8 @@ router.get('/auth/google/callback', async (req, res) => {
               .update({
                 name: registrantName,
                 email: registrantEmail,
-                refresh_token: tokens.refresh_token,
+                google_email: data.email,
+                ...(tokens.refresh_token && refreshTokenColumns(tokens.refresh_token)),
                 updated_at: new Date()
               })
               .eq('phone_number', req.session.phoneNumber)
@@ -146,7 +345,8 @@ router.get('/auth/google/callback', async (req, res) => {
                 phone_number: req.session.phoneNumber,
                 name: registrantName,
                 email: registrantEmail,
-                refresh_token: tokens.refresh_token,
+                google_email: data.email,
+                ...(tokens.refresh_token && refreshTokenColumns(tokens.refresh_token)),
                 business_hours_start: '09:00',
                 business_hours_end: '18:00',
                 created_at: new Date(),
@@ -166,6 +366,12 @@ router.get('/auth/google/callback', async (req, res) => {
           }
           
           console.log('Successfully updated makeup artist with Google credentials:', artist);
+          req.session.provider = {
+            table: 'makeup_artists',
+            id: artist[0].id,
+            name: registrantName,
+            email: data.email
+          };
         } catch (err) {
           console.error('Exception while updating makeup artist:', err);
           return res.render('error', { 
@@ -181,6 +387,7 @@ router.get('/auth/google/callback', async (req, res) => {
           phone_number: req.session.phoneNumber,
           name: registrantName,
           email: registrantEmail,
+          google_email: data.email,
           refresh_token: tokens.refresh_token,
           business_type: businessType // Store the business type
         });
@@ -193,6 +400,12 @@ router.get('/auth/google/callback', async (req, res) => {
         }
         
         console.log('Successfully created/updated barber account:', barber.id);
+        req.session.provider = {
+          table: 'barbers',
+          id: barber.id,
+          name: registrantName,
+          email: data.email
+        };
       }
     } else {
       // Display a message that phone number is required
@@ -211,6 +424,29 @@ router.get('/auth/google/callback', async (req, res) => {
   }
 });
 
+// Sign-in page for providers who have already registered
+router.get('/login', (req, res) => {
+  if (req.session.provider) {
+    return res.redirect('/dashboard');
+  }
+  res.render('login', { message: null });
+});
+
+// Google sign-in for registered providers
+router.get('/auth/google/login', (req, res) => {
+  redirectToGoogleLogin(req, res);
+});
+
+// Sign out
+router.post('/logout', (req, res) => {
+  req.session.destroy(err => {
+    if (err) {
+      console.error('Error ending provider session:', err);
+    }
+    res.redirect('/login');
+  });
+});
+
 // Calendar selection page
 router.get('/select-calendar', (req, res) => {
   if (!req.session.calendars || !req.session.phoneNumber) {
@@ -227,6 +463,8 @@ router.get('/select-calendar', (req, res) => {
 // Save selected calendar
 router.post('/save-calendar', async (req, res) => {
   const { calendarId } = req.body;
+  // Other calendars whose events should block bookings; one checked box arrives as a string
+  const busyCalendarIds = [].concat(req.body.busyCalendarIds || []).filter(id => id && id !== calendarId);
   const phoneNumber = req.session.phoneNumber;
   const serviceType = req.session.serviceType || 'barber';
   const businessType = req.session.businessType || 'barber';
@@ -243,6 +481,7 @@ router.post('/save-calendar', async (req, res) => {
         .from('makeup_artists')
         .update({ 
           selected_calendar_id: calendarId,
+          busy_calendar_ids: busyCalendarIds,
           updated_at: new Date()
         })
         .eq('phone_number', phoneNumber)
@@ -254,7 +493,7 @@ router.post('/save-calendar', async (req, res) => {
       }
     } else {
       // Update barber's selected calendar
-      const updatedBarber = await barberOps.updateCalendarId(phoneNumber, calendarId);
+      const updatedBarber = await barberOps.updateCalendarId(phoneNumber, calendarId, busyCalendarIds);
       
       if (!updatedBarber) {
         return res.status(404).json({ error: 'Barber not found' });
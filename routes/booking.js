@@ -0,0 +1,1261 @@
+const express = require('express');
+const { google } = require('googleapis');
+const { parseDateTime, addMinutes, formatToTimeZone } = require('../utils/timeZoneHandler');
+const { MAX_TIME_WINDOW_MS, createConversationBatcher } = require('../utils/messagePipeline');
+const { isClientAppointment } = require('../utils/agent');
+const { listTenantBarberIds } = require('../utils/providers');
+const { getProviderAuth, sendReauthRequired } = require('../utils/googleAuth');
+const { getSpecialties, rankBarbersForService } = require('../utils/barberMatching');
+const { getProviderSchedule, describeWeeklyHours } = require('../utils/schedule');
+const {
+  getAvailabilityRules,
+  getBusyCalendarIds,
+  checkSlot,
+  checkAvailability,
+  findAvailableSlots,
+  describeUnavailable
+} = require('../utils/availability');
+
+// Responds 404 for endpoints belonging to a feature the tenant has not enabled
+function requireFeature(features, feature) {
+  return (req, res, next) => {
+    if (!features[feature]) {
+      return res.status(404).json({ success: false, error: `Feature not enabled: ${feature}` });
+    }
+    next();
+  };
+}
+
+/**
+ * Creates the shared booking router used by barbershop-style tenants
+ * @param {Object} tenantConfig - Normalized tenant config from utils/tenants
+ * @param {Object} ops - Database operations from createClientOperations
+ * @returns {Object} - Express router with the booking and conversation endpoints
+ */
+function createBookingRouter(tenantConfig, ops) {
+  const router = express.Router();
+  const { supabase, barberOps, clientOps, appointmentOps, conversationOps } = ops;
+  const { timeZone, features } = tenantConfig;
+  const defaultCalendarId = tenantConfig.calendarOwner.calendarId || 'primary';
+  const rules = getAvailabilityRules(tenantConfig);
+  // Coalesces bursts of client texts sent to /conversation/process-message
+  const conversationBatcher = createConversationBatcher(tenantConfig, supabase);
+
+  // Calendar client, the calendar bookings go to and every calendar that blocks the barber's time
+  async function getBarberCalendar(barber) {
+    const oauth2Client = await getProviderAuth(supabase, 'barbers', barber);
+    const calendarId = barber.selected_calendar_id || defaultCalendarId;
+    return {
+      calendar: google.calendar({ version: 'v3', auth: oauth2Client }),
+      calendarId,
+      calendarIds: getBusyCalendarIds(barber, calendarId)
+    };
+  }
+
+  // A barber's own hours, or the shop's when they have not set any
+  const scheduleFor = barber => getProviderSchedule(tenantConfig, barber);
+
+  // The tenant's own barbers; the barbers table can also hold Justin, who is another tenant
+  async function getTenantBarbers() {
+    const [barbers, barberIds] = await Promise.all([barberOps.getBarbersWithSpecialties(), listTenantBarberIds(tenantConfig)]);
+    return barberIds ? barbers.filter(barber => barberIds.includes(barber.id)) : barbers;
+  }
+
+  // Barbers who could take a service, best match first
+  async function getCandidateBarbers(serviceType) {
+    return rankBarbersForService(await getTenantBarbers(), serviceType);
+  }
+
+  /**
+   * Checks each candidate's calendar for the requested window. A barber whose
+   * calendar cannot be reached is skipped rather than failing the search.
+   * @param {Array} barbers - Candidates from getCandidateBarbers
+   * @param {Date} requestedStart - Start of the appointment
+   * @param {number} durationMinutes - Length of the appointment
+   * @returns {Array} - [{ barber, calendar, calendarId }] for each free barber, in candidate order
+   */
+  async function findFreeBarbers(barbers, requestedStart, durationMinutes) {
+    const free = [];
+    for (const barber of barbers) {
+      const schedule = scheduleFor(barber);
+      // Hours and booking rules are settled before touching the barber's calendar
+      if (!checkSlot(requestedStart, durationMinutes, { schedule, rules, timeZone }).isAvailable) {
+        continue;
+      }
+      try {
+        const { calendar, calendarId, calendarIds } = await getBarberCalendar(barber);
+        const { isAvailable } = await checkAvailability({
+          calendar, calendarIds, schedule, rules, timeZone, start: requestedStart, durationMinutes
+        });
+        if (isAvailable) {
+          free.push({ barber, calendar, calendarId });
+        }
+      } catch (e) {
+        console.error(`Skipping barber ${barber.id} in availability check:`, e.message);
+      }
+    }
+    return free;
+  }
+
+  /**
+   * Finds the earliest open slots across several barbers' calendars. Slots at
+   * the same time are ordered by how well the barber matches the service.
+   * @param {Array} barbers - Candidates from getCandidateBarbers
+   * @param {Date} startFrom - Earliest start
+   * @param {number} numSlots - Slots to return
+   * @param {number} slotMinutes - Length of each slot
+   * @returns {Array} - [{ start, end, barberId, barberName }]
+   */
+  async function findSlotsAcrossBarbers(barbers, startFrom, numSlots, slotMinutes) {
+    const slots = [];
+    for (const [rank, barber] of barbers.entries()) {
+      try {
+        const { calendar, calendarIds } = await getBarberCalendar(barber);
+        const found = await findAvailableSlots({
+          calendar, calendarIds, schedule: scheduleFor(barber), rules, timeZone, from: startFrom, durationMinutes: slotMinutes, limit: numSlots
+        });
+        found.forEach(slot => slots.push({ ...slot, barberId: barber.id, barberName: barber.name, rank }));
+      } catch (e) {
+        console.error(`Skipping barber ${barber.id} in slot search:`, e.message);
+      }
+    }
+
+    return slots
+      .sort((a, b) => a.start.localeCompare(b.start) || a.rank - b.rank)
+      .slice(0, numSlots)
+      .map(({ rank, ...slot }) => slot);
+  }
+
+  async function handleCreateClientAppointment(calendar, calendarId, data, res) {
+    const { clientPhone, clientName, serviceType, startDateTime, duration, notes, barberId, barberName } = data;
+    if (!startDateTime) return res.status(400).json({ success: false, error: 'Start date-time is required' });
+    const startTime = parseDateTime(startDateTime, timeZone);
+    const endTime = addMinutes(startTime, duration);
+    const eventDetails = {
+      summary: `${serviceType}: ${clientName}`,
+      description: `Client: ${clientName}\nPhone: ${clientPhone}\n${notes || ''}`,
+      start: formatToTimeZone(startTime, timeZone),
+      end: formatToTimeZone(endTime, timeZone)
+    };
+    const event = await calendar.events.insert({ calendarId, resource: eventDetails, sendUpdates: 'all' });
+    if (event.data?.id) {
+      try {
+        await appointmentOps.create({ client_phone: clientPhone, barber_id: barberId, service_type: serviceType, start_time: startTime.toISOString(), end_time: endTime.toISOString(), google_calendar_event_id: event.data.id, notes });
+      } catch (e) { console.error('DB store error:', e); }
+    }
+    return res.status(200).json({ success: true, action: 'create', eventId: event.data.id, eventLink: event.data.htmlLink, barberId, barberName, message: 'Appointment added to calendar' });
+  }
+
+  async function handleCancelAppointment(calendar, calendarId, eventId, clientPhone, res) {
+    if (!eventId) {
+      return res.status(400).json({ success: false, error: 'Event ID is required for cancellation' });
+    }
+
+    try {
+      // Delete from Google Calendar
+      await calendar.events.delete({
+        calendarId,
+        eventId,
+        sendUpdates: 'all' // Notify attendees
+      });
+
+      // Delete from database
+      const deleted = await appointmentOps.cancelAppointment(eventId);
+
+      if (!deleted) {
+        console.error('Error deleting appointment from database for event:', eventId);
+      }
+
+      return res.status(200).json({
+        success: true,
+        action: 'cancel',
+        eventId,
+        message: 'Appointment successfully cancelled'
+      });
+    } catch (e) {
+      console.error('Error cancelling appointment:', e);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to cancel appointment: ${e.message}`
+      });
+    }
+  }
+
+  async function handleRescheduleAppointment(calendar, calendarId, data, res) {
+    const { eventId, newStartDateTime, clientPhone, clientName, serviceType, duration = 30, notes, barberId } = data;
+
+    if (!eventId || !newStartDateTime) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Event ID and new start date-time are required for rescheduling' 
+      });
+    }
+
+    try {
+      // Get existing event first to preserve any other data
+      const existingEvent = await calendar.events.get({
+        calendarId,
+        eventId
+      });
+
+      if (!existingEvent.data) {
+        return res.status(404).json({
+          success: false,
+          error: 'Appointment not found in calendar'
+        });
+      }
+
+      // Parse new start time and calculate new end time
+      // Use the provided duration (which might be different from original)
+      const newStartTime = parseDateTime(newStartDateTime, timeZone);
+      const newEndTime = addMinutes(newStartTime, duration);
+
+      // Update the event in Google Calendar
+      const updatedEvent = await calendar.events.update({
+        calendarId,
+        eventId,
+        resource: {
+          ...existingEvent.data,
+          summary: serviceType ? `${serviceType}: ${clientName}` : existingEvent.data.summary,
+          start: formatToTimeZone(newStartTime, timeZone),
+          end: formatToTimeZone(newEndTime, timeZone)
+        },
+        sendUpdates: 'all' // Notify attendees
+      });
+
+      // Update the appointment in the database
+      const updateResult = await appointmentOps.updateByEventId(eventId, {
+        start_time: newStartTime.toISOString(),
+        end_time: newEndTime.toISOString(),
+        service_type: serviceType || undefined // Only update if provided
+      });
+
+      return res.status(200).json({
+        success: true,
+        action: 'reschedule',
+        eventId: updatedEvent.data.id,
+        eventLink: updatedEvent.data.htmlLink,
+        message: 'Appointment successfully rescheduled'
+      });
+    } catch (e) {
+      console.error('Error rescheduling appointment:', e);
+      return res.status(500).json({
+        success: false,
+        error: `Failed to reschedule appointment: ${e.message}`
+      });
+    }
+  }
+
+  router.post('/client-appointment', async (req, res) => {
+    let { 
+      clientPhone, 
+      clientName = "New Client", 
+      serviceType = 'Appointment', 
+      startDateTime, 
+      newStartDateTime, 
+      duration = 30, 
+      notes = '', 
+      preferredBarberId, 
+      anyBarber = false,
+      isCancelling = false, 
+      isRescheduling = false, 
+      eventId 
+    } = req.body;
+
+    // Parse boolean strings to actual booleans
+    if (typeof isCancelling === 'string') isCancelling = isCancelling.toLowerCase() === 'true';
+    if (typeof isRescheduling === 'string') isRescheduling = isRescheduling.toLowerCase() === 'true';
+    if (typeof anyBarber === 'string') anyBarber = anyBarber.toLowerCase() === 'true';
+    if (typeof duration === 'string') duration = parseInt(duration, 10) || 30;
+
+    // Validate required fields
+    if (!clientPhone) {
+      return res.status(400).json({ success: false, error: 'Client phone number is required' });
+    }
+
+    try {
+      // Get or create client
+      let client = await clientOps.getByPhoneNumber(clientPhone);
+
+      if (!client && !isCancelling && preferredBarberId) {
+        client = await clientOps.createOrUpdate({ 
+          phone_number: clientPhone, 
+          name: clientName, 
+          preferred_barber_id: preferredBarberId 
+        });
+      }
+
+      // Changes go to the calendar that holds the appointment, whoever the client prefers now
+      const appointment = (isCancelling || isRescheduling) && eventId
+        ? await appointmentOps.getByEventId(eventId)
+        : null;
+      // Clients can only change their own bookings
+      if ((isCancelling || isRescheduling) && eventId && !isClientAppointment(appointment, { identifier: clientPhone, platform: 'phone' })) {
+        return res.status(404).json({ success: false, error: 'Appointment not found for this client' });
+      }
+      const barberId = appointment?.barber_id || preferredBarberId || (!anyBarber && client?.preferred_barber_id);
+
+      if (!barberId) {
+        if (isCancelling || isRescheduling) {
+          return res.status(400).json({ 
+            success: false, 
+            error: 'No barber specified and client has no preferred barber' 
+          });
+        }
+        if (!startDateTime) {
+          return res.status(400).json({ success: false, error: 'Start date-time is required' });
+        }
+
+        // No preference: book whichever matching barber is free, specialists first
+        const candidates = await getCandidateBarbers(serviceType);
+        if (candidates.length === 0) {
+          return res.status(404).json({ success: false, error: `No barber with a connected calendar offers ${serviceType}` });
+        }
+
+        const requestedStart = parseDateTime(startDateTime, timeZone);
+        const [free] = await findFreeBarbers(candidates, requestedStart, duration);
+        if (!free) {
+          return res.status(409).json({
+            success: false,
+            error: 'No barber is free at that time',
+            alternatives: await findSlotsAcrossBarbers(candidates, requestedStart, 3, duration)
+          });
+        }
+
+        return await handleCreateClientAppointment(free.calendar, free.calendarId, {
+          clientPhone,
+          clientName,
+          serviceType,
+          startDateTime,
+          duration,
+          notes,
+          barberId: free.barber.id,
+          barberName: free.barber.name
+        }, res);
+      }
+
+      const barber = await barberOps.getById(barberId);
+
+      if (!barber?.refresh_token) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Barber not found or not authorized' 
+        });
+      }
+
+      // New times have to fall inside the barber's working hours and the shop's booking rules
+      const requestedStart = isRescheduling ? newStartDateTime : (!isCancelling && startDateTime);
+      if (requestedStart) {
+        const schedule = scheduleFor(barber);
+        const { isAvailable, reason } = checkSlot(parseDateTime(requestedStart, timeZone), duration, { schedule, rules, timeZone });
+        if (!isAvailable) {
+          return res.status(400).json({
+            success: false,
+            error: describeUnavailable(reason, rules) || `${barber.name} works ${describeWeeklyHours(schedule)}, apart from holidays and days off`
+          });
+        }
+      }
+
+      // Create Google Calendar client
+      const { calendar, calendarId } = await getBarberCalendar(barber);
+
+      // Handle different operations based on request type
+      if (isCancelling) {
+        return await handleCancelAppointment(calendar, calendarId, eventId, clientPhone, res);
+      } else if (isRescheduling) {
+        return await handleRescheduleAppointment(calendar, calendarId, {
+          eventId,
+          newStartDateTime,
+          clientPhone,
+          clientName,
+          serviceType,
+          duration,
+          notes,
+          barberId: barber.id
+        }, res);
+      } else {
+        // Create new appointment
+        return await handleCreateClientAppointment(calendar, calendarId, {
+          clientPhone,
+          clientName,
+          serviceType,
+          startDateTime,
+          duration,
+          notes,
+          barberId: barber.id,
+          barberName: barber.name
+        }, res);
+      }
+    } catch (e) {
+      if (sendReauthRequired(res, e)) return;
+      console.error('Error in client-appointment endpoint:', e);
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  });
+
+  router.post('/update-client-preference', async (req, res) => {
+    const { clientPhone, preferredBarberId } = req.body;
+    if (!clientPhone || !preferredBarberId) return res.status(400).json({ success: false, error: 'Missing info' });
+    try {
+      const { data, error } = await supabase.from('clients').upsert({ phone_number: clientPhone, preferred_barber_id: preferredBarberId, updated_at: new Date() }, { onConflict: 'phone_number' }).select();
+      if (error) throw error;
+      return res.status(200).json({ success: true, client: data[0] });
+    } catch (e) {
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  });
+
+  router.post('/check-availability', async (req, res) => {
+    const { barberPhoneNumber, barberId, startDateTime, serviceType, serviceDuration = 30 } = req.body;
+
+    if (!startDateTime) return res.status(400).json({ success: false, error: 'Start date-time is required' });
+
+    try {
+      // Parse specific start time from request; wall-clock input is in the tenant's zone
+      const requestedStart = parseDateTime(startDateTime, timeZone);
+
+      // Calculate the end time based on service duration
+      const requestedEnd = addMinutes(requestedStart, serviceDuration);
+      const requestedTimeSlot = {
+        start: requestedStart.toISOString(),
+        end: requestedEnd.toISOString(),
+        duration: serviceDuration
+      };
+
+      // Without a barber, report every barber who offers the service and is free
+      if (!barberPhoneNumber && !barberId) {
+        const free = await findFreeBarbers(await getCandidateBarbers(serviceType), requestedStart, serviceDuration);
+        return res.status(200).json({
+          success: true,
+          isAvailable: free.length > 0,
+          requestedTimeSlot,
+          availableBarbers: free.map(({ barber }) => ({ id: barber.id, name: barber.name }))
+        });
+      }
+
+      const barber = barberPhoneNumber ? await barberOps.getByPhoneNumber(barberPhoneNumber) : await barberOps.getById(barberId);
+      if (!barber?.refresh_token) return res.status(404).json({ success: false, error: 'Barber not found or unauthorized' });
+
+      const schedule = scheduleFor(barber);
+      const ruling = checkSlot(requestedStart, serviceDuration, { schedule, rules, timeZone });
+      if (!ruling.isAvailable) {
+        return res.status(200).json({
+          success: true,
+          isAvailable: false,
+          reason: ruling.reason,
+          message: describeUnavailable(ruling.reason, rules) || undefined,
+          businessHours: describeWeeklyHours(schedule),
+          requestedTimeSlot
+        });
+      }
+
+      const { calendar, calendarIds } = await getBarberCalendar(barber);
+      const { conflicts } = await checkAvailability({
+        calendar, calendarIds, schedule, rules, timeZone, start: requestedStart, durationMinutes: serviceDuration
+      });
+
+      // Set the correct content type explicitly
+      res.setHeader('Content-Type', 'application/json');
+
+      // Send a clean, simplified response structure
+      const result = {
+        success: true,
+        isAvailable: conflicts.length === 0,
+        requestedTimeSlot,
+        // Free/busy gives times only, so other calendars' event details stay private
+        conflictingEvents: conflicts.map(period => ({
+          calendarId: period.calendarId,
+          start: period.start.toISOString(),
+          end: period.end.toISOString()
+        }))
+      };
+
+      return res.send(JSON.stringify(result));
+    } catch (e) {
+      if (sendReauthRequired(res, e)) return;
+      res.setHeader('Content-Type', 'application/json');
+      return res.send(JSON.stringify({ success: false, error: e.message }));
+    }
+  });
+
+  router.post('/register-client', async (req, res) => {
+    const { clientName, clientPhone, preferredBarberName } = req.body;
+    if (!clientName || !clientPhone || !preferredBarberName) return res.status(400).json({ success: false, error: 'Missing required fields' });
+    try {
+      let formattedPhone = clientPhone;
+      const digits = formattedPhone.replace(/\D/g, '');
+      if (!formattedPhone.startsWith('+')) formattedPhone = digits.length === 10 ? `+1${digits}` : `+${digits}`;
+      const { data: barber } = await supabase.from('barbers').select('id, name').ilike('name', `%${preferredBarberName}%`).single();
+      const existingClient = await clientOps.getByPhoneNumber(formattedPhone);
+      const updatedClient = await clientOps.createOrUpdate({ phone_number: formattedPhone, name: clientName, preferred_barber_id: barber.id });
+      return res.status(200).json({ success: true, message: existingClient ? 'Client updated' : 'Client registered', client: updatedClient, barber });
+    } catch (e) {
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  });
+
+  router.get('/get-preferred-barber', async (req, res) => {
+    const clientPhone = req.query.phone;
+    if (!clientPhone) return res.status(400).json({ success: false, error: 'Phone number required' });
+    try {
+      let formattedPhone = clientPhone;
+      const digits = formattedPhone.replace(/\D/g, '');
+      if (!formattedPhone.startsWith('+')) formattedPhone = digits.length === 10 ? `+1${digits}` : `+${digits}`;
+
+      const client = await clientOps.getByPhoneNumber(formattedPhone);
+      if (!client) return res.status(200).json({ success: true, found: false, message: 'Client not found' });
+
+      let latestAppointment = null;
+      const { data: appointments, error } = await supabase
+        .from('appointments')
+        .select('id, start_time, google_calendar_event_id')
+        .eq('client_phone', formattedPhone)
+        .order('start_time', { ascending: false })
+        .limit(1);
+
+      if (appointments && appointments.length > 0) {
+        latestAppointment = appointments[0];
+      }
+
+      if (!client.preferred_barber) return res.status(200).json({
+        success: true,
+        found: false,
+        message: 'No preferred barber',
+        client: {
+          id: client.id,
+          name: client.name,
+          phone: client.phone_number
+        },
+        latestAppointment
+      });
+
+      return res.status(200).json({
+        success: true,
+        found: true,
+        barber: {
+          id: client.preferred_barber.id,
+          name: client.preferred_barber.name,
+          phone: client.preferred_barber.phone_number
+        },
+        client: {
+          id: client.id,
+          name: client.name,
+          phone: client.phone_number
+        },
+        latestAppointment
+      });
+    } catch (e) {
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  });
+
+  // POST /find-available-slots - one barber's next openings, or the earliest across all barbers who offer the service
+  router.post('/find-available-slots', async (req, res) => {
+    const { barberId, serviceType, currentTimestamp, numSlots = 3, slotDurationMinutes = 30 } = req.body;
+
+    if (!currentTimestamp) {
+      return res.status(400).json({ success: false, error: 'Missing currentTimestamp' });
+    }
+
+    try {
+      const startFrom = parseDateTime(currentTimestamp, timeZone);
+      let slots;
+
+      if (barberId) {
+        const barber = await barberOps.getById(barberId);
+        if (!barber?.refresh_token) {
+          return res.status(404).json({ success: false, error: 'Barber not found or unauthorized' });
+        }
+
+        const { calendar, calendarIds } = await getBarberCalendar(barber);
+        slots = await findAvailableSlots({
+          calendar, calendarIds, schedule: scheduleFor(barber), rules, timeZone, from: startFrom, durationMinutes: slotDurationMinutes, limit: numSlots
+        });
+      } else {
+        slots = await findSlotsAcrossBarbers(await getCandidateBarbers(serviceType), startFrom, numSlots, slotDurationMinutes);
+      }
+
+      return res.status(200).json({
+        success: true,
+        slotsFound: slots.length,
+        slots,
+        duration: slotDurationMinutes // Return the duration for clarity
+      });
+    } catch (e) {
+      if (sendReauthRequired(res, e)) return;
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  });
+
+  router.post('/conversation/store-message', requireFeature(features, 'conversations'), async (req, res) => {
+    const { phoneNumber, role, content, metadata } = req.body;
+
+    if (!phoneNumber || !role || !content) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Missing required fields: phoneNumber, role, content' 
+      });
+    }
+
+    try {
+      // Get or create session
+      const session = await conversationOps.getOrCreateSession(phoneNumber);
+      if (!session) {
+        return res.status(500).json({ 
+          success: false, 
+          error: 'Failed to get or create session' 
+        });
+      }
+
+      // Add message
+      const message = await conversationOps.addMessage(
+        session.id, 
+        role, 
+        content, 
+        metadata
+      );
+
+      if (!message) {
+        return res.status(500).json({ 
+          success: false, 
+          error: 'Failed to store message' 
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message,
+        sessionId: session.id
+      });
+    } catch (e) {
+      console.error('Error in store-message:', e);
+      return res.status(500).json({ 
+        success: false, 
+        error: e.message 
+      });
+    }
+  });
+
+  // Get conversation history
+  router.get('/conversation/history', requireFeature(features, 'conversations'), async (req, res) => {
+    const { phoneNumber, limit = 10 } = req.query;
+
+    if (!phoneNumber) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Phone number is required' 
+      });
+    }
+
+    try {
+      const history = await conversationOps.getConversationHistory(
+        phoneNumber, 
+        parseInt(limit)
+      );
+
+      return res.status(200).json({
+        success: true,
+        history,
+        count: history.length
+      });
+    } catch (e) {
+      console.error('Error in get-history:', e);
+      return res.status(500).json({ 
+        success: false, 
+        error: e.message 
+      });
+    }
+  });
+
+  // Clear conversation history
+  router.post('/conversation/clear', requireFeature(features, 'conversations'), async (req, res) => {
+    const { phoneNumber } = req.body;
+
+    if (!phoneNumber) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Phone number is required' 
+      });
+    }
+
+    try {
+      const cleared = await conversationOps.clearSession(phoneNumber);
+
+      return res.status(200).json({
+        success: cleared,
+        message: cleared ? 'Session cleared successfully' : 'Failed to clear session'
+      });
+    } catch (e) {
+      console.error('Error in clear-session:', e);
+      return res.status(500).json({ 
+        success: false, 
+        error: e.message 
+      });
+    }
+  });
+
+  router.post('/conversation/process-message', requireFeature(features, 'conversations'), async (req, res) => {
+    const { 
+      phoneNumber, 
+      content, 
+      role = 'user', 
+      timeWindowMs = 5000,  // 5 second window by default
+      metadata = null
+    } = req.body;
+
+    if (!phoneNumber || !content) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Phone number and content are required' 
+      });
+    }
+
+    try {
+      const session = await conversationOps.getOrCreateSession(phoneNumber);
+      if (!session) {
+        return res.status(500).json({ 
+          success: false, 
+          error: 'Failed to get or create session' 
+        });
+      }
+
+      // Store the current message
+      const message = await conversationOps.addMessage(session.id, role, content, metadata);
+      if (!message) {
+        return res.status(500).json({ 
+          success: false, 
+          error: 'Failed to store message' 
+        });
+      }
+
+      // Only client messages are coalesced; anything else is final as soon as it is stored
+      if (role !== 'user') {
+        return res.status(200).json({
+          success: true,
+          isFinalMessage: true,
+          content,
+          sessionId: session.id,
+          messageCount: 1
+        });
+      }
+
+      // Acknowledged straight away; the batch is delivered once the client has been
+      // quiet for timeWindowMs (see createConversationBatcher)
+      const quietMs = Math.min(Math.max(Number(timeWindowMs) || 0, 0), MAX_TIME_WINDOW_MS);
+      conversationBatcher.enqueue(session.id, { phoneNumber, message }, { quietMs })
+        .catch(e => console.error('Error processing message batch:', e));
+
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        content,
+        sessionId: session.id,
+        messageId: message.id
+      });
+    } catch (e) {
+      console.error('Error in process-message:', e);
+      return res.status(500).json({ 
+        success: false, 
+        error: e.message 
+      });
+    }
+  });
+
+
+  // Add a separate endpoint for checking if a message batch is complete.
+  // Kept for orchestrators that poll instead of taking conversations.callbackUrl deliveries.
+  router.post('/conversation/check-batch-complete', requireFeature(features, 'conversations'), async (req, res) => {
+    const { phoneNumber, messageId, timeWindowMs = 5000 } = req.body;
+
+    if (!phoneNumber || !messageId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Phone number and message ID are required' 
+      });
+    }
+
+    try {
+      const session = await conversationOps.getOrCreateSession(phoneNumber);
+
+      // Get the specific message
+      const { data: currentMessage, error: msgError } = await supabase
+        .from('conversation_messages')
+        .select('*')
+        .eq('id', messageId)
+        .single();
+
+      if (msgError || !currentMessage) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Message not found' 
+        });
+      }
+
+      // Check for newer messages
+      const { data: newerMessages, error } = await supabase
+        .from('conversation_messages')
+        .select('*')
+        .eq('session_id', session.id)
+        .eq('role', 'user')
+        .gt('created_at', currentMessage.created_at);
+
+      if (error) {
+        return res.status(500).json({ 
+          success: false, 
+          error: 'Failed to check for newer messages' 
+        });
+      }
+
+      const isComplete = newerMessages.length === 0;
+
+      if (isComplete) {
+        // Get all messages in the batch for aggregation
+        const cutoffTime = new Date(
+          new Date(currentMessage.created_at).getTime() - timeWindowMs
+        );
+
+        const { data: batchMessages, error: batchError } = await supabase
+          .from('conversation_messages')
+          .select('*')
+          .eq('session_id', session.id)
+          .eq('role', 'user')
+          .gt('created_at', cutoffTime.toISOString())
+          .order('created_at', { ascending: true });
+
+        if (batchError) {
+          return res.status(500).json({ 
+            success: false, 
+            error: 'Failed to fetch batch messages' 
+          });
+        }
+
+        const aggregatedContent = batchMessages
+          .map(msg => msg.content)
+          .join(' ');
+
+        return res.status(200).json({
+          success: true,
+          isComplete: true,
+          aggregatedContent,
+          messageCount: batchMessages.length
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        isComplete: false
+      });
+    } catch (e) {
+      console.error('Error in check-batch-complete:', e);
+      return res.status(500).json({ 
+        success: false, 
+        error: e.message 
+      });
+    }
+  });
+
+  // Store temporary messages as a conversation
+  router.post('/store-temp-messages', requireFeature(features, 'tempMessages'), async (req, res) => {
+    const { phoneNumber, role = "user", messages, content } = req.body;
+
+    if (!phoneNumber) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Phone number is required' 
+      });
+    }
+
+    try {
+      // Get or create session
+      const session = await conversationOps.getOrCreateSession(phoneNumber);
+      if (!session) {
+        return res.status(500).json({ 
+          success: false, 
+          error: 'Failed to get or create session' 
+        });
+      }
+
+      // Get the most recent message with temp_messages
+      const { data: existingData, error: fetchError } = await supabase
+        .from('conversation_messages')
+        .select('*')
+        .eq('session_id', session.id)
+        .filter('metadata->is_temp', 'eq', true)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (fetchError) {
+        console.error('Error fetching existing temp messages:', fetchError);
+        return res.status(500).json({ 
+          success: false, 
+          error: 'Failed to fetch existing temp messages',
+          details: fetchError.message
+        });
+      }
+
+      // Initialize conversation array
+      let conversation = [];
+
+      // If we have existing data, use it as the base
+      if (existingData && existingData.length > 0 && existingData[0].temp_messages) {
+        if (Array.isArray(existingData[0].temp_messages)) {
+          conversation = existingData[0].temp_messages;
+        } else {
+          // If it's not an array, initialize with a single entry
+          conversation = [{ role: "system", content: "Conversation initialized" }];
+        }
+      } else {
+        // Start a new conversation
+        conversation = [{ role: "system", content: "Conversation initialized" }];
+      }
+
+      // Add the new message to the conversation
+      if (content || messages) {
+        // If it's a direct content string, add it as a message
+        if (content) {
+          conversation.push({
+            role: role,
+            content: content
+          });
+        } 
+        // If it's a messages object, add it
+        else if (messages) {
+          if (typeof messages === 'string') {
+            conversation.push({
+              role: role,
+              content: messages
+            });
+          } else {
+            // If it's already an object or array, try to handle it intelligently
+            if (Array.isArray(messages)) {
+              // If it's an array, append all messages
+              conversation = [...conversation, ...messages];
+            } else if (messages.content) {
+              // If it has content, treat as a single message
+              conversation.push({
+                role: messages.role || role,
+                content: messages.content
+              });
+            } else {
+              // Fallback: just stringify and store
+              conversation.push({
+                role: role,
+                content: JSON.stringify(messages)
+              });
+            }
+          }
+        }
+      }
+
+      // Store the updated conversation
+      const { data, error } = await supabase
+        .from('conversation_messages')
+        .upsert({ 
+          session_id: session.id,
+          role: 'system', // This is a system message to store the temp conversation
+          content: 'Temporary conversation storage',
+          temp_messages: conversation,
+          metadata: { is_temp: true },
+          created_at: new Date().toISOString() // Use current timestamp
+        });
+
+      if (error) {
+        console.error('Error storing temp messages:', error);
+        return res.status(500).json({ 
+          success: false, 
+          error: 'Failed to store temporary messages',
+          details: error.message
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Temporary messages stored successfully',
+        sessionId: session.id,
+        conversationLength: conversation.length
+      });
+    } catch (e) {
+      console.error('Error in store-temp-messages:', e);
+      return res.status(500).json({ 
+        success: false, 
+        error: e.message 
+      });
+    }
+  });
+
+  // Check temporary messages - formatted for OpenAI context
+  router.get('/check-temp-messages', requireFeature(features, 'tempMessages'), async (req, res) => {
+    const { phoneNumber } = req.query;
+
+    if (!phoneNumber) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Phone number is required' 
+      });
+    }
+
+    try {
+      // Get the session
+      const session = await conversationOps.getOrCreateSession(phoneNumber);
+      if (!session) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Session not found' 
+        });
+      }
+
+      // Get the most recent message with temp_messages
+      const { data, error } = await supabase
+        .from('conversation_messages')
+        .select('*')
+        .eq('session_id', session.id)
+        .filter('metadata->is_temp', 'eq', true)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        console.error('Error checking temp messages:', error);
+        return res.status(500).json({ 
+          success: false, 
+          error: 'Failed to check temporary messages',
+          details: error.message
+        });
+      }
+
+      // Format the conversation for easy reading
+      let formattedConversation = '';
+      let rawConversation = [];
+
+      if (data && data.length > 0 && data[0].temp_messages) {
+        rawConversation = data[0].temp_messages;
+
+        // Skip the first system message in formatting
+        for (let i = 1; i < rawConversation.length; i++) {
+          const msg = rawConversation[i];
+          if (msg.role && msg.content) {
+            // Add a formatted line to the conversation
+            formattedConversation += `${msg.role.toUpperCase()}: ${msg.content}\n\n`;
+          }
+        }
+      }
+
+      return res.status(200).json({
+        success: true,
+        conversation: formattedConversation.trim(),
+        rawConversation: rawConversation,
+        hasMessages: rawConversation.length > 1 // More than just the system message
+      });
+    } catch (e) {
+      console.error('Error in check-temp-messages:', e);
+      return res.status(500).json({ 
+        success: false, 
+        error: e.message 
+      });
+    }
+  });
+
+  // Create a new client
+  router.post('/create-client', async (req, res) => {
+    const { 
+      phoneNumber, 
+      name = "New Client", 
+      preferredBarberId 
+    } = req.body;
+
+    if (!phoneNumber) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Phone number is required' 
+      });
+    }
+
+    try {
+      // Format phone number
+      let formattedPhone = phoneNumber;
+      const digits = formattedPhone.replace(/\D/g, '');
+      if (!formattedPhone.startsWith('+')) {
+        formattedPhone = digits.length === 10 ? `+1${digits}` : `+${digits}`;
+      }
+
+      // Check if the client already exists
+      const existingClient = await clientOps.getByPhoneNumber(formattedPhone);
+
+      if (existingClient) {
+        // Update client if it exists
+        const updatedClient = await clientOps.createOrUpdate({
+          phone_number: formattedPhone,
+          name,
+          preferred_barber_id: preferredBarberId || existingClient.preferred_barber_id
+        });
+
+        return res.status(200).json({
+          success: true,
+          message: 'Client information updated',
+          client: updatedClient,
+          isNew: false
+        });
+      }
+
+      // Create a new client
+      const newClient = await clientOps.createOrUpdate({
+        phone_number: formattedPhone,
+        name,
+        preferred_barber_id: preferredBarberId
+      });
+
+      if (!newClient) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to create client'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'New client created successfully',
+        client: newClient,
+        isNew: true
+      });
+    } catch (e) {
+      console.error('Error in create-client:', e);
+      return res.status(500).json({ 
+        success: false, 
+        error: e.message 
+      });
+    }
+  });
+
+  // Clear temporary messages
+  router.post('/clear-temp-messages', requireFeature(features, 'tempMessages'), async (req, res) => {
+    const { phoneNumber } = req.body;
+
+    if (!phoneNumber) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Phone number is required' 
+      });
+    }
+
+    try {
+      // Get the session
+      const session = await conversationOps.getOrCreateSession(phoneNumber);
+      if (!session) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Session not found' 
+        });
+      }
+
+      // Clear temp messages
+      const { data, error } = await supabase
+        .from('conversation_messages')
+        .update({ 
+          temp_messages: null,
+          metadata: { is_temp: false }
+        })
+        .eq('session_id', session.id)
+        .filter('metadata->is_temp', 'eq', true);  // Changed this line
+
+      if (error) {
+        console.error('Error clearing temp messages:', error);
+        return res.status(500).json({ 
+          success: false, 
+          error: 'Failed to clear temporary messages',
+          details: error.message
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Temporary messages cleared successfully'
+      });
+    } catch (e) {
+      console.error('Error in clear-temp-messages:', e);
+      return res.status(500).json({ 
+        success: false, 
+        error: e.message 
+      });
+    }
+  });
+
+  // List barbers and their specialties; with serviceType, only those who can take it
+  router.get('/barbers', async (req, res) => {
+    const { serviceType } = req.query;
+
+    try {
+      const barbers = serviceType
+        ? await getCandidateBarbers(serviceType)
+        : await getTenantBarbers();
+
+      return res.status(200).json({
+        success: true,
+        barbers: barbers.map(barber => ({
+          id: barber.id,
+          name: barber.name,
+          specialties: getSpecialties(barber),
+          bookable: Boolean(barber.refresh_token && !barber.needs_reauth)
+        }))
+      });
+    } catch (e) {
+      console.error('Error in barbers endpoint:', e);
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  });
+
+  // Look up barber ID by name
+  router.get('/lookup-barber-id', async (req, res) => {
+    const { barberName } = req.query;
+
+    if (!barberName) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Barber name is required' 
+      });
+    }
+
+    try {
+      // Search for barber with similar name (case insensitive)
+      const { data, error } = await supabase
+        .from('barbers')
+        .select('id, name, phone_number')
+        .ilike('name', `%${barberName}%`)
+        .limit(1);
+
+      if (error) {
+        console.error('Error looking up barber:', error);
+        return res.status(500).json({ 
+          success: false, 
+          error: 'Failed to look up barber',
+          details: error.message
+        });
+      }
+
+      if (!data || data.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'No barber found with that name',
+          barberName
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        barber: data[0],
+        barberId: data[0].id,
+        barberName: data[0].name
+      });
+    } catch (e) {
+      console.error('Error in lookup-barber-id:', e);
+      return res.status(500).json({ 
+        success: false, 
+        error: e.message 
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createBookingRouter
+};
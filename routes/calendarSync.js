@@ -0,0 +1,79 @@
+const express = require('express');
+const { requireWebhookAuth } = require('../utils/webhookAuth');
+const { sendReauthRequired } = require('../utils/googleAuth');
+const { listConnectedProviders, watchProviderCalendar, findNotifiedChannel, syncChannel } = require('../utils/calendarSync');
+
+/**
+ * Creates the router that keeps appointments in step with edits made directly
+ * in Google Calendar. Google's push notifications carry no API key, so
+ * /notifications is checked against the channel's own token instead and only
+ * /watch needs the tenant's key.
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - Express router with POST /watch and POST /notifications
+ */
+function createCalendarSyncRouter(tenant) {
+  const router = express.Router();
+
+  // Watches one provider, or every connected one when providerId is left out
+  router.post('/watch', requireWebhookAuth(tenant.auth), async (req, res) => {
+    const { providerId } = req.body || {};
+
+    try {
+      const providers = await listConnectedProviders(tenant, providerId);
+      if (providers.length === 0) {
+        return res.status(404).json({ success: false, error: 'No connected provider found' });
+      }
+
+      const channels = [];
+      for (const provider of providers) {
+        const channel = await watchProviderCalendar(tenant, provider);
+        channels.push({
+          providerId: provider.id,
+          calendarId: channel.calendar_id,
+          channelId: channel.channel_id,
+          expiration: channel.expiration
+        });
+      }
+      return res.status(200).json({ success: true, channels });
+    } catch (e) {
+      if (sendReauthRequired(res, e)) {
+        return;
+      }
+      console.error('Error watching calendar:', e);
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  });
+
+  router.post('/notifications', async (req, res) => {
+    try {
+      const channel = await findNotifiedChannel(tenant, {
+        channelId: req.get('X-Goog-Channel-ID'),
+        token: req.get('X-Goog-Channel-Token'),
+        resourceId: req.get('X-Goog-Resource-ID')
+      });
+      if (!channel) {
+        return res.status(403).json({ success: false, error: 'Unknown calendar channel' });
+      }
+
+      // Google confirms a new channel with a 'sync' message before any change
+      if (req.get('X-Goog-Resource-State') === 'sync') {
+        return res.status(200).json({ success: true });
+      }
+
+      const changes = await syncChannel(tenant, channel);
+      console.log(`Synced calendar ${channel.calendar_id} for ${tenant.slug}:`, changes);
+      return res.status(200).json({ success: true, ...changes });
+    } catch (e) {
+      // Errors answer 5xx so Google retries the notification with backoff
+      if (sendReauthRequired(res, e)) {
+        return;
+      }
+      console.error('Error syncing calendar:', e);
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCalendarSyncRouter };
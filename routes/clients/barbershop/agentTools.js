@@ -0,0 +1,133 @@
+// Tools the booking agent may call, each backed by an endpoint of the shared
+// booking router. fixedArgs are sent with every call of that tool. requiresClient
+// tools change an existing booking, so they only run for a known sender.
+
+const startDateTime = {
+  type: 'string',
+  description: 'Start in the shop\'s local time without an offset, e.g. 2025-07-18T15:00:00'
+};
+
+const barberId = { type: 'string', description: 'Barber id from lookup_barber, list_barbers or get_preferred_barber' };
+
+const serviceType = { type: 'string', description: 'Service the client wants, e.g. Fade or Beard trim' };
+
+module.exports = [
+  {
+    name: 'lookup_barber',
+    description: 'Find a barber\'s id by name.',
+    method: 'GET',
+    path: '/lookup-barber-id',
+    parameters: {
+      type: 'object',
+      properties: { barberName: { type: 'string' } },
+      required: ['barberName']
+    }
+  },
+  {
+    name: 'list_barbers',
+    description: 'List the shop\'s barbers and their specialties, optionally only those who offer a service.',
+    method: 'GET',
+    path: '/barbers',
+    parameters: {
+      type: 'object',
+      properties: { serviceType }
+    }
+  },
+  {
+    name: 'get_preferred_barber',
+    description: 'Look up the client, their preferred barber and latest appointment.',
+    method: 'GET',
+    path: '/get-preferred-barber',
+    clientPhoneField: 'phone',
+    parameters: { type: 'object', properties: {} }
+  },
+  {
+    name: 'check_availability',
+    description: 'Check whether a specific time is free with a barber, or without barberId, which barbers offering the service are free then.',
+    method: 'POST',
+    path: '/check-availability',
+    parameters: {
+      type: 'object',
+      properties: {
+        barberId,
+        serviceType,
+        startDateTime,
+        serviceDuration: { type: 'integer', description: 'Length of the service in minutes' }
+      },
+      required: ['startDateTime']
+    }
+  },
+  {
+    name: 'find_available_slots',
+    description: 'Find a barber\'s next open slots from a given time, or without barberId, the earliest slots with any barber offering the service.',
+    method: 'POST',
+    path: '/find-available-slots',
+    parameters: {
+      type: 'object',
+      properties: {
+        barberId,
+        serviceType,
+        currentTimestamp: startDateTime,
+        numSlots: { type: 'integer' },
+        slotDurationMinutes: { type: 'integer' }
+      },
+      required: ['currentTimestamp']
+    }
+  },
+  {
+    name: 'book_appointment',
+    description: 'Book an appointment. Without a barber or preferred barber, the first free barber offering the service is booked.',
+    method: 'POST',
+    path: '/client-appointment',
+    clientPhoneField: 'clientPhone',
+    parameters: {
+      type: 'object',
+      properties: {
+        clientName: { type: 'string' },
+        serviceType,
+        startDateTime,
+        duration: { type: 'integer', description: 'Length of the service in minutes' },
+        preferredBarberId: barberId,
+        anyBarber: { type: 'boolean', description: 'Book any free barber even if the client has a preferred one' },
+        notes: { type: 'string' }
+      },
+      required: ['startDateTime']
+    }
+  },
+  {
+    name: 'reschedule_appointment',
+    description: 'Move an existing appointment to a new start time.',
+    method: 'POST',
+    path: '/client-appointment',
+    clientPhoneField: 'clientPhone',
+    requiresClient: true,
+    fixedArgs: { isRescheduling: true },
+    parameters: {
+      type: 'object',
+      properties: {
+        eventId: { type: 'string', description: 'Google Calendar event id of the appointment' },
+        newStartDateTime: startDateTime,
+        duration: { type: 'integer' },
+        preferredBarberId: barberId
+      },
+      required: ['eventId', 'newStartDateTime']
+    }
+  },
+  {
+    name: 'cancel_appointment',
+    description: 'Cancel an existing appointment.',
+    method: 'POST',
+    path: '/client-appointment',
+    clientPhoneField: 'clientPhone',
+    requiresClient: true,
+    fixedArgs: { isCancelling: true },
+    parameters: {
+      type: 'object',
+      properties: {
+        eventId: { type: 'string', description: 'Google Calendar event id of the appointment' },
+        preferredBarberId: barberId
+      },
+      required: ['eventId']
+    }
+  }
+];
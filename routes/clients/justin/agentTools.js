@@ -0,0 +1,112 @@
+// Tools the booking agent may call, each backed by an endpoint of Justin's router.
+// Justin works Thursdays 6-10 PM and Fridays 2-8 PM Pacific Time. Clients reach him
+// by text or Instagram/Messenger DM, so appointments are keyed by platform identity.
+
+const startDateTime = {
+  type: 'string',
+  description: 'Start in Pacific Time without an offset, e.g. 2025-07-18T15:00:00'
+};
+
+const clientIdentityFields = { identifier: 'clientIdentifier', platform: 'platform' };
+
+module.exports = [
+  {
+    name: 'get_services',
+    description: 'List Justin\'s services with prices and durations.',
+    method: 'GET',
+    path: '/services',
+    parameters: { type: 'object', properties: {} }
+  },
+  {
+    name: 'check_availability',
+    description: 'Check whether a specific time is open during Justin\'s hours.',
+    method: 'GET',
+    path: '/check-availability',
+    parameters: {
+      type: 'object',
+      properties: {
+        startDateTime,
+        serviceDuration: { type: 'integer', description: 'Length of the service in minutes' }
+      },
+      required: ['startDateTime']
+    }
+  },
+  {
+    name: 'find_available_slots',
+    description: 'Find Justin\'s next open slots.',
+    method: 'GET',
+    path: '/find-available-slots',
+    fixedArgs: { findNextAvailable: true },
+    parameters: {
+      type: 'object',
+      properties: {
+        numSlots: { type: 'integer' },
+        serviceDuration: { type: 'integer' }
+      }
+    }
+  },
+  {
+    name: 'list_appointments',
+    description: 'List the client\'s upcoming appointments, including the event ids needed to reschedule or cancel.',
+    method: 'GET',
+    path: '/client-appointments',
+    clientIdentityFields,
+    fixedArgs: { upcomingOnly: true },
+    parameters: { type: 'object', properties: {} }
+  },
+  {
+    name: 'book_appointment',
+    description: 'Book an appointment with Justin.',
+    method: 'POST',
+    path: '/appointment',
+    clientPhoneField: 'clientPhone',
+    clientIdentityFields,
+    parameters: {
+      type: 'object',
+      properties: {
+        clientName: { type: 'string' },
+        serviceType: { type: 'string' },
+        startDateTime,
+        duration: { type: 'integer', description: 'Length of the service in minutes' }
+      },
+      required: ['clientName', 'startDateTime']
+    }
+  },
+  {
+    name: 'reschedule_appointment',
+    description: 'Move an existing appointment to a new start time.',
+    method: 'POST',
+    path: '/appointment',
+    clientPhoneField: 'clientPhone',
+    requiresClient: true,
+    clientIdentityFields,
+    fixedArgs: { isRescheduling: true },
+    parameters: {
+      type: 'object',
+      properties: {
+        eventId: { type: 'string', description: 'Google Calendar event id of the appointment' },
+        clientName: { type: 'string' },
+        newStartDateTime: startDateTime,
+        duration: { type: 'integer' }
+      },
+      required: ['eventId', 'newStartDateTime']
+    }
+  },
+  {
+    name: 'cancel_appointment',
+    description: 'Cancel an existing appointment.',
+    method: 'POST',
+    path: '/appointment',
+    clientPhoneField: 'clientPhone',
+    requiresClient: true,
+    clientIdentityFields,
+    fixedArgs: { isCancelling: true },
+    parameters: {
+      type: 'object',
+      properties: {
+        eventId: { type: 'string', description: 'Google Calendar event id of the appointment' }
+      },
+      required: ['eventId']
+    }
+  }
+];
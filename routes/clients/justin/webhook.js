@@ -3,25 +3,48 @@ const router = express.Router();
 const { google } = require('googleapis');
 const config = require('./config');
 const { supabase, barberOps, clientOps, appointmentOps } = require('../../../utils/supabase/clients/justin');
+const { getTenant } = require('../../../utils/tenants');
+const { isClientAppointment } = require('../../../utils/agent');
+const { getProviderAuth, sendReauthRequired } = require('../../../utils/googleAuth');
+const { getProviderSchedule, describeWeeklyHours } = require('../../../utils/schedule');
+const {
+  getAvailabilityRules,
+  getBusyCalendarIds,
+  checkSlot,
+  checkAvailability,
+  findAvailableSlots,
+  describeUnavailable
+} = require('../../../utils/availability');
+const {
+  parseDateTime,
+  getZonedParts,
+  utcToZonedTime,
+  addMinutes,
+  formatToTimeZone
+} = require('../../../utils/timeZoneHandler');
 
-// Create a Justin-specific OAuth2 client
-const createJustinOAuth2Client = async () => {
-  const refreshToken = await barberOps.getJustinRefreshToken();
-  
-  const oauth2Client = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.REDIRECT_URI
-  );
-  
-  oauth2Client.setCredentials({ refresh_token: refreshToken });
-  return oauth2Client;
+const tenant = getTenant('justin');
+const { timeZone } = tenant;
+const rules = getAvailabilityRules(tenant);
+
+// Justin's barber row, which holds his credentials and schedule
+const getJustin = async () => {
+  const justin = await barberOps.getJustinDetails();
+  if (!justin) {
+    throw new Error('Justin\'s barber account was not found');
+  }
+  return justin;
 };
 
+// Create a Justin-specific OAuth2 client
+const createJustinOAuth2Client = async (justin) => getProviderAuth(supabase, 'barbers', justin || await getJustin());
+
 // Justin's appointment endpoint
 router.post('/appointment', async (req, res) => {
   const {
     clientPhone,
+    clientIdentifier,
+    platform,
     clientName,
     serviceType = 'haircut',
     startDateTime,
@@ -37,12 +60,20 @@ router.post('/appointment', async (req, res) => {
   const serviceDuration = typeof duration === 'string' ? parseInt(duration, 10) : duration;
   
   // Validate required fields
-  if (!clientPhone) {
+  if (!clientPhone && !(clientIdentifier && platform)) {
     return res.status(400).json({
       success: false,
-      error: 'Client phone number is required'
+      error: 'Client phone number or platform identifier is required'
     });
   }
+
+  // DM clients (Instagram, Messenger) are known by platform id rather than phone
+  const client = clientIdentifier && platform
+    ? { identifier: clientIdentifier, platform }
+    : { identifier: clientPhone, platform: 'phone' };
+  const contactLine = client.platform === 'phone'
+    ? `Phone: ${client.identifier}`
+    : `Contact: ${client.platform} ${client.identifier}${clientPhone ? `\nPhone: ${clientPhone}` : ''}`;
   
   // Determine the action based on the flags
   let action = 'create';
@@ -50,32 +81,24 @@ router.post('/appointment', async (req, res) => {
   if (isCancelling) action = 'cancel';
   
   try {
+    const justin = await getJustin();
+
     // For creation and rescheduling, validate the time
     if ((action === 'create' || action === 'reschedule') && !isCancelling) {
       const dateTimeStr = action === 'reschedule' ? newStartDateTime : startDateTime;
       
-      // Extract date and time parts directly from string
-      const datePart = dateTimeStr.split('T')[0]; // "2025-05-16"
-      const timePart = dateTimeStr.split('T')[1].split(/[-+Z]/)[0]; // "15:00:00"
-      const hour = parseInt(timePart.split(':')[0], 10); // 15
-      
-      // Extract day of week from date
-      const [year, month, day] = datePart.split('-').map(n => parseInt(n, 10));
-      const dateObj = new Date(year, month - 1, day); // Month is 0-indexed
-      const dayOfWeek = dateObj.getDay(); // 0-6 (Sunday-Saturday)
-      
-      // Validate against business hours
-      let isValidTime = false;
-      if (dayOfWeek === 4) { // Thursday
-        isValidTime = hour >= 18 && hour < 22; // 6 PM - 10 PM
-      } else if (dayOfWeek === 5) { // Friday
-        isValidTime = hour >= 14 && hour < 20; // 2 PM - 8 PM
-      }
+      // Read the day and hour in Justin's time zone, whatever offset the caller sent
+      const requestedStart = parseDateTime(dateTimeStr, timeZone);
+      const [datePart, timePart] = utcToZonedTime(requestedStart, timeZone).split('T');
+      const { weekday: dayOfWeek, hour } = getZonedParts(requestedStart, timeZone);
       
-      if (!isValidTime) {
+      // The whole appointment has to fall inside Justin's hours and booking rules
+      const schedule = getProviderSchedule(tenant, justin);
+      const { isAvailable, reason } = checkSlot(requestedStart, serviceDuration, { schedule, rules, timeZone });
+      if (!isAvailable) {
         return res.status(400).json({
           success: false,
-          error: 'Justin only works on Thursday from 6 PM to 10 PM and Friday from 2 PM to 8 PM',
+          error: describeUnavailable(reason, rules) || `Justin only works ${describeWeeklyHours(schedule)} (Pacific Time), apart from holidays and days off`,
           debug: {
             date: datePart,
             time: timePart,
@@ -86,7 +109,15 @@ router.post('/appointment', async (req, res) => {
       }
     }
     
-    const oauth2Client = await createJustinOAuth2Client();
+    // Clients can only change their own bookings
+    if (action !== 'create' && eventId && !isClientAppointment(await appointmentOps.getByEventId(eventId), client)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found for this client'
+      });
+    }
+    
+    const oauth2Client = await createJustinOAuth2Client(justin);
     const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
     
     // Handle different actions
@@ -94,22 +125,16 @@ router.post('/appointment', async (req, res) => {
     
     switch (action) {
       case 'create':
-        // Parse the date for calendar - assuming startDateTime is in PT
-        const startTime = new Date(startDateTime);
-        const endTime = new Date(startTime.getTime() + (serviceDuration * 60000));
+        // Wall-clock input is Pacific Time; explicit offsets are honored
+        const startTime = parseDateTime(startDateTime, timeZone);
+        const endTime = addMinutes(startTime, serviceDuration);
         
         const eventDetails = {
           summary: `${serviceType}: ${clientName}`,
-          description: `Client: ${clientName}\nPhone: ${clientPhone}\nLocation: 1213 Alvarado Ave #84, Davis CA 95616`,
-          location: '1213 Alvarado Ave #84, Davis CA 95616',
-          start: { 
-            dateTime: startTime.toISOString(),
-            timeZone: 'America/Los_Angeles' // Explicitly set Pacific Time
-          },
-          end: { 
-            dateTime: endTime.toISOString(),
-            timeZone: 'America/Los_Angeles' // Explicitly set Pacific Time
-          }
+          description: `Client: ${clientName}\n${contactLine}\nLocation: ${config.location}`,
+          location: config.location,
+          start: formatToTimeZone(startTime, timeZone),
+          end: formatToTimeZone(endTime, timeZone)
         };
         
         const event = await calendar.events.insert({ 
@@ -120,8 +145,8 @@ router.post('/appointment', async (req, res) => {
         
         // Store in DB
         await appointmentOps.create({
-          client_identifier: clientPhone,
-          platform: 'phone',
+          client_identifier: client.identifier,
+          platform: client.platform,
           service_type: serviceType,
           start_time: startTime.toISOString(),
           end_time: endTime.toISOString(),
@@ -164,8 +189,8 @@ router.post('/appointment', async (req, res) => {
         }
         
         // Calculate new times
-        const newStartTime = new Date(newStartDateTime);
-        const newEndTime = new Date(newStartTime.getTime() + (serviceDuration * 60000));
+        const newStartTime = parseDateTime(newStartDateTime, timeZone);
+        const newEndTime = addMinutes(newStartTime, serviceDuration);
         
         // Update the event in Google Calendar
         const updatedEvent = await calendar.events.update({
@@ -174,14 +199,8 @@ router.post('/appointment', async (req, res) => {
           resource: {
             ...existingEvent.data,
             summary: serviceType ? `${serviceType}: ${clientName}` : existingEvent.data.summary,
-            start: { 
-              dateTime: newStartTime.toISOString(),
-              timeZone: 'America/Los_Angeles'
-            },
-            end: { 
-              dateTime: newEndTime.toISOString(),
-              timeZone: 'America/Los_Angeles'
-            }
+            start: formatToTimeZone(newStartTime, timeZone),
+            end: formatToTimeZone(newEndTime, timeZone)
           },
           sendUpdates: 'all'
         });
@@ -237,6 +256,7 @@ router.post('/appointment', async (req, res) => {
     
     return res.status(200).json(result);
   } catch (error) {
+    if (sendReauthRequired(res, error)) return;
     console.error('Justin appointment error:', error);
     return res.status(500).json({ success: false, error: error.message });
   }
@@ -253,81 +273,58 @@ router.get('/check-availability', async (req, res) => {
   }
   
   try {
-    const oauth2Client = await createJustinOAuth2Client();
+    const justin = await getJustin();
+    const oauth2Client = await createJustinOAuth2Client(justin);
     const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
     
-    // First, extract components directly from the string to avoid time zone conversion issues
-    // Format expected: YYYY-MM-DDThh:mm:ss-07:00
-    const dateParts = startDateTime.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
-    if (!dateParts) {
+    // Parse the requested time; wall-clock input is Pacific Time
+    let requestedTime;
+    try {
+      requestedTime = parseDateTime(startDateTime, timeZone);
+    } catch (parseError) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid date format. Expected format: YYYY-MM-DDThh:mm:ss-07:00'
+        error: 'Invalid date format. Expected format: YYYY-MM-DDThh:mm:ss or YYYY-MM-DDThh:mm:ss-07:00'
       });
     }
     
-    // Create a Date object - this will be in UTC internally
-    const requestedTime = new Date(startDateTime);
-    
-    // Extract day of week (0-6, where 0 is Sunday) and hour (in PT) directly from the string
-    const year = parseInt(dateParts[1], 10);
-    const month = parseInt(dateParts[2], 10) - 1; // 0-based month
-    const date = parseInt(dateParts[3], 10);
-    const hour = parseInt(dateParts[4], 10); // Hour in PT since input is in PT
-    
-    // Calculate day of week from the parsed components
-    const tempDate = new Date(year, month, date);
-    const day = tempDate.getDay();
+    // Day of week (0-6, where 0 is Sunday) and hour in Justin's time zone
+    const { weekday: day, hour } = getZonedParts(requestedTime, timeZone);
     
     console.log('Time validation:', {
       input: startDateTime,
-      parsedDate: `${year}-${month+1}-${date}`,
+      parsedDate: utcToZonedTime(requestedTime, timeZone).split('T')[0],
       parsedHour: hour,
       day,
       dayName: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][day]
     });
     
-    // Validate business hours directly using the extracted components
-    let isValidBusinessHour = false;
-    if (day === 4) { // Thursday
-      isValidBusinessHour = hour >= 18 && hour < 22; // 6 PM - 10 PM
-    } else if (day === 5) { // Friday
-      isValidBusinessHour = hour >= 14 && hour < 20; // 2 PM - 8 PM
-    }
-    
-    if (!isValidBusinessHour) {
+    // Calculate end time
+    const endTime = addMinutes(requestedTime, parseInt(serviceDuration));
+
+    const schedule = getProviderSchedule(tenant, justin);
+    const durationMinutes = parseInt(serviceDuration);
+    const ruling = checkSlot(requestedTime, durationMinutes, { schedule, rules, timeZone });
+    if (!ruling.isAvailable) {
       return res.status(200).json({
         success: true,
         isAvailable: false,
-        reason: "Outside business hours",
-        businessHours: {
-          thursday: "6:00 PM - 10:00 PM PT",
-          friday: "2:00 PM - 8:00 PM PT"
-        },
+        reason: ruling.reason,
+        message: describeUnavailable(ruling.reason, rules) || undefined,
+        businessHours: `${describeWeeklyHours(schedule)} PT`,
         debug: {
           requestedDay: day,
           requestedDayName: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][day],
-          requestedHour: hour,
-          isFriday: day === 5,
-          hourCheck: hour >= 14 && hour < 20
+          requestedHour: hour
         }
       });
     }
     
-    // Calculate end time
-    const endTime = new Date(requestedTime.getTime() + (parseInt(serviceDuration) * 60000));
-    
-    // Check calendar for conflicts
-    const events = await calendar.events.list({
-      calendarId: 'primary',
-      timeMin: requestedTime.toISOString(),
-      timeMax: endTime.toISOString(),
-      singleEvents: true,
-      orderBy: 'startTime'
+    // Check calendar for conflicts, buffers included
+    const { isAvailable } = await checkAvailability({
+      calendar, calendarIds: getBusyCalendarIds(justin, 'primary'), schedule, rules, timeZone, start: requestedTime, durationMinutes
     });
     
-    const isAvailable = events.data.items.length === 0;
-    
     return res.status(200).json({
       success: true,
       isAvailable,
@@ -338,6 +335,7 @@ router.get('/check-availability', async (req, res) => {
       serviceDuration: parseInt(serviceDuration)
     });
   } catch (error) {
+    if (sendReauthRequired(res, error)) return;
     console.error('Error checking availability:', error);
     return res.status(500).json({ success: false, error: error.message });
   }
@@ -345,82 +343,34 @@ router.get('/check-availability', async (req, res) => {
 
 // Get barber's availability
 router.get('/find-available-slots', async (req, res) => {
-  const { numSlots = 3, serviceDuration = 30 } = req.query;
+  const { numSlots = 3, serviceDuration = 30, findNextAvailable } = req.query;
   
   try {
-    const oauth2Client = await createJustinOAuth2Client();
+    const justin = await getJustin();
+    const oauth2Client = await createJustinOAuth2Client(justin);
     const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
     
     // When finding next available slots, we don't need startDateTime
     if (findNextAvailable === 'true' || findNextAvailable === true) {
       console.log('Finding next available slots with serviceDuration:', serviceDuration);
       
-      // Calculate today and next 14 days for search range
-      const today = new Date();
-      const twoWeeksLater = new Date();
-      twoWeeksLater.setDate(today.getDate() + 14);
-      
-      // Find the next Thursday and Friday in this range
-      const slots = [];
-      
-      // Loop through the date range to find all Thursdays and Fridays
-      const currentDate = new Date(today);
-      while (currentDate <= twoWeeksLater) {
-        const day = currentDate.getDay();
-        
-        // Check if Thursday or Friday
-        if (day === 4 || day === 5) {
-          // Create a time range for business hours on this day
-          const businessHoursStart = new Date(currentDate);
-          const businessHoursEnd = new Date(currentDate);
-          
-          if (day === 4) { // Thursday
-            businessHoursStart.setHours(18, 0, 0, 0); // 6 PM
-            businessHoursEnd.setHours(22, 0, 0, 0);   // 10 PM
-          } else { // Friday
-            businessHoursStart.setHours(14, 0, 0, 0); // 2 PM
-            businessHoursEnd.setHours(20, 0, 0, 0);   // 8 PM
-          }
-          
-          // Only check if the business hours haven't passed yet today
-          if (today < businessHoursEnd) {
-            // Make sure we start from current time if checking today
-            if (today.toDateString() === currentDate.toDateString() && 
-                today > businessHoursStart) {
-              businessHoursStart.setHours(today.getHours(), today.getMinutes(), 0, 0);
-            }
-            
-            // Find available slots on this day
-            const daySlots = await findAvailableSlotsSimple(
-              calendar,
-              'primary',
-              businessHoursStart,
-              businessHoursEnd,
-              parseInt(serviceDuration, 10)
-            );
-            
-            // Add to our collection
-            slots.push(...daySlots);
-            
-            // Break if we have enough slots
-            if (slots.length >= parseInt(numSlots, 10)) {
-              break;
-            }
-          }
-        }
-        
-        // Move to next day
-        currentDate.setDate(currentDate.getDate() + 1);
-      }
-      
-      // Limit to requested number of slots
-      const limitedSlots = slots.slice(0, parseInt(numSlots, 10));
+      // Search from now to the end of Justin's booking horizon
+      const slots = await findAvailableSlots({
+        calendar,
+        calendarIds: getBusyCalendarIds(justin, 'primary'),
+        schedule: getProviderSchedule(tenant, justin),
+        rules,
+        timeZone,
+        from: new Date(),
+        durationMinutes: parseInt(serviceDuration, 10),
+        limit: parseInt(numSlots, 10)
+      });
       
       return res.status(200).json({
         success: true,
-        slots: availableSlots,
+        slots,
         serviceDuration: parseInt(serviceDuration),
-        location: "1213 Alvarado Ave #84, Davis CA 95616"
+        location: config.location
       });
     } else {
       return res.status(400).json({
@@ -429,57 +379,43 @@ router.get('/find-available-slots', async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Error getting Thursday slots:', error);
+    if (sendReauthRequired(res, error)) return;
+    console.error('Error finding Justin\'s open slots:', error);
     return res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Simplified function to find available slots
-async function findAvailableSlotsSimple(calendar, calendarId, startTime, endTime, slotDuration) {
-  // Get all events in the time range
-  const events = await calendar.events.list({
-    calendarId,
-    timeMin: startTime.toISOString(),
-    timeMax: endTime.toISOString(),
-    singleEvents: true,
-    orderBy: 'startTime'
-  });
-  
-  const busySlots = events.data.items.map(event => ({
-    start: new Date(event.start.dateTime || event.start.date),
-    end: new Date(event.end.dateTime || event.end.date)
-  }));
-  
-  // Find available slots
-  const availableSlots = [];
-  let currentSlotStart = new Date(startTime);
-  
-  while (currentSlotStart < endTime) {
-    const currentSlotEnd = new Date(currentSlotStart.getTime() + (slotDuration * 60000));
-    
-    // If slot end is after business hours end, break
-    if (currentSlotEnd > endTime) {
-      break;
-    }
-    
-    // Check if slot overlaps with any busy time
-    const isAvailable = !busySlots.some(busy => 
-      (currentSlotStart < busy.end && currentSlotEnd > busy.start)
-    );
-    
-    if (isAvailable) {
-      availableSlots.push({
-        start: currentSlotStart.toISOString(),
-        end: currentSlotEnd.toISOString()
-      });
+// List a client's appointments by platform identity, newest first
+router.get('/client-appointments', async (req, res) => {
+  const { clientIdentifier, platform = 'phone', upcomingOnly } = req.query;
+
+  if (!clientIdentifier) {
+    return res.status(400).json({ success: false, error: 'Missing client identifier' });
+  }
+
+  try {
+    let appointments = await appointmentOps.findByClientIdentifier(clientIdentifier, platform);
+    if (upcomingOnly === 'true') {
+      const now = new Date();
+      appointments = appointments.filter(appointment => new Date(appointment.start_time) > now);
     }
-    
-    // Move to next potential slot
-    currentSlotStart = new Date(currentSlotStart.getTime() + (30 * 60000)); // Check every 30 min
+
+    return res.status(200).json({
+      success: true,
+      appointments: appointments.map(appointment => ({
+        eventId: appointment.google_calendar_event_id,
+        serviceType: appointment.service_type,
+        startTime: appointment.start_time,
+        endTime: appointment.end_time,
+        localStartTime: utcToZonedTime(appointment.start_time, timeZone),
+        clientName: appointment.client_name
+      }))
+    });
+  } catch (e) {
+    console.error('Error in client-appointments:', e);
+    return res.status(500).json({ success: false, error: e.message });
   }
-  
-  return availableSlots;
-}
+});
 
 // Get client by phone number
 router.get('/get-client', async (req, res) => {
@@ -0,0 +1,122 @@
+// Tools the booking agent may call, each backed by an endpoint of this router.
+// clientPhoneField names the request field filled with the sender's phone number.
+// requiresClient tools change an existing booking, so they only run for a known sender.
+
+const startDateTime = {
+  type: 'string',
+  description: 'Start in Central Time without an offset, e.g. 2025-07-17T14:00:00'
+};
+
+module.exports = [
+  {
+    name: 'get_services',
+    description: 'List the makeup services offered, with prices and durations.',
+    method: 'GET',
+    path: '/get-services',
+    parameters: { type: 'object', properties: {} }
+  },
+  {
+    name: 'check_availability',
+    description: 'Check whether a specific time is free on the artist\'s calendar.',
+    method: 'POST',
+    path: '/check-availability',
+    parameters: {
+      type: 'object',
+      properties: {
+        startDateTime,
+        serviceDuration: { type: 'integer', description: 'Length of the service in minutes' }
+      },
+      required: ['startDateTime']
+    }
+  },
+  {
+    name: 'find_available_slots',
+    description: 'Find the next open slots during business hours, starting from a given time.',
+    method: 'POST',
+    path: '/find-available-slots',
+    parameters: {
+      type: 'object',
+      properties: {
+        currentTimestamp: { ...startDateTime, description: 'Search from this Central Time, e.g. 2025-07-17T09:00:00' },
+        numSlots: { type: 'integer', description: 'How many slots to return' },
+        slotDurationMinutes: { type: 'integer', description: 'Length of each slot in minutes' }
+      },
+      required: ['currentTimestamp']
+    }
+  },
+  {
+    name: 'store_pending_appointment',
+    description: 'Hold a requested appointment until the client confirms it. Use before confirm_appointment.',
+    method: 'POST',
+    path: '/store-pending-appointment',
+    clientPhoneField: 'clientPhone',
+    parameters: {
+      type: 'object',
+      properties: {
+        clientName: { type: 'string' },
+        serviceType: { type: 'string', description: 'Service name from get_services' },
+        location: { type: 'string', description: 'Where the service takes place' },
+        specificAddress: { type: 'string' },
+        startDateTime,
+        duration: { type: 'integer', description: 'Length of the service in minutes' },
+        notes: { type: 'string' }
+      },
+      required: ['startDateTime', 'serviceType']
+    }
+  },
+  {
+    name: 'confirm_appointment',
+    description: 'Confirm the client\'s pending appointment and add it to the calendar.',
+    method: 'POST',
+    path: '/confirm-pending-appointment',
+    clientPhoneField: 'clientPhone',
+    requiresClient: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        appointmentId: { type: 'string', description: 'Pending appointment id, if known' },
+        clientName: { type: 'string' }
+      }
+    }
+  },
+  {
+    name: 'reschedule_appointment',
+    description: 'Move an existing appointment to a new start time.',
+    method: 'POST',
+    path: '/reschedule-appointment',
+    clientPhoneField: 'clientPhone',
+    requiresClient: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        eventId: { type: 'string', description: 'Google Calendar event id of the appointment' },
+        newStartDateTime: startDateTime,
+        duration: { type: 'integer', description: 'Length of the service in minutes' }
+      },
+      required: ['eventId', 'newStartDateTime']
+    }
+  },
+  {
+    name: 'cancel_appointment',
+    description: 'Cancel an existing appointment.',
+    method: 'POST',
+    path: '/cancel-appointment',
+    clientPhoneField: 'clientPhone',
+    requiresClient: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        eventId: { type: 'string', description: 'Google Calendar event id of the appointment' }
+      },
+      required: ['eventId']
+    }
+  },
+  {
+    name: 'get_client_info',
+    description: 'Look up the client and their next upcoming appointment, including its event id.',
+    method: 'GET',
+    path: '/get-client-info',
+    clientPhoneField: 'phone',
+    parameters: { type: 'object', properties: {} }
+  }
+];
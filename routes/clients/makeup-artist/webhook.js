@@ -3,91 +3,85 @@ const express = require('express');
 const router = express.Router();
 const { google } = require('googleapis');
 const { clientOps, serviceOps, locationOps, appointmentOps, portfolioOps, conversationOps, supabase } = require('../../../utils/supabase/clients/makeup-artist');
-const { parseDateTime, formatToTimeZone } = require('../../../utils/timeZoneHandler');
-
-// Helper function to create OAuth2 client
-const createOAuth2Client = (refreshToken) => {
-  const oauth2Client = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.REDIRECT_URI
-  );
-  oauth2Client.setCredentials({ refresh_token: refreshToken });
-  return oauth2Client;
-};
+const { getTenant, isFeatureEnabled } = require('../../../utils/tenants');
+const { getProviderAuth, sendReauthRequired } = require('../../../utils/googleAuth');
+const {
+  parseDateTime,
+  utcToZonedTime,
+  getZonedDate,
+  addMinutes,
+  formatToTimeZone
+} = require('../../../utils/timeZoneHandler');
+const { MAX_TIME_WINDOW_MS, createConversationBatcher } = require('../../../utils/messagePipeline');
+const { isClientAppointment } = require('../../../utils/agent');
+const {
+  getHoldExpiry,
+  isHoldExpired,
+  placeAppointmentHold,
+  promoteHoldEvent,
+  releaseHoldEvent,
+  releaseAppointmentHold
+} = require('../../../utils/holds');
+const { requestDeposit, refundDeposits } = require('../../../utils/payments');
+const { ALWAYS_OPEN, getProviderSchedule, describeWeeklyHours } = require('../../../utils/schedule');
+const {
+  getAvailabilityRules,
+  getBusyCalendarIds,
+  listBusyTimes,
+  checkSlot,
+  findOpenPeriods,
+  checkAvailability,
+  findAvailableSlots,
+  describeUnavailable
+} = require('../../../utils/availability');
+
+// Google credentials for the artist row, via the shared token accessor
+const createOAuth2Client = (artist) => getProviderAuth(supabase, 'makeup_artists', artist);
+
+// Wall-clock input and display times are in the tenant's time zone (Central Time)
+const tenant = getTenant('makeup-artist');
+const { timeZone } = tenant;
+const rules = getAvailabilityRules(tenant);
+
+// Helper function to convert caller input (wall-clock or with an offset) to UTC for database storage
+function toDatabaseTime(dateTimeString) {
+  return parseDateTime(dateTimeString, timeZone).toISOString();
+}
 
-// Helper function to parse date-time from various formats
-function parseCentralDateTime(dateTimeString) {
-    return parseDateTime(dateTimeString, 'makeup_artist');
+// Helper function to read a stored time; values without an offset are UTC
+function fromDatabaseTime(databaseTimeString) {
+  return parseDateTime(databaseTimeString, 'UTC');
 }
 
-// Helper function to convert Central Time to Central Time format for database storage
-function convertCTtoUTC(centralTimeString) {
-  // Since we want to store in Central Time format, just return the input
-  // but ensure it's in the correct format
-  const dateCT = new Date(centralTimeString);
-  
-  // Format as YYYY-MM-DDTHH:MM:SS
-  const year = dateCT.getFullYear();
-  const month = String(dateCT.getMonth() + 1).padStart(2, '0');
-  const day = String(dateCT.getDate()).padStart(2, '0');
-  const hours = String(dateCT.getHours()).padStart(2, '0');
-  const minutes = String(dateCT.getMinutes()).padStart(2, '0');
-  const seconds = String(dateCT.getSeconds()).padStart(2, '0');
-  
-  return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
+// Helper function to convert a stored UTC time to wall-clock time for display
+function toLocalTime(databaseTimeString) {
+  return utcToZonedTime(fromDatabaseTime(databaseTimeString), timeZone);
 }
 
-// Helper function to convert database time to Central Time for display
-function convertUTCtoCT(databaseTimeString) {
-  // Since we're storing in Central Time format, just return the input
-  // but ensure it's in the correct format
-  const date = new Date(databaseTimeString);
-  
-  // Format as YYYY-MM-DDTHH:MM:SS
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const hours = String(date.getHours()).padStart(2, '0');
-  const minutes = String(date.getMinutes()).padStart(2, '0');
-  const seconds = String(date.getSeconds()).padStart(2, '0');
-  
-  return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
+// Helper function to build a Google Calendar start/end from caller input
+function toEventTime(dateTimeString) {
+  return formatToTimeZone(parseDateTime(dateTimeString, timeZone), timeZone);
 }
 
-// Helper function to determine if a date is in Daylight Saving Time for Central Time
-function isDaylightSavingTime(date) {
-  // Simplified DST calculation for Central Time
-  // DST starts: Second Sunday in March
-  // DST ends: First Sunday in November
-  
-  const year = date.getFullYear();
-  const month = date.getMonth() + 1; // getMonth() returns 0-11
-  const day = date.getDate();
-  
-  if (month < 3 || month > 11) {
-    return false; // Winter months
-  }
-  
-  if (month > 3 && month < 11) {
-    return true; // Summer months
-  }
-  
-  // March: DST starts on second Sunday
-  if (month === 3) {
-    const firstDayOfMarch = new Date(year, 2, 1).getDay(); // 0 = Sunday
-    const secondSunday = 14 - ((firstDayOfMarch + 6) % 7);
-    return day >= secondSunday;
-  }
-  
-  // November: DST ends on first Sunday
-  if (month === 11) {
-    const firstDayOfNovember = new Date(year, 10, 1).getDay(); // 0 = Sunday
-    const firstSunday = 7 - ((firstDayOfNovember + 6) % 7);
-    return day < firstSunday;
+// Finds the booking behind a calendar event id; pending bookings are found by their hold
+async function findAppointmentByEventId(eventId) {
+  for (const column of ['google_calendar_event_id', 'hold_event_id']) {
+    const { data, error } = await supabase
+      .from('appointments')
+      .select('*')
+      .eq(column, eventId)
+      .limit(1);
+    if (error) throw error;
+    if (data.length > 0) return data[0];
   }
-  
-  return false;
+  return null;
+}
+
+// Requests that name a client may only change that client's booking; operator calls name none
+async function isOtherClientsEvent(eventId, formattedPhone) {
+  if (!formattedPhone) return false;
+  const appointment = await findAppointmentByEventId(eventId);
+  return !isClientAppointment(appointment, { identifier: formattedPhone, platform: 'phone' });
 }
 
 // Get client information by phone number
@@ -116,9 +110,9 @@ router.get('/get-client-info', async (req, res) => {
     if (appointments && appointments.length > 0) {
       upcomingAppointment = appointments[0];
       
-      // Format times from database (stored in Central Time format)
+      // Format times from database (stored in UTC) for display in Central Time
       if (upcomingAppointment.start_time) {
-        upcomingAppointment.start_time_ct = convertUTCtoCT(upcomingAppointment.start_time);
+        upcomingAppointment.start_time_ct = toLocalTime(upcomingAppointment.start_time);
       }
       
       // Format service info from the text field
@@ -224,54 +218,6 @@ router.post('/create-client', async (req, res) => {
   }
 });
 
-function debugTimeHandling(timeStr, durationMinutes = 30) {
-    console.log('\n===== TIME HANDLING DEBUG =====');
-    console.log(`Input time: ${timeStr}`);
-    
-    // Test direct Date object creation
-    const dateObj = new Date(timeStr);
-    console.log('\nJavaScript Date Object:');
-    console.log(`- String representation: ${dateObj.toString()}`);
-    console.log(`- ISO string: ${dateObj.toISOString()}`);
-    console.log(`- Hours (local): ${dateObj.getHours()}`);
-    console.log(`- Minutes (local): ${dateObj.getMinutes()}`);
-    console.log(`- Server timezone offset: ${-dateObj.getTimezoneOffset() / 60} hours`);
-    
-    // Test end time calculation
-    const endObj = new Date(dateObj.getTime() + (durationMinutes * 60000));
-    console.log('\nCalculated End Time:');
-    console.log(`- String representation: ${endObj.toString()}`);
-    console.log(`- ISO string: ${endObj.toISOString()}`);
-    
-    // Test Google Calendar format
-    console.log('\nGoogle Calendar Format:');
-    const gcalFormat = {
-      start: {
-        dateTime: timeStr,
-        timeZone: 'America/Chicago'
-      },
-      end: {
-        dateTime: endObj.toISOString().replace(/\.\d{3}Z$/, ''),
-        timeZone: 'America/Chicago'
-      }
-    };
-    console.log(JSON.stringify(gcalFormat, null, 2));
-    
-    // Calculate end time with our helper function
-    const calculatedEnd = calculateEndTime(timeStr, durationMinutes);
-    console.log('\nUsing calculateEndTime helper:');
-    console.log(`- Result: ${calculatedEnd}`);
-    
-    console.log('\n===== END DEBUG =====\n');
-    
-    return {
-      inputTime: timeStr,
-      parsedDate: dateObj,
-      endTime: calculatedEnd,
-      googleCalendarFormat: gcalFormat
-    };
-  }
-
 // Store client's skin preferences
 router.post('/store-skin-preferences', async (req, res) => {
   const { 
@@ -350,79 +296,13 @@ function formatServiceType(serviceType) {
     .replace(/\b\w/g, l => l.toUpperCase());  // Capitalize first letter of each word
 }
 
-// Helper function to format time with proper Central Time timezone for database storage
-function formatTimeForDatabase(dateTimeStr) {
-  console.log(`Formatting time for database: ${dateTimeStr}`);
-  
-  // Create date object from input
-  const date = new Date(dateTimeStr);
-  
-  // Check if it's DST (approximate - March 2nd Sunday to November 1st Sunday)
-  const month = date.getMonth();
-  const day = date.getDate();
-  
-  // Simplified DST calculation for Central Time
-  let isDST = false;
-  if (month > 2 && month < 10) {
-    isDST = true; // April through September is always DST
-  } else if (month === 2) {
-    // March - DST starts on 2nd Sunday
-    const secondSunday = 14 - ((new Date(date.getFullYear(), 2, 1).getDay() + 6) % 7);
-    isDST = day >= secondSunday;
-  } else if (month === 10) {
-    // November - DST ends on 1st Sunday
-    const firstSunday = 7 - ((new Date(date.getFullYear(), 10, 1).getDay() + 6) % 7);
-    isDST = day < firstSunday;
-  }
-  
-  // Central Time offset: CDT (-05:00) or CST (-06:00)
-  const offset = isDST ? '-05:00' : '-06:00';
-  const result = `${dateTimeStr}${offset}`;
-  
-  console.log(`Converted ${dateTimeStr} to ${result} (${isDST ? 'CDT' : 'CST'})`);
-  return result;
-}
-
-// Helper function to calculate end time while preserving Central Time format
+// Helper function to calculate end time as wall-clock time in the tenant's zone
 function calculateEndTime(startDateTimeStr, durationMinutes) {
-  try {
-    console.log(`Calculating end time: start=${startDateTimeStr}, duration=${durationMinutes} minutes`);
-    
-    // Ensure duration is a number
-    const duration = typeof durationMinutes === 'string' ? parseInt(durationMinutes, 10) : durationMinutes;
-    
-    // Parse the start time - input format: "2025-07-28T16:00:00"
-    const startDate = new Date(startDateTimeStr);
-    console.log(`Parsed start date: ${startDate.toISOString()}`);
-    console.log(`Start date in Central Time: ${startDate.toLocaleString('en-US', {timeZone: 'America/Chicago'})}`);
-    
-    // Calculate end time by adding the duration in milliseconds
-    const endDate = new Date(startDate.getTime() + (duration * 60 * 1000));
-    console.log(`Calculated end date: ${endDate.toISOString()}`);
-    console.log(`End date in Central Time: ${endDate.toLocaleString('en-US', {timeZone: 'America/Chicago'})}`);
-    
-    // Return in the same format as input (YYYY-MM-DDTHH:MM:SS)
-    const year = endDate.getFullYear();
-    const month = String(endDate.getMonth() + 1).padStart(2, '0');
-    const day = String(endDate.getDate()).padStart(2, '0');
-    const hours = String(endDate.getHours()).padStart(2, '0');
-    const minutes = String(endDate.getMinutes()).padStart(2, '0');
-    const seconds = String(endDate.getSeconds()).padStart(2, '0');
-    
-    return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
-  } catch (err) {
-    console.error('Error calculating end time:', err);
-    throw new Error(`Failed to calculate end time: ${err.message}`);
-  }
-}
-
-// Helper function to format service type for display
-function formatServiceType(serviceType) {
-  if (!serviceType) return 'Makeup Service';
+  // Ensure duration is a number
+  const duration = typeof durationMinutes === 'string' ? parseInt(durationMinutes, 10) : durationMinutes;
+  const startDate = parseDateTime(startDateTimeStr, timeZone);
   
-  return serviceType
-    .replace(/_/g, ' ')  // Replace underscores with spaces
-    .replace(/\b\w/g, l => l.toUpperCase());  // Capitalize first letter of each word
+  return utcToZonedTime(addMinutes(startDate, duration), timeZone);
 }
 
 // =============================================================================
@@ -515,7 +395,7 @@ router.post('/confirm-appointment', async (req, res) => {
     }
     
     // Create Google Calendar client
-    const oauth2Client = createOAuth2Client(artist.refresh_token);
+    const oauth2Client = await createOAuth2Client(artist);
     const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
     const calendarId = artist.selected_calendar_id || 'primary';
     
@@ -529,22 +409,30 @@ router.post('/confirm-appointment', async (req, res) => {
       .limit(1);
     
     const isConfirmation = existingAppointments && existingAppointments.length > 0;
-    
+
+    // The time was released when the hold lapsed, so it may have gone to someone else
+    if (isConfirmation && isHoldExpired(tenant, existingAppointments[0])) {
+      return res.status(410).json({
+        success: false,
+        error: 'Pending appointment has expired; check availability and book again'
+      });
+    }
+
     // If confirming an existing appointment, use the time from the database
     let appointmentStartTime, appointmentEndTime;
     
     if (isConfirmation) {
       const existingAppointment = existingAppointments[0];
-      // Use the Central Time from database directly for Google Calendar
-      appointmentStartTime = convertUTCtoCT(existingAppointment.start_time);
-      appointmentEndTime = convertUTCtoCT(existingAppointment.end_time);
+      // Convert the stored UTC times back to Central Time for Google Calendar
+      appointmentStartTime = toLocalTime(existingAppointment.start_time);
+      appointmentEndTime = toLocalTime(existingAppointment.end_time);
       
       console.log(`Using existing appointment times from database:`);
       console.log(`Start (CT): ${appointmentStartTime}`);
       console.log(`End (CT): ${appointmentEndTime}`);
     } else {
-      // For new appointments, calculate end time
-      appointmentStartTime = startDateTime;
+      // For new appointments, normalize the start to Central Time and calculate end time
+      appointmentStartTime = utcToZonedTime(parseDateTime(startDateTime, timeZone), timeZone);
       appointmentEndTime = calculateEndTime(startDateTime, duration);
     }
     
@@ -579,23 +467,19 @@ router.post('/confirm-appointment', async (req, res) => {
         summary: `${formattedServiceType}: ${clientName}`,
         description,
         location: specificAddress || location || 'Client Location',
-        start: {
-          dateTime: appointmentStartTime,  // Use the correct time (existing or new)
-          timeZone: 'America/Chicago'  // Explicitly specify Central Time
-        },
-        end: {
-          dateTime: appointmentEndTime,   // Use the correct time (existing or new)
-          timeZone: 'America/Chicago'  // Explicitly specify Central Time
-        }
+        start: toEventTime(appointmentStartTime),  // Use the correct time (existing or new)
+        end: toEventTime(appointmentEndTime)
       };
       
       console.log('Creating Google Calendar event with details:', JSON.stringify(eventDetails, null, 2));
       
-      const event = await calendar.events.insert({ 
-        calendarId, 
-        resource: eventDetails,
-        sendUpdates: 'all'
-      });
+      // A confirmation turns the pending appointment's calendar hold into this event
+      const event = await promoteHoldEvent(
+        calendar,
+        calendarId,
+        isConfirmation ? existingAppointments[0].hold_event_id : null,
+        eventDetails
+      );
       
       console.log('Google Calendar event created successfully:', event.data.id);
       
@@ -609,6 +493,7 @@ router.post('/confirm-appointment', async (req, res) => {
           .update({
             status: 'confirmed',
             google_calendar_event_id: event.data.id,
+            hold_event_id: null,
             updated_at: new Date().toISOString(),
             // Update any provided fields
             ...(notes && { notes: notes }),
@@ -617,6 +502,7 @@ router.post('/confirm-appointment', async (req, res) => {
             ...(specificAddress && { specific_address: specificAddress })
           })
           .eq('id', existingAppointment.id)
+          .eq('status', 'pending_confirmation')
           .select();
         
         if (updateError) {
@@ -626,6 +512,15 @@ router.post('/confirm-appointment', async (req, res) => {
             error: 'Calendar event created but failed to update appointment: ' + updateError.message 
           });
         }
+
+        // The hold lapsed while the event was written; its time is no longer ours
+        if (updatedAppointment.length === 0) {
+          await releaseHoldEvent(calendar, calendarId, event.data.id);
+          return res.status(410).json({
+            success: false,
+            error: 'Pending appointment has expired; check availability and book again'
+          });
+        }
         
         console.log('Appointment confirmed successfully:', updatedAppointment[0].id);
         
@@ -649,13 +544,13 @@ router.post('/confirm-appointment', async (req, res) => {
           appointmentTime: {
             start: appointmentStartTime,
             end: appointmentEndTime,
-            timezone: 'America/Chicago'
+            timezone: timeZone
           }
         });
       } else {
-        // CREATE new appointment record with Central Time format
-        const startTimeForDB = convertCTtoUTC(appointmentStartTime);
-        const endTimeForDB = convertCTtoUTC(appointmentEndTime);
+        // CREATE new appointment record with UTC times
+        const startTimeForDB = toDatabaseTime(appointmentStartTime);
+        const endTimeForDB = toDatabaseTime(appointmentEndTime);
         
         const appointmentData = {
           client_phone: clientPhone,
@@ -702,7 +597,7 @@ router.post('/confirm-appointment', async (req, res) => {
           appointmentTime: {
             start: appointmentStartTime,
             end: appointmentEndTime,
-            timezone: 'America/Chicago'
+            timezone: timeZone
           }
         });
       }
@@ -714,6 +609,7 @@ router.post('/confirm-appointment', async (req, res) => {
       });
     }
   } catch (e) {
+    if (sendReauthRequired(res, e)) return;
     console.error('Error in confirm-appointment endpoint:', e);
     return res.status(500).json({ success: false, error: e.message });
   }
@@ -745,6 +641,14 @@ router.post('/cancel-appointment', async (req, res) => {
       }
     }
     
+    // Checked before anything is deleted
+    if (await isOtherClientsEvent(eventId, formattedPhone)) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Appointment not found for this client' 
+      });
+    }
+    
     // Get artist's Google Calendar credentials
     const { data: artist, error: artistError } = await supabase
       .from('makeup_artists')
@@ -760,7 +664,7 @@ router.post('/cancel-appointment', async (req, res) => {
     }
     
     // Create Google Calendar client
-    const oauth2Client = createOAuth2Client(artist.refresh_token);
+    const oauth2Client = await createOAuth2Client(artist);
     const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
     const calendarId = artist.selected_calendar_id || 'primary';
     
@@ -774,15 +678,19 @@ router.post('/cancel-appointment', async (req, res) => {
       
       console.log('Google Calendar event deleted successfully');
       
-      // Update appointment status in database
-      const { data, error } = await supabase
+      // Update appointment status in database; a pending appointment is found by its calendar hold
+      const cancelBy = column => supabase
         .from('appointments')
         .update({ 
           status: 'canceled', 
           updated_at: new Date().toISOString() 
         })
-        .eq('google_calendar_event_id', eventId)
+        .eq(column, eventId)
         .select();
+      let { data, error } = await cancelBy('google_calendar_event_id');
+      if (!error && data.length === 0) {
+        ({ data, error } = await cancelBy('hold_event_id'));
+      }
       
       if (error) {
         console.error('Error updating appointment status:', error);
@@ -792,12 +700,19 @@ router.post('/cancel-appointment', async (req, res) => {
         });
       }
       
+      // Deposits go back according to the refund policy; failed refunds are retried in the background
+      const refund = data[0] ? await refundDeposits(tenant, data[0]) : { refundedCents: 0, failedCents: 0 };
+      
       return res.status(200).json({
         success: true,
         action: 'cancel',
         eventId,
         appointment: data[0],
-        message: 'Appointment successfully cancelled'
+        refundedCents: refund.refundedCents,
+        refundFailedCents: refund.failedCents,
+        message: refund.failedCents > 0
+          ? 'Appointment cancelled, but the deposit refund failed and will be retried'
+          : 'Appointment successfully cancelled'
       });
     } catch (calendarError) {
       console.error('Google Calendar error:', calendarError);
@@ -807,6 +722,7 @@ router.post('/cancel-appointment', async (req, res) => {
       });
     }
   } catch (e) {
+    if (sendReauthRequired(res, e)) return;
     console.error('Error in cancel-appointment endpoint:', e);
     return res.status(500).json({ success: false, error: e.message });
   }
@@ -850,6 +766,13 @@ router.post('/reschedule-appointment', async (req, res) => {
       }
     }
     
+    if (await isOtherClientsEvent(eventId, formattedPhone)) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Appointment not found for this client' 
+      });
+    }
+    
     // Get artist's Google Calendar credentials
     const { data: artist, error: artistError } = await supabase
       .from('makeup_artists')
@@ -865,7 +788,7 @@ router.post('/reschedule-appointment', async (req, res) => {
     }
     
     // Create Google Calendar client
-    const oauth2Client = createOAuth2Client(artist.refresh_token);
+    const oauth2Client = await createOAuth2Client(artist);
     const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
     const calendarId = artist.selected_calendar_id || 'primary';
     
@@ -901,14 +824,8 @@ router.post('/reschedule-appointment', async (req, res) => {
         resource: {
           ...existingEvent.data,
           summary: serviceType ? `${formattedServiceType}: ${clientName}` : existingEvent.data.summary,
-          start: {
-            dateTime: newStartDateTime,  // Use format: "2025-07-28T16:00:00"
-            timeZone: 'America/Chicago'  // Explicitly specify Central Time
-          },
-          end: {
-            dateTime: newEndDateTime,    // Calculated end time in same format
-            timeZone: 'America/Chicago'  // Explicitly specify Central Time
-          },
+          start: toEventTime(newStartDateTime),
+          end: toEventTime(newEndDateTime),
           ...(location && { location: specificAddress || location })
         },
         sendUpdates: 'all'
@@ -916,9 +833,9 @@ router.post('/reschedule-appointment', async (req, res) => {
       
       console.log('Google Calendar event updated successfully');
       
-      // Store times in Central Time format for database
-      const startTimeForDB = convertCTtoUTC(newStartDateTime);
-      const endTimeForDB = convertCTtoUTC(newEndDateTime);
+      // Store times in UTC for database
+      const startTimeForDB = toDatabaseTime(newStartDateTime);
+      const endTimeForDB = toDatabaseTime(newEndDateTime);
       
       console.log(`Time storage for database:`);
       console.log(`Start (CT): ${newStartDateTime} -> DB: ${startTimeForDB}`);
@@ -963,7 +880,7 @@ router.post('/reschedule-appointment', async (req, res) => {
         appointmentTime: {
           start: newStartDateTime,
           end: newEndDateTime,
-          timezone: 'America/Chicago'
+          timezone: timeZone
         }
       });
     } catch (calendarError) {
@@ -974,6 +891,7 @@ router.post('/reschedule-appointment', async (req, res) => {
       });
     }
   } catch (e) {
+    if (sendReauthRequired(res, e)) return;
     console.error('Error in reschedule-appointment endpoint:', e);
     return res.status(500).json({ success: false, error: e.message });
   }
@@ -1080,41 +998,40 @@ router.post('/reschedule-appointment', async (req, res) => {
         });
       }
       
-      const oauth2Client = createOAuth2Client(artist.refresh_token);
+      const oauth2Client = await createOAuth2Client(artist);
       const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
       const calendarId = artist.selected_calendar_id || 'primary';
       
-      // Parse specific start time from request - already in Central Time
-      // Input format: 2025-05-16T13:00:00 (already in CT)
-      const requestedStart = new Date(startDateTime);
+      // Parse specific start time from request - wall-clock input is Central Time
+      // Input format: 2025-05-16T13:00:00 (CT) or an ISO string with an offset
+      const requestedStart = parseDateTime(startDateTime, timeZone);
       const requestedEnd = endDateTime 
-        ? new Date(endDateTime)
-        : new Date(requestedStart.getTime() + (serviceDuration * 60000));
+        ? parseDateTime(endDateTime, timeZone)
+        : addMinutes(requestedStart, serviceDuration);
       
-      // Use a wider time window to fetch all potentially conflicting events
-      const timeMin = new Date(requestedStart.getTime() - (60 * 60000)); // 1 hour before
-      const timeMax = new Date(requestedEnd.getTime() + (60 * 60000));   // 1 hour after
+      const durationMinutes = (requestedEnd - requestedStart) / 60000;
       
-      const response = await calendar.events.list({
-        calendarId,
-        timeMin: timeMin.toISOString(),
-        timeMax: timeMax.toISOString(),
-        timeZone: 'America/Chicago', // Central Time
-        singleEvents: true,
-        orderBy: 'startTime',
-        maxResults: 100
-      });
+      const schedule = getProviderSchedule(tenant, artist);
+      const ruling = checkSlot(requestedStart, durationMinutes, { schedule, rules, timeZone });
+      if (!ruling.isAvailable) {
+        return res.status(200).json({
+          success: true,
+          isAvailable: false,
+          reason: ruling.reason,
+          message: describeUnavailable(ruling.reason, rules) || undefined,
+          businessHours: describeWeeklyHours(schedule),
+          requestedTimeSlot: {
+            start: requestedStart.toISOString(),
+            end: requestedEnd.toISOString(),
+            duration: serviceDuration
+          },
+          conflictingEvents: []
+        });
+      }
       
-      // Check if any existing events overlap with the requested time slot
-      const isAvailable = !response.data.items.some(event => {
-        const eventStart = new Date(event.start.dateTime || event.start.date);
-        const eventEnd = new Date(event.end.dateTime || event.end.date);
-        
-        // Check for overlap
-        return (
-          (requestedStart < eventEnd && requestedEnd > eventStart) ||
-          (eventStart < requestedEnd && eventEnd > requestedStart)
-        );
+      // Check the calendar, keeping the artist's buffers clear around the appointment
+      const { isAvailable, conflicts } = await checkAvailability({
+        calendar, calendarIds: getBusyCalendarIds(artist, calendarId), schedule, rules, timeZone, start: requestedStart, durationMinutes
       });
       
       // Set the correct content type
@@ -1129,16 +1046,17 @@ router.post('/reschedule-appointment', async (req, res) => {
           end: requestedEnd.toISOString(),
           duration: serviceDuration
         },
-        conflictingEvents: isAvailable ? [] : response.data.items.map(event => ({
-          id: event.id,
-          summary: event.summary || "Untitled",
-          start: event.start?.dateTime || event.start?.date,
-          end: event.end?.dateTime || event.end?.date
+        // Free/busy gives times only, so personal calendars' event details stay private
+        conflictingEvents: conflicts.map(period => ({
+          calendarId: period.calendarId,
+          start: period.start.toISOString(),
+          end: period.end.toISOString()
         }))
       };
       
       return res.send(JSON.stringify(result));
     } catch (e) {
+      if (sendReauthRequired(res, e)) return;
       console.error('Error in check-availability:', e);
       res.setHeader('Content-Type', 'application/json');
       return res.send(JSON.stringify({ success: false, error: e.message }));
@@ -1177,113 +1095,31 @@ router.post('/find-available-slots', async (req, res) => {
         });
       }
       
-      const oauth2Client = createOAuth2Client(artist.refresh_token);
+      const oauth2Client = await createOAuth2Client(artist);
       const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
       const calendarId = artist.selected_calendar_id || 'primary';
       
-      // Helper function to find available slots using CT time directly
-      async function findNextAvailableSlots(startFrom, numSlots, slotMinutes) {
-        const results = [];
-        
-        // Parse the start time directly - ASSUMING INPUT IS ALREADY IN CENTRAL TIME
-        // Input format: 2025-05-16T13:00:00 (already in CT)
-        let searchTime = new Date(startFrom);
-        const endTime = new Date(searchTime);
-        endTime.setDate(endTime.getDate() + 14); // Look 2 weeks ahead
-        
-        // Get business hours (9am-6pm Central Time)
-        const businessHoursStart = 9; // 9am
-        const businessHoursEnd = 18; // 6pm
-        
-        // Get all existing appointments in the search period
-        const busyEvents = await calendar.events.list({
-          calendarId,
-          timeMin: searchTime.toISOString(),
-          timeMax: endTime.toISOString(),
-          timeZone: 'America/Chicago', // Using Central Time
-          singleEvents: true,
-          orderBy: 'startTime',
-          maxResults: 250
-        });
-        
-        const busy = busyEvents.data.items.map(evt => ({
-          start: new Date(evt.start.dateTime || evt.start.date),
-          end: new Date(evt.end.dateTime || evt.end.date)
-        }));
-        
-        // Find available slots
-        while (results.length < numSlots && searchTime < endTime) {
-          // Skip to business hours
-          const hours = searchTime.getHours();
-          const minutes = searchTime.getMinutes();
-          
-          // If before business hours, skip to start of business hours
-          if (hours < businessHoursStart) {
-            searchTime.setHours(businessHoursStart, 0, 0, 0);
-          }
-          
-          // If after business hours, skip to start of next day's business hours
-          if (hours >= businessHoursEnd) {
-            searchTime.setDate(searchTime.getDate() + 1);
-            searchTime.setHours(businessHoursStart, 0, 0, 0);
-            continue;
-          }
-          
-          // Check if candidate slot fits within business hours
-          const candidateEnd = new Date(searchTime.getTime() + slotMinutes * 60000);
-          if (candidateEnd.getHours() >= businessHoursEnd) {
-            // Skip to next day
-            searchTime.setDate(searchTime.getDate() + 1);
-            searchTime.setHours(businessHoursStart, 0, 0, 0);
-            continue;
-          }
-          
-          // Check if candidate slot overlaps with any busy times
-          const overlaps = busy.some(evt => 
-            (searchTime < evt.end && candidateEnd > evt.start)
-          );
-          
-          if (!overlaps) {
-            results.push({ 
-              start: new Date(searchTime), 
-              end: new Date(candidateEnd) 
-            });
-            
-            // Move to next slot
-            searchTime = new Date(candidateEnd);
-          } else {
-            // Move to next 30-minute boundary
-            const nextMinutes = (Math.floor(minutes / 30) + 1) * 30;
-            if (nextMinutes >= 60) {
-              searchTime.setHours(hours + 1, 0, 0, 0);
-            } else {
-              searchTime.setHours(hours, nextMinutes, 0, 0);
-            }
-          }
-        }
-        
-        return results.map(slot => ({
-          start: slot.start.toISOString(),
-          end: slot.end.toISOString(),
-          duration: slotMinutes
-        }));
-      }
-      
-      // Find available slots
-      const slots = await findNextAvailableSlots(
-        currentTimestamp,
-        numSlots,
-        duration
-      );
+      // Wall-clock input is Central Time, e.g. 2025-05-16T13:00:00
+      const slots = (await findAvailableSlots({
+        calendar,
+        calendarIds: getBusyCalendarIds(artist, calendarId),
+        schedule: getProviderSchedule(tenant, artist),
+        rules,
+        timeZone,
+        from: parseDateTime(currentTimestamp, timeZone),
+        durationMinutes: Number(duration),
+        limit: Number(numSlots)
+      })).map(slot => ({ ...slot, duration }));
       
       return res.status(200).json({
         success: true,
         slotsFound: slots.length,
         slots,
         duration,
-        timeZone: 'America/Chicago' // Indicate Central Time
+        timeZone // Indicate Central Time
       });
     } catch (e) {
+      if (sendReauthRequired(res, e)) return;
       console.error('Error in find-available-slots:', e);
       return res.status(500).json({ 
         success: false, 
@@ -1336,14 +1172,15 @@ router.get('/get-pending-appointments', async (req, res) => {
     // Process the data to add any additional group booking info if needed
     const processedAppointments = [];
     
-    for (const appointment of data || []) {
-      // Format times from database (stored in Central Time format)
+    // Lapsed holds the expiry job has not swept yet no longer count as pending
+    for (const appointment of (data || []).filter(row => !isHoldExpired(tenant, row))) {
+      // Format times from database (stored in UTC) for display in Central Time
       if (appointment.start_time) {
-        appointment.start_time_ct = convertUTCtoCT(appointment.start_time);
+        appointment.start_time_ct = toLocalTime(appointment.start_time);
       }
       
       if (appointment.end_time) {
-        appointment.end_time_ct = convertUTCtoCT(appointment.end_time);
+        appointment.end_time_ct = toLocalTime(appointment.end_time);
       }
       
       // Add group_bookings as an empty array since you don't have a separate table
@@ -1369,7 +1206,7 @@ router.get('/get-pending-appointments', async (req, res) => {
       success: true,
       appointments: processedAppointments,
       count: processedAppointments.length,
-      timezone: 'America/Chicago' // Indicate that CT times are provided
+      timezone: timeZone // Indicate that CT times are provided
     });
   } catch (e) {
     console.error('Error in get-pending-appointments:', e);
@@ -1380,6 +1217,9 @@ router.get('/get-pending-appointments', async (req, res) => {
   }
 });
 
+// Statuses that end a pending appointment without booking it
+const HOLD_RELEASING_STATUSES = ['rejected', 'declined', 'canceled', 'cancelled', 'expired'];
+
 // Update appointment status
 router.post('/update-appointment-status', async (req, res) => {
   const { appointmentId, status, paymentStatus, paymentMethod, paymentAmount } = req.body;
@@ -1411,6 +1251,16 @@ router.post('/update-appointment-status', async (req, res) => {
       throw error;
     }
     
+    // Rejecting or cancelling a pending appointment frees the time it held
+    if (data[0]?.hold_event_id && HOLD_RELEASING_STATUSES.includes(status)) {
+      await releaseAppointmentHold(tenant, data[0]);
+    }
+    
+    // A booking the artist turns down is refunded in full; a cancellation follows the policy
+    if (data[0] && HOLD_RELEASING_STATUSES.includes(status)) {
+      await refundDeposits(tenant, data[0], { full: ['rejected', 'declined'].includes(status) });
+    }
+    
     return res.status(200).json({
       success: true,
       message: 'Appointment status updated',
@@ -1508,6 +1358,9 @@ router.get('/conversation/history', async (req, res) => {
   }
 });
 
+// Coalesces bursts of client texts sent to /conversation/process-message
+const conversationBatcher = createConversationBatcher(tenant, supabase);
+
 // Process and consolidate messages
 router.post('/conversation/process-message', async (req, res) => {
   const { 
@@ -1535,72 +1388,37 @@ router.post('/conversation/process-message', async (req, res) => {
     }
     
     // Store the current message
-    const message = await conversationOps.addMessage(
-      session.id, 
-      role, 
-      content, 
-      metadata
-    );
-    
-    // Wait for the time window to check for additional messages
-    await new Promise(resolve => setTimeout(resolve, timeWindowMs));
-    
-    // Get all messages within the time window
-    // NOTE: We need to account for the fact that we already waited for timeWindowMs
-    const cutoffTime = new Date(Date.now() - (timeWindowMs * 2));
-    const { data: recentMessages, error } = await supabase
-      .from('conversation_messages')
-      .select('*')
-      .eq('session_id', session.id)
-      .eq('role', 'user')
-      .gte('created_at', cutoffTime.toISOString())
-      .order('created_at', { ascending: true });
-    
-    if (error) {
-      console.error('Error fetching messages:', error);
+    const message = await conversationOps.addMessage(session.id, role, content, metadata);
+    if (!message) {
       return res.status(500).json({ 
         success: false, 
-        error: 'Failed to fetch recent messages',
-        details: error.message
+        error: 'Failed to store message' 
       });
     }
-    
-    // Check if newer messages exist
-    const thisMessageId = message.id;
-    const hasNewerMessages = recentMessages.some(msg => 
-      msg.id !== thisMessageId && new Date(msg.created_at) > new Date(message.created_at)
-    );
-    
-    if (hasNewerMessages) {
-      // Not the final message
+
+    // Only client messages are coalesced; anything else is final as soon as it is stored
+    if (role !== 'user') {
       return res.status(200).json({
         success: true,
-        isFinalMessage: false,
-        content: content,
-        sessionId: session.id
+        isFinalMessage: true,
+        content,
+        sessionId: session.id,
+        messageCount: 1
       });
     }
-    
-    // Aggregate all messages including current
-    const aggregatedContent = recentMessages
-      .map(msg => msg.content)
-      .join(' ');
-    
-    // Mark all messages as processed (if metadata exists)
-    if (recentMessages.length > 0) {
-      const messageIds = recentMessages.map(msg => msg.id);
-      await supabase
-        .from('conversation_messages')
-        .update({ metadata: { processed: true } })
-        .in('id', messageIds);
-    }
-    
-    return res.status(200).json({
+
+    // Acknowledged straight away; the batch is delivered once the client has been
+    // quiet for timeWindowMs (see createConversationBatcher)
+    const quietMs = Math.min(Math.max(Number(timeWindowMs) || 0, 0), MAX_TIME_WINDOW_MS);
+    conversationBatcher.enqueue(session.id, { phoneNumber, message }, { quietMs })
+      .catch(e => console.error('Error processing message batch:', e));
+
+    return res.status(202).json({
       success: true,
-      isFinalMessage: true,
-      content: aggregatedContent || content,
+      queued: true,
+      content,
       sessionId: session.id,
-      messageCount: recentMessages.length
+      messageId: message.id
     });
   } catch (e) {
     console.error('Error in process-message:', e);
@@ -2015,18 +1833,27 @@ router.get('/get-services', async (req, res) => {
       // Calculate end time in Central Time
       const endDateTime = calculateEndTime(startDateTime, duration);
       
-      // Store times in Central Time format for database
+      // Store times in UTC for database
       // Input format: "2025-07-17T14:00:00" (Central Time)
-      const startTimeForDB = convertCTtoUTC(startDateTime);
-      const endTimeForDB = convertCTtoUTC(endDateTime);
+      const startTimeForDB = toDatabaseTime(startDateTime);
+      const endTimeForDB = toDatabaseTime(endDateTime);
       
       console.log(`Time storage debug:`);
       console.log(`Input startDateTime (CT): ${startDateTime}`);
       console.log(`Calculated endDateTime (CT): ${endDateTime}`);
-      console.log(`Storing start_time (CT): ${startTimeForDB}`);
-      console.log(`Storing end_time (CT): ${endTimeForDB}`);
+      console.log(`Storing start_time (UTC): ${startTimeForDB}`);
+      console.log(`Storing end_time (UTC): ${endTimeForDB}`);
+      
+      // Hold the time on the artist's calendar so it is not offered to anyone else meanwhile
+      const holdEventId = await placeAppointmentHold(tenant, {
+        clientName: client?.name || clientName,
+        clientPhone: formattedPhone,
+        serviceType,
+        startTime: startTimeForDB,
+        endTime: endTimeForDB
+      });
       
-      // Create pending appointment record with Central Time format
+      // Create pending appointment record with UTC times
       const appointmentData = {
         client_phone: formattedPhone,
         service_type: serviceType,
@@ -2036,8 +1863,10 @@ router.get('/get-services', async (req, res) => {
         end_time: endTimeForDB,
         duration_minutes: duration,
         status: 'pending_confirmation',
+        hold_expires_at: getHoldExpiry(tenant, new Date(), startTimeForDB)?.toISOString() || null,
         notes: notes,
-        google_calendar_event_id: null
+        google_calendar_event_id: null,
+        hold_event_id: holdEventId
       };
       
       console.log('Creating pending appointment:', JSON.stringify(appointmentData, null, 2));
@@ -2049,6 +1878,7 @@ router.get('/get-services', async (req, res) => {
       
       if (apptError) {
         console.error('Error creating pending appointment:', apptError);
+        await releaseAppointmentHold(tenant, { hold_event_id: holdEventId });
         return res.status(500).json({ 
           success: false, 
           error: 'Failed to store pending appointment: ' + apptError.message 
@@ -2057,6 +1887,9 @@ router.get('/get-services', async (req, res) => {
       
       console.log('Pending appointment created successfully:', appointment[0].id);
       
+      // The client pays a deposit through this link; the payment webhook then confirms the booking
+      const deposit = isFeatureEnabled(tenant, 'payments') ? await requestDeposit(tenant, appointment[0]) : null;
+      
       return res.status(200).json({
         success: true,
         action: 'store_pending',
@@ -2064,11 +1897,14 @@ router.get('/get-services', async (req, res) => {
         appointment: appointment[0],
         client: client,
         message: 'Pending appointment stored successfully. Awaiting confirmation.',
+        holdExpiresAt: appointment[0].hold_expires_at,
+        holdEventId,
+        deposit: deposit && { url: deposit.url, amountCents: deposit.amountCents, currency: deposit.currency },
         // Return times in Central Time for user display
         appointmentTime: {
           start: startDateTime,
           end: endDateTime,
-          timezone: 'America/Chicago'
+          timezone: timeZone
         }
       });
     } catch (e) {
@@ -2256,7 +2092,8 @@ router.get('/get-services', async (req, res) => {
           .eq('status', 'pending_confirmation')
           .single();
           
-        if (error || !data) {
+        // A client can only confirm their own booking
+        if (error || !data || (clientPhone && !isClientAppointment(data, { identifier: clientPhone, platform: 'phone' }))) {
           return res.status(404).json({ 
             success: false, 
             error: 'Pending appointment not found' 
@@ -2281,7 +2118,15 @@ router.get('/get-services', async (req, res) => {
         }
         appointment = data[0];
       }
-      
+
+      // The time was released when the hold lapsed, so it may have gone to someone else
+      if (isHoldExpired(tenant, appointment)) {
+        return res.status(410).json({
+          success: false,
+          error: 'Pending appointment has expired; check availability and book again'
+        });
+      }
+
       // Get artist's Google Calendar credentials
       const { data: artist, error: artistError } = await supabase
         .from('makeup_artists')
@@ -2296,7 +2141,7 @@ router.get('/get-services', async (req, res) => {
       }
       
       // Create Google Calendar client
-      const oauth2Client = createOAuth2Client(artist.refresh_token);
+      const oauth2Client = await createOAuth2Client(artist);
       const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
       const calendarId = artist.selected_calendar_id || 'primary';
       
@@ -2318,21 +2163,12 @@ router.get('/get-services', async (req, res) => {
         summary: `${appointment.service_type || 'Makeup Service'}: ${clientName || 'Client'}`,
         description,
         location: appointment.specific_address || appointment.location_description,
-        start: {
-          dateTime: appointment.start_time,
-          timeZone: 'America/Chicago'
-        },
-        end: {
-          dateTime: appointment.end_time,
-          timeZone: 'America/Chicago'
-        }
+        start: formatToTimeZone(fromDatabaseTime(appointment.start_time), timeZone),
+        end: formatToTimeZone(fromDatabaseTime(appointment.end_time), timeZone)
       };
       
-      const event = await calendar.events.insert({ 
-        calendarId, 
-        resource: eventDetails,
-        sendUpdates: 'all'
-      });
+      // The tentative hold becomes the booking, so the slot is never free in between
+      const event = await promoteHoldEvent(calendar, calendarId, appointment.hold_event_id, eventDetails);
       
       // Update appointment status
       const { data: updatedAppointment, error: updateError } = await supabase
@@ -2341,9 +2177,11 @@ router.get('/get-services', async (req, res) => {
           status: 'confirmed',
           artist_confirmation_status: 'confirmed',
           google_calendar_event_id: event.data.id,
+          hold_event_id: null,
           updated_at: new Date().toISOString()
         })
         .eq('id', appointment.id)
+        .eq('status', 'pending_confirmation')
         .select();
       
       if (updateError) {
@@ -2353,6 +2191,15 @@ router.get('/get-services', async (req, res) => {
           error: 'Calendar event created but failed to update appointment' 
         });
       }
+
+      // Expiry got there first and released the time, so the booking event goes too
+      if (updatedAppointment.length === 0) {
+        await releaseHoldEvent(calendar, calendarId, event.data.id);
+        return res.status(410).json({
+          success: false,
+          error: 'Pending appointment has expired; check availability and book again'
+        });
+      }
       
       // Update client status to Active
       await supabase
@@ -2372,6 +2219,7 @@ router.get('/get-services', async (req, res) => {
         message: 'Appointment confirmed and added to calendar'
       });
     } catch (e) {
+      if (sendReauthRequired(res, e)) return;
       console.error('Error in confirm-pending-appointment:', e);
       return res.status(500).json({ 
         success: false, 
@@ -3031,9 +2879,9 @@ router.post('/store-pending-rescheduling', async (req, res) => {
     // Calculate new end time in Central Time
     const newEndDateTime = calculateEndTime(newStartDateTime, duration);
     
-    // Store times in Central Time format for database
-    const startTimeForDB = convertCTtoUTC(newStartDateTime);
-    const endTimeForDB = convertCTtoUTC(newEndDateTime);
+    // Store times in UTC for database
+    const startTimeForDB = toDatabaseTime(newStartDateTime);
+    const endTimeForDB = toDatabaseTime(newEndDateTime);
     
     console.log(`Rescheduling appointment ${existingAppointment.id}:`);
     console.log(`Old time: ${existingAppointment.start_time} -> New time: ${startTimeForDB}`);
@@ -3044,11 +2892,20 @@ router.post('/store-pending-rescheduling', async (req, res) => {
       cancelOldEvent = true;
     }
     
+    // Hold the new time; the old hold is released once the row points at this one
+    const holdEventId = await placeAppointmentHold(tenant, {
+      clientName: client?.name || clientName,
+      clientPhone: formattedPhone,
+      serviceType: serviceType || existingAppointment.service_type,
+      startTime: startTimeForDB,
+      endTime: endTimeForDB
+    });
+    
     // Update the existing appointment with new details
     const rescheduleNotes = [
       existingAppointment.notes || '',
       `\n--- RESCHEDULED on ${new Date().toLocaleDateString()} ---`,
-      `Original time: ${convertUTCtoCT(existingAppointment.start_time)}`,
+      `Original time: ${toLocalTime(existingAppointment.start_time)}`,
       `New time: ${newStartDateTime}`,
       reason ? `Reason: ${reason}` : '',
       notes ? `New notes: ${notes}` : ''
@@ -3062,8 +2919,10 @@ router.post('/store-pending-rescheduling', async (req, res) => {
       end_time: endTimeForDB,
       duration_minutes: duration,
       status: 'pending_confirmation', // Reset to pending for artist confirmation
+      hold_expires_at: getHoldExpiry(tenant, new Date(), startTimeForDB)?.toISOString() || null,
       notes: rescheduleNotes,
       google_calendar_event_id: null, // Will be set when confirmed
+      hold_event_id: holdEventId,
       updated_at: new Date().toISOString()
     };
     
@@ -3075,12 +2934,15 @@ router.post('/store-pending-rescheduling', async (req, res) => {
     
     if (updateError) {
       console.error('Error updating appointment for rescheduling:', updateError);
+      await releaseAppointmentHold(tenant, { hold_event_id: holdEventId });
       return res.status(500).json({ 
         success: false, 
         error: 'Failed to reschedule appointment: ' + updateError.message 
       });
     }
     
+    await releaseAppointmentHold(tenant, existingAppointment);
+    
     // Cancel old Google Calendar event if it exists
     if (cancelOldEvent) {
       try {
@@ -3091,7 +2953,7 @@ router.post('/store-pending-rescheduling', async (req, res) => {
           .single();
         
         if (artist?.refresh_token) {
-          const oauth2Client = createOAuth2Client(artist.refresh_token);
+          const oauth2Client = await createOAuth2Client(artist);
           const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
           const calendarId = artist.selected_calendar_id || 'primary';
           
@@ -3119,13 +2981,13 @@ router.post('/store-pending-rescheduling', async (req, res) => {
       client: client,
       message: 'Appointment rescheduled successfully. Awaiting artist confirmation.',
       originalTime: {
-        start: convertUTCtoCT(existingAppointment.start_time),
-        end: convertUTCtoCT(existingAppointment.end_time)
+        start: toLocalTime(existingAppointment.start_time),
+        end: toLocalTime(existingAppointment.end_time)
       },
       newTime: {
         start: newStartDateTime,
         end: newEndDateTime,
-        timezone: 'America/Chicago'
+        timezone: timeZone
       },
       oldCalendarEventCancelled: cancelOldEvent
     });
@@ -3178,7 +3040,7 @@ router.post('/block-calendar-period', async (req, res) => {
     }
     
     // Create Google Calendar client
-    const oauth2Client = createOAuth2Client(artist.refresh_token);
+    const oauth2Client = await createOAuth2Client(artist);
     const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
     const calendarId = artist.selected_calendar_id || 'primary';
     
@@ -3190,11 +3052,11 @@ router.post('/block-calendar-period', async (req, res) => {
       summary: `🚫 BLOCKED - ${blockTypeDisplay}`,
       description: `Calendar blocked for: ${reason}\nBlock Type: ${blockTypeDisplay}\nCreated: ${new Date().toISOString()}`,
       start: allDay ? 
-        { date: startDateTime.split('T')[0], timeZone: 'America/Chicago' } :
-        { dateTime: startDateTime, timeZone: 'America/Chicago' },
+        { date: getZonedDate(parseDateTime(startDateTime, timeZone), timeZone), timeZone } :
+        toEventTime(startDateTime),
       end: allDay ? 
-        { date: endDateTime.split('T')[0], timeZone: 'America/Chicago' } :
-        { dateTime: endDateTime, timeZone: 'America/Chicago' },
+        { date: getZonedDate(parseDateTime(endDateTime, timeZone), timeZone), timeZone } :
+        toEventTime(endDateTime),
       status: 'confirmed',
       transparency: 'opaque', // Shows as busy
       visibility: 'private'
@@ -3216,8 +3078,8 @@ router.post('/block-calendar-period', async (req, res) => {
         google_calendar_event_id: event.data.id,
         block_type: blockType,
         reason: reason,
-        start_time: convertCTtoUTC(startDateTime),
-        end_time: convertCTtoUTC(endDateTime),
+        start_time: toDatabaseTime(startDateTime),
+        end_time: toDatabaseTime(endDateTime),
         all_day: allDay,
         status: 'active'
       };
@@ -3234,8 +3096,8 @@ router.post('/block-calendar-period', async (req, res) => {
       }
       
       // Calculate duration for response
-      const startDate = new Date(startDateTime);
-      const endDate = new Date(endDateTime);
+      const startDate = parseDateTime(startDateTime, timeZone);
+      const endDate = parseDateTime(endDateTime, timeZone);
       const durationHours = Math.round((endDate - startDate) / (1000 * 60 * 60));
       const durationDays = Math.round(durationHours / 24);
       
@@ -3266,6 +3128,7 @@ router.post('/block-calendar-period', async (req, res) => {
       });
     }
   } catch (e) {
+    if (sendReauthRequired(res, e)) return;
     console.error('Error in block-calendar-period endpoint:', e);
     return res.status(500).json({ success: false, error: e.message });
   }
@@ -3306,17 +3169,21 @@ router.get('/get-calendar-info', async (req, res) => {
     }
     
     // Create Google Calendar client
-    const oauth2Client = createOAuth2Client(artist.refresh_token);
+    const oauth2Client = await createOAuth2Client(artist);
     const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
     const calendarId = artist.selected_calendar_id || 'primary';
     
     try {
+      // Dates without an offset are Central Time
+      const periodStart = parseDateTime(startDate, timeZone);
+      const periodEnd = parseDateTime(endDate, timeZone);
+      
       // Get all events in the specified period
       const response = await calendar.events.list({
         calendarId,
-        timeMin: new Date(startDate).toISOString(),
-        timeMax: new Date(endDate).toISOString(),
-        timeZone: 'America/Chicago',
+        timeMin: periodStart.toISOString(),
+        timeMax: periodEnd.toISOString(),
+        timeZone,
         singleEvents: true,
         orderBy: 'startTime',
         maxResults: 250
@@ -3359,8 +3226,8 @@ router.get('/get-calendar-info', async (req, res) => {
           *,
           client:clients!appointments_client_phone_fkey(name, phone_number)
         `)
-        .gte('start_time', startDate)
-        .lte('start_time', endDate)
+        .gte('start_time', periodStart.toISOString())
+        .lte('start_time', periodEnd.toISOString())
         .order('start_time', { ascending: true });
       
       // Enrich appointments with database info
@@ -3389,10 +3256,12 @@ router.get('/get-calendar-info', async (req, res) => {
       // Calculate availability windows if requested
       let availabilityWindows = [];
       if (includeAvailability === 'true') {
+        // Busy time on the artist's other calendars counts too
         availabilityWindows = calculateAvailabilityWindows(
-          new Date(startDate), 
-          new Date(endDate), 
-          events
+          periodStart, 
+          periodEnd, 
+          await listBusyTimes(calendar, getBusyCalendarIds(artist, calendarId), periodStart, periodEnd, timeZone),
+          getProviderSchedule(tenant, artist)
         );
       }
       
@@ -3421,6 +3290,7 @@ router.get('/get-calendar-info', async (req, res) => {
       });
     }
   } catch (e) {
+    if (sendReauthRequired(res, e)) return;
     console.error('Error in get-calendar-info endpoint:', e);
     return res.status(500).json({ success: false, error: e.message });
   }
@@ -3438,11 +3308,11 @@ router.get('/get-calendar-blocks', async (req, res) => {
       .order('start_time', { ascending: true });
     
     if (startDate) {
-      query = query.gte('start_time', startDate);
+      query = query.gte('start_time', toDatabaseTime(startDate));
     }
     
     if (endDate) {
-      query = query.lte('end_time', endDate);
+      query = query.lte('end_time', toDatabaseTime(endDate));
     }
     
     if (blockType) {
@@ -3461,8 +3331,8 @@ router.get('/get-calendar-blocks', async (req, res) => {
       eventId: block.google_calendar_event_id,
       type: block.block_type,
       reason: block.reason,
-      start: convertUTCtoCT(block.start_time),
-      end: convertUTCtoCT(block.end_time),
+      start: toLocalTime(block.start_time),
+      end: toLocalTime(block.end_time),
       allDay: block.all_day,
       duration: calculateBlockDuration(block.start_time, block.end_time),
       created: block.created_at
@@ -3543,7 +3413,7 @@ router.post('/remove-calendar-block', async (req, res) => {
     }
     
     // Create Google Calendar client
-    const oauth2Client = createOAuth2Client(artist.refresh_token);
+    const oauth2Client = await createOAuth2Client(artist);
     const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
     const calendarId = artist.selected_calendar_id || 'primary';
     
@@ -3584,8 +3454,8 @@ router.post('/remove-calendar-block', async (req, res) => {
           type: blockRecord.block_type,
           reason: blockRecord.reason,
           period: {
-            start: convertUTCtoCT(blockRecord.start_time),
-            end: convertUTCtoCT(blockRecord.end_time)
+            start: toLocalTime(blockRecord.start_time),
+            end: toLocalTime(blockRecord.end_time)
           }
         }
       });
@@ -3597,6 +3467,7 @@ router.post('/remove-calendar-block', async (req, res) => {
       });
     }
   } catch (e) {
+    if (sendReauthRequired(res, e)) return;
     console.error('Error in remove-calendar-block endpoint:', e);
     return res.status(500).json({ success: false, error: e.message });
   }
@@ -3633,31 +3504,25 @@ router.get('/get-availability-windows', async (req, res) => {
     }
     
     // Create Google Calendar client
-    const oauth2Client = createOAuth2Client(artist.refresh_token);
+    const oauth2Client = await createOAuth2Client(artist);
     const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
     const calendarId = artist.selected_calendar_id || 'primary';
     
     try {
-      // Get all events (appointments and blocks) in the period
-      const response = await calendar.events.list({
-        calendarId,
-        timeMin: new Date(startDate).toISOString(),
-        timeMax: new Date(endDate).toISOString(),
-        timeZone: 'America/Chicago',
-        singleEvents: true,
-        orderBy: 'startTime',
-        maxResults: 250
-      });
+      // Dates without an offset are Central Time
+      const periodStart = parseDateTime(startDate, timeZone);
+      const periodEnd = parseDateTime(endDate, timeZone);
       
-      const events = response.data.items || [];
+      // Busy time across the booking calendar and the artist's other calendars
+      const busy = await listBusyTimes(calendar, getBusyCalendarIds(artist, calendarId), periodStart, periodEnd, timeZone);
       
       // Calculate availability windows
       const availabilityWindows = calculateDetailedAvailability(
-        new Date(startDate),
-        new Date(endDate),
-        events,
+        periodStart,
+        periodEnd,
+        busy,
         parseInt(minDuration),
-        businessHoursOnly === 'true'
+        businessHoursOnly === 'true' ? getProviderSchedule(tenant, artist) : ALWAYS_OPEN
       );
       
       return res.status(200).json({
@@ -3687,6 +3552,7 @@ router.get('/get-availability-windows', async (req, res) => {
       });
     }
   } catch (e) {
+    if (sendReauthRequired(res, e)) return;
     console.error('Error in get-availability-windows endpoint:', e);
     return res.status(500).json({ success: false, error: e.message });
   }
@@ -3733,8 +3599,8 @@ function extractBlockReason(description) {
 
 // Calculate duration of a calendar block
 function calculateBlockDuration(startTime, endTime) {
-  const start = new Date(startTime);
-  const end = new Date(endTime);
+  const start = fromDatabaseTime(startTime);
+  const end = fromDatabaseTime(endTime);
   const durationMs = end - start;
   
   const hours = Math.round(durationMs / (1000 * 60 * 60) * 10) / 10;
@@ -3747,184 +3613,35 @@ function calculateBlockDuration(startTime, endTime) {
   };
 }
 
-// Calculate basic availability windows
-function calculateAvailabilityWindows(startDate, endDate, events) {
-  const windows = [];
-  const businessStart = 9; // 9 AM
-  const businessEnd = 18; // 6 PM
-  
-  // Sort events by start time
-  const sortedEvents = events
-    .filter(event => event.start?.dateTime || event.start?.date)
-    .sort((a, b) => {
-      const aStart = new Date(a.start.dateTime || a.start.date);
-      const bStart = new Date(b.start.dateTime || b.start.date);
-      return aStart - bStart;
-    });
-  
-  let currentDate = new Date(startDate);
-  const endDateObj = new Date(endDate);
-  
-  while (currentDate <= endDateObj) {
-    // Skip weekends (optional - remove if MUA works weekends)
-    const dayOfWeek = currentDate.getDay();
-    if (dayOfWeek === 0 || dayOfWeek === 6) {
-      currentDate.setDate(currentDate.getDate() + 1);
-      continue;
-    }
-    
-    // Get events for this day
-    const dayEvents = sortedEvents.filter(event => {
-      const eventStart = new Date(event.start.dateTime || event.start.date);
-      return eventStart.toDateString() === currentDate.toDateString();
-    });
-    
-    // Calculate availability for this day
-    let dayStart = new Date(currentDate);
-    dayStart.setHours(businessStart, 0, 0, 0);
-    
-    const dayEnd = new Date(currentDate);
-    dayEnd.setHours(businessEnd, 0, 0, 0);
-    
-    let currentTime = new Date(dayStart);
-    
-    for (const event of dayEvents) {
-      const eventStart = new Date(event.start.dateTime || event.start.date);
-      const eventEnd = new Date(event.end.dateTime || event.end.date);
-      
-      // If there's a gap before this event
-      if (currentTime < eventStart) {
-        const availableEnd = eventStart < dayEnd ? eventStart : dayEnd;
-        const durationMs = availableEnd - currentTime;
-        const durationHours = durationMs / (1000 * 60 * 60);
-        
-        if (durationHours >= 1) { // At least 1 hour window
-          windows.push({
-            start: currentTime.toISOString(),
-            end: availableEnd.toISOString(),
-            durationHours: Math.round(durationHours * 2) / 2,
-            date: currentDate.toDateString()
-          });
-        }
-      }
-      
-      // Move current time to after this event
-      currentTime = new Date(Math.max(currentTime, eventEnd));
-    }
-    
-    // Check for availability after last event
-    if (currentTime < dayEnd) {
-      const durationMs = dayEnd - currentTime;
-      const durationHours = durationMs / (1000 * 60 * 60);
-      
-      if (durationHours >= 1) {
-        windows.push({
-          start: currentTime.toISOString(),
-          end: dayEnd.toISOString(),
-          durationHours: Math.round(durationHours * 2) / 2,
-          date: currentDate.toDateString()
-        });
-      }
-    }
-    
-    currentDate.setDate(currentDate.getDate() + 1);
-  }
-  
-  return windows;
+// Free stretches of each open window between busy times, at least minMinutes long
+function findOpenGaps(startDate, endDate, busy, schedule, minMinutes) {
+  return findOpenPeriods(startDate, endDate, minMinutes, { schedule, busy, rules, timeZone });
 }
 
-// Calculate detailed availability with more options
-function calculateDetailedAvailability(startDate, endDate, events, minDuration, businessHoursOnly) {
-  const windows = [];
-  const businessStart = businessHoursOnly ? 9 : 0;
-  const businessEnd = businessHoursOnly ? 18 : 24;
-  
-  // Sort events by start time
-  const sortedEvents = events
-    .filter(event => event.start?.dateTime || event.start?.date)
-    .sort((a, b) => {
-      const aStart = new Date(a.start.dateTime || a.start.date);
-      const bStart = new Date(b.start.dateTime || b.start.date);
-      return aStart - bStart;
-    });
-  
-  let currentDate = new Date(startDate);
-  const endDateObj = new Date(endDate);
-  
-  while (currentDate <= endDateObj) {
-    // Skip weekends if business hours only
-    const dayOfWeek = currentDate.getDay();
-    if (businessHoursOnly && (dayOfWeek === 0 || dayOfWeek === 6)) {
-      currentDate.setDate(currentDate.getDate() + 1);
-      continue;
-    }
-    
-    // Get events for this day
-    const dayEvents = sortedEvents.filter(event => {
-      const eventStart = new Date(event.start.dateTime || event.start.date);
-      return eventStart.toDateString() === currentDate.toDateString();
-    });
-    
-    // Calculate availability for this day
-    let dayStart = new Date(currentDate);
-    dayStart.setHours(businessStart, 0, 0, 0);
-    
-    const dayEnd = new Date(currentDate);
-    dayEnd.setHours(businessEnd, 0, 0, 0);
-    
-    let currentTime = new Date(dayStart);
-    
-    for (const event of dayEvents) {
-      const eventStart = new Date(event.start.dateTime || event.start.date);
-      const eventEnd = new Date(event.end.dateTime || event.end.date);
-      
-      // If there's a gap before this event
-      if (currentTime < eventStart) {
-        const availableEnd = eventStart < dayEnd ? eventStart : dayEnd;
-        const durationMs = availableEnd - currentTime;
-        const durationMinutes = durationMs / (1000 * 60);
-        const durationHours = durationMinutes / 60;
-        
-        if (durationMinutes >= minDuration) {
-          windows.push({
-            start: currentTime.toISOString(),
-            end: availableEnd.toISOString(),
-            durationMinutes: Math.floor(durationMinutes),
-            durationHours: Math.round(durationHours * 2) / 2,
-            date: currentDate.toDateString(),
-            dayOfWeek: currentDate.toLocaleDateString('en-US', { weekday: 'long' }),
-            timeSlot: formatTimeSlot(currentTime, availableEnd)
-          });
-        }
-      }
-      
-      // Move current time to after this event
-      currentTime = new Date(Math.max(currentTime, eventEnd));
-    }
-    
-    // Check for availability after last event
-    if (currentTime < dayEnd) {
-      const durationMs = dayEnd - currentTime;
-      const durationMinutes = durationMs / (1000 * 60);
-      const durationHours = durationMinutes / 60;
-      
-      if (durationMinutes >= minDuration) {
-        windows.push({
-          start: currentTime.toISOString(),
-          end: dayEnd.toISOString(),
-          durationMinutes: Math.floor(durationMinutes),
-          durationHours: Math.round(durationHours * 2) / 2,
-          date: currentDate.toDateString(),
-          dayOfWeek: currentDate.toLocaleDateString('en-US', { weekday: 'long' }),
-          timeSlot: formatTimeSlot(currentTime, dayEnd)
-        });
-      }
-    }
-    
-    currentDate.setDate(currentDate.getDate() + 1);
-  }
-  
-  return windows;
+// Calculate basic availability windows (at least an hour) in the artist's working hours
+function calculateAvailabilityWindows(startDate, endDate, busy, schedule) {
+  return findOpenGaps(startDate, endDate, busy, schedule, 60).map(gap => ({
+    start: gap.start.toISOString(),
+    end: gap.end.toISOString(),
+    durationHours: Math.round((gap.end - gap.start) / (1000 * 60 * 60) * 2) / 2,
+    date: gap.date
+  }));
+}
+
+// Calculate detailed availability with more options; ALWAYS_OPEN ignores working hours
+function calculateDetailedAvailability(startDate, endDate, busy, minDuration, schedule) {
+  return findOpenGaps(startDate, endDate, busy, schedule, minDuration).map(gap => {
+    const durationMinutes = (gap.end - gap.start) / (1000 * 60);
+    return {
+      start: gap.start.toISOString(),
+      end: gap.end.toISOString(),
+      durationMinutes: Math.floor(durationMinutes),
+      durationHours: Math.round(durationMinutes / 60 * 2) / 2,
+      date: gap.date,
+      dayOfWeek: gap.start.toLocaleDateString('en-US', { weekday: 'long', timeZone }),
+      timeSlot: formatTimeSlot(gap.start, gap.end)
+    };
+  });
 }
 
 // Format time slot for display
@@ -3934,7 +3651,7 @@ function formatTimeSlot(start, end) {
       hour: 'numeric',
       minute: '2-digit',
       hour12: true,
-      timeZone: 'America/Chicago'
+      timeZone
     });
   };
   
@@ -3942,7 +3659,3 @@ function formatTimeSlot(start, end) {
 }
 
 module.exports = router;
-
-// Export helper functions for testing
-module.exports.convertCTtoUTC = convertCTtoUTC;
-module.exports.convertUTCtoCT = convertUTCtoCT;
\ No newline at end of file
@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const {
+  findProviderTenant,
+  getProviderAppointments,
+  getProviderAppointment,
+  getSupportedActions,
+  runAppointmentAction
+} = require('../utils/providers');
+const { parseDateTime } = require('../utils/timeZoneHandler');
+const { getProviderTokenHealth, createReconnectToken } = require('../utils/tokenHealth');
+
+// Providers sign in at /login; the OAuth callback puts them in the session
+function requireProvider(req, res, next) {
+  if (!req.session.provider) {
+    if (req.method === 'GET') {
+      req.session.returnTo = req.originalUrl;
+    }
+    return res.redirect('/login');
+  }
+
+  const tenant = findProviderTenant(req.session.provider);
+  if (!tenant) {
+    return res.status(404).render('error', { message: 'We could not find a business for your account.' });
+  }
+
+  req.provider = req.session.provider;
+  req.tenant = tenant;
+  next();
+}
+
+// Formats a stored UTC time for display in the tenant's zone
+function formatAppointmentTime(value, timeZone) {
+  return parseDateTime(value, 'UTC').toLocaleString('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+// Appointment list
+router.get('/', requireProvider, async (req, res) => {
+  const { tenant, provider } = req;
+  const appointments = await getProviderAppointments(tenant, provider);
+  const tokenHealth = await getProviderTokenHealth(tenant, provider);
+
+  // New bookings cannot reach the calendar until the provider reconnects Google
+  const reconnectToken = tokenHealth && ['needs_reauth', 'not_connected'].includes(tokenHealth.status)
+    && createReconnectToken(provider.table, provider.id);
+  const reconnectUrl = reconnectToken ? `/auth/google?reconnect=${reconnectToken}` : null;
+
+  // Show a pending action result once
+  const flash = req.session.flash;
+  delete req.session.flash;
+
+  res.render('dashboard', {
+    provider,
+    tenant,
+    appointments,
+    actions: getSupportedActions(tenant),
+    flash,
+    reconnectUrl,
+    formatTime: value => formatAppointmentTime(value, tenant.timeZone)
+  });
+});
+
+// Confirm, reschedule or cancel one appointment
+router.post('/appointments/:id/:action(confirm|reschedule|cancel)', requireProvider, async (req, res) => {
+  const { tenant, provider } = req;
+  const { id, action } = req.params;
+
+  try {
+    const appointment = await getProviderAppointment(tenant, provider, id);
+    if (!appointment) {
+      req.session.flash = { type: 'danger', message: 'Appointment not found.' };
+      return res.redirect('/dashboard');
+    }
+
+    let newStartDateTime;
+    if (action === 'reschedule') {
+      // datetime-local inputs omit seconds
+      newStartDateTime = req.body.newStartDateTime && req.body.newStartDateTime.length === 16
+        ? `${req.body.newStartDateTime}:00`
+        : req.body.newStartDateTime;
+      if (!newStartDateTime) {
+        req.session.flash = { type: 'danger', message: 'Choose a new time to reschedule.' };
+        return res.redirect('/dashboard');
+      }
+    }
+
+    const result = await runAppointmentAction(tenant, provider, appointment, action, { newStartDateTime });
+    const done = { confirm: 'confirmed', reschedule: 'rescheduled', cancel: 'cancelled' }[action];
+
+    req.session.flash = result && result.success
+      ? { type: 'success', message: `Appointment ${done}.` }
+      : { type: 'danger', message: (result && (result.error || result.message)) || `Could not ${action} the appointment.` };
+  } catch (e) {
+    console.error(`Error running dashboard ${action}:`, e);
+    req.session.flash = { type: 'danger', message: `Could not ${action} the appointment.` };
+  }
+
+  return res.redirect('/dashboard');
+});
+
+module.exports = router;
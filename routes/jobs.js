@@ -0,0 +1,33 @@
+const express = require('express');
+const { getJobStatus, retryDeadJob } = require('../utils/jobs');
+
+/**
+ * Creates the admin router for a tenant's background jobs
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - Express router with GET / and POST /:id/retry
+ */
+function createJobsRouter(tenant) {
+  const router = express.Router();
+
+  // Queue counts, the next jobs to run and the dead-lettered ones (?limit= per list, capped)
+  router.get('/', async (req, res) => {
+    const status = await getJobStatus(tenant, req.query.limit ? Number(req.query.limit) : undefined);
+    if (!status) {
+      return res.status(500).json({ success: false, error: 'Failed to load jobs' });
+    }
+    return res.status(200).json({ success: true, ...status });
+  });
+
+  // Gives a dead job a fresh set of attempts
+  router.post('/:id/retry', async (req, res) => {
+    const job = await retryDeadJob(tenant, req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'No dead job with that id' });
+    }
+    return res.status(200).json({ success: true, job });
+  });
+
+  return router;
+}
+
+module.exports = { createJobsRouter };
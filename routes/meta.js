@@ -0,0 +1,88 @@
+const express = require('express');
+const { getTenantOperations } = require('../utils/tenants');
+const { queueAgentMessage, FALLBACK_REPLY } = require('../utils/agent');
+const {
+  getMetaConfig,
+  validateMetaSignature,
+  parseMessagingEvents,
+  sendDirectMessage
+} = require('../utils/meta');
+
+// Signatures cover the exact bytes Meta sent, so keep them alongside the parsed body
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+/**
+ * Creates the Instagram/Messenger DM channel router for a tenant. Senders are
+ * identified by their platform-scoped id ({ identifier, platform }) rather than
+ * a phone number, all the way through to the appointments they book.
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - Express router with GET and POST /webhook
+ */
+function createMetaRouter(tenant) {
+  const router = express.Router();
+
+  // Subscription handshake when the webhook is registered in the Meta app dashboard
+  router.get('/webhook', (req, res) => {
+    const { verifyToken } = getMetaConfig(tenant);
+    const mode = req.query['hub.mode'];
+    const token = req.query['hub.verify_token'];
+
+    if (mode === 'subscribe' && verifyToken && token === verifyToken) {
+      return res.status(200).send(req.query['hub.challenge']);
+    }
+    return res.status(403).json({ success: false, error: 'Verification failed' });
+  });
+
+  const registerClient = async ({ platform, senderId }) => {
+    const { clientOps } = getTenantOperations(tenant);
+    const existingClient = await clientOps.getByPlatformIdentifier(senderId, platform);
+    if (!existingClient) {
+      await clientOps.createOrUpdate({ identifier: senderId, platform });
+    }
+  };
+
+  const handleEvent = async ({ platform, senderId, messageId, text }) => {
+    try {
+      const { reply } = await queueAgentMessage(tenant, {
+        clientIdentity: { identifier: senderId, platform },
+        message: text,
+        metadata: { channel: platform, messageId }
+      });
+      if (reply) await sendDirectMessage(tenant, platform, senderId, reply);
+    } catch (e) {
+      console.error(`Error handling ${platform} message for ${tenant.slug}:`, e);
+      await sendDirectMessage(tenant, platform, senderId, FALLBACK_REPLY);
+    }
+  };
+
+  router.post('/webhook', express.json({ verify: captureRawBody }), async (req, res) => {
+    const { appSecret } = getMetaConfig(tenant);
+    if (!appSecret) {
+      console.error(`Meta webhook for ${tenant.slug} called without an app secret configured`);
+      return res.status(500).json({ success: false, error: 'Direct messages are not configured' });
+    }
+
+    if (!validateMetaSignature(appSecret, req.get('X-Hub-Signature-256'), req.rawBody)) {
+      return res.status(403).json({ success: false, error: 'Invalid signature' });
+    }
+
+    // Meta retries deliveries that are not acknowledged quickly, so answer before the agent runs
+    res.status(200).send('EVENT_RECEIVED');
+
+    for (const event of parseMessagingEvents(req.body)) {
+      try {
+        await registerClient(event);
+      } catch (e) {
+        console.error(`Error registering ${event.platform} client for ${tenant.slug}:`, e);
+      }
+      // Not awaited, so several messages in one delivery are answered as one turn
+      handleEvent(event);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMetaRouter };
@@ -0,0 +1,33 @@
+const express = require('express');
+const { getPaymentsConfig, validatePaymentSignature, handlePaymentEvent } = require('../utils/payments');
+
+/**
+ * Creates the router for a tenant's payment provider webhooks. Deliveries are
+ * verified with the Stripe-Signature header instead of the tenant's API key.
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - Express router with POST /webhook
+ */
+function createPaymentsRouter(tenant) {
+  const router = express.Router();
+
+  router.post('/webhook', async (req, res) => {
+    const { webhookSecret } = getPaymentsConfig(tenant);
+    if (!validatePaymentSignature(webhookSecret, req.get('Stripe-Signature'), req.rawBody)) {
+      console.warn(`Rejected payment webhook with an invalid signature for tenant: ${tenant.slug}`);
+      return res.status(400).json({ success: false, error: 'Invalid signature' });
+    }
+
+    try {
+      const outcome = await handlePaymentEvent(tenant, req.body);
+      return res.status(200).json({ success: true, received: true, outcome });
+    } catch (e) {
+      // A non-2xx answer makes the provider deliver the event again later
+      console.error('Error handling payment webhook:', e);
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPaymentsRouter };
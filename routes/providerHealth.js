@@ -0,0 +1,28 @@
+const express = require('express');
+const { getTenantTokenHealth } = require('../utils/tokenHealth');
+
+/**
+ * Creates the router that reports whether a tenant's providers can still be booked
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - Express router with GET /health
+ */
+function createProviderHealthRouter(tenant) {
+  const router = express.Router();
+
+  router.get('/health', async (req, res) => {
+    const providers = await getTenantTokenHealth(tenant);
+    if (!providers) {
+      return res.status(500).json({ success: false, error: 'Could not load provider health' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      healthy: providers.every(provider => provider.status === 'ok'),
+      providers
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createProviderHealthRouter };
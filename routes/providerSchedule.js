@@ -0,0 +1,100 @@
+const express = require('express');
+const { getTenantOperations } = require('../utils/tenants');
+const { validateSchedule, getProviderSchedule, describeWeeklyHours } = require('../utils/schedule');
+
+/**
+ * Creates the router that reads and replaces a provider's working hours
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - Express router with GET / and PUT /
+ */
+function createProviderScheduleRouter(tenant) {
+  const router = express.Router();
+  const { table, id: ownerId } = tenant.calendarOwner;
+
+  // Tenants bound to one provider (Justin) or with a single row need no providerId
+  async function findProvider(providerId) {
+    const { supabase } = getTenantOperations(tenant);
+    let query = supabase.from(table).select('id, name, schedule, business_hours_start, business_hours_end');
+    if (ownerId || providerId) {
+      query = query.eq('id', ownerId || providerId);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw error;
+    }
+    if (ownerId && providerId && providerId !== ownerId) {
+      return null;
+    }
+    return data.length === 1 ? data[0] : null;
+  }
+
+  router.get('/', async (req, res) => {
+    try {
+      const provider = await findProvider(req.query.providerId);
+      if (!provider) {
+        return res.status(404).json({ success: false, error: 'Provider not found; pass providerId' });
+      }
+
+      const schedule = getProviderSchedule(tenant, provider);
+      return res.status(200).json({
+        success: true,
+        providerId: provider.id,
+        // 'default' means the tenant's hours apply until the provider saves their own
+        source: provider.schedule ? 'provider' : 'default',
+        schedule,
+        summary: describeWeeklyHours(schedule),
+        timeZone: tenant.timeZone
+      });
+    } catch (e) {
+      console.error('Error loading schedule:', e);
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  });
+
+  router.put('/', async (req, res) => {
+    const { providerId, schedule } = req.body;
+
+    const errors = validateSchedule(schedule);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid schedule', details: errors });
+    }
+
+    try {
+      const provider = await findProvider(providerId);
+      if (!provider) {
+        return res.status(404).json({ success: false, error: 'Provider not found; pass providerId' });
+      }
+
+      const stored = {
+        weekly: schedule.weekly || {},
+        breaks: schedule.breaks || {},
+        overrides: schedule.overrides || {},
+        holidays: schedule.holidays || []
+      };
+      const { error } = await getTenantOperations(tenant).supabase
+        .from(table)
+        .update({ schedule: stored, updated_at: new Date() })
+        .eq('id', provider.id);
+      if (error) {
+        throw error;
+      }
+
+      return res.status(200).json({
+        success: true,
+        providerId: provider.id,
+        source: 'provider',
+        schedule: stored,
+        summary: describeWeeklyHours(stored),
+        timeZone: tenant.timeZone
+      });
+    } catch (e) {
+      console.error('Error saving schedule:', e);
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createProviderScheduleRouter };
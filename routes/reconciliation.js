@@ -0,0 +1,35 @@
+const express = require('express');
+const { reconcileTenant } = require('../utils/reconciliation');
+
+/**
+ * Creates the admin router that compares a tenant's appointments with its
+ * providers' calendars and repairs the differences on request
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - Express router with GET / and POST /repair
+ */
+function createReconciliationRouter(tenant) {
+  const router = express.Router();
+
+  async function respond(res, options) {
+    try {
+      const providers = await reconcileTenant(tenant, options);
+      return res.status(200).json({
+        success: true,
+        repaired: providers.reduce((total, report) => total + (report.repaired || 0), 0),
+        providers
+      });
+    } catch (e) {
+      console.error('Error reconciling appointments:', e);
+      return res.status(500).json({ success: false, error: e.message });
+    }
+  }
+
+  // Reports differences without changing anything
+  router.get('/', (req, res) => respond(res, { providerId: req.query.providerId }));
+
+  router.post('/repair', (req, res) => respond(res, { providerId: (req.body || {}).providerId, repair: true }));
+
+  return router;
+}
+
+module.exports = { createReconciliationRouter };
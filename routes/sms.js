@@ -0,0 +1,94 @@
+const express = require('express');
+const { queueAgentMessage, FALLBACK_REPLY } = require('../utils/agent');
+const { getTwilioConfig, validateTwilioSignature, sendSms, toTwiML } = require('../utils/sms');
+const { handleReminderReply } = require('../utils/reminders');
+const { isFeatureEnabled } = require('../utils/tenants');
+
+// The URL Twilio signed. Behind proxies that rewrite the host, set SMS_WEBHOOK_BASE_URL.
+function getRequestUrl(req) {
+  const base = process.env.SMS_WEBHOOK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}${req.originalUrl}`;
+}
+
+/**
+ * Creates the Twilio SMS channel router for a tenant. Replies to appointment
+ * reminders ("C", "CANCEL") are handled first; other texts are fed to the
+ * booking agent. The reply goes back as TwiML, or through the REST API when
+ * the tenant sets sms.replyMode to 'rest' (for agents slower than Twilio's timeout).
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - Express router with POST /inbound
+ */
+function createSmsRouter(tenant) {
+  const router = express.Router();
+  const replyMode = (tenant.sms && tenant.sms.replyMode) || 'twiml';
+
+  router.post('/inbound', express.urlencoded({ extended: false }), async (req, res) => {
+    const { authToken } = getTwilioConfig(tenant);
+    if (!authToken) {
+      console.error(`SMS webhook for ${tenant.slug} called without a Twilio auth token configured`);
+      return res.status(500).json({ success: false, error: 'SMS is not configured' });
+    }
+
+    if (!validateTwilioSignature(authToken, req.get('X-Twilio-Signature'), getRequestUrl(req), req.body)) {
+      return res.status(403).json({ success: false, error: 'Invalid Twilio signature' });
+    }
+
+    const { From: from, To: to, Body: body = '', MessageSid: messageSid } = req.body;
+    if (!from) {
+      return res.status(400).json({ success: false, error: 'From is required' });
+    }
+
+    res.type('text/xml');
+
+    // Media-only messages have no text for the agent to work with
+    if (!body.trim()) {
+      return res.status(200).send(toTwiML());
+    }
+
+    if (isFeatureEnabled(tenant, 'reminders')) {
+      try {
+        const reminderReply = await handleReminderReply(tenant, from, body);
+        if (reminderReply) {
+          return res.status(200).send(toTwiML(reminderReply));
+        }
+      } catch (e) {
+        console.error(`Error handling reminder reply for ${tenant.slug}:`, e);
+      }
+    }
+
+    // Tenants may take texts only for reminder replies
+    if (!isFeatureEnabled(tenant, 'agent')) {
+      return res.status(200).send(toTwiML());
+    }
+
+    // Resolves to null when a follow-up text took over the turn; the reply goes out with that one
+    const respond = async () => {
+      try {
+        const { reply = null } = await queueAgentMessage(tenant, {
+          clientPhone: from,
+          message: body.trim(),
+          metadata: { channel: 'sms', messageSid }
+        });
+        return reply;
+      } catch (e) {
+        console.error(`Error handling SMS for ${tenant.slug}:`, e);
+        return FALLBACK_REPLY;
+      }
+    };
+
+    if (replyMode === 'rest') {
+      res.status(200).send(toTwiML());
+      const reply = await respond();
+      // Answer from the number the client texted
+      if (reply) await sendSms(tenant, from, reply, to);
+      return;
+    }
+
+    const reply = await respond();
+    return res.status(200).send(toTwiML(reply));
+  });
+
+  return router;
+}
+
+module.exports = { createSmsRouter };
@@ -0,0 +1,102 @@
+const { FakeCalendar } = require('./helpers/fakeGoogle');
+const { DEFAULT_RULES, getBusyCalendarIds, listBusyTimes, checkSlot, findSlots, findOpenPeriods } = require('../utils/availability');
+
+const TZ = 'America/Los_Angeles';
+const at = (value) => new Date(value);
+const starts = (slots) => slots.map(slot => slot.start.toISOString());
+
+describe('availability engine', () => {
+  // Monday 2025-07-14, 09:00-12:00 Pacific
+  const schedule = { weekly: { monday: [{ start: '09:00', end: '12:00' }] } };
+  const now = at('2025-07-10T09:00:00-07:00');
+  const busy = [{ start: at('2025-07-14T10:00:00-07:00'), end: at('2025-07-14T10:30:00-07:00') }];
+  const context = (rules) => ({ schedule, busy, timeZone: TZ, now, rules: { ...DEFAULT_RULES, ...rules } });
+
+  test('offers back-to-back slots around busy times by default', () => {
+    const slots = findSlots(at('2025-07-14T00:00:00-07:00'), at('2025-07-15T00:00:00-07:00'), 60, context());
+
+    expect(starts(slots)).toEqual(['2025-07-14T16:00:00.000Z', '2025-07-14T18:00:00.000Z']);
+  });
+
+  test('steps by the slot granularity and keeps buffers clear', () => {
+    const slots = findSlots(at('2025-07-14T00:00:00-07:00'), at('2025-07-15T00:00:00-07:00'), 30, context({
+      slotGranularityMinutes: 15,
+      bufferAfterMinutes: 15
+    }));
+
+    // 09:30 would run into the 10:00 booking once its buffer is added
+    expect(starts(slots)).toEqual([
+      '2025-07-14T16:00:00.000Z',
+      '2025-07-14T16:15:00.000Z',
+      '2025-07-14T17:30:00.000Z',
+      '2025-07-14T17:45:00.000Z',
+      '2025-07-14T18:00:00.000Z',
+      '2025-07-14T18:15:00.000Z',
+      '2025-07-14T18:30:00.000Z'
+    ]);
+  });
+
+  test('keeps the grid aligned to opening time when searching mid-morning', () => {
+    const slots = findSlots(at('2025-07-14T10:40:00-07:00'), at('2025-07-15T00:00:00-07:00'), 30, context());
+
+    expect(starts(slots)).toEqual(['2025-07-14T18:00:00.000Z', '2025-07-14T18:30:00.000Z']);
+  });
+
+  test('applies minimum notice and the booking horizon', () => {
+    const rules = { minNoticeMinutes: 4 * 24 * 60 + 90, maxDaysAhead: 4 };
+
+    // Notice ends at 10:30 on Monday, and Monday is the last bookable day
+    expect(starts(findSlots(at('2025-07-14T00:00:00-07:00'), at('2025-07-22T00:00:00-07:00'), 30, context(rules))))
+      .toEqual(['2025-07-14T17:30:00.000Z', '2025-07-14T18:00:00.000Z', '2025-07-14T18:30:00.000Z']);
+    expect(checkSlot(at('2025-07-14T09:00:00-07:00'), 30, context(rules)).reason).toBe('Too soon');
+    expect(checkSlot(at('2025-07-21T09:00:00-07:00'), 30, context(rules)).reason).toBe('Too far ahead');
+  });
+
+  test('explains why a single slot is unavailable', () => {
+    expect(checkSlot(at('2025-07-14T11:30:00-07:00'), 60, context()).reason).toBe('Outside business hours');
+    expect(checkSlot(at('2025-07-14T10:30:00-07:00'), 30, context({ bufferBeforeMinutes: 15 }))).toMatchObject({
+      isAvailable: false,
+      reason: 'Conflicts with another booking',
+      conflicts: busy
+    });
+    expect(checkSlot(at('2025-07-14T10:30:00-07:00'), 30, context())).toEqual({ isAvailable: true, reason: null, conflicts: [] });
+  });
+
+  test('reads busy times across the booking calendar and the provider\'s others', async () => {
+    const calendar = new FakeCalendar();
+    calendar.seed({ start: { dateTime: '2025-07-14T09:00:00-07:00' }, end: { dateTime: '2025-07-14T10:00:00-07:00' } }, 'work');
+    calendar.seed({ start: { dateTime: '2025-07-14T08:00:00-07:00' }, end: { dateTime: '2025-07-14T09:30:00-07:00' } }, 'personal');
+    calendar.seed({ start: { dateTime: '2025-07-14T11:00:00-07:00' }, end: { dateTime: '2025-07-14T12:00:00-07:00' }, transparency: 'transparent' }, 'personal');
+
+    const calendarIds = getBusyCalendarIds({ selected_calendar_id: 'work', busy_calendar_ids: ['personal', 'work'] }, 'work');
+    const busyTimes = await listBusyTimes(calendar, calendarIds, at('2025-07-14T00:00:00-07:00'), at('2025-07-15T00:00:00-07:00'), TZ);
+
+    expect(calendarIds).toEqual(['work', 'personal']);
+    expect(busyTimes.map(period => [period.calendarId, period.start.toISOString()])).toEqual([
+      ['personal', '2025-07-14T15:00:00.000Z'],
+      ['work', '2025-07-14T16:00:00.000Z']
+    ]);
+  });
+
+  test('skips an unreadable extra calendar but not the booking calendar', async () => {
+    const calendar = new FakeCalendar();
+    calendar.hide('personal');
+    const from = at('2025-07-14T00:00:00-07:00');
+    const to = at('2025-07-15T00:00:00-07:00');
+
+    await expect(listBusyTimes(calendar, ['work', 'personal'], from, to, TZ)).resolves.toEqual([]);
+    await expect(listBusyTimes(calendar, ['personal', 'work'], from, to, TZ)).rejects.toThrow('Could not read busy times for calendar personal');
+  });
+
+  test('lists open periods with buffers around busy times', () => {
+    const periods = findOpenPeriods(at('2025-07-14T00:00:00-07:00'), at('2025-07-15T00:00:00-07:00'), 30, context({
+      bufferBeforeMinutes: 15,
+      bufferAfterMinutes: 15
+    }));
+
+    expect(periods.map(period => [period.start.toISOString(), period.end.toISOString()])).toEqual([
+      ['2025-07-14T16:00:00.000Z', '2025-07-14T16:45:00.000Z'],
+      ['2025-07-14T17:45:00.000Z', '2025-07-14T19:00:00.000Z']
+    ]);
+  });
+});
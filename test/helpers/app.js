@@ -0,0 +1,20 @@
+const express = require('express');
+const { getTenant, createTenantRouter } = require('../../utils/tenants');
+
+/**
+ * Builds an app with a single tenant's webhook router mounted the way app.js does
+ * @param {string} slug - Tenant slug from config/tenants
+ * @returns {Object} - Express app for supertest
+ */
+function createTenantApp(slug) {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use(`/clients/${slug}/webhook`, createTenantRouter(getTenant(slug)));
+  return app;
+}
+
+module.exports = { createTenantApp };
@@ -0,0 +1,27 @@
+// Bookings are checked against the current time (minimum notice, booking
+// horizon), so suites that book fixed 2025 dates run on a pinned clock.
+// Only Date is faked; timers keep running so request batching still works.
+const TEST_NOW = '2025-07-15T16:00:00Z'; // Tuesday morning in Davis
+
+const REAL_TIMERS = [
+  'hrtime',
+  'nextTick',
+  'performance',
+  'queueMicrotask',
+  'setImmediate',
+  'clearImmediate',
+  'setInterval',
+  'clearInterval',
+  'setTimeout',
+  'clearTimeout'
+];
+
+function pinClock(now = TEST_NOW) {
+  jest.useFakeTimers({ now: new Date(now), doNotFake: REAL_TIMERS });
+}
+
+function unpinClock() {
+  jest.useRealTimers();
+}
+
+module.exports = { TEST_NOW, pinClock, unpinClock };
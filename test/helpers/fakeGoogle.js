@@ -0,0 +1,277 @@
+// In-memory stand-in for the googleapis calendar client. Events live per
+// calendarId and errors mirror the 404s the real API throws for unknown events.
+// Every write is numbered so events.list can answer incremental syncs
+// (syncToken) with the events changed since, deletions included.
+const { EventEmitter } = require('events');
+
+function notFound(eventId) {
+  const error = new Error(`Not Found: ${eventId}`);
+  error.code = 404;
+  return error;
+}
+
+// What the API throws when a sync token is too old to continue from
+function syncTokenGone() {
+  const error = new Error('Sync token is no longer valid, a full sync is required.');
+  error.code = 410;
+  return error;
+}
+
+const eventStart = (event) => Date.parse(event.start.dateTime || event.start.date);
+const eventEnd = (event) => Date.parse(event.end.dateTime || event.end.date);
+
+class FakeCalendar {
+  constructor() {
+    this.reset();
+
+    this.events = {
+      insert: async ({ calendarId, resource }) => this.insert(calendarId, resource),
+      get: async ({ calendarId, eventId }) => ({ data: { ...this.find(calendarId, eventId) } }),
+      update: async ({ calendarId, eventId, resource }) => {
+        this.find(calendarId, eventId);
+        return this.store(calendarId, { ...resource, id: eventId });
+      },
+      patch: async ({ calendarId, eventId, resource }) => {
+        const existing = this.find(calendarId, eventId);
+        return this.store(calendarId, { ...existing, ...resource, id: eventId });
+      },
+      delete: async ({ calendarId, eventId }) => {
+        const event = this.find(calendarId, eventId);
+        this.calendars[calendarId].delete(eventId);
+        // Incremental syncs report deletions as cancelled events
+        this.tombstones.push({ calendarId, sequence: ++this.sequence, event: { id: event.id, status: 'cancelled' } });
+        return { data: '' };
+      },
+      list: async ({ calendarId, timeMin, timeMax, syncToken }) => {
+        if (syncToken) {
+          return { data: { items: this.changesSince(calendarId, syncToken), nextSyncToken: this.syncToken() } };
+        }
+        const min = timeMin ? Date.parse(timeMin) : -Infinity;
+        const max = timeMax ? Date.parse(timeMax) : Infinity;
+        const items = this.list(calendarId)
+          .filter(event => eventEnd(event) > min && eventStart(event) < max)
+          .sort((a, b) => eventStart(a) - eventStart(b));
+        return { data: { items, nextSyncToken: this.syncToken() } };
+      },
+      watch: async ({ calendarId, requestBody }) => {
+        const channel = {
+          ...requestBody,
+          calendarId,
+          resourceId: `resource-${calendarId}`,
+          expiration: String(Date.now() + 7 * 24 * 60 * 60 * 1000)
+        };
+        this.watches.set(channel.id, channel);
+        return { data: { kind: 'api#channel', id: channel.id, resourceId: channel.resourceId, expiration: channel.expiration } };
+      }
+    };
+
+    this.channels = {
+      stop: async ({ requestBody: { id } }) => {
+        if (!this.watches.has(id)) {
+          throw notFound(id);
+        }
+        this.watches.delete(id);
+        return { data: '' };
+      }
+    };
+
+    this.calendarList = {
+      list: async () => ({ data: { items: this.calendarListItems } })
+    };
+
+    // Like Google, free/busy skips transparent and cancelled events and reports unreadable calendars per item
+    this.freebusy = {
+      query: async ({ requestBody: { timeMin, timeMax, items } }) => {
+        const min = Date.parse(timeMin);
+        const max = Date.parse(timeMax);
+        const calendars = Object.fromEntries(items.map(({ id }) => {
+          if (this.hidden.has(id)) {
+            return [id, { busy: [], errors: [{ domain: 'global', reason: 'notFound' }] }];
+          }
+          const busy = this.list(id)
+            .filter(event => event.transparency !== 'transparent' && event.status !== 'cancelled')
+            .filter(event => eventEnd(event) > min && eventStart(event) < max)
+            .sort((a, b) => eventStart(a) - eventStart(b))
+            .map(event => ({ start: new Date(eventStart(event)).toISOString(), end: new Date(eventEnd(event)).toISOString() }));
+          return [id, { busy }];
+        }));
+        return { data: { timeMin, timeMax, calendars } };
+      }
+    };
+  }
+
+  reset() {
+    this.calendars = {};
+    this.changedAt = new Map();
+    this.nextId = 1;
+    this.calendarListItems = [{ id: 'primary', summary: 'Primary', primary: true }];
+    this.hidden = new Set();
+    this.lastAuth = null;
+    // Change tracking for sync tokens: every write takes the next sequence number
+    this.sequence = 0;
+    this.oldestSyncToken = 0;
+    this.tombstones = [];
+    this.watches = new Map();
+  }
+
+  syncToken() {
+    return `sync-${this.sequence}`;
+  }
+
+  changesSince(calendarId, syncToken) {
+    const since = Number(String(syncToken).replace('sync-', ''));
+    if (!(since >= this.oldestSyncToken)) {
+      throw syncTokenGone();
+    }
+    const changed = this.list(calendarId).filter(event => this.changedAt.get(`${calendarId}/${event.id}`) > since);
+    const deleted = this.tombstones
+      .filter(tombstone => tombstone.calendarId === calendarId && tombstone.sequence > since)
+      .map(tombstone => tombstone.event);
+    return [...changed, ...deleted];
+  }
+
+  // Invalidates every sync token issued so far, as Google does after a while
+  expireSyncTokens() {
+    this.oldestSyncToken = this.sequence + 1;
+  }
+
+  // Channels opened with events.watch, as Google would notify them
+  watchesFor(calendarId) {
+    return [...this.watches.values()].filter(channel => channel.calendarId === calendarId);
+  }
+
+  // Makes a calendar unreadable, as when its owner stops sharing it
+  hide(calendarId) {
+    this.hidden.add(calendarId);
+  }
+
+  list(calendarId = 'primary') {
+    return [...(this.calendars[calendarId] || new Map()).values()];
+  }
+
+  find(calendarId, eventId) {
+    const event = this.calendars[calendarId] && this.calendars[calendarId].get(eventId);
+    if (!event) {
+      throw notFound(eventId);
+    }
+    return event;
+  }
+
+  store(calendarId, event) {
+    if (!this.calendars[calendarId]) {
+      this.calendars[calendarId] = new Map();
+    }
+    const stored = { ...event, htmlLink: `https://calendar.test/event?eid=${event.id}` };
+    this.calendars[calendarId].set(event.id, stored);
+    this.changedAt.set(`${calendarId}/${event.id}`, ++this.sequence);
+    return { data: { ...stored } };
+  }
+
+  insert(calendarId, resource) {
+    return this.store(calendarId, { ...resource, id: `event-${this.nextId++}`, status: resource.status || 'confirmed' });
+  }
+
+  /**
+   * Adds an existing event, as if it had been created outside our app
+   * @param {Object} event - Event resource with start/end
+   * @param {string} calendarId - Calendar to add it to
+   * @returns {Object} - The stored event
+   */
+  seed(event, calendarId = 'primary') {
+    return this.insert(calendarId, event).data;
+  }
+}
+
+const calendar = new FakeCalendar();
+
+// Google's side of the OAuth flow: authorization codes it has issued and refresh tokens users revoked
+class FakeOAuthServer {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.codes = new Map();
+    this.revoked = new Set();
+    this.nextCode = 1;
+  }
+
+  /**
+   * Issues an authorization code, as if a user had just approved the consent screen
+   * @param {Object} profile - { email, name, verified_email }
+   * @param {Object} tokens - Tokens the code exchanges for, e.g. { refresh_token }
+   * @returns {string} - Code to pass to the callback
+   */
+  issueCode(profile, tokens = {}) {
+    const code = `code-${this.nextCode++}`;
+    this.codes.set(code, { profile: { verified_email: true, ...profile }, tokens: { access_token: `access-${code}`, ...tokens } });
+    return code;
+  }
+
+  revoke(refreshToken) {
+    this.revoked.add(refreshToken);
+  }
+}
+
+const oauth = new FakeOAuthServer();
+
+function invalidGrant() {
+  const error = new Error('invalid_grant');
+  error.response = { status: 400, data: { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' } };
+  return error;
+}
+
+class FakeOAuth2 extends EventEmitter {
+  constructor(clientId, clientSecret, redirectUri) {
+    super();
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.redirectUri = redirectUri;
+    this.credentials = {};
+  }
+
+  setCredentials(credentials) {
+    this.credentials = credentials;
+  }
+
+  generateAuthUrl(options) {
+    const params = new URLSearchParams({ ...options, scope: [].concat(options.scope).join(' ') });
+    return `https://accounts.google.test/o/oauth2/auth?${params}`;
+  }
+
+  async getToken(code) {
+    const grant = oauth.codes.get(code);
+    if (!grant) {
+      throw invalidGrant();
+    }
+    oauth.codes.delete(code);
+    this.profile = grant.profile;
+    return { tokens: grant.tokens };
+  }
+
+  async getAccessToken() {
+    if (!this.credentials.refresh_token || oauth.revoked.has(this.credentials.refresh_token)) {
+      throw invalidGrant();
+    }
+    return { token: `access-for-${this.credentials.refresh_token}` };
+  }
+}
+
+module.exports = {
+  FakeCalendar,
+  calendar,
+  oauth,
+  // Replacement for googleapis: jest.mock('googleapis', () => require('.../fakeGoogle').mockModule)
+  mockModule: {
+    google: {
+      auth: { OAuth2: FakeOAuth2 },
+      calendar: ({ auth } = {}) => {
+        calendar.lastAuth = auth;
+        return calendar;
+      },
+      oauth2: ({ auth }) => ({
+        userinfo: { get: async () => ({ data: auth.profile }) }
+      })
+    }
+  }
+};
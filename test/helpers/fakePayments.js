@@ -0,0 +1,49 @@
+// Payment provider that records checkouts and refunds instead of calling Stripe.
+// Install it with setPaymentProvider (utils/payments).
+
+/**
+ * Creates a recording provider. Like Stripe, a repeated idempotency key
+ * returns the first result instead of creating another checkout or refund.
+ * @returns {Object} - Provider with createCheckout(), refund(), checkouts, refunds, failNext() and reset()
+ */
+function createFakePaymentProvider() {
+  const checkouts = [];
+  const refunds = [];
+  let failure = null;
+
+  const takeFailure = () => {
+    const error = failure;
+    failure = null;
+    if (error) throw error;
+  };
+
+  return {
+    checkouts,
+    refunds,
+    async createCheckout(options) {
+      takeFailure();
+      const existing = checkouts.find(checkout => checkout.idempotencyKey === options.idempotencyKey);
+      const checkout = existing || { id: `cs_test_${checkouts.length + 1}`, ...options };
+      if (!existing) checkouts.push(checkout);
+      return { id: checkout.id, url: `https://pay.test/${checkout.id}` };
+    },
+    async refund(options) {
+      takeFailure();
+      const existing = refunds.find(refund => refund.idempotencyKey === options.idempotencyKey);
+      const refund = existing || { id: `re_test_${refunds.length + 1}`, ...options };
+      if (!existing) refunds.push(refund);
+      return { id: refund.id, status: 'succeeded' };
+    },
+    // Makes the next call throw, like an API error
+    failNext(error = new Error('Simulated payment provider error')) {
+      failure = error;
+    },
+    reset() {
+      checkouts.length = 0;
+      refunds.length = 0;
+      failure = null;
+    }
+  };
+}
+
+module.exports = { createFakePaymentProvider };
@@ -0,0 +1,41 @@
+// Outbound message sender that records messages instead of calling Twilio or
+// the Graph API. Install it with setSmsSender (utils/sms) or setMetaSender (utils/meta).
+
+/**
+ * Creates a recording sender
+ * @returns {Object} - Sender with send(), sent, waitFor(count) and reset()
+ */
+function createFakeSender() {
+  const sent = [];
+  let waiters = [];
+
+  const notify = () => {
+    waiters = waiters.filter(({ count, resolve }) => {
+      if (sent.length < count) return true;
+      resolve(sent);
+      return false;
+    });
+  };
+
+  return {
+    sent,
+    async send(message) {
+      sent.push(message);
+      notify();
+      return { sid: `SM${sent.length}`, messageId: `m_${sent.length}`, status: 'queued' };
+    },
+    // Resolves once at least count messages have been sent
+    waitFor(count = 1) {
+      return new Promise(resolve => {
+        waiters.push({ count, resolve });
+        notify();
+      });
+    },
+    reset() {
+      sent.length = 0;
+      waiters = [];
+    }
+  };
+}
+
+module.exports = { createFakeSender };
@@ -0,0 +1,318 @@
+// In-memory stand-in for the parts of the Supabase query builder our code uses.
+// Every client created through the mocked module shares one database so tests
+// can seed rows and inspect what the routes wrote.
+const crypto = require('crypto');
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T/;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Unique indexes from the README's SQL that code relies on. As in Postgres,
+// rows with a null in any indexed column never conflict.
+const UNIQUE_INDEXES = {
+  jobs: [['tenant', 'type', 'dedupe_key']]
+};
+
+// PostgREST serializes payloads as JSON, so undefined fields are dropped and Dates become strings
+const toRow = (values) => clone(values);
+
+function readColumn(row, column) {
+  // Supports JSON paths such as 'metadata->is_temp'
+  return column.split(/->>?/).reduce((value, key) => (value == null ? undefined : value[key]), row);
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && TIMESTAMP_PATTERN.test(value)) {
+    const time = Date.parse(value);
+    if (!isNaN(time)) return time;
+  }
+  return value;
+}
+
+function likeToRegExp(pattern, flags) {
+  // As in Postgres, a backslash makes the next character literal
+  const source = String(pattern).replace(/\\(.)|(%)|(_)|([.*+?^${}()|[\]\\])/g, (match, escaped, percent, underscore, special) => {
+    if (escaped !== undefined) return escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (percent) return '.*';
+    if (underscore) return '.';
+    return `\\${special}`;
+  });
+  return new RegExp(`^${source}$`, flags);
+}
+
+const OPERATORS = {
+  eq: (actual, expected) => comparable(actual) === comparable(expected),
+  neq: (actual, expected) => comparable(actual) !== comparable(expected),
+  gt: (actual, expected) => actual != null && comparable(actual) > comparable(expected),
+  gte: (actual, expected) => actual != null && comparable(actual) >= comparable(expected),
+  lt: (actual, expected) => actual != null && comparable(actual) < comparable(expected),
+  lte: (actual, expected) => actual != null && comparable(actual) <= comparable(expected),
+  in: (actual, expected) => expected.map(comparable).includes(comparable(actual)),
+  is: (actual, expected) => (expected === null ? actual == null : actual === expected),
+  like: (actual, expected) => actual != null && likeToRegExp(expected).test(actual),
+  ilike: (actual, expected) => actual != null && likeToRegExp(expected, 'i').test(actual)
+};
+
+class FakeQueryBuilder {
+  constructor(database, table) {
+    this.database = database;
+    this.table = table;
+    this.action = 'select';
+    this.payload = null;
+    this.filters = [];
+    this.orders = [];
+    this.maxRows = null;
+    this.returning = false;
+    this.singleMode = null;
+    this.conflictColumn = 'id';
+    this.countMode = null;
+    this.headOnly = false;
+  }
+
+  // Column lists and joins are ignored; .insert(...).select() returns the written rows.
+  // { count: 'exact', head: true } returns only the number of matching rows.
+  select(columns, { count = null, head = false } = {}) {
+    this.returning = true;
+    this.countMode = count;
+    this.headOnly = head;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.action = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    // PostgREST takes a comma-separated list for composite unique constraints
+    this.conflictColumns = (options.onConflict || 'id').split(',').map(column => column.trim());
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(column, operator, value) {
+    if (!OPERATORS[operator]) {
+      throw new Error(`Fake Supabase does not support operator: ${operator}`);
+    }
+    this.filters.push(row => OPERATORS[operator](readColumn(row, column), value));
+    return this;
+  }
+
+  not(column, operator, value) {
+    this.filters.push(row => !OPERATORS[operator](readColumn(row, column), value));
+    return this;
+  }
+
+  match(values) {
+    Object.entries(values).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.maxRows = count;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
+
+  matches(row) {
+    return this.filters.every(test => test(row));
+  }
+
+  execute() {
+    const injected = this.database.takeError(this.table, this.action);
+    if (injected) {
+      return { data: null, error: injected };
+    }
+
+    const rows = this.database.rows(this.table);
+    let result;
+
+    switch (this.action) {
+      case 'insert': {
+        const conflict = this.payload.some(values => this.database.findUniqueConflict(this.table, toRow(values)));
+        if (conflict) {
+          return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${this.table}` } };
+        }
+        result = this.payload.map(values => this.database.insertRow(this.table, values));
+        break;
+      }
+      case 'upsert':
+        result = this.payload.map(values => {
+          const existing = rows.find(row => this.conflictColumns.every(column => row[column] === values[column]));
+          return existing ? Object.assign(existing, toRow(values)) : this.database.insertRow(this.table, values);
+        });
+        break;
+      case 'update':
+        result = rows.filter(row => this.matches(row)).map(row => Object.assign(row, toRow(this.payload)));
+        break;
+      case 'delete':
+        result = rows.filter(row => this.matches(row));
+        this.database.tables[this.table] = rows.filter(row => !result.includes(row));
+        break;
+      default:
+        result = rows.filter(row => this.matches(row));
+    }
+
+    if (this.orders.length > 0) {
+      result = [...result].sort((a, b) => {
+        for (const { column, ascending } of this.orders) {
+          const left = comparable(readColumn(a, column));
+          const right = comparable(readColumn(b, column));
+          if (left === right) continue;
+          if (left == null) return 1;
+          if (right == null) return -1;
+          return (left < right ? -1 : 1) * (ascending ? 1 : -1);
+        }
+        return 0;
+      });
+    }
+
+    const count = this.countMode ? result.length : null;
+    if (this.headOnly) {
+      return { data: null, count, error: null };
+    }
+
+    if (this.maxRows !== null) {
+      result = result.slice(0, this.maxRows);
+    }
+
+    // Mutations only return rows when .select() was chained
+    let data = this.action === 'select' || this.returning ? clone(result) : null;
+
+    if (this.singleMode) {
+      const rowsReturned = data || [];
+      if (rowsReturned.length === 1 || (this.singleMode === 'maybeSingle' && rowsReturned.length === 0)) {
+        data = rowsReturned[0] || null;
+      } else {
+        return {
+          data: null,
+          error: {
+            code: 'PGRST116',
+            message: 'JSON object requested, multiple (or no) rows returned'
+          }
+        };
+      }
+    }
+
+    return this.countMode ? { data, count, error: null } : { data, error: null };
+  }
+}
+
+['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is', 'like', 'ilike'].forEach(operator => {
+  FakeQueryBuilder.prototype[operator] = function (column, value) {
+    return this.filter(column, operator, value);
+  };
+});
+
+class FakeDatabase {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.tables = {};
+    this.errors = [];
+    this.lastCreatedAt = 0;
+  }
+
+  // Strictly increasing, like Postgres' microsecond timestamps, so ordering by created_at is stable
+  nextCreatedAt() {
+    this.lastCreatedAt = Math.max(Date.now(), this.lastCreatedAt + 1);
+    return new Date(this.lastCreatedAt).toISOString();
+  }
+
+  rows(table) {
+    if (!this.tables[table]) {
+      this.tables[table] = [];
+    }
+    return this.tables[table];
+  }
+
+  insertRow(table, values) {
+    const row = {
+      id: crypto.randomUUID(),
+      created_at: this.nextCreatedAt(),
+      ...toRow(values)
+    };
+    this.rows(table).push(row);
+    return row;
+  }
+
+  // Whether a new row would collide with a stored one under UNIQUE_INDEXES
+  findUniqueConflict(table, values) {
+    return (UNIQUE_INDEXES[table] || []).some(columns => columns.every(column => values[column] != null)
+      && this.rows(table).some(row => columns.every(column => row[column] === values[column])));
+  }
+
+  /**
+   * Adds rows to a table, filling in id and created_at when missing
+   * @param {string} table - Table name
+   * @param {Array|Object} rows - Row or rows to insert
+   * @returns {Array} - The stored rows
+   */
+  seed(table, rows) {
+    return (Array.isArray(rows) ? rows : [rows]).map(values => this.insertRow(table, values));
+  }
+
+  // Makes the next matching query fail with a PostgREST-style error
+  failNext(table, action, error = { code: 'XX000', message: 'Simulated database error' }) {
+    this.errors.push({ table, action, error });
+  }
+
+  takeError(table, action) {
+    const index = this.errors.findIndex(entry => entry.table === table && entry.action === action);
+    if (index === -1) {
+      return null;
+    }
+    return this.errors.splice(index, 1)[0].error;
+  }
+
+  from(table) {
+    return new FakeQueryBuilder(this, table);
+  }
+}
+
+const database = new FakeDatabase();
+
+module.exports = {
+  FakeDatabase,
+  database,
+  // Replacement for @supabase/supabase-js: jest.mock('@supabase/supabase-js', () => require('.../fakeSupabase').mockModule)
+  mockModule: {
+    createClient: () => database
+  }
+};
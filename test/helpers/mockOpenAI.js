@@ -0,0 +1,56 @@
+// Local stand-in for the OpenAI chat completions API. Tests queue the assistant
+// messages the "model" should return and inspect the requests it received.
+const express = require('express');
+
+/**
+ * Starts the mock server on a random port
+ * @returns {Promise<Object>} - { baseURL, requests, reply(message), close() }
+ */
+function startMockOpenAI() {
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  const queue = [];
+  const requests = [];
+
+  app.post('/chat/completions', (req, res) => {
+    requests.push(req.body);
+    const message = queue.shift();
+    if (!message) {
+      return res.status(500).json({ error: { message: 'No mock completion queued' } });
+    }
+
+    return res.json({
+      id: `chatcmpl-${requests.length}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: req.body.model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: null, ...message },
+        finish_reason: message.tool_calls ? 'tool_calls' : 'stop'
+      }]
+    });
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseURL: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        reply: (message) => queue.push(message),
+        // Queues an assistant turn that calls one tool
+        callTool: (name, args, id = `call_${queue.length + 1}`) => queue.push({
+          tool_calls: [{ id, type: 'function', function: { name, arguments: JSON.stringify(args) } }]
+        }),
+        reset: () => {
+          queue.length = 0;
+          requests.length = 0;
+        },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startMockOpenAI };
@@ -0,0 +1,235 @@
+jest.mock('@supabase/supabase-js', () => require('./helpers/fakeSupabase').mockModule);
+
+const express = require('express');
+const request = require('supertest');
+const { database } = require('./helpers/fakeSupabase');
+const { getTenant } = require('../utils/tenants');
+const { enqueueJob, getRetryDelay, createJobRunner } = require('../utils/jobs');
+const { getScheduledJobs } = require('../utils/scheduledJobs');
+const { createJobsRouter } = require('../routes/jobs');
+
+const MINUTE = 60 * 1000;
+const NOW = new Date('2025-07-15T16:00:00Z');
+const later = (minutes) => new Date(NOW.getTime() + minutes * MINUTE);
+
+describe('background jobs', () => {
+  const barbershop = getTenant('barbershop');
+
+  beforeEach(() => {
+    database.reset();
+  });
+
+  test('runs due jobs once and leaves later ones queued', async () => {
+    const handled = [];
+    const runner = createJobRunner(barbershop, {
+      greet: { handler: async (payload, { tenant }) => {
+        handled.push(`${tenant.slug}:${payload.name}`);
+        return { ok: true };
+      } }
+    });
+    await enqueueJob(barbershop, 'greet', { name: 'now' }, { runAt: NOW });
+    await enqueueJob(barbershop, 'greet', { name: 'later' }, { runAt: later(10) });
+
+    expect(await runner.runDue(NOW)).toEqual({ completed: 1, failed: 0, dead: 0 });
+    expect(await runner.runDue(NOW)).toEqual({ completed: 0, failed: 0, dead: 0 });
+    await runner.runDue(later(10));
+
+    expect(handled).toEqual(['barbershop:now', 'barbershop:later']);
+    expect(database.rows('jobs')[0]).toMatchObject({ status: 'completed', attempts: 1, result: { ok: true }, locked_by: null });
+  });
+
+  test('retries with backoff and dead-letters after the last attempt', async () => {
+    const handler = jest.fn().mockRejectedValue(new Error('Calendar unavailable'));
+    const runner = createJobRunner(barbershop, { sync: { handler, backoffMs: MINUTE } });
+    await enqueueJob(barbershop, 'sync', {}, { runAt: NOW, maxAttempts: 3 });
+    const [job] = database.rows('jobs');
+
+    expect(await runner.runDue(NOW)).toEqual({ completed: 0, failed: 1, dead: 0 });
+    expect(job).toMatchObject({ status: 'pending', attempts: 1, run_at: later(1).toISOString(), last_error: 'Calendar unavailable' });
+
+    await runner.runDue(later(1));
+    expect(job.run_at).toBe(later(3).toISOString());
+
+    expect(await runner.runDue(later(3))).toEqual({ completed: 0, failed: 0, dead: 1 });
+    expect(job).toMatchObject({ status: 'dead', attempts: 3 });
+    expect(await runner.runDue(later(60))).toEqual({ completed: 0, failed: 0, dead: 0 });
+    expect(handler).toHaveBeenCalledTimes(3);
+  });
+
+  test('caps the retry delay at an hour', () => {
+    expect(getRetryDelay(1)).toBe(30 * 1000);
+    expect(getRetryDelay(2)).toBe(60 * 1000);
+    expect(getRetryDelay(20)).toBe(60 * MINUTE);
+  });
+
+  test('dead-letters jobs with no handler', async () => {
+    const runner = createJobRunner(barbershop, {});
+    await enqueueJob(barbershop, 'unknown', {}, { runAt: NOW });
+
+    expect(await runner.runDue(NOW)).toEqual({ completed: 0, failed: 0, dead: 1 });
+    expect(database.rows('jobs')[0].last_error).toBe('No handler for job type unknown');
+  });
+
+  test('a job claimed by one worker is not run by another', async () => {
+    let release;
+    const handler = jest.fn(() => new Promise(resolve => {
+      release = resolve;
+    }));
+    const first = createJobRunner(barbershop, { slow: { handler } }, { workerId: 'a' });
+    const second = createJobRunner(barbershop, { slow: { handler } }, { workerId: 'b' });
+    await enqueueJob(barbershop, 'slow', {}, { runAt: NOW });
+
+    const running = first.runDue(NOW);
+    await new Promise(resolve => setImmediate(resolve));
+    await new Promise(resolve => setImmediate(resolve));
+    expect(await second.runDue(NOW)).toEqual({ completed: 0, failed: 0, dead: 0 });
+    release();
+    expect(await running).toEqual({ completed: 1, failed: 0, dead: 0 });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('picks up jobs left running by a worker that died', async () => {
+    database.seed('jobs', {
+      tenant: 'barbershop',
+      type: 'greet',
+      payload: {},
+      status: 'running',
+      attempts: 1,
+      max_attempts: 5,
+      run_at: NOW.toISOString(),
+      locked_at: NOW.toISOString(),
+      locked_by: 'gone'
+    });
+    const runner = createJobRunner(barbershop, { greet: { handler: async () => null } }, { lockTimeoutMs: 10 * MINUTE });
+
+    expect((await runner.runDue(later(5))).completed).toBe(0);
+    expect((await runner.runDue(later(11))).completed).toBe(1);
+    expect(database.rows('jobs')[0].attempts).toBe(2);
+  });
+
+  test('only runs its own tenant\'s jobs', async () => {
+    const runner = createJobRunner(barbershop, { greet: { handler: async () => null } });
+    await enqueueJob(getTenant('justin'), 'greet', {}, { runAt: NOW });
+
+    expect(await runner.runDue(NOW)).toEqual({ completed: 0, failed: 0, dead: 0 });
+  });
+
+  describe('recurring jobs', () => {
+    test('keeps one run queued and schedules the next when it finishes', async () => {
+      const handler = jest.fn().mockResolvedValue(null);
+      const runner = createJobRunner(barbershop, { tick: { handler, everyMs: 5 * MINUTE } });
+
+      await runner.scheduleRecurring(NOW);
+      await runner.scheduleRecurring(NOW);
+      expect(database.rows('jobs')).toHaveLength(1);
+
+      await runner.runDue(NOW);
+      await runner.runDue(later(4));
+      await runner.runDue(later(5));
+
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(database.rows('jobs').map(job => [job.status, job.run_at])).toEqual([
+        ['completed', NOW.toISOString()],
+        ['completed', later(5).toISOString()],
+        ['pending', later(10).toISOString()]
+      ]);
+    });
+
+    test('queues one run when instances schedule at the same time', async () => {
+      const definitions = { tick: { handler: jest.fn(), everyMs: 5 * MINUTE } };
+      const runners = [createJobRunner(barbershop, definitions), createJobRunner(barbershop, definitions)];
+
+      await Promise.all(runners.map(runner => runner.scheduleRecurring(NOW)));
+
+      expect(database.rows('jobs')).toEqual([expect.objectContaining({ type: 'tick', dedupe_key: 'recurring' })]);
+    });
+
+    test('carries on after a run is dead-lettered', async () => {
+      const runner = createJobRunner(barbershop, { tick: { handler: jest.fn().mockRejectedValue(new Error('down')), everyMs: 5 * MINUTE, maxAttempts: 1 } });
+      await runner.scheduleRecurring(NOW);
+
+      await runner.runDue(NOW);
+
+      expect(database.rows('jobs').map(job => job.status)).toEqual(['dead', 'pending']);
+    });
+
+    test('requeues the next run on the following tick when its enqueue fails', async () => {
+      const handler = jest.fn().mockResolvedValue(null);
+      const runner = createJobRunner(barbershop, { tick: { handler, everyMs: 5 * MINUTE } });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        await runner.scheduleRecurring(NOW);
+        database.failNext('jobs', 'insert');
+        await runner.runDue(NOW);
+        expect(database.rows('jobs').map(job => job.status)).toEqual(['completed']);
+
+        await runner.tick(later(1));
+        await runner.tick(later(1));
+        await runner.tick(later(6));
+      } finally {
+        console.error.mockRestore();
+      }
+
+      expect(handler).toHaveBeenCalledTimes(3);
+      expect(database.rows('jobs').map(job => [job.status, job.run_at])).toEqual([
+        ['completed', NOW.toISOString()],
+        ['completed', later(1).toISOString()],
+        ['completed', later(6).toISOString()],
+        ['pending', later(11).toISOString()]
+      ]);
+    });
+
+    test('schedules reminders for tenants with the feature and reconciliation only when configured', () => {
+      expect(Object.keys(getScheduledJobs(barbershop))).toEqual(['send-reminders', 'renew-calendar-channels']);
+
+      process.env.RECONCILE_INTERVAL_MINUTES = '30';
+      try {
+        expect(getScheduledJobs(barbershop)['reconcile-calendars'].everyMs).toBe(30 * MINUTE);
+      } finally {
+        delete process.env.RECONCILE_INTERVAL_MINUTES;
+      }
+    });
+  });
+
+  describe('status endpoint', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/clients/barbershop/jobs', createJobsRouter(barbershop));
+
+    test('lists queued and dead jobs and retries a dead one', async () => {
+      const runner = createJobRunner(barbershop, { sync: { handler: jest.fn().mockRejectedValue(new Error('down')) } });
+      await enqueueJob(barbershop, 'sync', {}, { runAt: NOW, maxAttempts: 1 });
+      await enqueueJob(barbershop, 'sync', {}, { runAt: later(30) });
+      await runner.runDue(NOW);
+      const [dead] = database.rows('jobs');
+
+      const res = await request(app).get('/clients/barbershop/jobs').expect(200);
+
+      expect(res.body.counts).toEqual({ pending: 1, running: 0, dead: 1 });
+      expect(res.body.dead).toEqual([expect.objectContaining({ id: dead.id, last_error: 'down' })]);
+      expect(res.body.upcoming).toHaveLength(1);
+
+      await request(app).post(`/clients/barbershop/jobs/${dead.id}/retry`).expect(200);
+      expect(dead).toMatchObject({ status: 'pending', attempts: 0 });
+      await request(app).post(`/clients/barbershop/jobs/${dead.id}/retry`).expect(404);
+    });
+
+    test('lists at most the requested number of jobs but counts them all', async () => {
+      await Promise.all([0, 10, 20].map(minutes => enqueueJob(barbershop, 'sync', {}, { runAt: later(minutes) })));
+
+      const res = await request(app).get('/clients/barbershop/jobs').query({ limit: 2 }).expect(200);
+
+      expect(res.body.counts).toEqual({ pending: 3, running: 0, dead: 0 });
+      expect(res.body.upcoming.map(job => job.run_at)).toEqual([NOW.toISOString(), later(10).toISOString()]);
+    });
+
+    test('reports a queue it cannot read', async () => {
+      database.failNext('jobs', 'select');
+
+      const res = await request(app).get('/clients/barbershop/jobs').expect(500);
+
+      expect(res.body).toEqual({ success: false, error: 'Failed to load jobs' });
+    });
+  });
+});
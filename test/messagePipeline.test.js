@@ -0,0 +1,116 @@
+const { createMessagePipeline } = require('../utils/messagePipeline');
+
+// Lets queued promise callbacks run while timers are faked
+const flushMicrotasks = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+describe('message pipeline', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('hands a burst to the handler once the sender goes quiet', async () => {
+    const handler = jest.fn(async (key, messages) => messages.join(' '));
+    const pipeline = createMessagePipeline({ handler, quietMs: 1000 });
+
+    const first = pipeline.enqueue('+15305550123', 'hey');
+    jest.advanceTimersByTime(900);
+    const second = pipeline.enqueue('+15305550123', 'friday at 3?');
+
+    // The earlier caller is released as soon as the follow-up arrives
+    await expect(first).resolves.toEqual({ isFinal: false });
+    expect(pipeline.pending('+15305550123')).toBe(2);
+
+    // The window restarts with each message
+    jest.advanceTimersByTime(900);
+    expect(handler).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(100);
+    await expect(second).resolves.toEqual({
+      isFinal: true,
+      messages: ['hey', 'friday at 3?'],
+      result: 'hey friday at 3?'
+    });
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith('+15305550123', ['hey', 'friday at 3?']);
+  });
+
+  test('keeps sessions apart', async () => {
+    const handler = jest.fn(async (key, messages) => messages);
+    const pipeline = createMessagePipeline({ handler, quietMs: 1000 });
+
+    const a = pipeline.enqueue('a', 'one');
+    const b = pipeline.enqueue('b', 'two');
+    jest.advanceTimersByTime(1000);
+
+    await expect(a).resolves.toMatchObject({ isFinal: true, result: ['one'] });
+    await expect(b).resolves.toMatchObject({ isFinal: true, result: ['two'] });
+  });
+
+  test('stops waiting after maxWaitMs even if messages keep coming', async () => {
+    const handler = jest.fn(async (key, messages) => messages.length);
+    const pipeline = createMessagePipeline({ handler, quietMs: 1000, maxWaitMs: 2500 });
+
+    pipeline.enqueue('a', 1);
+    jest.advanceTimersByTime(900);
+    pipeline.enqueue('a', 2);
+    jest.advanceTimersByTime(900);
+    const last = pipeline.enqueue('a', 3);
+    jest.advanceTimersByTime(700);
+
+    await expect(last).resolves.toMatchObject({ isFinal: true, result: 3 });
+  });
+
+  test('runs one turn per session at a time, in order', async () => {
+    const order = [];
+    let finishFirst;
+    const handler = jest.fn((key, messages) => {
+      order.push(`start ${messages[0]}`);
+      if (messages[0] === 'first') {
+        return new Promise(resolve => {
+          finishFirst = () => {
+            order.push('end first');
+            resolve();
+          };
+        });
+      }
+      order.push(`end ${messages[0]}`);
+      return Promise.resolve();
+    });
+    const pipeline = createMessagePipeline({ handler, quietMs: 10 });
+
+    pipeline.enqueue('a', 'first');
+    jest.advanceTimersByTime(10);
+    const second = pipeline.enqueue('a', 'second');
+    jest.advanceTimersByTime(10);
+    await flushMicrotasks();
+    expect(order).toEqual(['start first']);
+
+    finishFirst();
+    await second;
+    expect(order).toEqual(['start first', 'end first', 'start second', 'end second']);
+  });
+
+  test('rejects the final caller when the handler fails', async () => {
+    const pipeline = createMessagePipeline({
+      handler: async () => {
+        throw new Error('agent unavailable');
+      },
+      quietMs: 10
+    });
+
+    const result = pipeline.enqueue('a', 'hi');
+    pipeline.flush('a');
+
+    await expect(result).rejects.toThrow('agent unavailable');
+    // A failed turn does not block the next one
+    const next = pipeline.enqueue('a', 'again');
+    jest.advanceTimersByTime(10);
+    await expect(next).rejects.toThrow('agent unavailable');
+  });
+});
@@ -0,0 +1,279 @@
+jest.mock('@supabase/supabase-js', () => require('../helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('../helpers/fakeGoogle').mockModule);
+
+const path = require('path');
+const express = require('express');
+const session = require('express-session');
+const request = require('supertest');
+const { database } = require('../helpers/fakeSupabase');
+const { calendar, oauth } = require('../helpers/fakeGoogle');
+const { decryptToken } = require('../../utils/tokenVault');
+const { createReconnectToken } = require('../../utils/tokenHealth');
+
+describe('provider sign-in', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.use(session({ secret: 'test-secret', resave: false, saveUninitialized: false }));
+    app.set('view engine', 'ejs');
+    app.set('views', path.join(__dirname, '../../views'));
+    app.use('/', require('../../routes/auth'));
+    app.use('/dashboard', require('../../routes/dashboard'));
+  });
+
+  beforeEach(() => {
+    database.reset();
+    calendar.reset();
+    oauth.reset();
+  });
+
+  // Follows /auth/google/login to Google and returns the auth URL's query
+  async function startLogin(agent) {
+    const res = await agent.get('/auth/google/login').expect(302);
+    return new URL(res.headers.location).searchParams;
+  }
+
+  async function signIn(agent, profile, tokens) {
+    const params = await startLogin(agent);
+    return agent.get('/auth/google/callback').query({ code: oauth.issueCode(profile, tokens), state: params.get('state') });
+  }
+
+  test('signs in a registered barber by Google email without asking for consent again', async () => {
+    database.seed('barbers', {
+      name: 'Marcus',
+      email: 'marcus@shop.test',
+      google_email: 'marcus@gmail.test',
+      refresh_token: 'marcus-refresh-token'
+    });
+    const agent = request.agent(app);
+
+    const params = await startLogin(agent);
+    expect(params.get('prompt')).toBe('select_account');
+    expect(params.get('access_type')).toBe('offline');
+
+    const res = await agent
+      .get('/auth/google/callback')
+      .query({ code: oauth.issueCode({ email: 'marcus@gmail.test', name: 'Marcus G' }), state: params.get('state') });
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('/dashboard');
+    expect(database.rows('barbers')[0].refresh_token).toBe('marcus-refresh-token');
+
+    const dashboard = await agent.get('/dashboard');
+    expect(dashboard.status).toBe(200);
+    expect(dashboard.text).toContain('Marcus');
+  });
+
+  test('matches the connected Google account regardless of case', async () => {
+    database.seed('barbers', { name: 'Marcus', google_email: 'Marcus@Gmail.test', refresh_token: 'marcus-refresh-token' });
+    const agent = request.agent(app);
+
+    const res = await signIn(agent, { email: 'marcus@gmail.test' });
+
+    expect(res.headers.location).toBe('/dashboard');
+  });
+
+  test('does not sign in by the unverified registration email', async () => {
+    database.seed('makeup_artists', { name: 'Ava', email: 'ava@gmail.test', refresh_token: 'ava-refresh-token' });
+    const agent = request.agent(app);
+
+    const res = await signIn(agent, { email: 'ava@gmail.test' });
+
+    expect(res.status).toBe(403);
+    expect(database.rows('makeup_artists')[0].google_email).toBeUndefined();
+  });
+
+  test('treats LIKE wildcards in the address literally', async () => {
+    database.seed('barbers', { name: 'Marcus', google_email: 'marcus@gmail.test', refresh_token: 'marcus-refresh-token' });
+    const agent = request.agent(app);
+
+    const res = await signIn(agent, { email: 'marcu_@gmail.test' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('asks for consent again when the stored refresh token was revoked', async () => {
+    database.seed('barbers', { name: 'Marcus', google_email: 'marcus@gmail.test', refresh_token: 'old-token' });
+    oauth.revoke('old-token');
+    const agent = request.agent(app);
+
+    const first = await signIn(agent, { email: 'marcus@gmail.test' });
+    const consent = new URL(first.headers.location).searchParams;
+    expect(consent.get('prompt')).toBe('consent');
+    expect(consent.get('login_hint')).toBe('marcus@gmail.test');
+
+    const res = await agent
+      .get('/auth/google/callback')
+      .query({
+        code: oauth.issueCode({ email: 'marcus@gmail.test' }, { refresh_token: 'new-token' }),
+        state: consent.get('state')
+      });
+
+    expect(res.headers.location).toBe('/dashboard');
+    expect(decryptToken(database.rows('barbers')[0].refresh_token)).toBe('new-token');
+  });
+
+  test('asks for consent when no refresh token was ever stored', async () => {
+    database.seed('barbers', { name: 'Marcus', google_email: 'marcus@gmail.test' });
+    const agent = request.agent(app);
+
+    const res = await signIn(agent, { email: 'marcus@gmail.test' });
+
+    expect(new URL(res.headers.location).searchParams.get('prompt')).toBe('consent');
+    expect((await agent.get('/dashboard')).headers.location).toBe('/login');
+  });
+
+  test('turns away Google accounts without a provider account', async () => {
+    const agent = request.agent(app);
+
+    const res = await signIn(agent, { email: 'stranger@gmail.test' });
+
+    expect(res.status).toBe(403);
+    expect(res.text).toContain('No provider account is connected to stranger@gmail.test');
+    expect((await agent.get('/dashboard')).headers.location).toBe('/login');
+  });
+
+  test('rejects callbacks whose state does not match the sign-in that started them', async () => {
+    database.seed('barbers', { name: 'Marcus', google_email: 'marcus@gmail.test', refresh_token: 'marcus-refresh-token' });
+    const agent = request.agent(app);
+    await startLogin(agent);
+
+    const res = await agent
+      .get('/auth/google/callback')
+      .query({ code: oauth.issueCode({ email: 'marcus@gmail.test' }), state: 'forged' });
+
+    expect(res.status).toBe(400);
+    expect((await agent.get('/dashboard')).headers.location).toBe('/login');
+  });
+
+  test('returns to the page that required sign-in and signs out', async () => {
+    database.seed('barbers', { name: 'Marcus', google_email: 'marcus@gmail.test', refresh_token: 'marcus-refresh-token' });
+    const agent = request.agent(app);
+
+    await agent.get('/dashboard?view=all').expect(302);
+    const res = await signIn(agent, { email: 'marcus@gmail.test' });
+    expect(res.headers.location).toBe('/dashboard?view=all');
+
+    await agent.post('/logout').expect(302);
+    expect((await agent.get('/dashboard')).headers.location).toBe('/login');
+  });
+
+  describe('reconnect links', () => {
+    async function followReconnect(agent, token) {
+      const res = await agent.get('/auth/google').query({ reconnect: token }).expect(302);
+      return new URL(res.headers.location).searchParams;
+    }
+
+    test('replaces a revoked token without signing the holder in', async () => {
+      const [barber] = database.seed('barbers', {
+        name: 'Marcus',
+        email: 'marcus@shop.test',
+        google_email: 'marcus@gmail.test',
+        refresh_token: 'old-token',
+        needs_reauth: true
+      });
+      const agent = request.agent(app);
+
+      const params = await followReconnect(agent, createReconnectToken('barbers', barber.id));
+      expect(params.get('prompt')).toBe('consent');
+      expect(params.get('login_hint')).toBe('marcus@gmail.test');
+
+      const res = await agent
+        .get('/auth/google/callback')
+        .query({ code: oauth.issueCode({ email: 'Marcus@gmail.test' }, { refresh_token: 'new-token' }), state: params.get('state') });
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('Google Calendar reconnected. Sign in to see your bookings.');
+      const [stored] = database.rows('barbers');
+      expect(decryptToken(stored.refresh_token)).toBe('new-token');
+      expect(stored.needs_reauth).toBe(false);
+      expect(stored.token_last_success_at).toBeTruthy();
+
+      expect((await agent.get('/dashboard')).headers.location).toBe('/login');
+    });
+
+    test('returns a signed-in provider to the dashboard', async () => {
+      const [barber] = database.seed('barbers', {
+        name: 'Marcus',
+        google_email: 'marcus@gmail.test',
+        refresh_token: 'marcus-refresh-token'
+      });
+      const agent = request.agent(app);
+      await signIn(agent, { email: 'marcus@gmail.test' });
+      database.rows('barbers')[0].needs_reauth = true;
+
+      const params = await followReconnect(agent, createReconnectToken('barbers', barber.id));
+      const res = await agent
+        .get('/auth/google/callback')
+        .query({ code: oauth.issueCode({ email: 'marcus@gmail.test' }, { refresh_token: 'new-token' }), state: params.get('state') });
+
+      expect(res.headers.location).toBe('/dashboard');
+      const dashboard = await agent.get('/dashboard');
+      expect(dashboard.text).toContain('Google Calendar reconnected.');
+      expect(dashboard.text).not.toContain('data-reconnect');
+    });
+
+    test('checks the registration email when no Google account was stored', async () => {
+      const [artist] = database.seed('makeup_artists', { name: 'Ava', email: 'ava@gmail.test', needs_reauth: true });
+      const reconnectAs = async (email) => {
+        const agent = request.agent(app);
+        const params = await followReconnect(agent, createReconnectToken('makeup_artists', artist.id));
+        return agent
+          .get('/auth/google/callback')
+          .query({ code: oauth.issueCode({ email }, { refresh_token: `${email}-token` }), state: params.get('state') });
+      };
+
+      expect((await reconnectAs('mallory@gmail.test')).status).toBe(403);
+      expect(database.rows('makeup_artists')[0].refresh_token).toBeUndefined();
+
+      expect((await reconnectAs('Ava@gmail.test')).status).toBe(200);
+      expect(database.rows('makeup_artists')[0].google_email).toBe('Ava@gmail.test');
+    });
+
+    test('refuses a different Google account than the one registered', async () => {
+      const [barber] = database.seed('barbers', {
+        name: 'Marcus',
+        google_email: 'marcus@gmail.test',
+        refresh_token: 'old-token',
+        needs_reauth: true
+      });
+      const agent = request.agent(app);
+
+      const params = await followReconnect(agent, createReconnectToken('barbers', barber.id));
+      const res = await agent
+        .get('/auth/google/callback')
+        .query({ code: oauth.issueCode({ email: 'leo@gmail.test' }, { refresh_token: 'leo-token' }), state: params.get('state') });
+
+      expect(res.status).toBe(403);
+      expect(res.text).toContain('marcus@gmail.test');
+      expect(database.rows('barbers')[0].refresh_token).toBe('old-token');
+    });
+
+    test('rejects forged and expired links', async () => {
+      const [barber] = database.seed('barbers', { name: 'Marcus', google_email: 'marcus@gmail.test' });
+      const token = createReconnectToken('barbers', barber.id);
+      const expired = createReconnectToken('barbers', barber.id, Date.now() - 8 * 24 * 60 * 60 * 1000);
+
+      await request(app).get('/auth/google').query({ reconnect: `${token}x` }).expect(400);
+      await request(app).get('/auth/google').query({ reconnect: expired }).expect(400);
+    });
+
+    test('issues and accepts no links without a signing secret', async () => {
+      const [barber] = database.seed('barbers', { name: 'Marcus', google_email: 'marcus@gmail.test' });
+      const token = createReconnectToken('barbers', barber.id);
+      const secret = process.env.RECONNECT_LINK_SECRET;
+      delete process.env.RECONNECT_LINK_SECRET;
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        expect(createReconnectToken('barbers', barber.id)).toBeNull();
+        await request(app).get('/auth/google').query({ reconnect: token }).expect(400);
+      } finally {
+        process.env.RECONNECT_LINK_SECRET = secret;
+        console.error.mockRestore();
+      }
+    });
+  });
+});
@@ -0,0 +1,432 @@
+jest.mock('@supabase/supabase-js', () => require('../helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('../helpers/fakeGoogle').mockModule);
+
+const request = require('supertest');
+const { database } = require('../helpers/fakeSupabase');
+const { calendar } = require('../helpers/fakeGoogle');
+const { createTenantApp } = require('../helpers/app');
+const { pinClock, unpinClock } = require('../helpers/clock');
+const { getTenant } = require('../../utils/tenants');
+const { createJobRunner } = require('../../utils/jobs');
+const { getScheduledJobs } = require('../../utils/scheduledJobs');
+const { MAX_TIME_WINDOW_MS, CONVERSATION_TURN_JOB } = require('../../utils/messagePipeline');
+
+const BASE = '/clients/barbershop/webhook';
+
+describe('barbershop booking routes', () => {
+  let app;
+  let barber;
+
+  beforeAll(() => {
+    app = createTenantApp('barbershop');
+  });
+
+  beforeEach(() => {
+    pinClock();
+    database.reset();
+    calendar.reset();
+    [barber] = database.seed('barbers', {
+      name: 'Marcus',
+      phone_number: '+15305550100',
+      refresh_token: 'marcus-refresh-token',
+      selected_calendar_id: 'marcus-calendar'
+    });
+  });
+
+  afterEach(() => {
+    unpinClock();
+  });
+
+  describe('POST /client-appointment', () => {
+    test('creates the event in Pacific Time and stores the appointment in UTC', async () => {
+      const res = await request(app)
+        .post(`${BASE}/client-appointment`)
+        .send({
+          clientPhone: '+15305550123',
+          clientName: 'Dana',
+          serviceType: 'Haircut',
+          startDateTime: '2025-07-18T15:00:00',
+          duration: 45,
+          preferredBarberId: barber.id
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, action: 'create' });
+
+      const [event] = calendar.list('marcus-calendar');
+      expect(event.id).toBe(res.body.eventId);
+      expect(event.summary).toBe('Haircut: Dana');
+      expect(event.start).toEqual({ dateTime: '2025-07-18T22:00:00.000Z', timeZone: 'America/Los_Angeles' });
+      expect(event.end.dateTime).toBe('2025-07-18T22:45:00.000Z');
+      expect(calendar.lastAuth.credentials).toEqual({ refresh_token: 'marcus-refresh-token' });
+
+      const [appointment] = database.rows('appointments');
+      expect(appointment).toMatchObject({
+        client_phone: '+15305550123',
+        barber_id: barber.id,
+        start_time: '2025-07-18T22:00:00.000Z',
+        end_time: '2025-07-18T22:45:00.000Z',
+        google_calendar_event_id: event.id
+      });
+      expect(database.rows('clients')[0]).toMatchObject({ name: 'Dana', preferred_barber_id: barber.id });
+    });
+
+    test('returns 404 when the barber has not connected a calendar', async () => {
+      const [unconnected] = database.seed('barbers', { name: 'Lee', phone_number: '+15305550101' });
+
+      const res = await request(app)
+        .post(`${BASE}/client-appointment`)
+        .send({ clientPhone: '+15305550123', startDateTime: '2025-07-18T15:00:00', preferredBarberId: unconnected.id });
+
+      expect(res.status).toBe(404);
+    });
+
+    test('reschedules the event and the stored appointment', async () => {
+      const event = calendar.seed({
+        summary: 'Haircut: Dana',
+        start: { dateTime: '2025-07-18T22:00:00.000Z' },
+        end: { dateTime: '2025-07-18T22:30:00.000Z' }
+      }, 'marcus-calendar');
+      database.seed('clients', { name: 'Dana', phone_number: '+15305550123', preferred_barber_id: barber.id });
+      database.seed('appointments', {
+        client_phone: '+15305550123',
+        barber_id: barber.id,
+        start_time: '2025-07-18T22:00:00.000Z',
+        end_time: '2025-07-18T22:30:00.000Z',
+        google_calendar_event_id: event.id
+      });
+
+      const res = await request(app)
+        .post(`${BASE}/client-appointment`)
+        .send({
+          clientPhone: '+15305550123',
+          clientName: 'Dana',
+          isRescheduling: 'true',
+          eventId: event.id,
+          newStartDateTime: '2025-07-19T10:30:00',
+          duration: '30'
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, action: 'reschedule', eventId: event.id });
+      expect(calendar.list('marcus-calendar')[0].start.dateTime).toBe('2025-07-19T17:30:00.000Z');
+      expect(database.rows('appointments')[0]).toMatchObject({
+        start_time: '2025-07-19T17:30:00.000Z',
+        end_time: '2025-07-19T18:00:00.000Z'
+      });
+    });
+
+    test('cancels the event and removes the stored appointment', async () => {
+      const event = calendar.seed({
+        summary: 'Haircut: Dana',
+        start: { dateTime: '2025-07-18T22:00:00.000Z' },
+        end: { dateTime: '2025-07-18T22:30:00.000Z' }
+      }, 'marcus-calendar');
+      database.seed('appointments', { client_phone: '+15305550123', google_calendar_event_id: event.id });
+
+      const res = await request(app)
+        .post(`${BASE}/client-appointment`)
+        .send({ clientPhone: '+15305550123', isCancelling: true, eventId: event.id, preferredBarberId: barber.id });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, action: 'cancel' });
+      expect(calendar.list('marcus-calendar')).toHaveLength(0);
+      expect(database.rows('appointments')).toHaveLength(0);
+    });
+
+    test('refuses to change another client\'s appointment', async () => {
+      const event = calendar.seed({
+        summary: 'Haircut: Sam',
+        start: { dateTime: '2025-07-18T22:00:00.000Z' },
+        end: { dateTime: '2025-07-18T22:30:00.000Z' }
+      }, 'marcus-calendar');
+      database.seed('appointments', { client_phone: '+15305550999', barber_id: barber.id, google_calendar_event_id: event.id });
+
+      const cancel = await request(app)
+        .post(`${BASE}/client-appointment`)
+        .send({ clientPhone: '+15305550123', isCancelling: true, eventId: event.id });
+      const reschedule = await request(app)
+        .post(`${BASE}/client-appointment`)
+        .send({ clientPhone: '+15305550123', isRescheduling: true, eventId: event.id, newStartDateTime: '2025-07-19T10:30:00' });
+
+      expect([cancel.status, reschedule.status]).toEqual([404, 404]);
+      expect(calendar.list('marcus-calendar')[0].start.dateTime).toBe('2025-07-18T22:00:00.000Z');
+      expect(database.rows('appointments')).toHaveLength(1);
+    });
+  });
+
+  describe('POST /check-availability', () => {
+    beforeEach(() => {
+      calendar.seed({
+        summary: 'Fade: Sam',
+        start: { dateTime: '2025-07-18T15:00:00-07:00' },
+        end: { dateTime: '2025-07-18T16:00:00-07:00' }
+      }, 'marcus-calendar');
+    });
+
+    test('reports a conflict with an existing event', async () => {
+      const res = await request(app)
+        .post(`${BASE}/check-availability`)
+        .send({ barberId: barber.id, startDateTime: '2025-07-18T15:30:00', serviceDuration: 30 });
+
+      expect(res.body).toMatchObject({ success: true, isAvailable: false });
+      expect(res.body.conflictingEvents).toHaveLength(1);
+    });
+
+    test('reports a free slot as available', async () => {
+      const res = await request(app)
+        .post(`${BASE}/check-availability`)
+        .send({ barberId: barber.id, startDateTime: '2025-07-18T16:00:00', serviceDuration: 30 });
+
+      expect(res.body).toMatchObject({ success: true, isAvailable: true });
+      expect(res.body.requestedTimeSlot.start).toBe('2025-07-18T23:00:00.000Z');
+    });
+  });
+
+  describe('POST /find-available-slots', () => {
+    test('skips slots taken by existing events', async () => {
+      calendar.seed({
+        summary: 'Fade: Sam',
+        start: { dateTime: '2025-07-18T15:30:00-07:00' },
+        end: { dateTime: '2025-07-18T16:00:00-07:00' }
+      }, 'marcus-calendar');
+
+      const res = await request(app)
+        .post(`${BASE}/find-available-slots`)
+        .send({ barberId: barber.id, currentTimestamp: '2025-07-18T15:00:00', numSlots: 2 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.slots).toEqual([
+        { start: '2025-07-18T22:00:00.000Z', end: '2025-07-18T22:30:00.000Z' },
+        { start: '2025-07-18T23:00:00.000Z', end: '2025-07-18T23:30:00.000Z' }
+      ]);
+    });
+  });
+
+  describe('multiple barbers', () => {
+    let leo;
+    let kai;
+
+    beforeEach(() => {
+      // Marcus from the outer setup lists no specialties, so he takes any service
+      [leo, kai] = database.seed('barbers', [
+        { name: 'Leo', specialties: ['fade', 'beard'], refresh_token: 'leo-refresh-token', selected_calendar_id: 'leo-calendar' },
+        { name: 'Kai', specialties: 'color, perm', refresh_token: 'kai-refresh-token', selected_calendar_id: 'kai-calendar' }
+      ]);
+    });
+
+    const busy = (calendarId, start, end) => calendar.seed({
+      summary: 'Busy',
+      start: { dateTime: start },
+      end: { dateTime: end }
+    }, calendarId);
+
+    test('books the specialist for the service when the client has no preference', async () => {
+      const res = await request(app)
+        .post(`${BASE}/client-appointment`)
+        .send({ clientPhone: '+15305550123', serviceType: 'Skin fade', startDateTime: '2025-07-18T15:00:00' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, barberId: leo.id, barberName: 'Leo' });
+      expect(calendar.list('leo-calendar')).toHaveLength(1);
+      expect(database.rows('appointments')[0].barber_id).toBe(leo.id);
+    });
+
+    test('falls back to the next free barber who offers the service', async () => {
+      busy('leo-calendar', '2025-07-18T15:00:00-07:00', '2025-07-18T16:00:00-07:00');
+
+      const res = await request(app)
+        .post(`${BASE}/client-appointment`)
+        .send({ clientPhone: '+15305550123', serviceType: 'Fade', startDateTime: '2025-07-18T15:00:00' });
+
+      expect(res.body).toMatchObject({ success: true, barberId: barber.id });
+      expect(calendar.list('marcus-calendar')).toHaveLength(1);
+      expect(calendar.list('kai-calendar')).toHaveLength(0);
+    });
+
+    test('offers the earliest alternatives when every matching barber is busy', async () => {
+      busy('leo-calendar', '2025-07-18T15:00:00-07:00', '2025-07-18T16:00:00-07:00');
+      busy('marcus-calendar', '2025-07-18T15:00:00-07:00', '2025-07-18T15:30:00-07:00');
+
+      const res = await request(app)
+        .post(`${BASE}/client-appointment`)
+        .send({ clientPhone: '+15305550123', serviceType: 'Fade', startDateTime: '2025-07-18T15:00:00', duration: 30 });
+
+      expect(res.status).toBe(409);
+      expect(res.body.alternatives[0]).toEqual({
+        start: '2025-07-18T22:30:00.000Z',
+        end: '2025-07-18T23:00:00.000Z',
+        barberId: barber.id,
+        barberName: 'Marcus'
+      });
+      expect(database.rows('appointments')).toHaveLength(0);
+    });
+
+    test('books any barber instead of the preferred one when asked', async () => {
+      database.seed('clients', { name: 'Dana', phone_number: '+15305550123', preferred_barber_id: kai.id });
+      busy('kai-calendar', '2025-07-18T15:00:00-07:00', '2025-07-18T16:00:00-07:00');
+
+      const res = await request(app)
+        .post(`${BASE}/client-appointment`)
+        .send({ clientPhone: '+15305550123', serviceType: 'Color', startDateTime: '2025-07-18T15:00:00', anyBarber: 'true' });
+
+      expect(res.body).toMatchObject({ success: true, barberId: barber.id });
+    });
+
+    test('cancels on the calendar of the barber holding the appointment', async () => {
+      const event = busy('leo-calendar', '2025-07-18T15:00:00-07:00', '2025-07-18T15:30:00-07:00');
+      database.seed('clients', { name: 'Dana', phone_number: '+15305550123', preferred_barber_id: kai.id });
+      database.seed('appointments', { client_phone: '+15305550123', barber_id: leo.id, google_calendar_event_id: event.id });
+
+      const res = await request(app)
+        .post(`${BASE}/client-appointment`)
+        .send({ clientPhone: '+15305550123', isCancelling: true, eventId: event.id });
+
+      expect(res.body).toMatchObject({ success: true, action: 'cancel' });
+      expect(calendar.list('leo-calendar')).toHaveLength(0);
+    });
+
+    test('finds the earliest slots across barbers who offer the service', async () => {
+      busy('leo-calendar', '2025-07-18T15:00:00-07:00', '2025-07-18T15:30:00-07:00');
+      busy('marcus-calendar', '2025-07-18T15:00:00-07:00', '2025-07-18T16:00:00-07:00');
+
+      const res = await request(app)
+        .post(`${BASE}/find-available-slots`)
+        .send({ serviceType: 'beard', currentTimestamp: '2025-07-18T15:00:00', numSlots: 3 });
+
+      expect(res.body.slots.map(slot => [slot.start, slot.barberName])).toEqual([
+        ['2025-07-18T22:30:00.000Z', 'Leo'],
+        ['2025-07-18T23:00:00.000Z', 'Leo'],
+        ['2025-07-18T23:00:00.000Z', 'Marcus']
+      ]);
+    });
+
+    test('reports which barbers are free at a time', async () => {
+      busy('leo-calendar', '2025-07-18T15:00:00-07:00', '2025-07-18T16:00:00-07:00');
+
+      const res = await request(app)
+        .post(`${BASE}/check-availability`)
+        .send({ startDateTime: '2025-07-18T15:00:00' });
+
+      expect(res.body).toMatchObject({ success: true, isAvailable: true });
+      expect(res.body.availableBarbers.map(available => available.name)).toEqual(['Kai', 'Marcus']);
+    });
+
+    test('never offers a barber bound to another tenant', async () => {
+      database.seed('barbers', { id: 'justin-barber', name: 'Justin', refresh_token: 'justin-refresh-token', selected_calendar_id: 'justin-calendar' });
+      busy('marcus-calendar', '2025-07-18T15:00:00-07:00', '2025-07-18T16:00:00-07:00');
+      busy('kai-calendar', '2025-07-18T15:00:00-07:00', '2025-07-18T16:00:00-07:00');
+
+      const booking = await request(app)
+        .post(`${BASE}/client-appointment`)
+        .send({ clientPhone: '+15305550123', serviceType: 'Color', startDateTime: '2025-07-18T15:00:00', duration: 30 });
+      const list = await request(app).get(`${BASE}/barbers`).expect(200);
+
+      expect(booking.status).toBe(409);
+      expect(booking.body.alternatives.map(slot => slot.barberName)).not.toContain('Justin');
+      expect(calendar.list('justin-calendar')).toEqual([]);
+      expect(list.body.barbers.map(listed => listed.name)).toEqual(expect.not.arrayContaining(['Justin']));
+      expect(list.body.barbers).toHaveLength(3);
+    });
+
+    test('lists barbers who offer a service', async () => {
+      const res = await request(app).get(`${BASE}/barbers`).query({ serviceType: 'perm' });
+
+      expect(res.body.barbers).toEqual([
+        { id: kai.id, name: 'Kai', specialties: ['color', 'perm'], bookable: true },
+        { id: barber.id, name: 'Marcus', specialties: [], bookable: true }
+      ]);
+    });
+  });
+
+  describe('POST /conversation/process-message', () => {
+    const tenant = getTenant('barbershop');
+    let orchestrator;
+    let turns;
+    let failing;
+
+    const send = (content, timeWindowMs = 200) => request(app)
+      .post(`${BASE}/conversation/process-message`)
+      .send({ phoneNumber: '+15305550123', content, timeWindowMs, metadata: { channel: 'sms' } });
+
+    // Resolves once the orchestrator has accepted count turns
+    const delivered = async (count = 1) => {
+      while (turns.length < count) await new Promise(resolve => setTimeout(resolve, 20));
+      return turns;
+    };
+
+    beforeAll(async () => {
+      const receiver = require('express')().use(require('express').json());
+      receiver.post('/turns', (req, res) => {
+        if (failing) return res.status(503).end();
+        turns.push(req.body);
+        return res.status(200).end();
+      });
+      await new Promise(resolve => {
+        orchestrator = receiver.listen(0, '127.0.0.1', resolve);
+      });
+      tenant.conversations.callbackUrl = `http://127.0.0.1:${orchestrator.address().port}/turns`;
+    });
+
+    afterAll(async () => {
+      delete tenant.conversations.callbackUrl;
+      await new Promise(resolve => orchestrator.close(resolve));
+    });
+
+    beforeEach(() => {
+      turns = [];
+      failing = false;
+    });
+
+    test('acknowledges each message at once and delivers the burst when the client goes quiet', async () => {
+      const first = await send('hey');
+      const second = await send('can I get a cut friday?');
+
+      expect([first.status, second.status]).toEqual([202, 202]);
+      expect(first.body).toMatchObject({ success: true, queued: true, content: 'hey' });
+      expect(turns).toEqual([]);
+
+      const [turn] = await delivered();
+      expect(turn).toMatchObject({
+        sessionId: first.body.sessionId,
+        phoneNumber: '+15305550123',
+        content: 'hey can I get a cut friday?',
+        messageCount: 2,
+        messageIds: [first.body.messageId, second.body.messageId]
+      });
+      expect(database.rows('conversation_messages').map(message => message.metadata)).toEqual([
+        { channel: 'sms', processed: true },
+        { channel: 'sms', processed: true }
+      ]);
+    });
+
+    test('caps the quiet period a caller asks for', async () => {
+      jest.useFakeTimers({ now: Date.now(), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+      await send('hello', 24 * 60 * 60 * 1000).expect(202);
+
+      jest.advanceTimersByTime(MAX_TIME_WINDOW_MS);
+      jest.useRealTimers();
+
+      expect(await delivered()).toEqual([expect.objectContaining({ content: 'hello' })]);
+    });
+
+    test('retries from the jobs table when the orchestrator is down', async () => {
+      failing = true;
+      await send('hello', 0);
+
+      while (database.rows('jobs').length === 0) await new Promise(resolve => setTimeout(resolve, 20));
+      const [job] = database.rows('jobs');
+      expect(job).toMatchObject({ type: CONVERSATION_TURN_JOB, status: 'pending', payload: { content: 'hello', messageCount: 1 } });
+
+      failing = false;
+      const runner = createJobRunner(tenant, getScheduledJobs(tenant));
+      expect(await runner.runDue(new Date(Date.now() + 60 * 60 * 1000))).toEqual({ completed: 1, failed: 0, dead: 0 });
+      expect(turns).toEqual([expect.objectContaining({ content: 'hello' })]);
+    });
+  });
+
+  test('conversation routes are available because the feature is enabled', async () => {
+    const res = await request(app).get(`${BASE}/conversation/history`);
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,238 @@
+jest.mock('@supabase/supabase-js', () => require('../helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('../helpers/fakeGoogle').mockModule);
+
+const express = require('express');
+const request = require('supertest');
+const { database } = require('../helpers/fakeSupabase');
+const { calendar } = require('../helpers/fakeGoogle');
+const { getTenant } = require('../../utils/tenants');
+const { normalizeAuth } = require('../../utils/webhookAuth');
+const { encryptToken } = require('../../utils/tokenVault');
+const { renewExpiringChannels } = require('../../utils/calendarSync');
+const { getScheduledJobs } = require('../../utils/scheduledJobs');
+const { createCalendarSyncRouter } = require('../../routes/calendarSync');
+
+const BASE = '/clients/barbershop/calendar';
+
+describe('Google Calendar sync', () => {
+  const tenant = { ...getTenant('barbershop'), auth: normalizeAuth({ apiKeys: 'key' }) };
+  const app = express();
+  app.use(express.json());
+  app.use(BASE, createCalendarSyncRouter(tenant));
+
+  const watch = (body = {}) => request(app).post(`${BASE}/watch`).set('X-API-Key', 'key').send(body);
+
+  // What Google sends after a change on a watched calendar
+  const notify = (channel, state = 'exists') => request(app)
+    .post(`${BASE}/notifications`)
+    .set('X-Goog-Channel-ID', channel.id)
+    .set('X-Goog-Channel-Token', channel.token)
+    .set('X-Goog-Resource-ID', channel.resourceId)
+    .set('X-Goog-Resource-State', state);
+
+  const at = (dateTime) => ({ dateTime, timeZone: 'America/Los_Angeles' });
+  let marcus;
+
+  beforeAll(() => {
+    process.env.PUBLIC_BASE_URL = 'https://concierge.test';
+  });
+
+  afterAll(() => {
+    delete process.env.PUBLIC_BASE_URL;
+  });
+
+  beforeEach(() => {
+    database.reset();
+    calendar.reset();
+    [marcus] = database.seed('barbers', [
+      { name: 'Marcus', refresh_token: encryptToken('marcus-token'), selected_calendar_id: 'marcus-calendar' },
+      { name: 'Leo' }
+    ]);
+  });
+
+  test('watches each connected barber\'s booking calendar', async () => {
+    const res = await watch().expect(200);
+
+    expect(res.body.channels).toEqual([expect.objectContaining({ providerId: marcus.id, calendarId: 'marcus-calendar' })]);
+    const [channel] = calendar.watchesFor('marcus-calendar');
+    expect(channel).toMatchObject({
+      id: res.body.channels[0].channelId,
+      type: 'web_hook',
+      address: 'https://concierge.test/clients/barbershop/calendar/notifications'
+    });
+    expect(database.rows('calendar_channels')).toEqual([
+      expect.objectContaining({ provider_table: 'barbers', provider_id: marcus.id, token: channel.token, sync_token: 'sync-0' })
+    ]);
+  });
+
+  test('never watches a barber bound to another tenant', async () => {
+    database.seed('barbers', { id: 'justin-barber', name: 'Justin', refresh_token: encryptToken('justin-token') });
+
+    const res = await watch().expect(200);
+
+    expect(res.body.channels.map(channel => channel.providerId)).toEqual([marcus.id]);
+    await watch({ providerId: 'justin-barber' }).expect(404);
+    expect(calendar.watchesFor('primary')).toEqual([]);
+  });
+
+  test('replaces the previous channel when watching again', async () => {
+    await watch({ providerId: marcus.id }).expect(200);
+    const [first] = calendar.watchesFor('marcus-calendar');
+
+    await watch({ providerId: marcus.id }).expect(200);
+
+    const channels = calendar.watchesFor('marcus-calendar');
+    expect(channels).toHaveLength(1);
+    expect(channels[0].id).not.toBe(first.id);
+    expect(database.rows('calendar_channels')).toHaveLength(1);
+  });
+
+  describe('channel renewal', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    test('re-watches calendars whose channel expires within a day', async () => {
+      await watch().expect(200);
+      const [first] = calendar.watchesFor('marcus-calendar');
+
+      // Channels last a week, so nothing is due yet
+      expect(await renewExpiringChannels(tenant)).toEqual({ renewed: 0, failed: 0 });
+
+      const result = await renewExpiringChannels(tenant, new Date(Date.now() + 6.5 * DAY));
+
+      expect(result).toEqual({ renewed: 1, failed: 0 });
+      const channels = calendar.watchesFor('marcus-calendar');
+      expect(channels).toHaveLength(1);
+      expect(channels[0].id).not.toBe(first.id);
+      expect(database.rows('calendar_channels')).toEqual([expect.objectContaining({ channel_id: channels[0].id })]);
+    });
+
+    test('leaves channels of barbers bound to another tenant alone', async () => {
+      database.seed('barbers', { id: 'justin-barber', name: 'Justin', refresh_token: encryptToken('justin-token') });
+      database.seed('calendar_channels', {
+        provider_table: 'barbers',
+        provider_id: 'justin-barber',
+        calendar_id: 'primary',
+        channel_id: 'justin-channel',
+        token: 'justin-token',
+        expiration: new Date(Date.now() + DAY / 2).toISOString()
+      });
+
+      expect(await renewExpiringChannels(tenant)).toEqual({ renewed: 0, failed: 0 });
+      expect(await renewExpiringChannels(getTenant('justin'))).toEqual({ renewed: 1, failed: 0 });
+      expect(calendar.watchesFor('primary')).toEqual([
+        expect.objectContaining({ address: 'https://concierge.test/clients/justin/calendar/notifications' })
+      ]);
+    });
+
+    test('is scheduled for every tenant through the job runner', () => {
+      expect(getScheduledJobs(tenant)['renew-calendar-channels'].everyMs).toBe(60 * 60 * 1000);
+    });
+  });
+
+  test('needs the tenant API key to watch', async () => {
+    await request(app).post(`${BASE}/watch`).send({}).expect(401);
+    expect(calendar.watchesFor('marcus-calendar')).toEqual([]);
+  });
+
+  describe('notifications', () => {
+    let channel;
+    let booked;
+
+    beforeEach(async () => {
+      booked = calendar.seed({ summary: 'Fade - Dana', start: at('2025-07-17T18:00:00-07:00'), end: at('2025-07-17T18:30:00-07:00') }, 'marcus-calendar');
+      database.seed('appointments', {
+        barber_id: marcus.id,
+        client_phone: '+15305550123',
+        start_time: '2025-07-18T01:00:00.000Z',
+        end_time: '2025-07-18T01:30:00.000Z',
+        status: 'confirmed',
+        google_calendar_event_id: booked.id
+      });
+      await watch({ providerId: marcus.id }).expect(200);
+      [channel] = calendar.watchesFor('marcus-calendar');
+    });
+
+    test('moves an appointment whose event was moved in Google Calendar', async () => {
+      await calendar.events.patch({
+        calendarId: 'marcus-calendar',
+        eventId: booked.id,
+        resource: { start: at('2025-07-17T19:00:00-07:00'), end: at('2025-07-17T19:30:00-07:00') }
+      });
+
+      const res = await notify(channel).expect(200);
+
+      expect(res.body).toMatchObject({ updated: 1, cancelled: 0, flagged: 0 });
+      expect(database.rows('appointments')[0]).toMatchObject({
+        start_time: '2025-07-18T02:00:00.000Z',
+        end_time: '2025-07-18T02:30:00.000Z',
+        status: 'confirmed'
+      });
+    });
+
+    test('cancels an appointment whose event was deleted', async () => {
+      await calendar.events.delete({ calendarId: 'marcus-calendar', eventId: booked.id });
+
+      const res = await notify(channel).expect(200);
+
+      expect(res.body).toMatchObject({ cancelled: 1 });
+      expect(database.rows('appointments')[0].status).toBe('cancelled');
+    });
+
+    test('flags events with no appointment and clears the flag once they are gone', async () => {
+      const personal = calendar.seed({ summary: 'Dentist', start: at('2025-07-18T15:00:00-07:00'), end: at('2025-07-18T16:00:00-07:00') }, 'marcus-calendar');
+
+      expect((await notify(channel).expect(200)).body).toMatchObject({ updated: 0, flagged: 1 });
+      expect(database.rows('unlinked_calendar_events')).toEqual([
+        expect.objectContaining({ provider_id: marcus.id, calendar_id: 'marcus-calendar', event_id: personal.id, summary: 'Dentist' })
+      ]);
+
+      await calendar.events.delete({ calendarId: 'marcus-calendar', eventId: personal.id });
+      await notify(channel).expect(200);
+      expect(database.rows('unlinked_calendar_events')).toEqual([]);
+    });
+
+    test('only reads changes since the last sync', async () => {
+      await calendar.events.patch({ calendarId: 'marcus-calendar', eventId: booked.id, resource: { summary: 'Fade - Dana (running late)' } });
+      await notify(channel).expect(200);
+      await calendar.events.delete({ calendarId: 'marcus-calendar', eventId: booked.id });
+
+      const res = await notify(channel).expect(200);
+
+      expect(res.body).toMatchObject({ updated: 0, cancelled: 1, flagged: 0, fullSync: false });
+    });
+
+    test('lists the calendar in full when the sync token has expired', async () => {
+      calendar.seed({ summary: 'Lunch', start: at('2025-07-17T12:00:00-07:00'), end: at('2025-07-17T13:00:00-07:00') }, 'marcus-calendar');
+      await calendar.events.patch({
+        calendarId: 'marcus-calendar',
+        eventId: booked.id,
+        resource: { start: at('2025-07-17T20:00:00-07:00'), end: at('2025-07-17T20:30:00-07:00') }
+      });
+      calendar.expireSyncTokens();
+
+      const res = await notify(channel).expect(200);
+
+      // Without a change list every event shows up, so nothing is flagged
+      expect(res.body).toMatchObject({ updated: 1, flagged: 0, fullSync: true });
+      expect(database.rows('appointments')[0].start_time).toBe('2025-07-18T03:00:00.000Z');
+      expect(database.rows('calendar_channels')[0].sync_token).toBe(calendar.syncToken());
+    });
+
+    test('acknowledges the sync message without reading the calendar', async () => {
+      await calendar.events.delete({ calendarId: 'marcus-calendar', eventId: booked.id });
+
+      await notify(channel, 'sync').expect(200);
+
+      expect(database.rows('appointments')[0].status).toBe('confirmed');
+    });
+
+    test('rejects notifications with the wrong channel token', async () => {
+      await calendar.events.delete({ calendarId: 'marcus-calendar', eventId: booked.id });
+
+      await notify({ ...channel, token: 'forged' }).expect(403);
+      await notify({ ...channel, id: 'unknown-channel' }).expect(403);
+
+      expect(database.rows('appointments')[0].status).toBe('confirmed');
+    });
+  });
+});
@@ -0,0 +1,228 @@
+jest.mock('@supabase/supabase-js', () => require('../helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('../helpers/fakeGoogle').mockModule);
+
+const path = require('path');
+const express = require('express');
+const session = require('express-session');
+const request = require('supertest');
+const { database } = require('../helpers/fakeSupabase');
+const { calendar } = require('../helpers/fakeGoogle');
+const { createTenantApp } = require('../helpers/app');
+const { getTenant, createTenantRouter } = require('../../utils/tenants');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Appointments are bucketed against the real clock, so seed them relative to now
+function hoursFromNow(hours) {
+  const date = new Date(Date.now() + hours * 60 * 60 * 1000);
+  date.setUTCMinutes(0, 0, 0);
+  return date.toISOString();
+}
+
+describe('provider dashboard', () => {
+  let server;
+
+  beforeAll(async () => {
+    const app = createTenantApp('makeup-artist');
+    app.use('/clients/barbershop/webhook', createTenantRouter(getTenant('barbershop')));
+    app.use(express.urlencoded({ extended: true }));
+    app.use(session({ secret: 'test-secret', resave: false, saveUninitialized: false }));
+    app.set('view engine', 'ejs');
+    app.set('views', path.join(__dirname, '../../views'));
+
+    // Stands in for the Google OAuth callback, which sets the same session field
+    app.post('/test/login', express.json(), (req, res) => {
+      req.session.provider = req.body;
+      res.sendStatus(204);
+    });
+    app.use('/dashboard', require('../../routes/dashboard'));
+
+    // Actions call the tenant's webhooks over HTTP, so the app has to listen
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    process.env.AGENT_WEBHOOK_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    database.reset();
+    calendar.reset();
+  });
+
+  async function signIn(provider) {
+    const agent = request.agent(server);
+    await agent.post('/test/login').send(provider).expect(204);
+    return agent;
+  }
+
+  describe('makeup artist', () => {
+    let artist;
+
+    beforeEach(() => {
+      [artist] = database.seed('makeup_artists', {
+        name: 'Ava',
+        refresh_token: 'ava-refresh-token',
+        selected_calendar_id: 'ava-calendar'
+      });
+    });
+
+    test('lists pending, upcoming and past appointments', async () => {
+      database.seed('appointments', {
+        client_name: 'Pending Pat',
+        client_phone: '+13125550101',
+        start_time: hoursFromNow(48),
+        end_time: hoursFromNow(49),
+        status: 'pending_confirmation'
+      });
+      database.seed('appointments', {
+        client_name: 'Upcoming Uma',
+        client_phone: '+13125550102',
+        start_time: hoursFromNow(72),
+        end_time: hoursFromNow(73),
+        status: 'confirmed'
+      });
+      database.seed('appointments', {
+        client_name: 'Cancelled Cal',
+        client_phone: '+13125550103',
+        start_time: hoursFromNow(96),
+        end_time: hoursFromNow(97),
+        status: 'canceled'
+      });
+      database.seed('appointments', {
+        client_name: 'Past Paula',
+        client_phone: '+13125550104',
+        start_time: new Date(Date.now() - 3 * DAY).toISOString(),
+        end_time: new Date(Date.now() - 3 * DAY + 60 * 60 * 1000).toISOString(),
+        status: 'confirmed'
+      });
+
+      const agent = await signIn({ table: 'makeup_artists', id: artist.id, name: 'Ava' });
+      const res = await agent.get('/dashboard');
+
+      expect(res.status).toBe(200);
+      const [pending, upcoming, past] = res.text.split('<h4').slice(1);
+      expect(pending).toContain('Pending Pat');
+      expect(pending).toContain('/confirm');
+      expect(upcoming).toContain('Upcoming Uma');
+      expect(upcoming).not.toContain('Cancelled Cal');
+      expect(past).toContain('Past Paula');
+      expect(res.text).toContain('America/Chicago');
+    });
+
+    test('confirms a pending appointment through the booking handler', async () => {
+      database.seed('clients', { phone_number: '+13125550101', name: 'Pat', status: 'Lead' });
+      const [appointment] = database.seed('appointments', {
+        client_name: 'Pat',
+        client_phone: '+13125550101',
+        start_time: hoursFromNow(48),
+        end_time: hoursFromNow(49),
+        status: 'pending_confirmation'
+      });
+
+      const agent = await signIn({ table: 'makeup_artists', id: artist.id, name: 'Ava' });
+      const res = await agent.post(`/dashboard/appointments/${appointment.id}/confirm`);
+
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toBe('/dashboard');
+      expect(database.rows('appointments')[0].status).toBe('confirmed');
+      expect(calendar.list('ava-calendar')).toHaveLength(1);
+
+      const page = await agent.get('/dashboard');
+      expect(page.text).toContain('Appointment confirmed.');
+    });
+
+    test('reschedules an appointment to a wall-clock time in the tenant zone', async () => {
+      const start = hoursFromNow(48);
+      const end = hoursFromNow(50);
+      const event = calendar.seed({
+        summary: 'Bridal: Uma',
+        start: { dateTime: start },
+        end: { dateTime: end }
+      }, 'ava-calendar');
+      const [appointment] = database.seed('appointments', {
+        client_name: 'Uma',
+        client_phone: '+13125550102',
+        start_time: start,
+        end_time: end,
+        google_calendar_event_id: event.id,
+        status: 'confirmed'
+      });
+
+      const agent = await signIn({ table: 'makeup_artists', id: artist.id, name: 'Ava' });
+      await agent
+        .post(`/dashboard/appointments/${appointment.id}/reschedule`)
+        .type('form')
+        .send({ newStartDateTime: '2030-01-15T10:00' })
+        .expect(302);
+
+      // January in Chicago is CST (UTC-6); the two-hour length is kept
+      expect(database.rows('appointments')[0]).toMatchObject({
+        start_time: '2030-01-15T16:00:00.000Z',
+        end_time: '2030-01-15T18:00:00.000Z'
+      });
+    });
+  });
+
+  describe('barbershop', () => {
+    let marcus;
+    let leo;
+
+    beforeEach(() => {
+      [marcus, leo] = database.seed('barbers', [
+        { name: 'Marcus', refresh_token: 'marcus-refresh-token', selected_calendar_id: 'marcus-calendar' },
+        { name: 'Leo', refresh_token: 'leo-refresh-token', selected_calendar_id: 'leo-calendar' }
+      ]);
+    });
+
+    test('cancels one of the barber\'s own appointments', async () => {
+      const event = calendar.seed({
+        summary: 'Haircut: Dana',
+        start: { dateTime: hoursFromNow(24) },
+        end: { dateTime: hoursFromNow(25) }
+      }, 'marcus-calendar');
+      const [appointment] = database.seed('appointments', {
+        client_name: 'Dana',
+        client_phone: '+15305550123',
+        barber_id: marcus.id,
+        start_time: hoursFromNow(24),
+        end_time: hoursFromNow(25),
+        google_calendar_event_id: event.id
+      });
+
+      const agent = await signIn({ table: 'barbers', id: marcus.id, name: 'Marcus' });
+      await agent.post(`/dashboard/appointments/${appointment.id}/cancel`).expect(302);
+
+      expect(calendar.list('marcus-calendar')).toHaveLength(0);
+      expect(database.rows('appointments')).toHaveLength(0);
+    });
+
+    test('hides other barbers\' appointments and refuses to act on them', async () => {
+      const [appointment] = database.seed('appointments', {
+        client_name: 'Dana',
+        client_phone: '+15305550123',
+        barber_id: leo.id,
+        start_time: hoursFromNow(24),
+        end_time: hoursFromNow(25),
+        google_calendar_event_id: 'leo-event'
+      });
+
+      const agent = await signIn({ table: 'barbers', id: marcus.id, name: 'Marcus' });
+      expect((await agent.get('/dashboard')).text).not.toContain('Dana');
+
+      await agent.post(`/dashboard/appointments/${appointment.id}/cancel`).expect(302);
+      expect(database.rows('appointments')).toHaveLength(1);
+      expect((await agent.get('/dashboard')).text).toContain('Appointment not found.');
+    });
+  });
+
+  test('sends signed-out visitors to the sign-in page', async () => {
+    const res = await request(server).get('/dashboard');
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('/login');
+  });
+});
@@ -0,0 +1,306 @@
+jest.mock('@supabase/supabase-js', () => require('../helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('../helpers/fakeGoogle').mockModule);
+
+const request = require('supertest');
+const { database } = require('../helpers/fakeSupabase');
+const { calendar } = require('../helpers/fakeGoogle');
+const { createFakeSender } = require('../helpers/fakeSender');
+const { createTenantApp } = require('../helpers/app');
+const { pinClock, unpinClock } = require('../helpers/clock');
+const { getTenant } = require('../../utils/tenants');
+const { setSmsSender } = require('../../utils/sms');
+const { expireStaleHolds } = require('../../utils/holds');
+const { sendDueReminders } = require('../../utils/reminders');
+const { getScheduledJobs } = require('../../utils/scheduledJobs');
+
+const BASE = '/clients/makeup-artist/webhook';
+const HOUR = 60 * 60 * 1000;
+const CLIENT = '+13125550123';
+
+describe('pending appointment holds', () => {
+  const makeupArtist = getTenant('makeup-artist');
+  const app = createTenantApp('makeup-artist');
+  let sender;
+
+  const hold = (values = {}) => database.seed('appointments', {
+    client_phone: CLIENT,
+    service_type: 'bridal',
+    start_time: '2025-07-19T15:00:00.000Z',
+    end_time: '2025-07-19T17:00:00.000Z',
+    status: 'pending_confirmation',
+    hold_expires_at: '2025-07-16T16:00:00.000Z',
+    google_calendar_event_id: null,
+    ...values
+  })[0];
+
+  beforeAll(() => {
+    sender = createFakeSender();
+    setSmsSender(sender);
+  });
+
+  afterAll(() => {
+    setSmsSender(null);
+  });
+
+  beforeEach(() => {
+    pinClock();
+    database.reset();
+    calendar.reset();
+    sender.reset();
+    database.seed('makeup_artists', { name: 'Ava', refresh_token: 'ava-refresh-token', selected_calendar_id: 'ava-calendar' });
+  });
+
+  afterEach(() => {
+    unpinClock();
+  });
+
+  test('store-pending-appointment records when the hold lapses', async () => {
+    const res = await request(app)
+      .post(`${BASE}/store-pending-appointment`)
+      .send({ clientPhone: '3125550123', serviceType: 'bridal', startDateTime: '2025-07-19T10:00:00', duration: 120 })
+      .expect(200);
+
+    expect(res.body.holdExpiresAt).toBe('2025-07-16T16:00:00.000Z');
+    expect(database.rows('appointments')[0].hold_expires_at).toBe('2025-07-16T16:00:00.000Z');
+  });
+
+  test('a hold never outlasts the appointment it holds', async () => {
+    const res = await request(app)
+      .post(`${BASE}/store-pending-appointment`)
+      .send({ clientPhone: '3125550123', startDateTime: '2025-07-15T14:00:00' })
+      .expect(200);
+
+    expect(res.body.holdExpiresAt).toBe('2025-07-15T19:00:00.000Z');
+  });
+
+  describe('expiry', () => {
+    test('expires lapsed holds and tells the client the time is free', async () => {
+      const lapsed = hold();
+      const live = hold({ hold_expires_at: '2025-07-16T18:00:00.000Z' });
+      const confirmed = hold({ status: 'confirmed', hold_expires_at: null });
+
+      expect(await expireStaleHolds(makeupArtist, new Date('2025-07-16T17:00:00Z'))).toEqual({ expired: 1, notified: 1 });
+
+      expect([lapsed.status, live.status, confirmed.status]).toEqual(['expired', 'pending_confirmation', 'confirmed']);
+      expect(sender.sent).toEqual([expect.objectContaining({
+        to: CLIENT,
+        body: "We weren't able to confirm your bridal with Makeup Artist on Sat, Jul 19, 10:00 AM, so the time has been released. Reply if you'd still like to book."
+      })]);
+      expect(await expireStaleHolds(makeupArtist, new Date('2025-07-16T17:00:00Z'))).toEqual({ expired: 0, notified: 0 });
+    });
+
+    test('falls back to when older holds were created', async () => {
+      const old = hold({ hold_expires_at: null });
+
+      await expireStaleHolds(makeupArtist, new Date(Date.now() + 23 * HOUR));
+      expect(old.status).toBe('pending_confirmation');
+
+      await expireStaleHolds(makeupArtist, new Date(Date.now() + 25 * HOUR));
+      expect(old.status).toBe('expired');
+    });
+
+    test('does not text clients about appointments already past', async () => {
+      hold({ start_time: '2025-07-15T15:00:00.000Z', hold_expires_at: '2025-07-15T15:00:00.000Z' });
+
+      expect(await expireStaleHolds(makeupArtist)).toEqual({ expired: 1, notified: 0 });
+      expect(sender.sent).toEqual([]);
+    });
+
+    test('leaves tenants without an expiry alone', async () => {
+      const barbershopHold = hold({ hold_expires_at: null, created_at: '2025-01-01T00:00:00.000Z' });
+
+      expect(await expireStaleHolds(getTenant('barbershop'))).toEqual({ expired: 0, notified: 0 });
+      expect(barbershopHold.status).toBe('pending_confirmation');
+      expect(Object.keys(getScheduledJobs(getTenant('barbershop')))).not.toContain('expire-holds');
+      expect(Object.keys(getScheduledJobs(makeupArtist))).toContain('expire-holds');
+    });
+  });
+
+  describe('calendar holds', () => {
+    const storePending = () => request(app)
+      .post(`${BASE}/store-pending-appointment`)
+      .send({ clientPhone: '3125550123', clientName: 'Pat', serviceType: 'bridal', startDateTime: '2025-07-19T10:00:00', duration: 120 })
+      .expect(200);
+
+    test('a pending booking holds its time privately on the artist\'s calendar', async () => {
+      const res = await storePending();
+
+      const [event] = calendar.list('ava-calendar');
+      expect(event).toMatchObject({
+        id: res.body.holdEventId,
+        status: 'tentative',
+        visibility: 'private',
+        start: { dateTime: '2025-07-19T15:00:00.000Z' },
+        end: { dateTime: '2025-07-19T17:00:00.000Z' }
+      });
+      expect(event.summary).toMatch(/^HOLD/);
+      expect(database.rows('appointments')[0]).toMatchObject({ hold_event_id: event.id, google_calendar_event_id: null });
+
+      const check = await request(app)
+        .post(`${BASE}/check-availability`)
+        .send({ startDateTime: '2025-07-19T10:00:00', serviceDuration: 120 })
+        .expect(200);
+      expect(check.body.isAvailable).toBe(false);
+    });
+
+    test('the booking is still stored when the calendar cannot be reached', async () => {
+      database.reset();
+
+      const res = await storePending();
+
+      expect(res.body.holdEventId).toBeNull();
+      expect(database.rows('appointments')).toHaveLength(1);
+    });
+
+    test('confirming promotes the hold to the booking event', async () => {
+      const { body } = await storePending();
+
+      const res = await request(app)
+        .post(`${BASE}/confirm-pending-appointment`)
+        .send({ appointmentId: body.appointmentId, clientName: 'Pat' })
+        .expect(200);
+
+      expect(res.body.eventId).toBe(body.holdEventId);
+      const [event] = calendar.list('ava-calendar');
+      expect(event).toMatchObject({ status: 'confirmed', summary: 'bridal: Pat' });
+      expect(event.visibility).toBeUndefined();
+      expect(event.extendedProperties).toBeUndefined();
+      expect(database.rows('appointments')[0]).toMatchObject({ status: 'confirmed', google_calendar_event_id: event.id, hold_event_id: null });
+    });
+
+    test('confirming creates the event when the hold was deleted', async () => {
+      const { body } = await storePending();
+      await calendar.events.delete({ calendarId: 'ava-calendar', eventId: body.holdEventId });
+
+      const res = await request(app)
+        .post(`${BASE}/confirm-pending-appointment`)
+        .send({ appointmentId: body.appointmentId, clientName: 'Pat' })
+        .expect(200);
+
+      expect(calendar.list('ava-calendar')).toEqual([expect.objectContaining({ id: res.body.eventId, status: 'confirmed' })]);
+    });
+
+    test('expiry removes the hold', async () => {
+      await storePending();
+
+      await expireStaleHolds(makeupArtist, new Date(Date.now() + 25 * HOUR));
+
+      expect(calendar.list('ava-calendar')).toEqual([]);
+      expect(database.rows('appointments')[0].status).toBe('expired');
+    });
+
+    test('a hold that cannot be removed is released on a later run', async () => {
+      await storePending();
+      const later = new Date(Date.now() + 25 * HOUR);
+      database.rows('makeup_artists')[0].refresh_token = null;
+
+      expect(await expireStaleHolds(makeupArtist, later)).toEqual({ expired: 1, notified: 1 });
+      expect(calendar.list('ava-calendar')).toHaveLength(1);
+      expect(database.rows('appointments')[0].status).toBe('expired');
+
+      database.rows('makeup_artists')[0].refresh_token = 'ava-refresh-token';
+      expect(await expireStaleHolds(makeupArtist, later)).toEqual({ expired: 0, notified: 0 });
+      expect(calendar.list('ava-calendar')).toEqual([]);
+      expect(database.rows('appointments')[0].hold_event_id).toBeNull();
+    });
+
+    test('a confirmation that loses to expiry does not leave a booking behind', async () => {
+      const { body } = await storePending();
+      // Expiry runs while the confirmation is promoting the hold
+      const promote = calendar.events.update;
+      jest.spyOn(calendar.events, 'update').mockImplementationOnce(async (params) => {
+        await expireStaleHolds(makeupArtist, new Date(Date.now() + 25 * HOUR));
+        return promote.call(calendar.events, params);
+      });
+
+      const res = await request(app)
+        .post(`${BASE}/confirm-pending-appointment`)
+        .send({ appointmentId: body.appointmentId, clientName: 'Pat' })
+        .expect(410);
+
+      calendar.events.update.mockRestore();
+      expect(res.body.success).toBe(false);
+      expect(database.rows('appointments')[0].status).toBe('expired');
+      expect(calendar.list('ava-calendar')).toEqual([]);
+    });
+
+    test('rejecting the booking removes the hold', async () => {
+      const { body } = await storePending();
+
+      await request(app)
+        .post(`${BASE}/update-appointment-status`)
+        .send({ appointmentId: body.appointmentId, status: 'rejected' })
+        .expect(200);
+
+      expect(calendar.list('ava-calendar')).toEqual([]);
+    });
+
+    test('cancelling by the hold\'s event id cancels the pending booking', async () => {
+      const { body } = await storePending();
+
+      const res = await request(app)
+        .post(`${BASE}/cancel-appointment`)
+        .send({ eventId: body.holdEventId })
+        .expect(200);
+
+      expect(res.body.appointment).toMatchObject({ id: body.appointmentId, status: 'canceled' });
+      expect(calendar.list('ava-calendar')).toEqual([]);
+    });
+
+    test('rescheduling moves the hold', async () => {
+      const { body } = await storePending();
+
+      await request(app)
+        .post(`${BASE}/store-pending-rescheduling`)
+        .send({ clientPhone: '3125550123', newStartDateTime: '2025-07-20T10:00:00', duration: 120 })
+        .expect(200);
+
+      const [event] = calendar.list('ava-calendar');
+      expect(event.id).not.toBe(body.holdEventId);
+      expect(event).toMatchObject({ status: 'tentative', start: { dateTime: '2025-07-20T15:00:00.000Z' } });
+      expect(database.rows('appointments')[0].hold_event_id).toBe(event.id);
+    });
+  });
+
+  describe('lapsed holds', () => {
+    test('are left out of pending appointments before the job sweeps them', async () => {
+      hold({ hold_expires_at: '2025-07-15T15:00:00.000Z' });
+      const live = hold({ start_time: '2025-07-20T15:00:00.000Z' });
+
+      const res = await request(app).get(`${BASE}/get-pending-appointments`).query({ clientPhone: CLIENT }).expect(200);
+
+      expect(res.body.appointments.map(appointment => appointment.id)).toEqual([live.id]);
+    });
+
+    test('cannot be confirmed', async () => {
+      const lapsed = hold({ hold_expires_at: '2025-07-15T15:00:00.000Z' });
+
+      const res = await request(app)
+        .post(`${BASE}/confirm-pending-appointment`)
+        .send({ appointmentId: lapsed.id, clientName: 'Pat' })
+        .expect(410);
+
+      expect(res.body.success).toBe(false);
+      expect(calendar.list('ava-calendar')).toEqual([]);
+    });
+
+    test('cannot be confirmed by the client\'s phone either', async () => {
+      const lapsed = hold({ hold_expires_at: '2025-07-15T15:00:00.000Z' });
+
+      const res = await request(app)
+        .post(`${BASE}/confirm-appointment`)
+        .send({ clientPhone: '3125550123', clientName: 'Pat', serviceType: 'bridal', startDateTime: '2025-07-19T10:00:00', duration: 120 })
+        .expect(410);
+
+      expect(res.body.success).toBe(false);
+      expect(database.rows('appointments')).toEqual([expect.objectContaining({ id: lapsed.id, status: 'pending_confirmation' })]);
+      expect(calendar.list('ava-calendar')).toEqual([]);
+    });
+
+    test('get no reminders', async () => {
+      hold({ status: 'expired', start_time: '2025-07-16T15:00:00.000Z' });
+
+      expect(await sendDueReminders(makeupArtist)).toBe(0);
+    });
+  });
+});
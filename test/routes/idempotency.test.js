@@ -0,0 +1,162 @@
+jest.mock('@supabase/supabase-js', () => require('../helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('../helpers/fakeGoogle').mockModule);
+
+const request = require('supertest');
+const { database } = require('../helpers/fakeSupabase');
+const { calendar } = require('../helpers/fakeGoogle');
+const { createTenantApp } = require('../helpers/app');
+const { pinClock, unpinClock } = require('../helpers/clock');
+
+describe('idempotency keys on booking routes', () => {
+  let barbershop;
+  let justin;
+  let makeupArtist;
+  let barber;
+
+  beforeAll(() => {
+    barbershop = createTenantApp('barbershop');
+    justin = createTenantApp('justin');
+    makeupArtist = createTenantApp('makeup-artist');
+  });
+
+  beforeEach(() => {
+    pinClock();
+    database.reset();
+    calendar.reset();
+    [barber] = database.seed('barbers', [
+      { name: 'Marcus', refresh_token: 'marcus-refresh-token', selected_calendar_id: 'marcus-calendar' },
+      { id: 'justin-barber', name: 'Justin', refresh_token: 'justin-refresh-token' }
+    ]);
+    database.seed('makeup_artists', { name: 'Ava', refresh_token: 'ava-refresh-token' });
+  });
+
+  afterEach(() => {
+    unpinClock();
+  });
+
+  const booking = () => ({
+    clientPhone: '+15305550123',
+    clientName: 'Dana',
+    serviceType: 'Haircut',
+    startDateTime: '2025-07-18T15:00:00',
+    duration: 30,
+    preferredBarberId: barber.id
+  });
+
+  test('a retried barbershop booking returns the original result without a second event', async () => {
+    const send = () => request(barbershop)
+      .post('/clients/barbershop/webhook/client-appointment')
+      .set('Idempotency-Key', 'booking-123')
+      .send(booking());
+
+    const first = await send();
+    const retry = await send();
+
+    expect(first.status).toBe(200);
+    expect(retry.status).toBe(200);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(calendar.list('marcus-calendar')).toHaveLength(1);
+    expect(database.rows('appointments')).toHaveLength(1);
+  });
+
+  test('accepts the key in the request body on Justin\'s /appointment', async () => {
+    const send = () => request(justin)
+      .post('/clients/justin/webhook/appointment')
+      .send({ ...booking(), idempotencyKey: 'justin-abc' });
+
+    const first = await send();
+    const retry = await send();
+
+    expect(retry.body).toEqual(first.body);
+    expect(calendar.list('primary')).toHaveLength(1);
+    expect(database.rows('appointments')).toHaveLength(1);
+  });
+
+  test('replays stored validation errors', async () => {
+    const send = () => request(justin)
+      .post('/clients/justin/webhook/appointment')
+      .set('Idempotency-Key', 'too-late')
+      .send({ clientPhone: '+15305550123', startDateTime: '2025-07-18T21:00:00' });
+
+    await send();
+    const retry = await send();
+
+    expect(retry.status).toBe(400);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  test('rejects a key reused for a different request', async () => {
+    await request(makeupArtist)
+      .post('/clients/makeup-artist/webhook/store-pending-appointment')
+      .set('Idempotency-Key', 'pending-1')
+      .send({ clientPhone: '+13125550123', startDateTime: '2025-07-17T16:00:00', duration: 60 });
+
+    const res = await request(makeupArtist)
+      .post('/clients/makeup-artist/webhook/store-pending-appointment')
+      .set('Idempotency-Key', 'pending-1')
+      .send({ clientPhone: '+13125550123', startDateTime: '2025-07-18T16:00:00', duration: 60 });
+
+    expect(res.status).toBe(422);
+    expect(database.rows('appointments')).toHaveLength(1);
+  });
+
+  test('reports a request that is still in flight', async () => {
+    database.seed('idempotency_keys', {
+      key: 'in-flight',
+      scope: 'barbershop:POST /client-appointment',
+      request_hash: require('crypto').createHash('sha256').update(JSON.stringify(booking())).digest('hex'),
+      status: 'pending'
+    });
+
+    const res = await request(barbershop)
+      .post('/clients/barbershop/webhook/client-appointment')
+      .set('Idempotency-Key', 'in-flight')
+      .send(booking());
+
+    expect(res.status).toBe(409);
+    expect(calendar.list('marcus-calendar')).toHaveLength(0);
+  });
+
+  test('lets a request retry after a server error', async () => {
+    jest.spyOn(calendar.events, 'insert').mockRejectedValueOnce(new Error('Backend Error'));
+    const failed = await request(barbershop)
+      .post('/clients/barbershop/webhook/client-appointment')
+      .set('Idempotency-Key', 'flaky')
+      .send(booking());
+
+    const retry = await request(barbershop)
+      .post('/clients/barbershop/webhook/client-appointment')
+      .set('Idempotency-Key', 'flaky')
+      .send(booking());
+
+    expect(failed.status).toBe(500);
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(calendar.list('marcus-calendar')).toHaveLength(1);
+  });
+
+  test('keys are scoped per tenant', async () => {
+    await request(barbershop)
+      .post('/clients/barbershop/webhook/client-appointment')
+      .set('Idempotency-Key', 'shared-key')
+      .send(booking());
+
+    const res = await request(justin)
+      .post('/clients/justin/webhook/appointment')
+      .set('Idempotency-Key', 'shared-key')
+      .send(booking());
+
+    expect(res.status).toBe(200);
+    expect(res.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('requests without a key are not tracked', async () => {
+    await request(barbershop).post('/clients/barbershop/webhook/client-appointment').send(booking());
+    await request(barbershop).post('/clients/barbershop/webhook/client-appointment').send(booking());
+
+    expect(calendar.list('marcus-calendar')).toHaveLength(2);
+    expect(database.rows('idempotency_keys')).toHaveLength(0);
+  });
+});
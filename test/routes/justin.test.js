@@ -0,0 +1,209 @@
+jest.mock('@supabase/supabase-js', () => require('../helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('../helpers/fakeGoogle').mockModule);
+
+const request = require('supertest');
+const { database } = require('../helpers/fakeSupabase');
+const { calendar } = require('../helpers/fakeGoogle');
+const { createTenantApp } = require('../helpers/app');
+const { pinClock, unpinClock } = require('../helpers/clock');
+
+const BASE = '/clients/justin/webhook';
+
+describe('Justin appointment routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTenantApp('justin');
+  });
+
+  beforeEach(() => {
+    pinClock();
+    database.reset();
+    calendar.reset();
+    database.seed('barbers', { id: 'justin-barber', name: 'Justin', refresh_token: 'justin-refresh-token' });
+  });
+
+  afterEach(() => {
+    unpinClock();
+  });
+
+  describe('POST /appointment', () => {
+    test('creates an event during Friday hours and stores it in UTC', async () => {
+      const res = await request(app)
+        .post(`${BASE}/appointment`)
+        .send({
+          clientPhone: '+15305550123',
+          clientName: 'Dana',
+          serviceType: 'haircut',
+          startDateTime: '2025-07-18T15:00:00',
+          duration: '30'
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        success: true,
+        action: 'create',
+        appointment: { startTime: '2025-07-18T22:00:00.000Z', endTime: '2025-07-18T22:30:00.000Z' }
+      });
+
+      const [event] = calendar.list('primary');
+      expect(event.start).toEqual({ dateTime: '2025-07-18T22:00:00.000Z', timeZone: 'America/Los_Angeles' });
+      expect(database.rows('appointments')[0]).toMatchObject({
+        client_identifier: '+15305550123',
+        barber_id: 'justin-barber',
+        google_calendar_event_id: event.id
+      });
+    });
+
+    test('rejects times outside Thursday and Friday hours', async () => {
+      const res = await request(app)
+        .post(`${BASE}/appointment`)
+        .send({ clientPhone: '+15305550123', startDateTime: '2025-07-18T21:00:00' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.debug).toMatchObject({ dayOfWeek: 5, hour: 21 });
+      expect(calendar.list('primary')).toHaveLength(0);
+    });
+
+    test('reads the business day in Pacific Time when the caller sends an offset', async () => {
+      // 1am UTC Friday is 6pm Thursday in Davis
+      const res = await request(app)
+        .post(`${BASE}/appointment`)
+        .send({ clientPhone: '+15305550123', clientName: 'Dana', startDateTime: '2025-07-18T01:00:00Z' });
+
+      expect(res.status).toBe(200);
+      expect(calendar.list('primary')[0].start.dateTime).toBe('2025-07-18T01:00:00.000Z');
+    });
+
+    test('reschedules the event and the stored appointment', async () => {
+      const event = calendar.seed({
+        summary: 'haircut: Dana',
+        start: { dateTime: '2025-07-18T22:00:00.000Z' },
+        end: { dateTime: '2025-07-18T22:30:00.000Z' }
+      });
+      database.seed('appointments', {
+        barber_id: 'justin-barber',
+        client_identifier: '+15305550123',
+        platform: 'phone',
+        start_time: '2025-07-18T22:00:00.000Z',
+        end_time: '2025-07-18T22:30:00.000Z',
+        google_calendar_event_id: event.id
+      });
+
+      const res = await request(app)
+        .post(`${BASE}/appointment`)
+        .send({
+          clientPhone: '+15305550123',
+          clientName: 'Dana',
+          isRescheduling: true,
+          eventId: event.id,
+          newStartDateTime: '2025-07-24T19:00:00'
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, action: 'reschedule' });
+      expect(calendar.list('primary')[0].start.dateTime).toBe('2025-07-25T02:00:00.000Z');
+      expect(database.rows('appointments')[0]).toMatchObject({
+        start_time: '2025-07-25T02:00:00.000Z',
+        end_time: '2025-07-25T02:30:00.000Z'
+      });
+    });
+
+    test('cancels the event and removes the stored appointment', async () => {
+      const event = calendar.seed({
+        summary: 'haircut: Dana',
+        start: { dateTime: '2025-07-18T22:00:00.000Z' },
+        end: { dateTime: '2025-07-18T22:30:00.000Z' }
+      });
+      database.seed('appointments', { barber_id: 'justin-barber', client_identifier: '+15305550123', platform: 'phone', google_calendar_event_id: event.id });
+
+      const res = await request(app)
+        .post(`${BASE}/appointment`)
+        .send({ clientPhone: '+15305550123', isCancelling: true, eventId: event.id });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, action: 'cancel' });
+      expect(calendar.list('primary')).toHaveLength(0);
+      expect(database.rows('appointments')).toHaveLength(0);
+    });
+
+    test('refuses to cancel another client\'s appointment', async () => {
+      const event = calendar.seed({
+        summary: 'haircut: Sam',
+        start: { dateTime: '2025-07-18T22:00:00.000Z' },
+        end: { dateTime: '2025-07-18T22:30:00.000Z' }
+      });
+      database.seed('appointments', { barber_id: 'justin-barber', client_identifier: 'sam.ig', platform: 'instagram', google_calendar_event_id: event.id });
+
+      const res = await request(app)
+        .post(`${BASE}/appointment`)
+        .send({ clientIdentifier: 'dana.ig', platform: 'instagram', isCancelling: true, eventId: event.id });
+
+      expect(res.status).toBe(404);
+      expect(calendar.list('primary')).toHaveLength(1);
+      expect(database.rows('appointments')).toHaveLength(1);
+    });
+  });
+
+  describe('GET /check-availability', () => {
+    test('reports conflicts with existing events', async () => {
+      calendar.seed({
+        summary: 'haircut: Sam',
+        start: { dateTime: '2025-07-18T15:00:00-07:00' },
+        end: { dateTime: '2025-07-18T15:30:00-07:00' }
+      });
+
+      const busy = await request(app)
+        .get(`${BASE}/check-availability`)
+        .query({ startDateTime: '2025-07-18T15:00:00' });
+      const free = await request(app)
+        .get(`${BASE}/check-availability`)
+        .query({ startDateTime: '2025-07-18T15:30:00' });
+
+      expect(busy.body).toMatchObject({ success: true, isAvailable: false });
+      expect(free.body).toMatchObject({ success: true, isAvailable: true });
+    });
+
+    test('marks times outside business hours unavailable', async () => {
+      const res = await request(app)
+        .get(`${BASE}/check-availability`)
+        .query({ startDateTime: '2025-07-16T15:00:00' });
+
+      expect(res.body).toMatchObject({ isAvailable: false, reason: 'Outside business hours' });
+    });
+
+    test('returns 400 for an unparseable time', async () => {
+      const res = await request(app)
+        .get(`${BASE}/check-availability`)
+        .query({ startDateTime: 'tomorrow' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /find-available-slots', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('offers the next open Thursday slots', async () => {
+      // Tuesday morning in Davis
+      jest.useFakeTimers({ now: new Date('2025-07-15T16:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+      calendar.seed({
+        summary: 'haircut: Sam',
+        start: { dateTime: '2025-07-17T18:00:00-07:00' },
+        end: { dateTime: '2025-07-17T18:30:00-07:00' }
+      });
+
+      const res = await request(app)
+        .get(`${BASE}/find-available-slots`)
+        .query({ findNextAvailable: 'true', numSlots: 2 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.slots).toEqual([
+        { start: '2025-07-18T01:30:00.000Z', end: '2025-07-18T02:00:00.000Z' },
+        { start: '2025-07-18T02:00:00.000Z', end: '2025-07-18T02:30:00.000Z' }
+      ]);
+    });
+  });
+});
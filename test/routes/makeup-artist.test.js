@@ -0,0 +1,262 @@
+jest.mock('@supabase/supabase-js', () => require('../helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('../helpers/fakeGoogle').mockModule);
+
+const request = require('supertest');
+const { database } = require('../helpers/fakeSupabase');
+const { calendar } = require('../helpers/fakeGoogle');
+const { createTenantApp } = require('../helpers/app');
+const { pinClock, unpinClock } = require('../helpers/clock');
+
+const BASE = '/clients/makeup-artist/webhook';
+
+describe('makeup artist appointment routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTenantApp('makeup-artist');
+  });
+
+  beforeEach(() => {
+    pinClock();
+    database.reset();
+    calendar.reset();
+    database.seed('makeup_artists', {
+      name: 'Ava',
+      refresh_token: 'ava-refresh-token',
+      selected_calendar_id: 'ava-calendar'
+    });
+  });
+
+  afterEach(() => {
+    unpinClock();
+  });
+
+  function seedBooking({ start, end }) {
+    const event = calendar.seed({
+      summary: 'Bridal: Dana',
+      start: { dateTime: start },
+      end: { dateTime: end }
+    }, 'ava-calendar');
+    database.seed('appointments', {
+      client_phone: '+13125550123',
+      start_time: start,
+      end_time: end,
+      google_calendar_event_id: event.id,
+      status: 'confirmed'
+    });
+    return event;
+  }
+
+  describe('POST /confirm-appointment', () => {
+    test('creates the event in Central Time and stores the appointment in UTC', async () => {
+      const res = await request(app)
+        .post(`${BASE}/confirm-appointment`)
+        .send({
+          clientPhone: '3125550123',
+          clientName: 'Dana',
+          serviceType: 'bridal',
+          location: 'Client Location',
+          startDateTime: '2025-07-17T14:00:00',
+          duration: '90'
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        success: true,
+        action: 'create',
+        appointmentTime: { start: '2025-07-17T14:00:00', end: '2025-07-17T15:30:00', timezone: 'America/Chicago' }
+      });
+
+      const [event] = calendar.list('ava-calendar');
+      expect(event.start).toEqual({ dateTime: '2025-07-17T19:00:00.000Z', timeZone: 'America/Chicago' });
+      expect(event.end.dateTime).toBe('2025-07-17T20:30:00.000Z');
+
+      expect(database.rows('appointments')[0]).toMatchObject({
+        client_phone: '+13125550123',
+        start_time: '2025-07-17T19:00:00.000Z',
+        end_time: '2025-07-17T20:30:00.000Z',
+        google_calendar_event_id: event.id,
+        status: 'confirmed'
+      });
+      expect(database.rows('clients')[0]).toMatchObject({ phone_number: '+13125550123', name: 'Dana' });
+    });
+
+    test('confirms a pending appointment at its stored time', async () => {
+      database.seed('clients', { phone_number: '+13125550123', name: 'Dana', status: 'Lead' });
+      database.seed('appointments', {
+        client_phone: '+13125550123',
+        start_time: '2025-12-06T16:00:00.000Z',
+        end_time: '2025-12-06T17:00:00.000Z',
+        status: 'pending_confirmation'
+      });
+
+      const res = await request(app)
+        .post(`${BASE}/confirm-appointment`)
+        .send({ clientPhone: '+13125550123', clientName: 'Dana', startDateTime: '2025-12-06T10:00:00' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        action: 'confirm',
+        appointmentTime: { start: '2025-12-06T10:00:00', end: '2025-12-06T11:00:00' }
+      });
+      expect(calendar.list('ava-calendar')[0].start.dateTime).toBe('2025-12-06T16:00:00.000Z');
+      expect(database.rows('appointments')[0].status).toBe('confirmed');
+      expect(database.rows('clients')[0].status).toBe('Active');
+    });
+
+    test('returns 404 when the artist has not connected a calendar', async () => {
+      database.reset();
+      database.seed('makeup_artists', { name: 'Ava' });
+
+      const res = await request(app)
+        .post(`${BASE}/confirm-appointment`)
+        .send({ clientPhone: '+13125550123', startDateTime: '2025-07-17T14:00:00' });
+
+      expect(res.status).toBe(404);
+      expect(calendar.list('ava-calendar')).toHaveLength(0);
+    });
+  });
+
+  test('POST /reschedule-appointment moves the event and the stored appointment', async () => {
+    const event = seedBooking({ start: '2025-07-17T19:00:00.000Z', end: '2025-07-17T20:00:00.000Z' });
+
+    const res = await request(app)
+      .post(`${BASE}/reschedule-appointment`)
+      .send({ eventId: event.id, clientPhone: '+13125550123', newStartDateTime: '2025-11-03T09:00:00', duration: 60 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    // The day after DST ends Chicago is back on CST (UTC-6)
+    expect(calendar.list('ava-calendar')[0].start.dateTime).toBe('2025-11-03T15:00:00.000Z');
+    expect(database.rows('appointments')[0]).toMatchObject({
+      start_time: '2025-11-03T15:00:00.000Z',
+      end_time: '2025-11-03T16:00:00.000Z'
+    });
+  });
+
+  test('POST /cancel-appointment deletes the event and marks the appointment canceled', async () => {
+    const event = seedBooking({ start: '2025-07-17T19:00:00.000Z', end: '2025-07-17T20:00:00.000Z' });
+
+    const res = await request(app)
+      .post(`${BASE}/cancel-appointment`)
+      .send({ eventId: event.id, clientPhone: '+13125550123' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, action: 'cancel' });
+    expect(calendar.list('ava-calendar')).toHaveLength(0);
+    expect(database.rows('appointments')[0].status).toBe('canceled');
+  });
+
+  test('POST /cancel-appointment reports events missing from the calendar', async () => {
+    const res = await request(app)
+      .post(`${BASE}/cancel-appointment`)
+      .send({ eventId: 'event-missing' });
+
+    expect(res.status).toBe(500);
+    expect(res.body.success).toBe(false);
+  });
+
+  describe('availability', () => {
+    beforeEach(() => {
+      seedBooking({ start: '2025-07-17T10:00:00-05:00', end: '2025-07-17T11:00:00-05:00' });
+    });
+
+    test('POST /check-availability compares Central Time input with existing events', async () => {
+      const busy = await request(app)
+        .post(`${BASE}/check-availability`)
+        .send({ startDateTime: '2025-07-17T10:30:00', serviceDuration: 60 });
+      const free = await request(app)
+        .post(`${BASE}/check-availability`)
+        .send({ startDateTime: '2025-07-17T11:00:00', serviceDuration: 60 });
+
+      expect(busy.body).toMatchObject({ success: true, isAvailable: false });
+      expect(free.body).toMatchObject({ success: true, isAvailable: true });
+      expect(free.body.requestedTimeSlot.start).toBe('2025-07-17T16:00:00.000Z');
+    });
+
+    test('POST /find-available-slots stays within Central Time business hours', async () => {
+      const res = await request(app)
+        .post(`${BASE}/find-available-slots`)
+        .send({ currentTimestamp: '2025-07-17T08:00:00', numSlots: 3, slotDurationMinutes: 60 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.slots.map(slot => slot.start)).toEqual([
+        '2025-07-17T14:00:00.000Z', // 9am CT
+        '2025-07-17T16:00:00.000Z', // 11am CT, after the booking
+        '2025-07-17T17:00:00.000Z'
+      ]);
+    });
+
+    test('POST /find-available-slots rolls over to the next morning after hours', async () => {
+      const res = await request(app)
+        .post(`${BASE}/find-available-slots`)
+        .send({ currentTimestamp: '2025-07-16T17:30:00', numSlots: 1, slotDurationMinutes: 60 });
+
+      expect(res.body.slots).toEqual([
+        { start: '2025-07-17T14:00:00.000Z', end: '2025-07-17T15:00:00.000Z', duration: 60 }
+      ]);
+    });
+
+    test('GET /get-availability-windows splits the business day around bookings', async () => {
+      const res = await request(app)
+        .get(`${BASE}/get-availability-windows`)
+        .query({ startDate: '2025-07-17', endDate: '2025-07-17T23:59:59', minDuration: 60, businessHoursOnly: 'true' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.availabilityWindows.map(({ start, end, date }) => ({ start, end, date }))).toEqual([
+        { start: '2025-07-17T14:00:00.000Z', end: '2025-07-17T15:00:00.000Z', date: '2025-07-17' },
+        { start: '2025-07-17T16:00:00.000Z', end: '2025-07-17T23:00:00.000Z', date: '2025-07-17' }
+      ]);
+      expect(res.body.availabilityWindows[0].timeSlot).toBe('9:00 AM - 10:00 AM');
+    });
+
+    describe('with a personal calendar', () => {
+      beforeEach(() => {
+        database.rows('makeup_artists')[0].busy_calendar_ids = ['ava-personal'];
+        calendar.seed({
+          summary: 'Dentist',
+          start: { dateTime: '2025-07-17T09:00:00-05:00' },
+          end: { dateTime: '2025-07-17T10:00:00-05:00' }
+        }, 'ava-personal');
+        calendar.seed({
+          summary: 'Maybe lunch',
+          transparency: 'transparent',
+          start: { dateTime: '2025-07-17T11:00:00-05:00' },
+          end: { dateTime: '2025-07-17T12:00:00-05:00' }
+        }, 'ava-personal');
+      });
+
+      test('POST /check-availability counts busy time on the personal calendar', async () => {
+        const res = await request(app)
+          .post(`${BASE}/check-availability`)
+          .send({ startDateTime: '2025-07-17T09:00:00', serviceDuration: 60 });
+
+        expect(res.body).toMatchObject({ success: true, isAvailable: false });
+        expect(res.body.conflictingEvents).toEqual([
+          { calendarId: 'ava-personal', start: '2025-07-17T14:00:00.000Z', end: '2025-07-17T15:00:00.000Z' }
+        ]);
+      });
+
+      test('POST /find-available-slots skips personal commitments but not free-marked events', async () => {
+        const res = await request(app)
+          .post(`${BASE}/find-available-slots`)
+          .send({ currentTimestamp: '2025-07-17T08:00:00', numSlots: 2, slotDurationMinutes: 60 });
+
+        expect(res.body.slots.map(slot => slot.start)).toEqual([
+          '2025-07-17T16:00:00.000Z', // 11am CT, over the "show as available" lunch
+          '2025-07-17T17:00:00.000Z'
+        ]);
+      });
+
+      test('still answers when the personal calendar is no longer shared', async () => {
+        calendar.hide('ava-personal');
+
+        const res = await request(app)
+          .post(`${BASE}/check-availability`)
+          .send({ startDateTime: '2025-07-17T09:00:00', serviceDuration: 60 });
+
+        expect(res.body).toMatchObject({ success: true, isAvailable: true });
+      });
+    });
+  });
+});
@@ -0,0 +1,171 @@
+jest.mock('@supabase/supabase-js', () => require('../helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('../helpers/fakeGoogle').mockModule);
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { database } = require('../helpers/fakeSupabase');
+const { calendar } = require('../helpers/fakeGoogle');
+const { startMockOpenAI } = require('../helpers/mockOpenAI');
+const { createFakeSender } = require('../helpers/fakeSender');
+const { createTenantApp } = require('../helpers/app');
+const { pinClock, unpinClock } = require('../helpers/clock');
+const { getTenant } = require('../../utils/tenants');
+const { setMetaSender } = require('../../utils/meta');
+const { createMetaRouter } = require('../../routes/meta');
+
+const APP_SECRET = 'meta-app-secret';
+const WEBHOOK = '/clients/justin/meta/webhook';
+const IG_USER = '17841400000000001';
+
+const instagramMessage = (text, overrides = {}) => ({
+  object: 'instagram',
+  entry: [{
+    id: '17841499999999999',
+    time: 1752850000000,
+    messaging: [{
+      sender: { id: IG_USER },
+      recipient: { id: '17841499999999999' },
+      timestamp: 1752850000000,
+      message: { mid: 'aWdfZAG1faXRlbToxOklHTWVzc2FnZAUlEOjE3ODQx', text, ...overrides }
+    }]
+  }]
+});
+
+// Posts a webhook body signed with the app secret, the way Meta delivers it
+const postSigned = (server, payload, secret = APP_SECRET) => {
+  const body = JSON.stringify(payload);
+  const signature = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  return request(server)
+    .post(WEBHOOK)
+    .set('Content-Type', 'application/json')
+    .set('X-Hub-Signature-256', signature)
+    .send(body);
+};
+
+describe('Instagram/Messenger DM channel', () => {
+  let openai;
+  let sender;
+  let server;
+
+  beforeAll(async () => {
+    openai = await startMockOpenAI();
+    sender = createFakeSender();
+    setMetaSender(sender);
+
+    const tenant = { ...getTenant('justin'), meta: { verifyToken: 'verify-me', appSecret: APP_SECRET } };
+    const app = createTenantApp('justin');
+    app.use('/clients/justin/meta', createMetaRouter(tenant));
+    // Agent tools call Justin's webhook over HTTP
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+
+    process.env.OPENAI_API_KEY = 'test-openai-key';
+    process.env.OPENAI_BASE_URL = openai.baseURL;
+    process.env.AGENT_WEBHOOK_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    setMetaSender(null);
+    await new Promise(resolve => server.close(resolve));
+    await openai.close();
+  });
+
+  beforeEach(() => {
+    pinClock();
+    database.reset();
+    calendar.reset();
+    openai.reset();
+    sender.reset();
+    database.seed('barbers', { id: 'justin-barber', name: 'Justin', refresh_token: 'justin-refresh-token' });
+  });
+
+  afterEach(() => {
+    unpinClock();
+  });
+
+  test('answers the subscription handshake with the challenge', async () => {
+    const res = await request(server)
+      .get(WEBHOOK)
+      .query({ 'hub.mode': 'subscribe', 'hub.verify_token': 'verify-me', 'hub.challenge': '1158201444' });
+
+    expect(res.status).toBe(200);
+    expect(res.text).toBe('1158201444');
+  });
+
+  test('rejects the handshake with the wrong verify token', async () => {
+    const res = await request(server)
+      .get(WEBHOOK)
+      .query({ 'hub.mode': 'subscribe', 'hub.verify_token': 'guess', 'hub.challenge': '1158201444' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('rejects deliveries with a bad signature', async () => {
+    const res = await postSigned(server, instagramMessage('Hi'), 'not-the-secret');
+
+    expect(res.status).toBe(403);
+    expect(openai.requests).toHaveLength(0);
+  });
+
+  test('books an Instagram client by their platform identity and replies by DM', async () => {
+    openai.callTool('book_appointment', { clientName: 'Dana', serviceType: 'haircut', startDateTime: '2025-07-18T15:00:00' });
+    openai.reply({ content: 'You\'re booked for Friday at 3pm!' });
+
+    const res = await postSigned(server, instagramMessage('Can I get a cut Friday at 3?'));
+    expect(res.status).toBe(200);
+
+    const [reply] = await sender.waitFor(1);
+    expect(reply).toEqual({ recipientId: IG_USER, platform: 'instagram', text: 'You\'re booked for Friday at 3pm!' });
+
+    expect(database.rows('clients')[0]).toMatchObject({ identifier: IG_USER, platform: 'instagram' });
+    expect(database.rows('conversation_sessions')[0]).toMatchObject({ platform_id: IG_USER, platform: 'instagram' });
+    expect(database.rows('appointments')[0]).toMatchObject({
+      client_identifier: IG_USER,
+      platform: 'instagram',
+      start_time: '2025-07-18T22:00:00.000Z'
+    });
+    expect(calendar.list('primary')[0].description).toContain(`Contact: instagram ${IG_USER}`);
+  });
+
+  test('lists the client\'s own appointments for rescheduling', async () => {
+    database.seed('appointments', [
+      {
+        client_identifier: IG_USER,
+        platform: 'instagram',
+        barber_id: 'justin-barber',
+        start_time: '2099-07-17T01:00:00.000Z',
+        end_time: '2099-07-17T01:30:00.000Z',
+        google_calendar_event_id: 'event-mine'
+      },
+      {
+        client_identifier: '+15305550123',
+        platform: 'phone',
+        barber_id: 'justin-barber',
+        start_time: '2099-07-17T02:00:00.000Z',
+        end_time: '2099-07-17T02:30:00.000Z',
+        google_calendar_event_id: 'event-theirs'
+      }
+    ]);
+    openai.callTool('list_appointments', {});
+    openai.reply({ content: 'You have one appointment on Thursday at 6pm.' });
+
+    await postSigned(server, instagramMessage('When is my appointment?'));
+    await sender.waitFor(1);
+
+    const toolResult = JSON.parse(openai.requests[1].messages.find(message => message.role === 'tool').content);
+    expect(toolResult.appointments).toEqual([
+      expect.objectContaining({ eventId: 'event-mine', localStartTime: '2099-07-16T18:00:00' })
+    ]);
+  });
+
+  test('ignores echoes of the page\'s own messages', async () => {
+    const res = await postSigned(server, instagramMessage('Thanks!', { is_echo: true }));
+
+    expect(res.status).toBe(200);
+    // Nothing is processed after the acknowledgement
+    await new Promise(resolve => setImmediate(resolve));
+    expect(openai.requests).toHaveLength(0);
+    expect(database.rows('clients')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,245 @@
+jest.mock('@supabase/supabase-js', () => require('../helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('../helpers/fakeGoogle').mockModule);
+
+const request = require('supertest');
+const { database } = require('../helpers/fakeSupabase');
+const { calendar } = require('../helpers/fakeGoogle');
+const { createFakePaymentProvider } = require('../helpers/fakePayments');
+const { createTenantApp } = require('../helpers/app');
+const { pinClock, unpinClock } = require('../helpers/clock');
+const { getTenant } = require('../../utils/tenants');
+const { computePaymentSignature, validatePaymentSignature, setPaymentProvider } = require('../../utils/payments');
+const { createJobRunner } = require('../../utils/jobs');
+const { getScheduledJobs } = require('../../utils/scheduledJobs');
+const { createPaymentsRouter } = require('../../routes/payments');
+
+const BASE = '/clients/makeup-artist/webhook';
+const WEBHOOK_SECRET = 'whsec_test';
+
+describe('deposits and payments', () => {
+  let payments;
+  let server;
+
+  // Signed the way Stripe signs webhook deliveries
+  const deliver = (event, { secret = WEBHOOK_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) => {
+    const body = JSON.stringify(event);
+    return request(server)
+      .post('/clients/makeup-artist/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', `t=${timestamp},v1=${computePaymentSignature(secret, timestamp, body)}`)
+      .send(body);
+  };
+
+  const completed = (checkoutId) => ({
+    type: 'checkout.session.completed',
+    data: { object: { id: checkoutId, payment_intent: 'pi_test_1', payment_status: 'paid' } }
+  });
+
+  const storePending = (startDateTime = '2025-07-19T10:00:00', serviceType = 'Bridal') => request(server)
+    .post(`${BASE}/store-pending-appointment`)
+    .send({ clientPhone: '3125550123', clientName: 'Pat', serviceType, startDateTime, duration: 120 })
+    .expect(200);
+
+  beforeAll(async () => {
+    payments = createFakePaymentProvider();
+    setPaymentProvider(payments);
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+    // Paid deposits confirm through the tenant's webhook handlers over HTTP, so the app has to listen
+    const app = createTenantApp('makeup-artist');
+    app.use('/clients/makeup-artist/payments', createPaymentsRouter(getTenant('makeup-artist')));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    process.env.AGENT_WEBHOOK_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    setPaymentProvider(null);
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+    delete process.env.AGENT_WEBHOOK_BASE_URL;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    pinClock();
+    database.reset();
+    calendar.reset();
+    payments.reset();
+    database.seed('makeup_artists', { name: 'Ava', refresh_token: 'ava-refresh-token', selected_calendar_id: 'ava-calendar' });
+    database.seed('services', { name: 'Bridal', base_price: 300 });
+  });
+
+  afterEach(() => {
+    unpinClock();
+  });
+
+  describe('deposit requests', () => {
+    test('a pending booking gets a checkout link for a quarter of the price', async () => {
+      const res = await storePending();
+
+      expect(res.body.deposit).toEqual({ url: 'https://pay.test/cs_test_1', amountCents: 7500, currency: 'usd' });
+      expect(payments.checkouts[0]).toMatchObject({
+        amountCents: 7500,
+        description: 'Deposit: Bridal with Makeup Artist',
+        metadata: { tenant: 'makeup-artist', appointment_id: res.body.appointmentId },
+        idempotencyKey: `deposit-${res.body.appointmentId}`
+      });
+      expect(database.rows('payments')).toEqual([expect.objectContaining({
+        appointment_id: res.body.appointmentId,
+        kind: 'deposit',
+        provider_checkout_id: 'cs_test_1',
+        amount_cents: 7500,
+        status: 'pending'
+      })]);
+      expect(database.rows('appointments')[0].deposit_status).toBe('requested');
+    });
+
+    test('services without a price take the flat deposit', async () => {
+      const res = await storePending('2025-07-19T10:00:00', 'Editorial');
+
+      expect(res.body.deposit.amountCents).toBe(5000);
+    });
+
+    test('the booking is still held when the provider fails', async () => {
+      payments.failNext();
+
+      const res = await storePending();
+
+      expect(res.body.deposit).toBeNull();
+      expect(database.rows('appointments')).toHaveLength(1);
+      expect(database.rows('payments')).toEqual([]);
+    });
+  });
+
+  describe('webhooks', () => {
+    test('a paid deposit confirms the booking, once', async () => {
+      const { body } = await storePending();
+
+      const res = await deliver(completed('cs_test_1')).expect(200);
+
+      expect(res.body.outcome).toBe('confirmed');
+      expect(database.rows('appointments')[0]).toMatchObject({
+        status: 'confirmed',
+        deposit_status: 'paid',
+        google_calendar_event_id: body.holdEventId
+      });
+      expect(database.rows('payments')[0]).toMatchObject({ status: 'paid', provider_payment_id: 'pi_test_1' });
+      expect(calendar.list('ava-calendar')).toEqual([expect.objectContaining({ status: 'confirmed' })]);
+
+      // Providers deliver at least once
+      expect((await deliver(completed('cs_test_1')).expect(200)).body.outcome).toBe('duplicate');
+      expect(calendar.list('ava-calendar')).toHaveLength(1);
+    });
+
+    test('refuses deliveries with a bad or stale signature', async () => {
+      await storePending();
+
+      await deliver(completed('cs_test_1'), { secret: 'whsec_wrong' }).expect(400);
+      await deliver(completed('cs_test_1'), { timestamp: Math.floor(Date.now() / 1000) - 10 * 60 }).expect(400);
+
+      expect(database.rows('payments')[0].status).toBe('pending');
+    });
+
+    test('accepts any of several v1 signatures, as during secret rotation', () => {
+      const body = Buffer.from('{}');
+      const timestamp = Math.floor(Date.now() / 1000);
+      const header = `t=${timestamp},v1=${computePaymentSignature('old', timestamp, body)},v1=${computePaymentSignature(WEBHOOK_SECRET, timestamp, body)}`;
+
+      expect(validatePaymentSignature(WEBHOOK_SECRET, header, body)).toBe(true);
+    });
+
+    test('a deposit paid after the hold expired is refunded in full', async () => {
+      await storePending();
+      database.rows('appointments')[0].status = 'expired';
+
+      const res = await deliver(completed('cs_test_1')).expect(200);
+
+      expect(res.body.outcome).toBe('refunded');
+      expect(payments.refunds).toEqual([expect.objectContaining({ paymentIntentId: 'pi_test_1', amountCents: 7500 })]);
+      expect(database.rows('payments')[0]).toMatchObject({ status: 'refunded', refunded_cents: 7500 });
+    });
+
+    test('an abandoned checkout is marked expired', async () => {
+      await storePending();
+
+      const res = await deliver({ type: 'checkout.session.expired', data: { object: { id: 'cs_test_1' } } }).expect(200);
+
+      expect(res.body.outcome).toBe('expired');
+      expect(database.rows('payments')[0].status).toBe('expired');
+      expect(database.rows('appointments')[0].status).toBe('pending_confirmation');
+    });
+
+    test('ignores events it does not handle', async () => {
+      const res = await deliver({ type: 'customer.created', data: { object: { id: 'cus_1' } } }).expect(200);
+
+      expect(res.body.outcome).toBe('ignored');
+    });
+  });
+
+  describe('refunds on cancellation', () => {
+    const cancelPaid = async (startDateTime, { failRefund = false } = {}) => {
+      await storePending(startDateTime);
+      const { body } = await deliver(completed('cs_test_1')).expect(200);
+      expect(body.outcome).toBe('confirmed');
+      const [appointment] = database.rows('appointments');
+      if (failRefund) {
+        payments.failNext();
+      }
+      return request(server)
+        .post(`${BASE}/cancel-appointment`)
+        .send({ eventId: appointment.google_calendar_event_id })
+        .expect(200);
+    };
+
+    test('refunds the whole deposit three days or more ahead', async () => {
+      const res = await cancelPaid('2025-07-19T10:00:00');
+
+      expect(res.body.refundedCents).toBe(7500);
+      expect(database.rows('appointments')[0].deposit_status).toBe('refunded');
+    });
+
+    test('refunds half the deposit closer to the day', async () => {
+      const res = await cancelPaid('2025-07-17T10:00:00');
+
+      expect(res.body.refundedCents).toBe(3750);
+      expect(database.rows('payments')[0]).toMatchObject({ status: 'partially_refunded', refunded_cents: 3750 });
+    });
+
+    test('reports a refund the provider refused and retries it from the jobs table', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      let res;
+      try {
+        res = await cancelPaid('2025-07-19T10:00:00', { failRefund: true });
+      } finally {
+        console.error.mockRestore();
+      }
+
+      expect(res.body).toMatchObject({ refundedCents: 0, refundFailedCents: 7500 });
+      expect(res.body.message).toMatch(/refund failed/);
+      expect(payments.refunds).toEqual([]);
+      expect(database.rows('payments')[0].status).toBe('refund_failed');
+      expect(database.rows('appointments')[0]).toMatchObject({ status: 'canceled', deposit_status: 'refund_failed' });
+
+      const tenant = getTenant('makeup-artist');
+      const counts = await createJobRunner(tenant, getScheduledJobs(tenant)).runDue(new Date(Date.now() + 60 * 60 * 1000));
+
+      expect(counts.completed).toBe(1);
+      expect(payments.refunds).toEqual([expect.objectContaining({ paymentIntentId: 'pi_test_1', amountCents: 7500 })]);
+      expect(database.rows('payments')[0]).toMatchObject({ status: 'refunded', refunded_cents: 7500 });
+      expect(database.rows('appointments')[0].deposit_status).toBe('refunded');
+    });
+
+    test('refunds in full when the artist declines', async () => {
+      await storePending('2025-07-17T10:00:00');
+      await deliver(completed('cs_test_1')).expect(200);
+
+      await request(server)
+        .post(`${BASE}/update-appointment-status`)
+        .send({ appointmentId: database.rows('appointments')[0].id, status: 'declined' })
+        .expect(200);
+
+      expect(payments.refunds).toEqual([expect.objectContaining({ amountCents: 7500 })]);
+    });
+  });
+});
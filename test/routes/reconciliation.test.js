@@ -0,0 +1,156 @@
+jest.mock('@supabase/supabase-js', () => require('../helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('../helpers/fakeGoogle').mockModule);
+
+const express = require('express');
+const request = require('supertest');
+const { database } = require('../helpers/fakeSupabase');
+const { calendar } = require('../helpers/fakeGoogle');
+const { createTenantApp } = require('../helpers/app');
+const { pinClock, unpinClock } = require('../helpers/clock');
+const { getTenant } = require('../../utils/tenants');
+const { encryptToken } = require('../../utils/tokenVault');
+const { createReconciliationRouter } = require('../../routes/reconciliation');
+
+const WEBHOOK = '/clients/barbershop/webhook';
+const BASE = '/clients/barbershop/reconciliation';
+
+describe('appointment reconciliation', () => {
+  const webhook = createTenantApp('barbershop');
+  const admin = express();
+  admin.use(express.json());
+  admin.use(BASE, createReconciliationRouter(getTenant('barbershop')));
+
+  const book = () => request(webhook)
+    .post(`${WEBHOOK}/client-appointment`)
+    .send({
+      clientPhone: '+15305550123',
+      clientName: 'Dana',
+      serviceType: 'Haircut',
+      startDateTime: '2025-07-18T15:00:00',
+      duration: 45,
+      preferredBarberId: marcus.id
+    });
+
+  let marcus;
+
+  beforeEach(() => {
+    pinClock();
+    database.reset();
+    calendar.reset();
+    [marcus] = database.seed('barbers', {
+      name: 'Marcus',
+      refresh_token: encryptToken('marcus-token'),
+      selected_calendar_id: 'marcus-calendar'
+    });
+  });
+
+  afterEach(() => {
+    unpinClock();
+  });
+
+  test('reports nothing when the calendar and the database agree', async () => {
+    await book().expect(200);
+    calendar.seed({ summary: 'Dentist', start: { dateTime: '2025-07-18T16:00:00Z' }, end: { dateTime: '2025-07-18T17:00:00Z' } }, 'marcus-calendar');
+
+    const res = await request(admin).get(BASE).expect(200);
+
+    expect(res.body.providers).toEqual([{
+      providerId: marcus.id,
+      calendarId: 'marcus-calendar',
+      missingEvents: [],
+      missingAppointments: [],
+      mismatchedTimes: [],
+      repaired: 0
+    }]);
+  });
+
+  test('restores the row for an event whose database write failed', async () => {
+    database.failNext('appointments', 'insert');
+    const booked = await book().expect(200);
+    expect(database.rows('appointments')).toEqual([]);
+
+    const report = await request(admin).get(BASE).expect(200);
+    expect(report.body.providers[0].missingAppointments).toEqual([
+      expect.objectContaining({ eventId: booked.body.eventId, summary: 'Haircut: Dana', start: '2025-07-18T22:00:00.000Z' })
+    ]);
+    expect(database.rows('appointments')).toEqual([]);
+
+    const res = await request(admin).post(`${BASE}/repair`).send({}).expect(200);
+
+    expect(res.body.repaired).toBe(1);
+    expect(database.rows('appointments')).toEqual([expect.objectContaining({
+      client_name: 'Dana',
+      client_phone: '+15305550123',
+      service_type: 'Haircut',
+      barber_id: marcus.id,
+      start_time: '2025-07-18T22:00:00.000Z',
+      end_time: '2025-07-18T22:45:00.000Z',
+      google_calendar_event_id: booked.body.eventId
+    })]);
+    expect((await request(admin).get(BASE).expect(200)).body.providers[0].missingAppointments).toEqual([]);
+  });
+
+  test('cancels a row whose event was deleted without it', async () => {
+    const booked = await book().expect(200);
+    database.failNext('appointments', 'delete');
+    await request(webhook)
+      .post(`${WEBHOOK}/client-appointment`)
+      .send({ clientPhone: '+15305550123', isCancelling: true, eventId: booked.body.eventId, preferredBarberId: marcus.id })
+      .expect(200);
+    const [ghost] = database.rows('appointments');
+
+    const res = await request(admin).post(`${BASE}/repair`).send({ providerId: marcus.id }).expect(200);
+
+    expect(res.body.providers[0].missingEvents).toEqual([
+      { appointmentId: ghost.id, eventId: booked.body.eventId, startTime: '2025-07-18T22:00:00.000Z' }
+    ]);
+    expect(database.rows('appointments')[0].status).toBe('cancelled');
+  });
+
+  test('copies times from events moved in the calendar', async () => {
+    const booked = await book().expect(200);
+    await calendar.events.patch({
+      calendarId: 'marcus-calendar',
+      eventId: booked.body.eventId,
+      resource: { start: { dateTime: '2025-08-20T22:00:00.000Z' }, end: { dateTime: '2025-08-20T22:45:00.000Z' } }
+    });
+
+    const report = await request(admin).get(BASE).expect(200);
+    // The event left the checked window, so it is looked up by id
+    expect(report.body.providers[0].mismatchedTimes).toEqual([expect.objectContaining({
+      eventId: booked.body.eventId,
+      event: { start: '2025-08-20T22:00:00.000Z', end: '2025-08-20T22:45:00.000Z' }
+    })]);
+
+    await request(admin).post(`${BASE}/repair`).send({}).expect(200);
+    expect(database.rows('appointments')[0]).toMatchObject({ start_time: '2025-08-20T22:00:00.000Z', end_time: '2025-08-20T22:45:00.000Z' });
+  });
+
+  test('leaves barbers bound to another tenant to that tenant', async () => {
+    database.seed('barbers', { id: 'justin-barber', name: 'Justin', refresh_token: encryptToken('justin-token') });
+    database.seed('appointments', {
+      barber_id: 'justin-barber',
+      client_phone: '+15305550199',
+      start_time: '2025-07-18T22:00:00.000Z',
+      end_time: '2025-07-18T22:45:00.000Z',
+      status: 'confirmed',
+      google_calendar_event_id: 'justin-event'
+    });
+
+    const res = await request(admin).post(`${BASE}/repair`).send({}).expect(200);
+
+    expect(res.body.providers.map(report => report.providerId)).toEqual([marcus.id]);
+    expect(database.rows('appointments')).toEqual([expect.objectContaining({ barber_id: 'justin-barber', status: 'confirmed' })]);
+  });
+
+  test('reports a provider whose calendar cannot be read and carries on', async () => {
+    database.seed('barbers', { name: 'Leo', refresh_token: encryptToken('leo-token'), needs_reauth: true });
+    await book().expect(200);
+
+    const res = await request(admin).get(BASE).expect(200);
+
+    expect(res.body.providers).toHaveLength(2);
+    expect(res.body.providers[1]).toMatchObject({ code: 'REAUTH_REQUIRED' });
+    expect(res.body.providers[0].missingAppointments).toEqual([]);
+  });
+});
@@ -0,0 +1,218 @@
+jest.mock('@supabase/supabase-js', () => require('../helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('../helpers/fakeGoogle').mockModule);
+
+const request = require('supertest');
+const { database } = require('../helpers/fakeSupabase');
+const { calendar } = require('../helpers/fakeGoogle');
+const { createFakeSender } = require('../helpers/fakeSender');
+const { createTenantApp } = require('../helpers/app');
+const { getTenant, createTenantRouter } = require('../../utils/tenants');
+const { computeTwilioSignature, setSmsSender } = require('../../utils/sms');
+const { sendDueReminders, handleReminderReply } = require('../../utils/reminders');
+const { createSmsRouter } = require('../../routes/sms');
+
+const AUTH_TOKEN = 'twilio-test-token';
+const PUBLIC_URL = 'https://concierge.example.com';
+const HOUR = 60 * 60 * 1000;
+const CLIENT = '+13125550123';
+
+// Reminders and replies are checked against the real clock, so times are relative to now
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR).toISOString();
+
+describe('appointment reminders', () => {
+  const barbershop = getTenant('barbershop');
+  const makeupArtist = getTenant('makeup-artist');
+  const justin = getTenant('justin');
+  let sender;
+  let server;
+  let marcus;
+
+  // A client's text, signed the way Twilio signs it
+  const reply = (tenant, Body) => {
+    const path = `/clients/${tenant.slug}/sms/inbound`;
+    const params = { From: CLIENT, To: '+13125550100', Body, MessageSid: 'SM1' };
+    return request(server)
+      .post(path)
+      .type('form')
+      .set('X-Twilio-Signature', computeTwilioSignature(AUTH_TOKEN, `${PUBLIC_URL}${path}`, params))
+      .send(params);
+  };
+
+  beforeAll(async () => {
+    sender = createFakeSender();
+    setSmsSender(sender);
+    process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+    process.env.SMS_WEBHOOK_BASE_URL = PUBLIC_URL;
+
+    // Replies run the tenants' webhook handlers over HTTP, so the app has to listen
+    const app = createTenantApp('barbershop');
+    app.use('/clients/makeup-artist/webhook', createTenantRouter(makeupArtist));
+    app.use('/clients/barbershop/sms', createSmsRouter(barbershop));
+    app.use('/clients/makeup-artist/sms', createSmsRouter(makeupArtist));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    process.env.AGENT_WEBHOOK_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    setSmsSender(null);
+    delete process.env.TWILIO_AUTH_TOKEN;
+    delete process.env.SMS_WEBHOOK_BASE_URL;
+    delete process.env.AGENT_WEBHOOK_BASE_URL;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    database.reset();
+    calendar.reset();
+    sender.reset();
+    [marcus] = database.seed('barbers', { name: 'Marcus', refresh_token: 'marcus-token', selected_calendar_id: 'marcus-calendar' });
+  });
+
+  describe('sending', () => {
+    test('texts once per offset as each comes due', async () => {
+      const start = new Date('2025-07-18T22:00:00Z');
+      database.seed('appointments', {
+        client_name: 'Dana',
+        client_phone: CLIENT,
+        barber_id: marcus.id,
+        service_type: 'Haircut',
+        start_time: start.toISOString(),
+        end_time: '2025-07-18T22:45:00.000Z'
+      });
+      const before = (hours) => new Date(start.getTime() - hours * HOUR);
+
+      expect(await sendDueReminders(barbershop, before(50))).toBe(0);
+      expect(await sendDueReminders(barbershop, before(47))).toBe(1);
+      expect(await sendDueReminders(barbershop, before(30))).toBe(0);
+      expect(await sendDueReminders(barbershop, before(1.5))).toBe(1);
+      expect(await sendDueReminders(barbershop, before(1))).toBe(0);
+
+      expect(sender.sent.map(message => message.to)).toEqual([CLIENT, CLIENT]);
+      expect(sender.sent[0].body).toBe('Hi Dana, this is a reminder of your Haircut with Barbershop on Fri, Jul 18, 3:00 PM. Reply C to confirm or CANCEL to cancel.');
+      expect(database.rows('appointment_reminders').map(reminder => reminder.offset_minutes)).toEqual([2880, 120]);
+    });
+
+    test('sends only the nearest reminder for late bookings', async () => {
+      const now = new Date('2025-07-18T21:00:00Z');
+      database.seed('appointments', { client_phone: CLIENT, barber_id: marcus.id, start_time: '2025-07-18T22:00:00.000Z' });
+
+      expect(await sendDueReminders(barbershop, now)).toBe(1);
+      expect(await sendDueReminders(barbershop, now)).toBe(0);
+      expect(database.rows('appointment_reminders')).toEqual([expect.objectContaining({ offset_minutes: 120 })]);
+    });
+
+    test('skips cancelled appointments and clients without a phone', async () => {
+      database.seed('appointments', [
+        { client_phone: CLIENT, barber_id: marcus.id, start_time: '2025-07-18T22:00:00.000Z', status: 'canceled' },
+        { client_identifier: '1789', platform: 'instagram', barber_id: marcus.id, start_time: '2025-07-18T22:00:00.000Z' }
+      ]);
+
+      expect(await sendDueReminders(barbershop, new Date('2025-07-18T12:00:00Z'))).toBe(0);
+      expect(sender.sent).toEqual([]);
+    });
+
+    test('asks pending clients to confirm', async () => {
+      database.seed('appointments', {
+        client_phone: CLIENT,
+        service_type: 'bridal',
+        start_time: '2025-07-19T15:00:00.000Z',
+        status: 'pending_confirmation'
+      });
+
+      await sendDueReminders(makeupArtist, new Date('2025-07-18T12:00:00Z'));
+
+      expect(sender.sent[0].body).toBe('Your bridal with Makeup Artist on Sat, Jul 19, 10:00 AM is not confirmed yet. Reply C to confirm or CANCEL to cancel.');
+    });
+
+    test('texts only the clients of the tenant\'s own barbers when tenants share a database', async () => {
+      database.seed('barbers', { id: 'justin-barber', name: 'Justin' });
+      database.seed('appointments', [
+        { client_phone: CLIENT, barber_id: marcus.id, start_time: '2025-07-18T22:00:00.000Z' },
+        { client_phone: '+15305550123', barber_id: 'justin-barber', start_time: '2025-07-18T23:00:00.000Z' }
+      ]);
+      const now = new Date('2025-07-18T12:00:00Z');
+
+      expect(await sendDueReminders(barbershop, now)).toBe(1);
+      expect(await sendDueReminders(justin, now)).toBe(1);
+
+      expect(sender.sent.map(message => message.to)).toEqual([CLIENT, '+15305550123']);
+      expect(sender.sent[1].body).toContain('with Justin');
+    });
+  });
+
+  describe('replies', () => {
+    test('CANCEL cancels through the booking handler', async () => {
+      const event = calendar.seed({ summary: 'Haircut: Dana', start: { dateTime: hoursFromNow(30) }, end: { dateTime: hoursFromNow(31) } }, 'marcus-calendar');
+      database.seed('appointments', {
+        client_phone: CLIENT,
+        barber_id: marcus.id,
+        start_time: hoursFromNow(30),
+        end_time: hoursFromNow(31),
+        google_calendar_event_id: event.id
+      });
+      await sendDueReminders(barbershop);
+
+      const res = await reply(barbershop, 'Cancel').expect(200);
+
+      expect(res.text).toContain('Your appointment with Barbershop has been cancelled.');
+      expect(calendar.list('marcus-calendar')).toEqual([]);
+      expect(database.rows('appointments')).toEqual([]);
+      expect(database.rows('appointment_reminders')[0]).toMatchObject({ reply: 'cancel' });
+    });
+
+    test('C confirms a pending appointment and adds it to the calendar', async () => {
+      database.seed('makeup_artists', { name: 'Ava', refresh_token: 'ava-refresh-token', selected_calendar_id: 'ava-calendar' });
+      database.seed('clients', { phone_number: CLIENT, name: 'Pat', status: 'Lead' });
+      database.seed('appointments', {
+        client_name: 'Pat',
+        client_phone: CLIENT,
+        start_time: hoursFromNow(40),
+        end_time: hoursFromNow(41),
+        status: 'pending_confirmation'
+      });
+      await sendDueReminders(makeupArtist);
+
+      const res = await reply(makeupArtist, 'C').expect(200);
+
+      expect(res.text).toContain('is confirmed');
+      expect(database.rows('appointments')[0].status).toBe('confirmed');
+      expect(calendar.list('ava-calendar')).toHaveLength(1);
+    });
+
+    test('C on a booked appointment is recorded without touching it', async () => {
+      database.seed('appointments', { client_phone: CLIENT, barber_id: marcus.id, start_time: hoursFromNow(30), status: 'confirmed' });
+      await sendDueReminders(barbershop);
+
+      expect(await handleReminderReply(barbershop, CLIENT, 'yes!')).toContain('is confirmed');
+      expect(database.rows('appointment_reminders')[0]).toMatchObject({ reply: 'confirm' });
+      // Already answered, so another "C" is left to the agent
+      expect(await handleReminderReply(barbershop, CLIENT, 'C')).toBeNull();
+    });
+
+    test('leaves other texts and clients without a reminder to the agent', async () => {
+      database.seed('appointments', { client_phone: CLIENT, barber_id: marcus.id, start_time: hoursFromNow(30) });
+
+      expect(await handleReminderReply(barbershop, CLIENT, 'C')).toBeNull();
+      await sendDueReminders(barbershop);
+      expect(await handleReminderReply(barbershop, CLIENT, 'Can I come earlier?')).toBeNull();
+    });
+
+    test('a reply only acts on the replying tenant\'s reminders', async () => {
+      database.seed('barbers', { id: 'justin-barber', name: 'Justin' });
+      const [shopCut, justinCut] = database.seed('appointments', [
+        { client_phone: CLIENT, barber_id: marcus.id, start_time: hoursFromNow(30), status: 'confirmed' },
+        { client_phone: CLIENT, barber_id: 'justin-barber', start_time: hoursFromNow(40), status: 'confirmed' }
+      ]);
+      await sendDueReminders(barbershop, new Date(Date.now() - 60 * 1000));
+      await sendDueReminders(justin);
+
+      // Justin's reminder is the newer one, but the reply reached the shop
+      expect(await handleReminderReply(barbershop, CLIENT, 'C')).toContain('with Barbershop is confirmed');
+
+      const replies = database.rows('appointment_reminders').map(reminder => [reminder.appointment_id, reminder.reply]);
+      expect(replies).toEqual([[shopCut.id, 'confirm'], [justinCut.id, undefined]]);
+    });
+  });
+});
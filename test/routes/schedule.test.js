@@ -0,0 +1,114 @@
+jest.mock('@supabase/supabase-js', () => require('../helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('../helpers/fakeGoogle').mockModule);
+
+const express = require('express');
+const request = require('supertest');
+const { database } = require('../helpers/fakeSupabase');
+const { calendar } = require('../helpers/fakeGoogle');
+const { createTenantApp } = require('../helpers/app');
+const { pinClock, unpinClock } = require('../helpers/clock');
+const { getTenant } = require('../../utils/tenants');
+const { createProviderScheduleRouter } = require('../../routes/providerSchedule');
+
+describe('provider schedules', () => {
+  const scheduleApp = (slug) => {
+    const app = express();
+    app.use(express.json());
+    app.use(`/clients/${slug}/schedule`, createProviderScheduleRouter(getTenant(slug)));
+    return app;
+  };
+
+  beforeEach(() => {
+    pinClock();
+    database.reset();
+    calendar.reset();
+  });
+
+  afterEach(() => {
+    unpinClock();
+  });
+
+  describe('Justin', () => {
+    const webhook = createTenantApp('justin');
+    const schedules = scheduleApp('justin');
+    const book = (startDateTime) => request(webhook)
+      .post('/clients/justin/webhook/appointment')
+      .send({ clientPhone: '+15305550123', clientName: 'Dana', startDateTime });
+
+    beforeEach(() => {
+      database.seed('barbers', { id: 'justin-barber', name: 'Justin', refresh_token: 'justin-refresh-token' });
+    });
+
+    test('reports the tenant hours until Justin saves his own', async () => {
+      const res = await request(schedules).get('/clients/justin/schedule').expect(200);
+
+      expect(res.body).toMatchObject({
+        providerId: 'justin-barber',
+        source: 'default',
+        summary: 'Thursday 6 PM-10 PM, Friday 2 PM-8 PM'
+      });
+    });
+
+    test('new hours, breaks and holidays apply to bookings without a deploy', async () => {
+      // Friday 3pm is inside the default hours
+      expect((await book('2025-07-18T15:00:00')).status).toBe(200);
+
+      await request(schedules)
+        .put('/clients/justin/schedule')
+        .send({
+          schedule: {
+            weekly: { saturday: [{ start: '10:00', end: '16:00' }] },
+            breaks: { saturday: [{ start: '12:00', end: '13:00' }] },
+            holidays: ['2025-07-26']
+          }
+        })
+        .expect(200);
+
+      const friday = await book('2025-07-25T15:00:00');
+      expect(friday.status).toBe(400);
+      expect(friday.body.error).toContain('Saturday 10 AM-4 PM');
+
+      expect((await book('2025-07-19T10:00:00')).status).toBe(200);
+      expect((await book('2025-07-19T12:00:00')).status).toBe(400);
+      expect((await book('2025-07-26T10:00:00')).status).toBe(400);
+    });
+
+    test('rejects malformed schedules', async () => {
+      const res = await request(schedules)
+        .put('/clients/justin/schedule')
+        .send({ schedule: { weekly: { monday: [{ start: '9am', end: '5pm' }] } } })
+        .expect(400);
+
+      expect(res.body.details).toEqual(['weekly.monday[0] needs start and end as HH:MM']);
+      expect(database.rows('barbers')[0].schedule).toBeUndefined();
+    });
+  });
+
+  describe('barbershop', () => {
+    test('offers slots only in a barber\'s own hours', async () => {
+      const [barber] = database.seed('barbers', {
+        name: 'Marcus',
+        refresh_token: 'marcus-refresh-token',
+        selected_calendar_id: 'marcus-calendar',
+        schedule: { weekly: { friday: [{ start: '16:00', end: '17:00' }] }, overrides: { '2025-07-25': [] } }
+      });
+
+      const res = await request(createTenantApp('barbershop'))
+        .post('/clients/barbershop/webhook/find-available-slots')
+        .send({ barberId: barber.id, currentTimestamp: '2025-07-18T09:00:00', numSlots: 3 });
+
+      // Two slots on the 18th; the next Friday is closed by an override
+      expect(res.body.slots).toEqual([
+        { start: '2025-07-18T23:00:00.000Z', end: '2025-07-18T23:30:00.000Z' },
+        { start: '2025-07-18T23:30:00.000Z', end: '2025-07-19T00:00:00.000Z' },
+        { start: '2025-08-01T23:00:00.000Z', end: '2025-08-01T23:30:00.000Z' }
+      ]);
+    });
+
+    test('needs a providerId when the shop has several barbers', async () => {
+      database.seed('barbers', [{ name: 'Marcus' }, { name: 'Leo' }]);
+
+      await request(scheduleApp('barbershop')).get('/clients/barbershop/schedule').expect(404);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+jest.mock('@supabase/supabase-js', () => require('../helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('../helpers/fakeGoogle').mockModule);
+
+const express = require('express');
+const request = require('supertest');
+const { database } = require('../helpers/fakeSupabase');
+const { startMockOpenAI } = require('../helpers/mockOpenAI');
+const { createFakeSender } = require('../helpers/fakeSender');
+const { getTenant } = require('../../utils/tenants');
+const { computeTwilioSignature, setSmsSender } = require('../../utils/sms');
+const { createSmsRouter } = require('../../routes/sms');
+
+const AUTH_TOKEN = 'twilio-test-token';
+const PUBLIC_URL = 'https://concierge.example.com';
+const TENANT_NUMBER = '+13125550100';
+
+const inbound = (overrides = {}) => ({
+  MessageSid: 'SM0123456789abcdef0123456789abcdef',
+  AccountSid: 'AC0123456789abcdef0123456789abcdef',
+  From: '+13125550123',
+  To: TENANT_NUMBER,
+  Body: 'Hi, do you have anything Friday?',
+  NumMedia: '0',
+  ...overrides
+});
+
+// Posts a form-encoded webhook signed the way Twilio signs it
+const postSigned = (app, path, params, token = AUTH_TOKEN) => request(app)
+  .post(path)
+  .type('form')
+  .set('X-Twilio-Signature', computeTwilioSignature(token, `${PUBLIC_URL}${path}`, params))
+  .send(params);
+
+describe('Twilio SMS channel', () => {
+  let openai;
+  let sender;
+
+  const createApp = (tenant) => {
+    const app = express();
+    app.use(`/clients/${tenant.slug}/sms`, createSmsRouter(tenant));
+    return app;
+  };
+
+  beforeAll(async () => {
+    openai = await startMockOpenAI();
+    sender = createFakeSender();
+    setSmsSender(sender);
+
+    process.env.OPENAI_API_KEY = 'test-openai-key';
+    process.env.OPENAI_BASE_URL = openai.baseURL;
+    process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+    process.env.SMS_WEBHOOK_BASE_URL = PUBLIC_URL;
+  });
+
+  afterAll(async () => {
+    setSmsSender(null);
+    delete process.env.TWILIO_AUTH_TOKEN;
+    delete process.env.SMS_WEBHOOK_BASE_URL;
+    await openai.close();
+  });
+
+  beforeEach(() => {
+    database.reset();
+    openai.reset();
+    sender.reset();
+  });
+
+  test('computes signatures like Twilio\'s reference example', () => {
+    const signature = computeTwilioSignature('12345', 'https://mycompany.com/myapp.php?foo=1&bar=2', {
+      CallSid: 'CA1234567890ABCDE',
+      Caller: '+12349013030',
+      Digits: '1234',
+      From: '+12349013030',
+      To: '+18005551212'
+    });
+
+    expect(signature).toBe('0/KCTR6DLpKmkAf8muzZqo1nDgQ=');
+  });
+
+  test('replies with TwiML and records the conversation', async () => {
+    openai.reply({ content: 'Friday I have 2pm & 4pm open. Which works?' });
+
+    const res = await postSigned(createApp(getTenant('makeup-artist')), '/clients/makeup-artist/sms/inbound', inbound());
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/xml/);
+    expect(res.text).toContain('<Message>Friday I have 2pm &amp; 4pm open. Which works?</Message>');
+
+    expect(openai.requests[0].messages.at(-1)).toEqual({ role: 'user', content: 'Hi, do you have anything Friday?' });
+    expect(database.rows('conversation_sessions')[0].phone_number).toBe('+13125550123');
+    expect(database.rows('conversation_messages')[0]).toMatchObject({
+      role: 'user',
+      metadata: { channel: 'sms', messageSid: 'SM0123456789abcdef0123456789abcdef' }
+    });
+    expect(sender.sent).toHaveLength(0);
+  });
+
+  test('rejects requests with a bad signature', async () => {
+    const res = await postSigned(
+      createApp(getTenant('makeup-artist')),
+      '/clients/makeup-artist/sms/inbound',
+      inbound(),
+      'some-other-token'
+    );
+
+    expect(res.status).toBe(403);
+    expect(openai.requests).toHaveLength(0);
+    expect(database.rows('conversation_messages')).toHaveLength(0);
+  });
+
+  test('rejects requests whose parameters were altered after signing', async () => {
+    const path = '/clients/makeup-artist/sms/inbound';
+    const params = inbound();
+    const res = await request(createApp(getTenant('makeup-artist')))
+      .post(path)
+      .type('form')
+      .set('X-Twilio-Signature', computeTwilioSignature(AUTH_TOKEN, `${PUBLIC_URL}${path}`, params))
+      .send({ ...params, From: '+15555550000' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('acknowledges media-only messages without calling the agent', async () => {
+    const res = await postSigned(
+      createApp(getTenant('makeup-artist')),
+      '/clients/makeup-artist/sms/inbound',
+      inbound({ Body: '', NumMedia: '1' })
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('<Response></Response>');
+    expect(openai.requests).toHaveLength(0);
+  });
+
+  test('sends the reply through the REST sender in rest mode', async () => {
+    const tenant = { ...getTenant('makeup-artist'), sms: { replyMode: 'rest' } };
+    openai.reply({ content: 'Friday at 2pm is open.' });
+
+    const res = await postSigned(createApp(tenant), '/clients/makeup-artist/sms/inbound', inbound());
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('<Response></Response>');
+
+    const [message] = await sender.waitFor(1);
+    expect(message).toEqual({ to: '+13125550123', from: TENANT_NUMBER, body: 'Friday at 2pm is open.' });
+  });
+});
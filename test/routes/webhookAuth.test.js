@@ -0,0 +1,147 @@
+jest.mock('@supabase/supabase-js', () => require('../helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('../helpers/fakeGoogle').mockModule);
+
+const express = require('express');
+const request = require('supertest');
+const { database } = require('../helpers/fakeSupabase');
+const { pinClock, unpinClock } = require('../helpers/clock');
+const { getTenant, createTenantRouter } = require('../../utils/tenants');
+const { normalizeAuth, computeRequestSignature, requireWebhookAuth } = require('../../utils/webhookAuth');
+const { loadAgentTools, createToolExecutor } = require('../../utils/agent');
+
+const BASE = '/clients/justin/webhook';
+
+// Mounts Justin's router behind the auth middleware the way app.js does
+function createApp(auth) {
+  const tenant = { ...getTenant('justin'), auth: normalizeAuth(auth) };
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use(BASE, requireWebhookAuth(tenant.auth), createTenantRouter(tenant));
+  return { app, tenant };
+}
+
+const sign = (secret, { method, url, body = '', timestamp = Math.floor(Date.now() / 1000) }) =>
+  `t=${timestamp},v1=${computeRequestSignature(secret, { timestamp, method, url, body })}`;
+
+describe('webhook authentication', () => {
+  beforeEach(() => {
+    pinClock();
+    database.reset();
+  });
+
+  afterEach(() => {
+    unpinClock();
+  });
+
+  describe('API keys', () => {
+    const { app } = createApp({ apiKeys: 'new-key, old-key' });
+
+    test('rejects requests without a key with 401', async () => {
+      const res = await request(app).get(`${BASE}/services`);
+
+      expect(res.status).toBe(401);
+      expect(res.headers['www-authenticate']).toBe('Bearer');
+      expect(res.body).toEqual({ success: false, error: 'Missing API key' });
+    });
+
+    test('rejects unknown keys with 403', async () => {
+      const res = await request(app).get(`${BASE}/services`).set('Authorization', 'Bearer guessed');
+
+      expect(res.status).toBe(403);
+      expect(res.body).toEqual({ success: false, error: 'Invalid API key' });
+    });
+
+    test('accepts every listed key, so keys can be rotated', async () => {
+      const current = await request(app).get(`${BASE}/services`).set('Authorization', 'Bearer new-key');
+      const previous = await request(app).get(`${BASE}/services`).set('X-API-Key', 'old-key');
+
+      expect(current.status).toBe(200);
+      expect(previous.status).toBe(200);
+    });
+
+    test('guards client data on every route', async () => {
+      const res = await request(app).get(`${BASE}/get-client`).query({ phone: '+15305550123' });
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('request signing', () => {
+    const { app } = createApp({ apiKeys: ['key'], signingSecrets: ['secret-2', 'secret-1'] });
+    const body = JSON.stringify({ phoneNumber: '+15305550123', name: 'Dana' });
+    const url = `${BASE}/create-client`;
+
+    const post = (signature, payload = body) => request(app)
+      .post(url)
+      .set('Authorization', 'Bearer key')
+      .set('Content-Type', 'application/json')
+      .set(signature ? { 'X-Signature': signature } : {})
+      .send(payload);
+
+    test('requires a signature when the tenant has signing secrets', async () => {
+      const res = await post(null);
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Missing request signature');
+    });
+
+    test('accepts a valid signature from any listed secret', async () => {
+      const res = await post(sign('secret-1', { method: 'POST', url, body }));
+
+      expect(res.status).toBe(200);
+      expect(database.rows('clients')).toHaveLength(1);
+    });
+
+    test('rejects a body that does not match the signature', async () => {
+      const res = await post(
+        sign('secret-2', { method: 'POST', url, body }),
+        JSON.stringify({ phoneNumber: '+15305550999', name: 'Mallory' })
+      );
+
+      expect(res.status).toBe(403);
+      expect(database.rows('clients')).toHaveLength(0);
+    });
+
+    test('rejects stale signatures', async () => {
+      const timestamp = Math.floor(Date.now() / 1000) - 10 * 60;
+      const res = await post(sign('secret-2', { method: 'POST', url, body, timestamp }));
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('Request signature has expired');
+    });
+  });
+
+  test('fails closed when a tenant has no keys configured', async () => {
+    const { app } = createApp({});
+    const res = await request(app).get(`${BASE}/services`);
+
+    expect(res.status).toBe(503);
+  });
+
+  test('the agent signs its calls to the tenant\'s webhooks', async () => {
+    const { app, tenant } = createApp({ apiKeys: 'agent-key', signingSecrets: 'agent-secret' });
+    database.seed('barbers', { id: 'justin-barber', name: 'Justin', refresh_token: 'justin-refresh-token' });
+
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+      const executeTool = createToolExecutor(tenant, loadAgentTools(tenant), {
+        clientPhone: '+15305550123',
+        clientIdentity: { identifier: '+15305550123', platform: 'phone' },
+        baseUrl: `http://127.0.0.1:${server.address().port}`
+      });
+
+      await expect(executeTool('get_services', {})).resolves.toMatchObject({ success: true });
+      await expect(executeTool('list_appointments', {})).resolves.toMatchObject({ success: true, appointments: [] });
+      await expect(executeTool('book_appointment', { clientName: 'Dana', startDateTime: '2025-07-18T15:00:00' }))
+        .resolves.toMatchObject({ success: true, action: 'create' });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
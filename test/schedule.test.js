@@ -0,0 +1,71 @@
+const { validateSchedule, getOpenWindows, isWithinSchedule, describeWeeklyHours, getProviderSchedule } = require('../utils/schedule');
+
+const TZ = 'America/Los_Angeles';
+const at = (value) => new Date(value);
+const iso = (windows) => windows.map(window => [window.date, window.start.toISOString(), window.end.toISOString()]);
+
+describe('provider schedule', () => {
+  const schedule = {
+    weekly: {
+      monday: [{ start: '09:00', end: '17:00' }],
+      tuesday: [{ start: '09:00', end: '17:00' }]
+    },
+    breaks: { monday: [{ start: '12:00', end: '13:00' }] },
+    overrides: { '2025-07-15': [{ start: '10:00', end: '12:00' }] },
+    holidays: [{ date: '2025-07-21', name: 'Staff day' }]
+  };
+
+  test('cuts breaks out of weekly hours and lets overrides replace a day', () => {
+    const windows = getOpenWindows(schedule, at('2025-07-14T00:00:00-07:00'), at('2025-07-16T00:00:00-07:00'), TZ);
+
+    expect(iso(windows)).toEqual([
+      ['2025-07-14', '2025-07-14T16:00:00.000Z', '2025-07-14T19:00:00.000Z'],
+      ['2025-07-14', '2025-07-14T20:00:00.000Z', '2025-07-15T00:00:00.000Z'],
+      ['2025-07-15', '2025-07-15T17:00:00.000Z', '2025-07-15T19:00:00.000Z']
+    ]);
+  });
+
+  test('closes holidays and clips windows to the period', () => {
+    expect(getOpenWindows(schedule, at('2025-07-21T00:00:00-07:00'), at('2025-07-21T23:00:00-07:00'), TZ)).toEqual([]);
+
+    const [window] = getOpenWindows(schedule, at('2025-07-22T15:20:00-07:00'), at('2025-07-23T00:00:00-07:00'), TZ);
+    expect(window.start.toISOString()).toBe('2025-07-22T22:20:00.000Z');
+    expect(window.end.toISOString()).toBe('2025-07-23T00:00:00.000Z');
+  });
+
+  test('follows the wall clock across a DST change', () => {
+    const windows = getOpenWindows(schedule, at('2025-11-03T00:00:00-08:00'), at('2025-11-03T23:00:00-08:00'), TZ);
+
+    expect(windows[0].start.toISOString()).toBe('2025-11-03T17:00:00.000Z');
+  });
+
+  test('requires the whole appointment inside one window', () => {
+    expect(isWithinSchedule(schedule, '2025-07-14T11:00:00', '2025-07-14T12:00:00', TZ)).toBe(true);
+    expect(isWithinSchedule(schedule, '2025-07-14T11:30:00', '2025-07-14T12:30:00', TZ)).toBe(false);
+    expect(isWithinSchedule(schedule, '2025-07-14T16:45:00', '2025-07-14T17:15:00', TZ)).toBe(false);
+    expect(isWithinSchedule(schedule, '2025-07-15T09:00:00', '2025-07-15T09:30:00', TZ)).toBe(false);
+  });
+
+  test('validates the stored shape', () => {
+    expect(validateSchedule(schedule)).toEqual([]);
+    expect(validateSchedule({
+      weekly: { funday: [], monday: [{ start: '18:00', end: '09:00' }] },
+      overrides: { tomorrow: [] },
+      holidays: [{ name: 'No date' }]
+    })).toEqual([
+      'weekly.funday is not a day of the week',
+      'weekly.monday[0] ends before it starts',
+      'overrides.tomorrow is not a YYYY-MM-DD date',
+      'holidays[0] needs a YYYY-MM-DD date'
+    ]);
+  });
+
+  test('describes weekly hours and falls back from the provider to the tenant', () => {
+    const tenant = { schedule: { weekly: { thursday: [{ start: '18:00', end: '22:00' }], friday: [{ start: '14:00', end: '20:30' }] } } };
+
+    expect(describeWeeklyHours(getProviderSchedule(tenant, {}))).toBe('Thursday 6 PM-10 PM, Friday 2 PM-8:30 PM');
+    expect(getProviderSchedule(tenant, { schedule })).toBe(schedule);
+    expect(getProviderSchedule(tenant, { business_hours_start: '08:00:00', business_hours_end: '12:00:00' }).weekly.sunday)
+      .toEqual([{ start: '08:00', end: '12:00' }]);
+  });
+});
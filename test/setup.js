@@ -0,0 +1,20 @@
+// Runs before every test file. Supabase and Google are replaced with in-memory
+// fakes, so these only need to satisfy the startup checks.
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_KEY = 'test-key';
+process.env.JUSTIN_BARBER_ID = 'justin-barber';
+process.env.GOOGLE_CLIENT_ID = 'test-client-id';
+process.env.GOOGLE_CLIENT_SECRET = 'test-client-secret';
+process.env.REDIRECT_URI = 'http://localhost/auth/google/callback';
+
+// A host zone far from every tenant's catches code that leans on the server's TZ
+process.env.TZ = 'Asia/Tokyo';
+
+// Answer agent messages as soon as they arrive; coalescing tests set their own window
+process.env.AGENT_QUIET_MS = '0';
+
+// Refresh tokens are stored encrypted; tests that rotate keys set their own list
+process.env.TOKEN_ENCRYPTION_KEYS = `test-key:${Buffer.alloc(32, 1).toString('base64')}`;
+
+// Reconnect links are only issued and accepted with a signing secret
+process.env.RECONNECT_LINK_SECRET = 'test-reconnect-secret';
@@ -0,0 +1,75 @@
+const {
+  getZonedParts,
+  parseDateTime,
+  utcToZonedTime,
+  atZonedTime,
+  getZonedDate,
+  parseEventTime,
+  formatToTimeZone
+} = require('../utils/timeZoneHandler');
+
+const CHICAGO = 'America/Chicago';
+const LOS_ANGELES = 'America/Los_Angeles';
+
+describe('parseDateTime', () => {
+  test('reads wall-clock input in the given zone', () => {
+    expect(parseDateTime('2025-07-17T14:00:00', CHICAGO).toISOString()).toBe('2025-07-17T19:00:00.000Z');
+    expect(parseDateTime('2025-01-15T09:30:00', CHICAGO).toISOString()).toBe('2025-01-15T15:30:00.000Z');
+    expect(parseDateTime('2025-07-17T14:00', LOS_ANGELES).toISOString()).toBe('2025-07-17T21:00:00.000Z');
+  });
+
+  test('honors an explicit offset or Z', () => {
+    expect(parseDateTime('2025-07-17T14:00:00-04:00', CHICAGO).toISOString()).toBe('2025-07-17T18:00:00.000Z');
+    expect(parseDateTime('2025-07-17T14:00:00Z', CHICAGO).toISOString()).toBe('2025-07-17T14:00:00.000Z');
+  });
+
+  test('treats a date-only string as midnight in the zone', () => {
+    expect(parseDateTime('2025-03-01', CHICAGO).toISOString()).toBe('2025-03-01T06:00:00.000Z');
+  });
+
+  test('moves times in the spring-forward gap past the gap', () => {
+    expect(parseDateTime('2025-03-09T02:30:00', CHICAGO).toISOString()).toBe('2025-03-09T08:30:00.000Z');
+  });
+
+  test('resolves ambiguous fall-back times to the first occurrence', () => {
+    expect(parseDateTime('2025-11-02T01:30:00', CHICAGO).toISOString()).toBe('2025-11-02T06:30:00.000Z');
+  });
+
+  test('rejects unparseable input', () => {
+    expect(() => parseDateTime('next tuesday', CHICAGO)).toThrow('Invalid date format');
+  });
+});
+
+describe('utcToZonedTime', () => {
+  test('round-trips wall-clock input', () => {
+    ['2025-07-17T14:00:00', '2025-01-15T09:30:00', '2025-11-03T09:00:00'].forEach(wallClock => {
+      expect(utcToZonedTime(parseDateTime(wallClock, CHICAGO), CHICAGO)).toBe(wallClock);
+    });
+  });
+});
+
+describe('zoned calendar helpers', () => {
+  test('getZonedParts reports the weekday in the zone, not the server', () => {
+    // 11pm Thursday in Los Angeles is already Friday in UTC and Tokyo
+    const thursdayNight = parseDateTime('2025-07-17T23:00:00', LOS_ANGELES);
+    expect(getZonedParts(thursdayNight, LOS_ANGELES)).toMatchObject({ weekday: 4, hour: 23 });
+  });
+
+  test('atZonedTime shifts by calendar days across DST changes', () => {
+    const saturday = parseDateTime('2025-03-08T12:00:00', CHICAGO);
+    expect(atZonedTime(saturday, 9, 0, CHICAGO, 1).toISOString()).toBe('2025-03-09T14:00:00.000Z');
+    expect(getZonedDate(atZonedTime(saturday, 0, 0, CHICAGO, 1), CHICAGO)).toBe('2025-03-09');
+  });
+
+  test('parseEventTime reads all-day events as midnight in the zone', () => {
+    expect(parseEventTime({ date: '2025-07-18' }, CHICAGO).toISOString()).toBe('2025-07-18T05:00:00.000Z');
+    expect(parseEventTime({ dateTime: '2025-07-18T10:00:00-05:00' }, CHICAGO).toISOString()).toBe('2025-07-18T15:00:00.000Z');
+  });
+
+  test('formatToTimeZone sends an absolute instant with the tenant zone', () => {
+    expect(formatToTimeZone(new Date('2025-07-18T15:00:00Z'), CHICAGO)).toEqual({
+      dateTime: '2025-07-18T15:00:00.000Z',
+      timeZone: CHICAGO
+    });
+  });
+});
@@ -0,0 +1,145 @@
+jest.mock('@supabase/supabase-js', () => require('./helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('./helpers/fakeGoogle').mockModule);
+
+const express = require('express');
+const request = require('supertest');
+const { database } = require('./helpers/fakeSupabase');
+const { calendar, oauth } = require('./helpers/fakeGoogle');
+const { createFakeSender } = require('./helpers/fakeSender');
+const { createTenantApp } = require('./helpers/app');
+const { setSmsSender } = require('../utils/sms');
+const { getTenant } = require('../utils/tenants');
+const { encryptToken } = require('../utils/tokenVault');
+const { verifyReconnectToken } = require('../utils/tokenHealth');
+const { createProviderHealthRouter } = require('../routes/providerHealth');
+
+describe('Google token health', () => {
+  let sender;
+
+  beforeAll(() => {
+    sender = createFakeSender();
+    setSmsSender(sender);
+    process.env.PUBLIC_BASE_URL = 'https://concierge.test';
+  });
+
+  afterAll(() => {
+    setSmsSender(null);
+    delete process.env.PUBLIC_BASE_URL;
+  });
+
+  beforeEach(() => {
+    database.reset();
+    calendar.reset();
+    oauth.reset();
+    sender.reset();
+  });
+
+  describe('revoked tokens', () => {
+    const app = createTenantApp('makeup-artist');
+    const book = () => request(app)
+      .post('/clients/makeup-artist/webhook/confirm-appointment')
+      .send({
+        clientPhone: '3125550123',
+        clientName: 'Dana',
+        serviceType: 'bridal',
+        location: 'Client Location',
+        startDateTime: '2025-07-17T14:00:00',
+        duration: '90'
+      });
+
+    test('answers 503 REAUTH_REQUIRED and texts the provider a reconnect link once', async () => {
+      const [artist] = database.seed('makeup_artists', {
+        name: 'Ava',
+        phone_number: '+13125550199',
+        refresh_token: encryptToken('revoked-token'),
+        selected_calendar_id: 'ava-calendar'
+      });
+      oauth.revoke('revoked-token');
+
+      const res = await book();
+
+      expect(res.status).toBe(503);
+      expect(res.body).toMatchObject({ success: false, code: 'REAUTH_REQUIRED' });
+      expect(database.rows('makeup_artists')[0]).toMatchObject({
+        needs_reauth: true,
+        token_failure_reason: expect.stringContaining('invalid_grant')
+      });
+
+      expect(sender.sent).toHaveLength(1);
+      const [message] = sender.sent;
+      expect(message.to).toBe('+13125550199');
+      const link = new URL(message.body.match(/https:\S+/)[0]);
+      expect(link.origin + link.pathname).toBe('https://concierge.test/auth/google');
+      expect(verifyReconnectToken(link.searchParams.get('reconnect')))
+        .toEqual({ table: 'makeup_artists', providerId: artist.id });
+
+      // Flagged providers fail fast without another alert
+      expect((await book()).status).toBe(503);
+      expect(sender.sent).toHaveLength(1);
+    });
+  });
+
+  describe('GET /providers/health', () => {
+    const healthApp = (slug) => {
+      const app = express();
+      app.use(`/clients/${slug}/providers`, createProviderHealthRouter(getTenant(slug)));
+      return app;
+    };
+
+    test('reports each barber by token state', async () => {
+      const earlier = '2025-07-01T10:00:00.000Z';
+      const later = '2025-07-02T10:00:00.000Z';
+      database.seed('barbers', [
+        { name: 'Marcus', refresh_token: encryptToken('a'), token_last_success_at: later, token_last_failure_at: earlier },
+        { name: 'Leo', refresh_token: encryptToken('b'), token_last_success_at: earlier, token_last_failure_at: later, token_failure_reason: 'ETIMEDOUT' },
+        { name: 'Kai', refresh_token: encryptToken('c'), needs_reauth: true, token_failure_reason: 'invalid_grant' },
+        { name: 'Sam' }
+      ]);
+
+      const res = await request(healthApp('barbershop')).get('/clients/barbershop/providers/health').expect(200);
+
+      expect(res.body.success).toBe(true);
+      expect(res.body.healthy).toBe(false);
+      expect(res.body.providers.map(({ name, status }) => [name, status])).toEqual([
+        ['Marcus', 'ok'],
+        ['Leo', 'failing'],
+        ['Kai', 'needs_reauth'],
+        ['Sam', 'not_connected']
+      ]);
+      expect(res.body.providers[1]).toMatchObject({ lastFailureAt: later, failureReason: 'ETIMEDOUT' });
+      expect(JSON.stringify(res.body)).not.toContain('enc:v1');
+    });
+
+    test('leaves barbers bound to another tenant out of the shop\'s report', async () => {
+      database.seed('barbers', [
+        { name: 'Marcus', refresh_token: encryptToken('a') },
+        { id: 'justin-barber', name: 'Justin', needs_reauth: true, refresh_token: encryptToken('b') }
+      ]);
+
+      const shop = await request(healthApp('barbershop')).get('/clients/barbershop/providers/health').expect(200);
+      const justin = await request(healthApp('justin')).get('/clients/justin/providers/health').expect(200);
+
+      expect(shop.body).toMatchObject({ healthy: true, providers: [{ name: 'Marcus', status: 'ok' }] });
+      expect(shop.body.providers).toHaveLength(1);
+      expect(justin.body.providers).toEqual([expect.objectContaining({ name: 'Justin', status: 'needs_reauth' })]);
+    });
+
+    test('records successful refreshes', async () => {
+      database.seed('makeup_artists', {
+        name: 'Ava',
+        refresh_token: encryptToken('ava-refresh-token'),
+        selected_calendar_id: 'ava-calendar'
+      });
+      calendar.seed({ summary: 'Busy', start: { dateTime: '2025-07-17T09:00:00-05:00' }, end: { dateTime: '2025-07-17T10:00:00-05:00' } }, 'ava-calendar');
+
+      await request(createTenantApp('makeup-artist'))
+        .post('/clients/makeup-artist/webhook/confirm-appointment')
+        .send({ clientPhone: '3125550123', clientName: 'Dana', startDateTime: '2025-07-17T14:00:00', duration: '60' })
+        .expect(200);
+
+      const res = await request(healthApp('makeup-artist')).get('/clients/makeup-artist/providers/health').expect(200);
+      expect(res.body).toMatchObject({ healthy: true, providers: [{ name: 'Ava', status: 'ok' }] });
+      expect(res.body.providers[0].lastSuccessAt).toBeTruthy();
+    });
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('@supabase/supabase-js', () => require('./helpers/fakeSupabase').mockModule);
+jest.mock('googleapis', () => require('./helpers/fakeGoogle').mockModule);
+
+const { database } = require('./helpers/fakeSupabase');
+const { oauth } = require('./helpers/fakeGoogle');
+const { encryptToken, decryptToken, needsRewrap, isEncrypted } = require('../utils/tokenVault');
+const { getProviderAuth } = require('../utils/googleAuth');
+
+const key = (fill) => Buffer.alloc(32, fill).toString('base64');
+
+describe('token vault', () => {
+  const originalKeys = process.env.TOKEN_ENCRYPTION_KEYS;
+
+  afterEach(() => {
+    process.env.TOKEN_ENCRYPTION_KEYS = originalKeys;
+  });
+
+  test('round-trips a token under a fresh data key each time', () => {
+    const first = encryptToken('refresh-token');
+    const second = encryptToken('refresh-token');
+
+    expect(isEncrypted(first)).toBe(true);
+    expect(first).not.toContain('refresh-token');
+    expect(first).not.toBe(second);
+    expect(decryptToken(first)).toBe('refresh-token');
+    expect(decryptToken(second)).toBe('refresh-token');
+  });
+
+  test('reads plaintext tokens stored before encryption and flags them for rewrapping', () => {
+    expect(decryptToken('legacy-token')).toBe('legacy-token');
+    expect(decryptToken(null)).toBeNull();
+    expect(needsRewrap('legacy-token')).toBe(true);
+    expect(needsRewrap(encryptToken('refresh-token'))).toBe(false);
+  });
+
+  test('decrypts with retired keys after rotation and rewraps under the new one', () => {
+    process.env.TOKEN_ENCRYPTION_KEYS = `old:${key(2)}`;
+    const stored = encryptToken('refresh-token');
+
+    process.env.TOKEN_ENCRYPTION_KEYS = `new:${key(3)},old:${key(2)}`;
+    expect(decryptToken(stored)).toBe('refresh-token');
+    expect(needsRewrap(stored)).toBe(true);
+    expect(encryptToken('refresh-token').startsWith('enc:v1:new:')).toBe(true);
+
+    process.env.TOKEN_ENCRYPTION_KEYS = `new:${key(3)}`;
+    expect(() => decryptToken(stored)).toThrow('Token encryption key old is not configured');
+  });
+
+  test('rejects tampered envelopes', () => {
+    const stored = encryptToken('refresh-token');
+    const [prefix, version, keyId, wrapped, ciphertext] = stored.split(':');
+    const tampered = Buffer.from(ciphertext, 'base64');
+    tampered[tampered.length - 1] ^= 1;
+
+    expect(() => decryptToken([prefix, version, keyId, wrapped, tampered.toString('base64')].join(':'))).toThrow();
+  });
+
+  test('refuses to store tokens without a key', () => {
+    delete process.env.TOKEN_ENCRYPTION_KEYS;
+
+    expect(() => encryptToken('refresh-token')).toThrow('TOKEN_ENCRYPTION_KEYS is not set');
+  });
+});
+
+describe('provider token accessor', () => {
+  beforeEach(() => {
+    database.reset();
+    oauth.reset();
+  });
+
+  test('encrypts a plaintext token the first time it is used', async () => {
+    const [barber] = database.seed('barbers', { name: 'Marcus', refresh_token: 'marcus-refresh-token' });
+
+    const auth = await getProviderAuth(database, 'barbers', barber);
+
+    expect(auth.credentials.refresh_token).toBe('marcus-refresh-token');
+    const stored = database.rows('barbers')[0].refresh_token;
+    expect(isEncrypted(stored)).toBe(true);
+    expect(decryptToken(stored)).toBe('marcus-refresh-token');
+  });
+
+  test('keeps a replacement refresh token Google issues', async () => {
+    const [barber] = database.seed('barbers', { name: 'Marcus', refresh_token: encryptToken('marcus-refresh-token') });
+
+    const auth = await getProviderAuth(database, 'barbers', barber);
+    auth.emit('tokens', { access_token: 'access', refresh_token: 'rotated-token' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(decryptToken(database.rows('barbers')[0].refresh_token)).toBe('rotated-token');
+  });
+
+  test('marks the provider for reauthorization when Google reports invalid_grant', async () => {
+    const [barber] = database.seed('barbers', { name: 'Marcus', refresh_token: encryptToken('revoked-token') });
+    oauth.revoke('revoked-token');
+
+    await expect(getProviderAuth(database, 'barbers', barber)).rejects.toMatchObject({ code: 'REAUTH_REQUIRED' });
+    expect(database.rows('barbers')[0].needs_reauth).toBe(true);
+
+    // Later requests fail fast instead of asking Google again
+    await expect(getProviderAuth(database, 'barbers', database.rows('barbers')[0]))
+      .rejects.toMatchObject({ code: 'REAUTH_REQUIRED' });
+  });
+});
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const OpenAI = require('openai');
+const { utcToZonedTime } = require('./timeZoneHandler');
+const { getTenantOperations } = require('./tenants');
+const { createMessagePipeline } = require('./messagePipeline');
+const { getAuthHeaders } = require('./webhookAuth');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const MAX_TOOL_ROUNDS = 6;
+const HISTORY_LIMIT = 20;
+const DEFAULT_AGENT_QUIET_MS = 2000;
+const FALLBACK_REPLY = 'Sorry, I couldn\'t finish that just now. Could you try again in a moment?';
+
+// One debounce pipeline per tenant config, keyed by client
+const agentPipelines = new WeakMap();
+
+/**
+ * Creates the OpenAI client. OPENAI_BASE_URL points it at a compatible server,
+ * such as the local mock the tests use.
+ * @returns {Object} - OpenAI client
+ */
+function createOpenAIClient() {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY is not configured');
+  }
+
+  return new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL || undefined
+  });
+}
+
+/**
+ * Loads the tools a tenant's agent may call from routes/clients/<router>/agentTools.js
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Array} - Tool definitions, empty if the router has none
+ */
+function loadAgentTools(tenant) {
+  const toolsPath = path.join(__dirname, '..', 'routes', 'clients', tenant.router, 'agentTools.js');
+  return fs.existsSync(toolsPath) ? require(toolsPath) : [];
+}
+
+// Tool definitions in the shape the chat completions API expects
+function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+// Where tools reach the tenant webhooks; normally this same process
+function getWebhookBaseUrl() {
+  return process.env.AGENT_WEBHOOK_BASE_URL || `http://127.0.0.1:${process.env.PORT || 3000}`;
+}
+
+/**
+ * Creates the function that runs a tool by calling the tenant's own webhook
+ * endpoint, the same way an external orchestrator would
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Array} tools - Tool definitions from loadAgentTools
+ * @param {Object} context - { clientPhone, clientIdentity: { identifier, platform }, baseUrl }
+ * @returns {Function} - async (name, args) => response body
+ */
+function createToolExecutor(tenant, tools, { clientPhone, clientIdentity, baseUrl }) {
+  const webhookPath = `/clients/${tenant.slug}/webhook`;
+
+  return async (name, args) => {
+    const tool = tools.find(candidate => candidate.name === name);
+    if (!tool) {
+      return { success: false, error: `Unknown tool: ${name}` };
+    }
+
+    const params = { ...args, ...tool.fixedArgs };
+    // Always the conversation's own identity, never a value the model supplied
+    if (tool.clientPhoneField) {
+      delete params[tool.clientPhoneField];
+      if (clientPhone) params[tool.clientPhoneField] = clientPhone;
+    }
+    // Identifies the client on any channel, e.g. { identifier: '+1312...', platform: 'phone' }
+    if (tool.clientIdentityFields) {
+      delete params[tool.clientIdentityFields.identifier];
+      delete params[tool.clientIdentityFields.platform];
+      if (clientIdentity) {
+        params[tool.clientIdentityFields.identifier] = clientIdentity.identifier;
+        params[tool.clientIdentityFields.platform] = clientIdentity.platform;
+      }
+    }
+    // Tools that change an existing booking check it belongs to whoever the request names
+    const namesClient = (tool.clientPhoneField && params[tool.clientPhoneField])
+      || (tool.clientIdentityFields && params[tool.clientIdentityFields.identifier]);
+    if (tool.requiresClient && !namesClient) {
+      return { success: false, error: 'Appointments can only be changed from the phone number they were booked with' };
+    }
+
+    // Serialized here so the signature covers exactly what is sent
+    const isGet = tool.method === 'GET';
+    const query = isGet ? new URLSearchParams(params).toString() : '';
+    const url = `${webhookPath}${tool.path}${query ? `?${query}` : ''}`;
+    const body = isGet ? '' : JSON.stringify(params);
+
+    const response = await axios({
+      method: tool.method,
+      url: `${baseUrl.replace(/\/$/, '')}${url}`,
+      headers: {
+        ...getAuthHeaders(tenant.auth, { method: tool.method, url, body }),
+        ...(!isGet && { 'Content-Type': 'application/json' })
+      },
+      ...(!isGet && { data: body }),
+      // Error responses are passed back to the model so it can recover
+      validateStatus: () => true,
+      timeout: 30000
+    });
+
+    return response.data;
+  };
+}
+
+/**
+ * Builds the system prompt for a tenant's agent
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Date} now - Current time
+ * @returns {string} - System prompt
+ */
+function buildSystemPrompt(tenant, now = new Date()) {
+  const localNow = utcToZonedTime(now, tenant.timeZone);
+  const weekday = now.toLocaleDateString('en-US', { weekday: 'long', timeZone: tenant.timeZone });
+
+  return [
+    `You are the booking assistant for ${tenant.name}, replying to clients by text message.`,
+    tenant.agent.instructions,
+    `It is currently ${weekday} ${localNow} in ${tenant.timeZone}. Give and accept times in that zone,`,
+    'and pass them to tools as local date-times without an offset (YYYY-MM-DDTHH:MM:SS).',
+    'Use the tools to check availability and manage appointments; never invent times, prices or confirmations.',
+    'Keep replies short and friendly.'
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Runs the tool-calling loop for one inbound message
+ * @param {Object} options - { openai, model, systemPrompt, history, message, tools, executeTool }
+ * @returns {Object} - { reply, toolCalls } where toolCalls records each tool run
+ */
+async function runAgent({ openai, model, systemPrompt, history = [], message, tools, executeTool }) {
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    ...history,
+    { role: 'user', content: message }
+  ];
+  const toolCalls = [];
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    const completion = await openai.chat.completions.create({
+      model,
+      messages,
+      ...(tools.length > 0 && { tools: toOpenAITools(tools), tool_choice: 'auto' })
+    });
+
+    const reply = completion.choices[0].message;
+    messages.push(reply);
+
+    if (!reply.tool_calls || reply.tool_calls.length === 0) {
+      return { reply: reply.content || '', toolCalls };
+    }
+
+    for (const call of reply.tool_calls) {
+      let result;
+      try {
+        const args = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+        result = await executeTool(call.function.name, args);
+        toolCalls.push({ name: call.function.name, arguments: args });
+      } catch (e) {
+        console.error(`Agent tool ${call.function.name} failed:`, e);
+        result = { success: false, error: e.message };
+        toolCalls.push({ name: call.function.name, error: e.message });
+      }
+
+      messages.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify(result)
+      });
+    }
+  }
+
+  console.error(`Agent stopped after ${MAX_TOOL_ROUNDS} tool rounds`);
+  return { reply: FALLBACK_REPLY, toolCalls };
+}
+
+// E.164 form of a phone number; ten digits are taken as a US number
+function formatPhone(phone) {
+  if (phone.startsWith('+')) return phone;
+  const digits = phone.replace(/\D/g, '');
+  return digits.length === 10 ? `+1${digits}` : `+${digits}`;
+}
+
+// Normalizes the sender to { formattedPhone, identity }; phone numbers are their own identity
+function resolveClient({ clientPhone, clientIdentity }) {
+  const formattedPhone = clientPhone ? formatPhone(clientPhone) : null;
+
+  const identity = formattedPhone ? { identifier: formattedPhone, platform: 'phone' } : clientIdentity;
+  if (!identity || !identity.identifier || !identity.platform) {
+    throw new Error('A client phone number or platform identity is required');
+  }
+  return { formattedPhone, identity };
+}
+
+/**
+ * Checks that an appointment was booked by the given client. Handlers call it
+ * before changing a booking on a client's behalf, so a message from one client
+ * cannot cancel or move another's.
+ * @param {Object} appointment - Appointment row
+ * @param {Object} client - { identifier, platform }; phone clients use platform 'phone'
+ * @returns {boolean} - True if the appointment is the client's
+ */
+function isClientAppointment(appointment, { identifier, platform } = {}) {
+  if (!appointment || !identifier || !platform) return false;
+
+  if (platform !== 'phone') {
+    return appointment.platform === platform && appointment.client_identifier === identifier;
+  }
+
+  // Compared digit for digit, so '+1 (312) 555-0123' and '3125550123' match
+  const digitsOf = phone => formatPhone(phone).replace(/\D/g, '');
+  const bookedWith = [appointment.client_phone, appointment.platform === 'phone' && appointment.client_identifier];
+  return bookedWith.some(candidate => candidate && digitsOf(candidate) === digitsOf(identifier));
+}
+
+/**
+ * Handles one inbound client message end to end: loads the conversation,
+ * runs the agent and records both sides. Shared by every channel that feeds
+ * the agent (the JSON endpoint, SMS, Instagram/Messenger).
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} options - { clientPhone | clientIdentity, message, metadata }. Phone clients
+ *   pass clientPhone; DM clients pass clientIdentity { identifier, platform }. metadata is
+ *   stored with the user message.
+ * @returns {Object} - { reply, toolCalls }
+ */
+async function handleAgentMessage(tenant, { clientPhone, clientIdentity, message, metadata = null }) {
+  const { formattedPhone, identity } = resolveClient({ clientPhone, clientIdentity });
+  const sessionKey = formattedPhone || identity;
+
+  const { conversationOps } = getTenantOperations(tenant);
+  const session = await conversationOps.getOrCreateSession(sessionKey);
+  if (!session) {
+    throw new Error('Failed to load conversation session');
+  }
+
+  // Prior turns only; tool traffic is not replayed to the model
+  const history = (await conversationOps.getConversationHistory(sessionKey, HISTORY_LIMIT))
+    .filter(entry => entry.role === 'user' || entry.role === 'assistant')
+    .map(entry => ({ role: entry.role, content: entry.content }));
+
+  await conversationOps.addMessage(session.id, 'user', message, metadata);
+
+  const tools = loadAgentTools(tenant);
+  const executeTool = createToolExecutor(tenant, tools, {
+    clientPhone: formattedPhone,
+    clientIdentity: identity,
+    baseUrl: getWebhookBaseUrl()
+  });
+
+  const { reply, toolCalls } = await runAgent({
+    openai: createOpenAIClient(),
+    model: tenant.agent.model || process.env.OPENAI_MODEL || DEFAULT_MODEL,
+    systemPrompt: buildSystemPrompt(tenant),
+    history,
+    message,
+    tools,
+    executeTool
+  });
+
+  await conversationOps.addMessage(session.id, 'assistant', reply, { toolCalls });
+
+  return { reply, toolCalls };
+}
+
+function getAgentPipeline(tenant) {
+  if (!agentPipelines.has(tenant)) {
+    agentPipelines.set(tenant, createMessagePipeline({
+      handler: (key, messages) => {
+        const last = messages[messages.length - 1];
+        return handleAgentMessage(tenant, {
+          clientPhone: last.clientPhone,
+          clientIdentity: last.clientIdentity,
+          message: messages.map(entry => entry.message).join('\n'),
+          metadata: messages.length === 1 ? last.metadata : { batch: messages.map(entry => entry.metadata) }
+        });
+      }
+    }));
+  }
+  return agentPipelines.get(tenant);
+}
+
+/**
+ * Queues an inbound message for the agent. Messages a client sends in quick
+ * succession are answered together once they stop typing (tenant agent.quietMs,
+ * else AGENT_QUIET_MS, else 2 seconds).
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} options - Same as handleAgentMessage
+ * @returns {Object} - { isFinal: false } if a later message took over the turn,
+ *   otherwise { isFinal: true, reply, toolCalls }
+ */
+async function queueAgentMessage(tenant, options) {
+  const { identity } = resolveClient(options);
+  const quietMs = tenant.agent.quietMs !== undefined
+    ? tenant.agent.quietMs
+    : Number(process.env.AGENT_QUIET_MS || DEFAULT_AGENT_QUIET_MS);
+
+  const { isFinal, result } = await getAgentPipeline(tenant)
+    .enqueue(`${identity.platform}:${identity.identifier}`, options, { quietMs });
+
+  return isFinal ? { isFinal, ...result } : { isFinal };
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  FALLBACK_REPLY,
+  createOpenAIClient,
+  loadAgentTools,
+  getWebhookBaseUrl,
+  createToolExecutor,
+  isClientAppointment,
+  buildSystemPrompt,
+  runAgent,
+  handleAgentMessage,
+  queueAgentMessage
+};
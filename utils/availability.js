@@ -0,0 +1,268 @@
+const { addMinutes, atZonedTime } = require('./timeZoneHandler');
+const { getOpenWindows } = require('./schedule');
+
+// Tenants tune these under `availability` in their config
+const DEFAULT_RULES = {
+  bufferBeforeMinutes: 0, // kept free before each appointment
+  bufferAfterMinutes: 0, // kept free after each appointment
+  minNoticeMinutes: 0, // earliest bookable start, measured from now
+  maxDaysAhead: 60, // last bookable day, counted from today
+  slotGranularityMinutes: null // spacing of offered starts; null means back to back
+};
+
+// Calendar reads are chunked so a long horizon is only fetched as far as needed
+const SEARCH_CHUNK_DAYS = 7;
+
+/**
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - DEFAULT_RULES overlaid with the tenant's availability settings
+ */
+function getAvailabilityRules(tenant) {
+  return { ...DEFAULT_RULES, ...(tenant && tenant.availability) };
+}
+
+// First and last instants a booking may start, given the rules and the clock
+function getBookingWindow(rules, now, timeZone) {
+  return {
+    earliest: addMinutes(now, rules.minNoticeMinutes),
+    latest: atZonedTime(now, 24, 0, timeZone, rules.maxDaysAhead)
+  };
+}
+
+/**
+ * Lists the calendars whose busy time blocks a provider: the one bookings go
+ * to, then any others they chose at onboarding (busy_calendar_ids)
+ * @param {Object} provider - Provider row
+ * @param {string} bookingCalendarId - Calendar new bookings are written to
+ * @returns {Array} - Calendar ids, booking calendar first, without duplicates
+ */
+function getBusyCalendarIds(provider, bookingCalendarId) {
+  const extra = Array.isArray(provider && provider.busy_calendar_ids) ? provider.busy_calendar_ids : [];
+  return [...new Set([bookingCalendarId, ...extra].filter(Boolean))];
+}
+
+/**
+ * Reads busy times across calendars with one free/busy query. Google leaves
+ * out events marked "show as available" (transparent) and cancelled events.
+ * @param {Object} calendar - google.calendar client
+ * @param {Array} calendarIds - From getBusyCalendarIds; the first is the booking calendar
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @param {string} timeZone - Tenant's IANA time zone
+ * @returns {Array} - [{ start, end, calendarId }] sorted by start
+ */
+async function listBusyTimes(calendar, calendarIds, from, to, timeZone) {
+  const response = await calendar.freebusy.query({
+    requestBody: {
+      timeMin: from.toISOString(),
+      timeMax: to.toISOString(),
+      timeZone,
+      items: calendarIds.map(id => ({ id }))
+    }
+  });
+
+  const results = response.data.calendars || {};
+  return calendarIds
+    .flatMap((calendarId, index) => {
+      const { busy = [], errors = [] } = results[calendarId] || {};
+      if (errors.length > 0) {
+        const reasons = errors.map(error => error.reason).join(', ');
+        // Without the booking calendar every slot would look free
+        if (index === 0) {
+          throw new Error(`Could not read busy times for calendar ${calendarId}: ${reasons}`);
+        }
+        // An extra calendar the provider lost access to should not block bookings
+        console.error(`Skipping busy times for calendar ${calendarId}:`, reasons);
+        return [];
+      }
+      return busy.map(period => ({ start: new Date(period.start), end: new Date(period.end), calendarId }));
+    })
+    .sort((a, b) => a.start - b.start);
+}
+
+// Busy periods that collide with an appointment once its buffers are added
+function findCollisions(busy, start, end, rules) {
+  const paddedStart = addMinutes(start, -rules.bufferBeforeMinutes);
+  const paddedEnd = addMinutes(end, rules.bufferAfterMinutes);
+  return busy.filter(period => period.start < paddedEnd && period.end > paddedStart);
+}
+
+/**
+ * Decides whether one appointment can be booked. Pure: callers supply busy times.
+ * @param {Date} start - Appointment start
+ * @param {number} durationMinutes - Length of the service
+ * @param {Object} context - { schedule, busy, rules, timeZone, now }
+ * @returns {Object} - { isAvailable, reason, conflicts }; reason is 'Outside business hours',
+ *   'Too soon', 'Too far ahead' or 'Conflicts with another booking' when unavailable
+ */
+function checkSlot(start, durationMinutes, { schedule, busy = [], rules, timeZone, now = new Date() }) {
+  const end = addMinutes(start, durationMinutes);
+  const { earliest, latest } = getBookingWindow(rules, now, timeZone);
+  const unavailable = reason => ({ isAvailable: false, reason, conflicts: [] });
+
+  if (start < earliest) {
+    return unavailable('Too soon');
+  }
+  if (start >= latest) {
+    return unavailable('Too far ahead');
+  }
+  const fits = getOpenWindows(schedule, start, end, timeZone)
+    .some(window => window.start.getTime() === start.getTime() && window.end.getTime() === end.getTime());
+  if (!fits) {
+    return unavailable('Outside business hours');
+  }
+
+  const conflicts = findCollisions(busy, start, end, rules);
+  return conflicts.length > 0
+    ? { isAvailable: false, reason: 'Conflicts with another booking', conflicts }
+    : { isAvailable: true, reason: null, conflicts: [] };
+}
+
+/**
+ * Lists bookable starts in order. Starts are spaced by the slot granularity
+ * from the beginning of each open window. Pure: callers supply busy times.
+ * @param {Date} from - Earliest start the caller wants
+ * @param {Date} to - End of the period searched
+ * @param {number} durationMinutes - Length of the service
+ * @param {Object} context - { schedule, busy, rules, timeZone, now, limit }
+ * @returns {Array} - [{ start, end }] as Dates
+ */
+function findSlots(from, to, durationMinutes, { schedule, busy = [], rules, timeZone, now = new Date(), limit = Infinity }) {
+  const { earliest, latest } = getBookingWindow(rules, now, timeZone);
+  const searchStart = new Date(Math.max(from, earliest));
+  const searchEnd = new Date(Math.min(to, addMinutes(latest, durationMinutes)));
+  const step = rules.slotGranularityMinutes || durationMinutes;
+  const slots = [];
+
+  if (searchStart >= searchEnd) {
+    return slots;
+  }
+
+  // Windows are read from the start of the day so the grid lines up with opening time
+  const dayStart = atZonedTime(searchStart, 0, 0, timeZone);
+  for (const window of getOpenWindows(schedule, dayStart, searchEnd, timeZone)) {
+    for (let start = window.start; slots.length < limit; start = addMinutes(start, step)) {
+      const end = addMinutes(start, durationMinutes);
+      if (end > window.end || start >= latest) {
+        break;
+      }
+      if (start >= searchStart && findCollisions(busy, start, end, rules).length === 0) {
+        slots.push({ start, end });
+      }
+    }
+    if (slots.length >= limit) {
+      break;
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Finds free stretches inside working hours, for overviews rather than booking
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @param {number} minMinutes - Shortest stretch worth listing
+ * @param {Object} context - { schedule, busy, rules, timeZone }
+ * @returns {Array} - [{ date, start, end }] with buffers kept clear around busy times
+ */
+function findOpenPeriods(from, to, minMinutes, { schedule, busy = [], rules, timeZone }) {
+  const periods = [];
+  for (const window of getOpenWindows(schedule, from, to, timeZone)) {
+    let cursor = window.start;
+    const blocking = busy
+      .map(period => ({
+        start: addMinutes(period.start, -rules.bufferAfterMinutes),
+        end: addMinutes(period.end, rules.bufferBeforeMinutes)
+      }))
+      .filter(period => period.start < window.end && period.end > window.start);
+
+    for (const period of blocking) {
+      if (period.start > cursor && (period.start - cursor) / 60000 >= minMinutes) {
+        periods.push({ date: window.date, start: cursor, end: period.start });
+      }
+      cursor = new Date(Math.max(cursor, period.end));
+    }
+    if (cursor < window.end && (window.end - cursor) / 60000 >= minMinutes) {
+      periods.push({ date: window.date, start: cursor, end: window.end });
+    }
+  }
+  return periods;
+}
+
+/**
+ * Explains a notice or horizon refusal to the client
+ * @param {string} reason - Reason from checkSlot
+ * @param {Object} rules - Rules from getAvailabilityRules
+ * @returns {string|null} - Message, or null for reasons the caller words itself
+ */
+function describeUnavailable(reason, rules) {
+  if (reason === 'Too soon') {
+    return `Bookings need at least ${rules.minNoticeMinutes} minutes' notice`;
+  }
+  if (reason === 'Too far ahead') {
+    return `Bookings can only be made up to ${rules.maxDaysAhead} days ahead`;
+  }
+  return null;
+}
+
+/**
+ * Checks one appointment against a provider's calendars, schedule and the tenant's rules
+ * @param {Object} options - { calendar, calendarIds, schedule, rules, timeZone, start, durationMinutes, now }
+ * @returns {Object} - checkSlot result; conflicts are the busy periods in the way
+ */
+async function checkAvailability({ calendar, calendarIds, schedule, rules, timeZone, start, durationMinutes, now = new Date() }) {
+  const outcome = checkSlot(start, durationMinutes, { schedule, rules, timeZone, now });
+  if (!outcome.isAvailable) {
+    return outcome;
+  }
+
+  const busy = await listBusyTimes(
+    calendar,
+    calendarIds,
+    addMinutes(start, -rules.bufferBeforeMinutes),
+    addMinutes(start, durationMinutes + rules.bufferAfterMinutes),
+    timeZone
+  );
+  return checkSlot(start, durationMinutes, { schedule, busy, rules, timeZone, now });
+}
+
+/**
+ * Finds the next bookable slots across a provider's calendars, reading busy
+ * times a week at a time until enough are found or the booking horizon is reached
+ * @param {Object} options - { calendar, calendarIds, schedule, rules, timeZone, from, durationMinutes, limit, now }
+ * @returns {Array} - [{ start, end }] as ISO strings
+ */
+async function findAvailableSlots({ calendar, calendarIds, schedule, rules, timeZone, from, durationMinutes, limit = 3, now = new Date() }) {
+  const { earliest, latest } = getBookingWindow(rules, now, timeZone);
+  const horizon = addMinutes(latest, durationMinutes);
+  const slots = [];
+
+  for (let chunkStart = new Date(Math.max(from, earliest)); slots.length < limit && chunkStart < horizon;) {
+    const chunkEnd = new Date(Math.min(horizon, atZonedTime(chunkStart, 0, 0, timeZone, SEARCH_CHUNK_DAYS)));
+    const busy = await listBusyTimes(
+      calendar,
+      calendarIds,
+      addMinutes(chunkStart, -rules.bufferBeforeMinutes - rules.bufferAfterMinutes),
+      addMinutes(chunkEnd, durationMinutes + rules.bufferBeforeMinutes + rules.bufferAfterMinutes),
+      timeZone
+    );
+    slots.push(...findSlots(chunkStart, chunkEnd, durationMinutes, { schedule, busy, rules, timeZone, now, limit: limit - slots.length }));
+    chunkStart = chunkEnd;
+  }
+
+  return slots.map(slot => ({ start: slot.start.toISOString(), end: slot.end.toISOString() }));
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  getAvailabilityRules,
+  getBusyCalendarIds,
+  listBusyTimes,
+  checkSlot,
+  findSlots,
+  findOpenPeriods,
+  describeUnavailable,
+  checkAvailability,
+  findAvailableSlots
+};
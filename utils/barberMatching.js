@@ -0,0 +1,52 @@
+// Decides which of a shop's barbers can take a booking. Barbers list the
+// services they specialize in; one with no specialties takes any service.
+
+// specialties is a text[] column, but older rows hold a comma-separated string
+function getSpecialties(barber) {
+  const specialties = Array.isArray(barber.specialties)
+    ? barber.specialties
+    : String(barber.specialties || '').split(',');
+  return specialties.map(specialty => String(specialty).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Tells whether a barber offers a service, matching either way round so
+ * "fade" covers "Skin fade" and "Beard trim" covers "beard"
+ * @param {Object} barber - Barber row with specialties
+ * @param {string} serviceType - Service the client asked for
+ * @returns {boolean} - True if the barber can take the booking
+ */
+function offersService(barber, serviceType) {
+  const specialties = getSpecialties(barber);
+  if (!serviceType || specialties.length === 0) {
+    return true;
+  }
+
+  const service = serviceType.trim().toLowerCase();
+  return specialties.some(specialty => service.includes(specialty) || specialty.includes(service));
+}
+
+/**
+ * Orders the barbers a booking may go to. Only barbers with a working calendar
+ * connection who offer the service are kept, specialists ahead of generalists.
+ * @param {Array} barbers - Rows from barberOps.getBarbersWithSpecialties
+ * @param {string} serviceType - Service the client asked for
+ * @returns {Array} - Bookable barber rows, best match first
+ */
+function rankBarbersForService(barbers, serviceType) {
+  const bookable = barbers.filter(barber =>
+    barber.refresh_token && !barber.needs_reauth && offersService(barber, serviceType));
+
+  if (!serviceType) {
+    return bookable;
+  }
+  const specialists = bookable.filter(barber => getSpecialties(barber).length > 0);
+  const generalists = bookable.filter(barber => getSpecialties(barber).length === 0);
+  return [...specialists, ...generalists];
+}
+
+module.exports = {
+  getSpecialties,
+  offersService,
+  rankBarbersForService
+};
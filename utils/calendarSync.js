@@ -0,0 +1,438 @@
+const crypto = require('crypto');
+const { google } = require('googleapis');
+const { getTenantOperations } = require('./tenants');
+const { getProviderAuth } = require('./googleAuth');
+const { listTenantBarberIds } = require('./providers');
+
+// Statuses that mean an appointment no longer holds its slot (see utils/providers.js)
+const CANCELLED_STATUSES = ['cancelled', 'canceled', 'expired'];
+
+// Google's answer when a sync token is too old; the calendar must be listed in full again
+const SYNC_TOKEN_GONE = 410;
+
+// Channels last about a week; ones expiring within this margin are replaced by the renewal job
+const CHANNEL_RENEWAL_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+function getNotificationUrl(tenant) {
+  const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${baseUrl}/clients/${tenant.slug}/calendar/notifications`;
+}
+
+/**
+ * Names the calendar a provider's bookings are written to
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} provider - Provider row
+ * @returns {string} - Google calendar id
+ */
+function getProviderCalendarId(tenant, provider) {
+  return tenant.calendarOwner.calendarId || provider.selected_calendar_id || 'primary';
+}
+
+/**
+ * Loads the providers whose calendars can be read: one by id, or every one with
+ * a stored refresh token. Tenants bound to one owner only ever return that owner,
+ * and a shared shop never returns a barber bound to another tenant.
+ * @param {Object} tenant - Normalized tenant config
+ * @param {string} providerId - Optional provider row id
+ * @returns {Array} - Provider rows
+ */
+async function listConnectedProviders(tenant, providerId) {
+  const { table, id: ownerId } = tenant.calendarOwner;
+  if (ownerId && providerId && providerId !== ownerId) {
+    return [];
+  }
+
+  let query = getTenantOperations(tenant).supabase.from(table).select('*').not('refresh_token', 'is', null);
+  if (ownerId || providerId) {
+    query = query.eq('id', ownerId || providerId);
+  }
+  const barberIds = ownerId ? null : await listTenantBarberIds(tenant);
+  if (barberIds) {
+    query = query.in('id', barberIds);
+  }
+  const { data, error } = await query;
+  if (error) {
+    throw error;
+  }
+  return data;
+}
+
+// Calendar client acting as the provider
+async function getProviderCalendar(tenant, provider) {
+  const { supabase } = getTenantOperations(tenant);
+  const auth = await getProviderAuth(supabase, tenant.calendarOwner.table, provider);
+  return google.calendar({ version: 'v3', auth });
+}
+
+async function loadProvider(tenant, providerId) {
+  const { data, error } = await getTenantOperations(tenant).supabase
+    .from(tenant.calendarOwner.table)
+    .select('*')
+    .eq('id', providerId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Lists every page of a calendar's events, either in full or changed since a sync token
+ * @param {Object} calendar - google.calendar client
+ * @param {string} calendarId - Calendar to read
+ * @param {string} syncToken - Token from the previous sync, or null for a full listing
+ * @returns {Object} - { items, nextSyncToken }
+ */
+async function listEvents(calendar, calendarId, syncToken) {
+  const items = [];
+  let pageToken;
+  for (;;) {
+    const { data } = await calendar.events.list({
+      calendarId,
+      singleEvents: true,
+      maxResults: 2500,
+      ...(syncToken ? { syncToken } : {}),
+      ...(pageToken ? { pageToken } : {})
+    });
+    items.push(...(data.items || []));
+    if (!data.nextPageToken) {
+      return { items, nextSyncToken: data.nextSyncToken };
+    }
+    pageToken = data.nextPageToken;
+  }
+}
+
+/**
+ * Subscribes to changes on a provider's booking calendar. Any earlier channel
+ * for the same calendar is stopped, and the calendar is listed once so later
+ * notifications only need the changes since then.
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} provider - Provider row with refresh_token
+ * @returns {Object} - Stored calendar_channels row
+ */
+async function watchProviderCalendar(tenant, provider) {
+  const { supabase } = getTenantOperations(tenant);
+  const table = tenant.calendarOwner.table;
+  const calendarId = getProviderCalendarId(tenant, provider);
+  const calendar = await getProviderCalendar(tenant, provider);
+
+  const { data: previous, error: previousError } = await supabase
+    .from('calendar_channels')
+    .select('*')
+    .eq('provider_table', table)
+    .eq('provider_id', provider.id)
+    .eq('calendar_id', calendarId);
+  if (previousError) {
+    throw previousError;
+  }
+  for (const channel of previous) {
+    await stopChannel(tenant, channel, calendar);
+  }
+
+  const { nextSyncToken } = await listEvents(calendar, calendarId, null);
+  const token = crypto.randomBytes(32).toString('hex');
+  const { data: watched } = await calendar.events.watch({
+    calendarId,
+    requestBody: {
+      id: crypto.randomUUID(),
+      type: 'web_hook',
+      address: getNotificationUrl(tenant),
+      token
+    }
+  });
+
+  const { data, error } = await supabase
+    .from('calendar_channels')
+    .insert({
+      provider_table: table,
+      provider_id: provider.id,
+      calendar_id: calendarId,
+      channel_id: watched.id,
+      resource_id: watched.resourceId,
+      token,
+      expiration: watched.expiration ? new Date(Number(watched.expiration)).toISOString() : null,
+      sync_token: nextSyncToken,
+      last_synced_at: new Date().toISOString()
+    })
+    .select();
+  if (error) {
+    throw error;
+  }
+  return data[0];
+}
+
+/**
+ * Stops a watch channel at Google and forgets it. Google may already have
+ * expired the channel, so a failed stop is only logged.
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} channel - calendar_channels row
+ * @param {Object} calendar - google.calendar client for the channel's provider
+ */
+async function stopChannel(tenant, channel, calendar) {
+  try {
+    await calendar.channels.stop({ requestBody: { id: channel.channel_id, resourceId: channel.resource_id } });
+  } catch (e) {
+    console.error(`Could not stop calendar channel ${channel.channel_id}:`, e.message);
+  }
+
+  const { error } = await getTenantOperations(tenant).supabase
+    .from('calendar_channels')
+    .delete()
+    .eq('channel_id', channel.channel_id);
+  if (error) {
+    console.error('Error deleting calendar channel:', error);
+  }
+}
+
+/**
+ * Watches again every calendar whose channel is about to expire, so push
+ * notifications never lapse. The renew-calendar-channels job runs this.
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Date} now - Current time
+ * @returns {Object} - { renewed, failed } counts
+ */
+async function renewExpiringChannels(tenant, now = new Date()) {
+  const { supabase } = getTenantOperations(tenant);
+  const { table, id: ownerId } = tenant.calendarOwner;
+  const renewBefore = new Date(now.getTime() + CHANNEL_RENEWAL_MARGIN_MS).toISOString();
+
+  // Justin and the shop share the barbers' channels table; each renews its own barbers'
+  let query = supabase
+    .from('calendar_channels')
+    .select('*')
+    .eq('provider_table', table)
+    .lte('expiration', renewBefore);
+  const barberIds = await listTenantBarberIds(tenant);
+  if (barberIds) {
+    query = query.in('provider_id', barberIds);
+  } else if (ownerId) {
+    query = query.eq('provider_id', ownerId);
+  }
+  const { data: channels, error } = await query;
+  if (error) {
+    // Thrown so the job runner retries
+    throw new Error(`Error loading calendar channels for ${tenant.slug}: ${error.message}`);
+  }
+
+  const result = { renewed: 0, failed: 0 };
+  for (const channel of channels) {
+    try {
+      const [provider] = await listConnectedProviders(tenant, channel.provider_id);
+      if (!provider) {
+        console.warn(`Cannot renew calendar channel ${channel.channel_id}: ${table} ${channel.provider_id} is not connected`);
+        result.failed += 1;
+        continue;
+      }
+
+      const renewed = await watchProviderCalendar(tenant, provider);
+      // The provider has since switched booking calendars, so the old one is no longer watched
+      if (renewed.calendar_id !== channel.calendar_id) {
+        await stopChannel(tenant, channel, await getProviderCalendar(tenant, provider));
+      }
+      result.renewed += 1;
+    } catch (e) {
+      console.error(`Error renewing calendar channel ${channel.channel_id} for ${tenant.slug}:`, e.message);
+      result.failed += 1;
+    }
+  }
+  return result;
+}
+
+/**
+ * Finds the channel a push notification is for and checks it came from our
+ * subscription: Google echoes back the secret token we registered the channel with
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} notification - { channelId, token, resourceId } from the X-Goog-* headers
+ * @returns {Object|null} - calendar_channels row, or null if unknown or the token does not match
+ */
+async function findNotifiedChannel(tenant, { channelId, token, resourceId }) {
+  if (!channelId || !token) {
+    return null;
+  }
+
+  const { data, error } = await getTenantOperations(tenant).supabase
+    .from('calendar_channels')
+    .select('*')
+    .eq('channel_id', channelId)
+    .maybeSingle();
+  if (error) {
+    throw error;
+  }
+  if (!data || (resourceId && resourceId !== data.resource_id)) {
+    return null;
+  }
+
+  const expected = crypto.createHash('sha256').update(data.token).digest();
+  const presented = crypto.createHash('sha256').update(String(token)).digest();
+  return crypto.timingSafeEqual(expected, presented) ? data : null;
+}
+
+const eventTime = (time) => (time ? new Date(time.dateTime || time.date).toISOString() : null);
+
+async function setFlag(supabase, channel, event) {
+  const { error } = await supabase
+    .from('unlinked_calendar_events')
+    .upsert({
+      provider_table: channel.provider_table,
+      provider_id: channel.provider_id,
+      calendar_id: channel.calendar_id,
+      event_id: event.id,
+      summary: event.summary || null,
+      start_time: eventTime(event.start),
+      end_time: eventTime(event.end),
+      html_link: event.htmlLink || null,
+      detected_at: new Date().toISOString()
+    }, { onConflict: 'calendar_id,event_id' });
+  if (error) {
+    console.error('Error flagging unlinked calendar event:', error);
+  }
+}
+
+async function clearFlag(supabase, channel, eventId) {
+  const { error } = await supabase
+    .from('unlinked_calendar_events')
+    .delete()
+    .eq('calendar_id', channel.calendar_id)
+    .eq('event_id', eventId);
+  if (error) {
+    console.error('Error clearing unlinked calendar event:', error);
+  }
+}
+
+// Tentative holds for pending appointments (see utils/holds.js) are ours, not unlinked events
+async function isAppointmentHold(supabase, eventId) {
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('id')
+    .eq('hold_event_id', eventId)
+    .limit(1);
+  if (error) {
+    throw error;
+  }
+  return data.length > 0;
+}
+
+/**
+ * Brings the appointments linked to one changed event in line with Google
+ * @param {Object} supabase - Tenant Supabase client
+ * @param {Object} channel - calendar_channels row the change came through
+ * @param {Object} event - Event from an incremental listing
+ * @param {Object} options - { flagUnlinked } whether events with no appointment are flagged
+ * @returns {string|null} - 'updated', 'cancelled', 'flagged' or null when nothing changed
+ */
+async function applyEventChange(supabase, channel, event, { flagUnlinked }) {
+  const { data: appointments, error } = await supabase
+    .from('appointments')
+    .select('*')
+    .eq('google_calendar_event_id', event.id);
+  if (error) {
+    throw error;
+  }
+
+  const cancelled = event.status === 'cancelled';
+  if (appointments.length === 0) {
+    if (cancelled) {
+      await clearFlag(supabase, channel, event.id);
+      return null;
+    }
+    if (flagUnlinked && !(await isAppointmentHold(supabase, event.id))) {
+      await setFlag(supabase, channel, event);
+      return 'flagged';
+    }
+    return null;
+  }
+
+  // The row may have been written after the event first synced
+  await clearFlag(supabase, channel, event.id);
+
+  const active = appointments.filter(appointment => !CANCELLED_STATUSES.includes(appointment.status));
+  if (active.length === 0) {
+    return null;
+  }
+
+  let changes;
+  if (cancelled) {
+    changes = { status: 'cancelled' };
+  } else {
+    const startTime = eventTime(event.start);
+    const endTime = eventTime(event.end);
+    const moved = active.some(appointment => Date.parse(appointment.start_time) !== Date.parse(startTime)
+      || Date.parse(appointment.end_time) !== Date.parse(endTime));
+    if (!moved) {
+      return null;
+    }
+    changes = { start_time: startTime, end_time: endTime };
+  }
+
+  const { error: updateError } = await supabase
+    .from('appointments')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .in('id', active.map(appointment => appointment.id));
+  if (updateError) {
+    throw updateError;
+  }
+  return cancelled ? 'cancelled' : 'updated';
+}
+
+/**
+ * Applies the changes on a watched calendar since its last sync. When Google
+ * no longer accepts the sync token the calendar is listed in full instead;
+ * that listing has no deletions and includes every event, so it only moves
+ * linked appointments and flags nothing.
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} channel - calendar_channels row
+ * @returns {Object} - { updated, cancelled, flagged, fullSync } counts
+ */
+async function syncChannel(tenant, channel) {
+  const { supabase } = getTenantOperations(tenant);
+  const provider = await loadProvider(tenant, channel.provider_id);
+  if (!provider) {
+    throw new Error(`Provider ${channel.provider_id} for calendar channel ${channel.channel_id} no longer exists`);
+  }
+  const calendar = await getProviderCalendar(tenant, provider);
+
+  let listing;
+  let fullSync = false;
+  try {
+    listing = await listEvents(calendar, channel.calendar_id, channel.sync_token);
+  } catch (e) {
+    if (e.code !== SYNC_TOKEN_GONE) {
+      throw e;
+    }
+    console.warn(`Sync token expired for calendar ${channel.calendar_id}; listing it in full`);
+    listing = await listEvents(calendar, channel.calendar_id, null);
+    fullSync = true;
+  }
+
+  const counts = { updated: 0, cancelled: 0, flagged: 0, fullSync };
+  for (const event of listing.items) {
+    const outcome = await applyEventChange(supabase, channel, event, { flagUnlinked: !fullSync });
+    if (outcome) {
+      counts[outcome] += 1;
+    }
+  }
+
+  // Saved last, so a failed run is retried from the same point on the next notification
+  const { error } = await supabase
+    .from('calendar_channels')
+    .update({ sync_token: listing.nextSyncToken, last_synced_at: new Date().toISOString() })
+    .eq('channel_id', channel.channel_id);
+  if (error) {
+    throw error;
+  }
+
+  return counts;
+}
+
+module.exports = {
+  getNotificationUrl,
+  getProviderCalendarId,
+  getProviderCalendar,
+  listConnectedProviders,
+  watchProviderCalendar,
+  renewExpiringChannels,
+  stopChannel,
+  findNotifiedChannel,
+  syncChannel
+};
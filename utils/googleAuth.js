@@ -0,0 +1,159 @@
+const { google } = require('googleapis');
+const { encryptToken, decryptToken, needsRewrap, refreshTokenColumns } = require('./tokenVault');
+const { recordTokenSuccess, recordTokenFailure } = require('./tokenHealth');
+
+// Calendar access plus the profile and email used to recognize a provider at sign-in
+const GOOGLE_SCOPES = [
+  'https://www.googleapis.com/auth/calendar',
+  'https://www.googleapis.com/auth/calendar.events',
+  'profile',
+  'email'
+];
+
+/**
+ * Creates an OAuth2 client for the app's Google credentials
+ * @param {string} refreshToken - Optional stored refresh token to act as the provider
+ * @returns {Object} - google.auth.OAuth2 client
+ */
+function createOAuth2Client(refreshToken) {
+  const oauth2Client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.REDIRECT_URI
+  );
+  if (refreshToken) {
+    oauth2Client.setCredentials({ refresh_token: refreshToken });
+  }
+  return oauth2Client;
+}
+
+/**
+ * Tells whether a Google error means the refresh token was revoked or expired,
+ * as opposed to a network or quota problem worth retrying
+ * @param {Error} error - Error thrown by googleapis
+ * @returns {boolean} - True for invalid_grant
+ */
+function isInvalidGrant(error) {
+  const data = error && error.response && error.response.data;
+  return (data && data.error === 'invalid_grant') || /invalid_grant/.test((error && error.message) || '');
+}
+
+async function updateProvider(supabase, table, providerId, values) {
+  const { error } = await supabase
+    .from(table)
+    .update({ ...values, updated_at: new Date() })
+    .eq('id', providerId);
+
+  if (error) {
+    console.error(`Error updating ${table} credentials:`, error);
+  }
+}
+
+function reauthorizationRequired(table, providerId) {
+  const error = new Error('Google Calendar access was revoked; the provider needs to sign in again to reconnect it');
+  error.code = 'REAUTH_REQUIRED';
+  error.table = table;
+  error.providerId = providerId;
+  return error;
+}
+
+/**
+ * Builds Google credentials for a provider row. Routers get calendar access
+ * only through here: the stored token is decrypted, checked against Google,
+ * and rewrapped under the current key if it is plaintext or under an old one.
+ * Each check is recorded as token health; a revoked token (invalid_grant) marks
+ * the provider as needing reauthorization and texts them a reconnect link.
+ * @param {Object} supabase - Supabase client for the database holding the provider
+ * @param {string} table - 'barbers' or 'makeup_artists'
+ * @param {Object} provider - Provider row with id and refresh_token
+ * @returns {Object} - google.auth.OAuth2 client; throws with code REAUTH_REQUIRED if access is gone
+ */
+async function getProviderAuth(supabase, table, provider) {
+  const refreshToken = decryptToken(provider.refresh_token);
+  if (!refreshToken || provider.needs_reauth) {
+    throw reauthorizationRequired(table, provider.id);
+  }
+
+  const oauth2Client = createOAuth2Client(refreshToken);
+
+  // Google may issue a replacement refresh token when refreshing; keep the newest
+  oauth2Client.on('tokens', tokens => {
+    if (tokens.refresh_token && tokens.refresh_token !== refreshToken) {
+      updateProvider(supabase, table, provider.id, refreshTokenColumns(tokens.refresh_token));
+    }
+  });
+
+  try {
+    await oauth2Client.getAccessToken();
+  } catch (e) {
+    const revoked = isInvalidGrant(e);
+    await recordTokenFailure(supabase, table, provider, e, { revoked });
+    if (revoked) {
+      console.error(`Google refresh token revoked for ${table} ${provider.id}`);
+      throw reauthorizationRequired(table, provider.id);
+    }
+    throw e;
+  }
+  await recordTokenSuccess(supabase, table, provider);
+
+  if (needsRewrap(provider.refresh_token)) {
+    await updateProvider(supabase, table, provider.id, { refresh_token: encryptToken(refreshToken) });
+  }
+
+  return oauth2Client;
+}
+
+/**
+ * Answers a request whose calendar call failed because the provider's Google
+ * access is gone, so callers learn why instead of getting a generic 500
+ * @param {Object} res - Express response
+ * @param {Error} error - Error caught around the calendar call
+ * @returns {boolean} - True if a response was sent
+ */
+function sendReauthRequired(res, error) {
+  if (!error || error.code !== 'REAUTH_REQUIRED') {
+    return false;
+  }
+  res.status(503).json({ success: false, error: error.message, code: error.code });
+  return true;
+}
+
+/**
+ * Checks that a stored refresh token can still mint access tokens. Only a
+ * definite invalid_grant counts as unusable; other failures are logged and the
+ * token is given the benefit of the doubt.
+ * @param {string} storedToken - Value of the provider's refresh_token column
+ * @returns {boolean} - False if the token is missing, unreadable or revoked
+ */
+async function isRefreshTokenUsable(storedToken) {
+  let refreshToken;
+  try {
+    refreshToken = decryptToken(storedToken);
+  } catch (e) {
+    console.error('Could not decrypt stored refresh token:', e.message);
+    return false;
+  }
+  if (!refreshToken) {
+    return false;
+  }
+
+  try {
+    await createOAuth2Client(refreshToken).getAccessToken();
+    return true;
+  } catch (e) {
+    if (isInvalidGrant(e)) {
+      return false;
+    }
+    console.error('Could not check Google refresh token:', e.message);
+    return true;
+  }
+}
+
+module.exports = {
+  GOOGLE_SCOPES,
+  createOAuth2Client,
+  isInvalidGrant,
+  getProviderAuth,
+  sendReauthRequired,
+  isRefreshTokenUsable
+};
@@ -0,0 +1,289 @@
+// Pending appointments (status pending_confirmation) hold a time until the
+// provider confirms. The hold is a tentative, private event on the provider's
+// calendar (appointments.hold_event_id) so free/busy keeps the slot from being
+// offered twice. Tenants that set holds.expiryMinutes release holds nobody
+// confirmed in time by marking them 'expired'.
+const { getTenantOperations } = require('./tenants');
+const { parseDateTime } = require('./timeZoneHandler');
+const { sendSms } = require('./sms');
+const { listConnectedProviders, getProviderCalendar, getProviderCalendarId } = require('./calendarSync');
+
+// Private extended property that marks our hold events
+const HOLD_PROPERTY = 'appointmentHold';
+
+/**
+ * Works out when a hold lapses: expiryMinutes after it was placed, and never
+ * later than the appointment's start
+ * @param {Object} tenant - Normalized tenant config
+ * @param {string|Date} heldAt - When the hold was placed
+ * @param {string|Date} startTime - Appointment start
+ * @returns {Date|null} - Expiry, or null when the tenant keeps holds indefinitely
+ */
+function getHoldExpiry(tenant, heldAt, startTime) {
+  const { expiryMinutes } = tenant.holds;
+  if (!expiryMinutes) {
+    return null;
+  }
+  const expiry = new Date(new Date(heldAt).getTime() + expiryMinutes * 60 * 1000);
+  return startTime ? new Date(Math.min(expiry, new Date(startTime))) : expiry;
+}
+
+/**
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} appointment - Appointment row
+ * @param {Date} now - Current time
+ * @returns {boolean} - Whether the row is a pending hold that has lapsed, swept or not
+ */
+function isHoldExpired(tenant, appointment, now = new Date()) {
+  if (appointment.status === 'expired') {
+    return true;
+  }
+  if (appointment.status !== 'pending_confirmation') {
+    return false;
+  }
+  // Rows held before expiry was configured fall back to when they were created
+  const expiry = appointment.hold_expires_at
+    ? new Date(appointment.hold_expires_at)
+    : getHoldExpiry(tenant, appointment.created_at, appointment.start_time);
+  return Boolean(expiry) && expiry <= now;
+}
+
+/**
+ * @param {Object} event - Google Calendar event
+ * @returns {boolean} - Whether the event is a hold placed by placeAppointmentHold
+ */
+function isHoldEvent(event) {
+  const properties = event && event.extendedProperties && event.extendedProperties.private;
+  return Boolean(properties && properties[HOLD_PROPERTY]);
+}
+
+/**
+ * Builds the tentative event that holds a pending appointment's time. It is
+ * private, so guests and shared calendars only see the time as busy.
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} hold - { clientName, clientPhone, serviceType, startTime, endTime } times in UTC
+ * @returns {Object} - Event resource
+ */
+function buildHoldEvent(tenant, { clientName, clientPhone, serviceType, startTime, endTime }) {
+  return {
+    summary: `HOLD - awaiting confirmation: ${serviceType || 'Appointment'} for ${clientName || 'Client'}`,
+    // Deliberately not the "Client: ..." description of bookings, so reconciliation skips holds
+    description: `Pending confirmation. This time is held until the booking is confirmed or released.\nPhone: ${clientPhone}`,
+    start: { dateTime: new Date(startTime).toISOString(), timeZone: tenant.timeZone },
+    end: { dateTime: new Date(endTime).toISOString(), timeZone: tenant.timeZone },
+    status: 'tentative',
+    visibility: 'private',
+    transparency: 'opaque',
+    extendedProperties: { private: { [HOLD_PROPERTY]: 'true' } }
+  };
+}
+
+/**
+ * Deletes a hold event; one that is already gone counts as released
+ * @param {Object} calendar - google.calendar client
+ * @param {string} calendarId - Provider's booking calendar
+ * @param {string} eventId - Hold event id
+ */
+async function releaseHoldEvent(calendar, calendarId, eventId) {
+  try {
+    await calendar.events.delete({ calendarId, eventId });
+  } catch (e) {
+    if (e.code !== 404 && e.code !== 410) {
+      throw e;
+    }
+  }
+}
+
+/**
+ * Turns a hold into the confirmed booking event, keeping its id. When the hold
+ * has gone missing the event is created instead.
+ * @param {Object} calendar - google.calendar client
+ * @param {string} calendarId - Provider's booking calendar
+ * @param {string|null} holdEventId - Hold to promote
+ * @param {Object} resource - Booking event
+ * @returns {Object} - Events API response for the booking
+ */
+async function promoteHoldEvent(calendar, calendarId, holdEventId, resource) {
+  // update replaces the whole event, which drops the hold's status, visibility and marker
+  const booking = { ...resource, status: 'confirmed' };
+  if (holdEventId) {
+    try {
+      return await calendar.events.update({ calendarId, eventId: holdEventId, resource: booking, sendUpdates: 'all' });
+    } catch (e) {
+      if (e.code !== 404 && e.code !== 410) {
+        throw e;
+      }
+    }
+  }
+  return calendar.events.insert({ calendarId, resource: booking, sendUpdates: 'all' });
+}
+
+/**
+ * Places a hold on the provider's booking calendar. A hold that cannot be
+ * placed does not stop the booking from being stored, so errors are logged.
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} hold - Details for buildHoldEvent
+ * @param {string} providerId - Provider row id, for tenants with several providers
+ * @returns {string|null} - Hold event id
+ */
+async function placeAppointmentHold(tenant, hold, providerId) {
+  try {
+    const [provider] = await listConnectedProviders(tenant, providerId);
+    if (!provider) {
+      console.warn(`No connected calendar to hold a pending appointment for ${tenant.slug}`);
+      return null;
+    }
+    const calendar = await getProviderCalendar(tenant, provider);
+    const { data } = await calendar.events.insert({
+      calendarId: getProviderCalendarId(tenant, provider),
+      resource: buildHoldEvent(tenant, hold)
+    });
+    return data.id;
+  } catch (e) {
+    console.error(`Could not place calendar hold for ${tenant.slug}:`, e.message);
+    return null;
+  }
+}
+
+/**
+ * Releases a pending appointment's hold using the provider's stored credentials
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} appointment - Appointment row with hold_event_id
+ * @returns {boolean} - Whether nothing is left on the calendar
+ */
+async function releaseAppointmentHold(tenant, appointment) {
+  if (!appointment.hold_event_id) {
+    return true;
+  }
+  try {
+    const [provider] = await listConnectedProviders(tenant, appointment.barber_id || undefined);
+    if (!provider) {
+      console.error(`No connected calendar to release hold ${appointment.hold_event_id} for ${tenant.slug}`);
+      return false;
+    }
+    const calendar = await getProviderCalendar(tenant, provider);
+    await releaseHoldEvent(calendar, getProviderCalendarId(tenant, provider), appointment.hold_event_id);
+    return true;
+  } catch (e) {
+    console.error(`Error releasing hold ${appointment.hold_event_id} for ${tenant.slug}:`, e.message);
+    return false;
+  }
+}
+
+// Tells the client their time was released, in the tenant's time zone
+function buildExpiryMessage(tenant, appointment) {
+  const when = parseDateTime(appointment.start_time, 'UTC').toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: tenant.timeZone
+  });
+  const service = appointment.service_type || 'appointment';
+  return `We weren't able to confirm your ${service} with ${tenant.name} on ${when}, so the time has been released. Reply if you'd still like to book.`;
+}
+
+/**
+ * Removes the calendar holds of expired appointments, including ones an
+ * earlier run could not reach, and forgets each hold once it is gone
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} supabase - Tenant's Supabase client
+ */
+async function releaseExpiredHolds(tenant, supabase) {
+  const { data: expired, error } = await supabase
+    .from('appointments')
+    .select('*')
+    .eq('status', 'expired')
+    .not('hold_event_id', 'is', null);
+  if (error) {
+    console.error(`Error loading expired holds for ${tenant.slug}:`, error);
+    return;
+  }
+
+  for (const appointment of expired) {
+    // A calendar that cannot be reached leaves the hold for the next run
+    if (!(await releaseAppointmentHold(tenant, appointment))) {
+      continue;
+    }
+    const { error: updateError } = await supabase
+      .from('appointments')
+      .update({ hold_event_id: null })
+      .eq('id', appointment.id)
+      .eq('status', 'expired');
+    if (updateError) {
+      console.error(`Error clearing released hold ${appointment.hold_event_id}:`, updateError);
+    }
+  }
+}
+
+/**
+ * Marks lapsed holds as expired and removes their calendar holds. When the
+ * tenant sets holds.notifyClient, each client whose appointment was still
+ * ahead is told by text.
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Date} now - Current time
+ * @returns {Object} - { expired, notified } counts
+ */
+async function expireStaleHolds(tenant, now = new Date()) {
+  const result = { expired: 0, notified: 0 };
+  if (!tenant.holds.expiryMinutes) {
+    return result;
+  }
+
+  const { supabase } = getTenantOperations(tenant);
+  const { data: holds, error } = await supabase
+    .from('appointments')
+    .select('*')
+    .eq('status', 'pending_confirmation')
+    .order('start_time', { ascending: true });
+  if (error) {
+    // Thrown so the job runner retries
+    throw new Error(`Error loading pending holds for ${tenant.slug}: ${error.message}`);
+  }
+
+  for (const hold of holds.filter(row => isHoldExpired(tenant, row, now))) {
+    // The status flips before the calendar is touched, and only while still
+    // pending, so a hold confirmed in the meantime keeps its event
+    const { data: updated, error: updateError } = await supabase
+      .from('appointments')
+      .update({ status: 'expired', updated_at: now.toISOString() })
+      .eq('id', hold.id)
+      .eq('status', 'pending_confirmation')
+      .select();
+    if (updateError) {
+      console.error(`Error expiring hold ${hold.id}:`, updateError);
+      continue;
+    }
+    if (updated.length === 0) {
+      continue;
+    }
+    result.expired += 1;
+
+    if (tenant.holds.notifyClient && hold.client_phone && new Date(hold.start_time) > now) {
+      if (await sendSms(tenant, hold.client_phone, buildExpiryMessage(tenant, hold))) {
+        result.notified += 1;
+      }
+    }
+  }
+
+  await releaseExpiredHolds(tenant, supabase);
+
+  if (result.expired > 0) {
+    console.log(`Expired ${result.expired} pending holds for ${tenant.slug}`);
+  }
+  return result;
+}
+
+module.exports = {
+  getHoldExpiry,
+  isHoldExpired,
+  isHoldEvent,
+  buildHoldEvent,
+  placeAppointmentHold,
+  releaseHoldEvent,
+  promoteHoldEvent,
+  releaseAppointmentHold,
+  buildExpiryMessage,
+  expireStaleHolds
+};
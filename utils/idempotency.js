@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// A pending key older than this belongs to a request that died mid-flight
+const PENDING_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Reads the caller's idempotency key from the Idempotency-Key header or the
+ * idempotencyKey body field
+ * @param {Object} req - Express request
+ * @returns {string|null} - The key, or null if the caller sent none
+ */
+function getIdempotencyKey(req) {
+  return req.get('Idempotency-Key') || (req.body && req.body.idempotencyKey) || null;
+}
+
+// Fingerprint of the request so a key reused for a different booking is caught
+function hashRequest(body) {
+  const { idempotencyKey, ...payload } = body || {};
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+/**
+ * Creates middleware that makes a router's write endpoints safe to retry. The
+ * first request with a given key runs normally and its JSON response is stored;
+ * repeats get the stored response back instead of booking again. Requests
+ * without a key are untouched. Server errors (5xx) are not stored so they can be retried.
+ * @param {string} scopePrefix - Namespaces keys, e.g. the tenant slug
+ * @param {Function} getOps - Returns idempotencyOps from createClientOperations
+ * @returns {Function} - Express middleware
+ */
+function idempotency(scopePrefix, getOps) {
+  return async (req, res, next) => {
+    const key = getIdempotencyKey(req);
+    if (!key || !WRITE_METHODS.includes(req.method)) {
+      return next();
+    }
+
+    const replay = (record) => {
+      if (record.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency key was already used for a different request'
+        });
+      }
+
+      if (record.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this idempotency key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(record.response_body);
+    };
+
+    const scope = `${scopePrefix}:${req.method} ${req.path}`;
+    const requestHash = hashRequest(req.body);
+
+    try {
+      const idempotencyOps = getOps();
+
+      let record = await idempotencyOps.get(key, scope);
+      if (record && record.status === 'pending' && Date.now() - new Date(record.created_at).getTime() > PENDING_TIMEOUT_MS) {
+        await idempotencyOps.release(record.id);
+        record = null;
+      }
+      if (record) {
+        return replay(record);
+      }
+
+      record = await idempotencyOps.begin(key, scope, requestHash);
+      if (!record) {
+        // Lost a race with a concurrent retry, or the table is unavailable
+        const existing = await idempotencyOps.get(key, scope);
+        if (existing) {
+          return replay(existing);
+        }
+        console.error(`Idempotency unavailable for ${scope}; handling request without it`);
+        return next();
+      }
+
+      // Store the outcome before the caller sees it, so a retry can never slip in
+      // between. The key stays held if the caller disconnects, since the handler
+      // keeps running until it responds.
+      const sendJson = res.json.bind(res);
+      res.json = (body) => {
+        const stored = res.statusCode >= 500
+          ? idempotencyOps.release(record.id)
+          : idempotencyOps.complete(record.id, res.statusCode, body);
+        stored.finally(() => sendJson(body));
+        return res;
+      };
+
+      return next();
+    } catch (e) {
+      console.error('Error in idempotency middleware:', e);
+      return next();
+    }
+  };
+}
+
+module.exports = {
+  getIdempotencyKey,
+  idempotency
+};
@@ -0,0 +1,329 @@
+// Background work backed by a `jobs` table in each tenant's database. Jobs run
+// in-process: a runner polls for due rows, claims them, and retries failures
+// with backoff until they succeed or run out of attempts (dead-lettered).
+const os = require('os');
+const { getTenantOperations } = require('./tenants');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// A running job whose worker has not finished in this long is assumed lost and run again
+const DEFAULT_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Recurring jobs share this dedupe key, so each type has one run waiting at a time
+const RECURRING_DEDUPE_KEY = 'recurring';
+
+// Postgres error code for a unique index violation
+const UNIQUE_VIOLATION = '23505';
+
+// The status endpoint lists at most this many jobs per section
+const MAX_STATUS_LIMIT = 100;
+
+/**
+ * Queues a job for a tenant. A dedupeKey is unique per tenant and type until
+ * the job finishes (jobs_dedupe_idx), so a second job with the same key is
+ * not queued while the first is waiting or running.
+ * @param {Object} tenant - Normalized tenant config
+ * @param {string} type - Job type; the runner needs a definition for it
+ * @param {Object} payload - Data passed to the handler
+ * @param {Object} options - { runAt, maxAttempts, dedupeKey }
+ * @returns {Object|null} - Job row, or null if it could not be queued or a job with the key is queued already
+ */
+async function enqueueJob(tenant, type, payload = {}, { runAt = new Date(), maxAttempts = DEFAULT_MAX_ATTEMPTS, dedupeKey = null } = {}) {
+  const { data, error } = await getTenantOperations(tenant).supabase
+    .from('jobs')
+    .insert({
+      tenant: tenant.slug,
+      type,
+      payload,
+      status: 'pending',
+      run_at: runAt.toISOString(),
+      attempts: 0,
+      max_attempts: maxAttempts,
+      dedupe_key: dedupeKey
+    })
+    .select();
+
+  if (error) {
+    if (dedupeKey && error.code === UNIQUE_VIOLATION) {
+      return null;
+    }
+    console.error(`Error queueing ${type} job for ${tenant.slug}:`, error);
+    return null;
+  }
+  return data[0];
+}
+
+/**
+ * Delay before retrying a failed job: backoffMs, doubled for each earlier attempt, capped at an hour
+ * @param {number} attempts - Attempts made so far, including the one that failed
+ * @param {number} backoffMs - Delay after the first failure
+ * @returns {number} - Milliseconds
+ */
+function getRetryDelay(attempts, backoffMs = DEFAULT_BACKOFF_MS) {
+  return Math.min(backoffMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Creates the job runner for one tenant
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} definitions - type -> { handler(payload, { tenant, job }), everyMs, maxAttempts, backoffMs }.
+ *   Types with everyMs recur: the runner keeps one queued, queuing the next when it finishes
+ *   and again on every tick in case that enqueue failed.
+ * @param {Object} options - { pollIntervalMs, batchSize, lockTimeoutMs, workerId }
+ * @returns {Object} - { start, stop, runDue, scheduleRecurring, tick }
+ */
+function createJobRunner(tenant, definitions, {
+  pollIntervalMs = 5000,
+  batchSize = 10,
+  lockTimeoutMs = DEFAULT_LOCK_TIMEOUT_MS,
+  workerId = `${os.hostname()}:${process.pid}`
+} = {}) {
+  const { supabase } = getTenantOperations(tenant);
+  let timer = null;
+  let ticking = false;
+
+  const jobs = () => supabase.from('jobs');
+
+  function enqueueRecurring(type, runAt) {
+    return enqueueJob(tenant, type, {}, { runAt, maxAttempts: definitions[type].maxAttempts, dedupeKey: RECURRING_DEDUPE_KEY });
+  }
+
+  // Queues each recurring type that has nothing waiting or running; the unique
+  // dedupe key turns away the insert when another instance got there first
+  async function scheduleRecurring(now = new Date()) {
+    for (const [type, definition] of Object.entries(definitions)) {
+      if (definition.everyMs) {
+        await enqueueRecurring(type, now);
+      }
+    }
+  }
+
+  /**
+   * Claims due jobs. Each claim is a conditional update on the status the job
+   * was read with, so when several workers race only one of them gets it.
+   */
+  async function claimDueJobs(now) {
+    const staleBefore = new Date(now.getTime() - lockTimeoutMs).toISOString();
+    const [pending, stale] = await Promise.all([
+      jobs()
+        .select('*')
+        .eq('tenant', tenant.slug)
+        .eq('status', 'pending')
+        .lte('run_at', now.toISOString())
+        .order('run_at', { ascending: true })
+        .limit(batchSize),
+      jobs()
+        .select('*')
+        .eq('tenant', tenant.slug)
+        .eq('status', 'running')
+        .lt('locked_at', staleBefore)
+        .limit(batchSize)
+    ]);
+    if (pending.error || stale.error) {
+      console.error(`Error loading due jobs for ${tenant.slug}:`, pending.error || stale.error);
+      return [];
+    }
+
+    const claimed = [];
+    for (const job of [...stale.data, ...pending.data].slice(0, batchSize)) {
+      const { data, error: claimError } = await jobs()
+        .update({ status: 'running', locked_at: now.toISOString(), locked_by: workerId, attempts: job.attempts + 1, updated_at: now.toISOString() })
+        .eq('id', job.id)
+        .eq('status', job.status)
+        .eq('attempts', job.attempts)
+        .select();
+      if (claimError) {
+        console.error(`Error claiming job ${job.id}:`, claimError);
+      } else if (data.length === 1) {
+        claimed.push(data[0]);
+      }
+    }
+    return claimed;
+  }
+
+  // A finished job gives up its dedupe key, so the next one with it can be queued
+  async function finish(job, values) {
+    const released = values.status === 'pending' ? {} : { dedupe_key: null };
+    const { error } = await jobs()
+      .update({ ...values, ...released, locked_at: null, locked_by: null, updated_at: new Date().toISOString() })
+      .eq('id', job.id)
+      .eq('locked_by', workerId);
+    if (error) {
+      console.error(`Error updating job ${job.id}:`, error);
+    }
+  }
+
+  async function runJob(job, now) {
+    const definition = definitions[job.type];
+    if (!definition) {
+      await finish(job, { status: 'dead', last_error: `No handler for job type ${job.type}` });
+      return 'dead';
+    }
+
+    let outcome;
+    try {
+      const result = await definition.handler(job.payload || {}, { tenant, job });
+      await finish(job, { status: 'completed', completed_at: new Date().toISOString(), result: result === undefined ? null : result, last_error: null });
+      outcome = 'completed';
+    } catch (e) {
+      console.error(`Job ${job.type} ${job.id} for ${tenant.slug} failed (attempt ${job.attempts}):`, e.message);
+      if (job.attempts >= job.max_attempts) {
+        await finish(job, { status: 'dead', last_error: e.message });
+        outcome = 'dead';
+      } else {
+        const retryAt = new Date(now.getTime() + getRetryDelay(job.attempts, definition.backoffMs));
+        await finish(job, { status: 'pending', run_at: retryAt.toISOString(), last_error: e.message });
+        outcome = 'failed';
+      }
+    }
+
+    // Recurring work carries on whether or not this run succeeded
+    if (definition.everyMs && outcome !== 'failed') {
+      await enqueueRecurring(job.type, new Date(now.getTime() + definition.everyMs));
+    }
+    return outcome;
+  }
+
+  /**
+   * Claims and runs every job that is due, one at a time
+   * @param {Date} now - Current time
+   * @returns {Object} - { completed, failed, dead } counts; failed jobs were rescheduled
+   */
+  async function runDue(now = new Date()) {
+    const counts = { completed: 0, failed: 0, dead: 0 };
+    for (const job of await claimDueJobs(now)) {
+      counts[await runJob(job, now)] += 1;
+    }
+    return counts;
+  }
+
+  /**
+   * One poll: queues any recurring run that went missing (say, its enqueue
+   * failed after the last run), then runs what is due. The dedupe key makes
+   * the scheduling a no-op while a run is already queued.
+   * @param {Date} now - Current time
+   * @returns {Object} - runDue counts
+   */
+  async function tick(now = new Date()) {
+    await scheduleRecurring(now);
+    return runDue(now);
+  }
+
+  return {
+    runDue,
+    scheduleRecurring,
+    tick,
+
+    start() {
+      if (timer) {
+        return;
+      }
+      scheduleRecurring().catch(e => console.error(`Error scheduling jobs for ${tenant.slug}:`, e));
+      timer = setInterval(async () => {
+        // A slow batch is not overlapped by the next tick
+        if (ticking) return;
+        ticking = true;
+        try {
+          await tick();
+        } catch (e) {
+          console.error(`Job runner for ${tenant.slug} failed:`, e);
+        } finally {
+          ticking = false;
+        }
+      }, pollIntervalMs);
+      // The runner alone should not keep the process running
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+/**
+ * Summarizes a tenant's queue for the status endpoint. Counts cover the whole
+ * queue; only the first `limit` jobs of each section are loaded.
+ * @param {Object} tenant - Normalized tenant config
+ * @param {number} limit - Rows listed per section, at most MAX_STATUS_LIMIT
+ * @returns {Object|null} - { counts, upcoming, dead }, or null if the queue could not be read
+ */
+async function getJobStatus(tenant, limit = 20) {
+  const { supabase } = getTenantOperations(tenant);
+  const rows = Math.min(Math.max(Math.floor(limit) || 1, 1), MAX_STATUS_LIMIT);
+  const columns = 'id, type, status, run_at, attempts, max_attempts, last_error, updated_at';
+  const countOf = status => supabase
+    .from('jobs')
+    .select('id', { count: 'exact', head: true })
+    .eq('tenant', tenant.slug)
+    .eq('status', status);
+
+  const results = await Promise.all([
+    countOf('pending'),
+    countOf('running'),
+    countOf('dead'),
+    supabase
+      .from('jobs')
+      .select(columns)
+      .eq('tenant', tenant.slug)
+      .in('status', ['pending', 'running'])
+      .order('run_at', { ascending: true })
+      .limit(rows),
+    supabase
+      .from('jobs')
+      .select(columns)
+      .eq('tenant', tenant.slug)
+      .eq('status', 'dead')
+      .order('updated_at', { ascending: false })
+      .limit(rows)
+  ]);
+
+  const failed = results.find(result => result.error);
+  if (failed) {
+    console.error(`Error loading jobs for ${tenant.slug}:`, failed.error);
+    return null;
+  }
+
+  const [pending, running, dead, upcomingJobs, deadJobs] = results;
+  return {
+    counts: { pending: pending.count, running: running.count, dead: dead.count },
+    upcoming: upcomingJobs.data,
+    dead: deadJobs.data
+  };
+}
+
+/**
+ * Sends a dead-lettered job back to the queue with a fresh set of attempts
+ * @param {Object} tenant - Normalized tenant config
+ * @param {string} jobId - Job row id
+ * @returns {Object|null} - Requeued job row, or null if no dead job has that id
+ */
+async function retryDeadJob(tenant, jobId) {
+  const now = new Date().toISOString();
+  const { data, error } = await getTenantOperations(tenant).supabase
+    .from('jobs')
+    .update({ status: 'pending', attempts: 0, run_at: now, updated_at: now })
+    .eq('id', jobId)
+    .eq('tenant', tenant.slug)
+    .eq('status', 'dead')
+    .select();
+
+  if (error) {
+    console.error(`Error requeueing job ${jobId}:`, error);
+    return null;
+  }
+  return data[0] || null;
+}
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  MAX_STATUS_LIMIT,
+  enqueueJob,
+  getRetryDelay,
+  createJobRunner,
+  getJobStatus,
+  retryDeadJob
+};
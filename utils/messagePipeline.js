@@ -0,0 +1,181 @@
+// Coalesces bursts of inbound messages. Clients often send one thought as
+// several texts; rather than answering each, messages are held per session
+// until the sender goes quiet and then handled as one turn.
+const axios = require('axios');
+const { enqueueJob, getRetryDelay } = require('./jobs');
+const { getAuthHeaders } = require('./webhookAuth');
+
+const DEFAULT_QUIET_MS = 5000;
+const DEFAULT_MAX_WAIT_MS = 30000;
+// Upper bound on a caller's timeWindowMs for /conversation/process-message
+const MAX_TIME_WINDOW_MS = 10000;
+// Job that retries conversation turns the orchestrator did not accept
+const CONVERSATION_TURN_JOB = 'deliver-conversation-turn';
+
+/**
+ * Creates a per-session debounce pipeline. Messages with the same key are held
+ * until no new one has arrived for quietMs (or maxWaitMs has passed since the
+ * first), then passed to the handler as a single batch. Batches for one key are
+ * handled one at a time, in arrival order; different keys run independently.
+ * State is in memory, so one pipeline only coalesces messages this process receives.
+ * @param {Object} options - { handler(key, messages), quietMs, maxWaitMs }
+ * @returns {Object} - { enqueue, flush, pending }
+ */
+function createMessagePipeline({ handler, quietMs = DEFAULT_QUIET_MS, maxWaitMs = DEFAULT_MAX_WAIT_MS }) {
+  // key -> { messages, startedAt, timer, settle } for the batch still collecting
+  const batches = new Map();
+  // key -> promise for the latest turn handed to the handler
+  const turns = new Map();
+
+  function dispatch(key) {
+    const batch = batches.get(key);
+    if (!batch) return;
+
+    batches.delete(key);
+    clearTimeout(batch.timer);
+
+    // Wait for the previous turn so replies go out in order and see its history
+    const previous = turns.get(key) || Promise.resolve();
+    const turn = previous.catch(() => {}).then(() => handler(key, batch.messages));
+    turns.set(key, turn);
+
+    turn
+      .then(
+        result => batch.settle.resolve({ isFinal: true, messages: batch.messages, result }),
+        error => batch.settle.reject(error)
+      )
+      .finally(() => {
+        if (turns.get(key) === turn) turns.delete(key);
+      });
+  }
+
+  return {
+    /**
+     * Adds a message to its session's batch
+     * @param {string} key - Session key, e.g. a phone number or session id
+     * @param {*} message - Anything the handler understands
+     * @param {Object} [options] - { quietMs } to override the pipeline's window for this message
+     * @returns {Promise<Object>} - { isFinal: false } as soon as a newer message joins the
+     *   batch, otherwise { isFinal: true, messages, result } once the handler has run
+     */
+    enqueue(key, message, options = {}) {
+      const now = Date.now();
+      let batch = batches.get(key);
+
+      if (batch) {
+        // Only the newest message waits for the turn; earlier callers are released now
+        batch.settle.resolve({ isFinal: false });
+        clearTimeout(batch.timer);
+      } else {
+        batch = { messages: [], startedAt: now };
+        batches.set(key, batch);
+      }
+
+      batch.messages.push(message);
+
+      const result = new Promise((resolve, reject) => {
+        batch.settle = { resolve, reject };
+      });
+
+      const wait = options.quietMs !== undefined ? options.quietMs : quietMs;
+      const remaining = batch.startedAt + maxWaitMs - now;
+      batch.timer = setTimeout(() => dispatch(key), Math.max(0, Math.min(wait, remaining)));
+
+      return result;
+    },
+
+    /**
+     * Hands a session's batch to the handler without waiting for the quiet period
+     * @param {string} key - Session key
+     */
+    flush(key) {
+      dispatch(key);
+    },
+
+    /**
+     * @param {string} key - Session key
+     * @returns {number} - Messages waiting in the session's batch
+     */
+    pending(key) {
+      const batch = batches.get(key);
+      return batch ? batch.messages.length : 0;
+    }
+  };
+}
+
+/**
+ * Posts an aggregated turn to the tenant's orchestrator at conversations.callbackUrl,
+ * authenticated with the tenant's own API key and signing secret
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} turn - { sessionId, phoneNumber, content, messageCount, messageIds }
+ * @returns {Object} - { status } of the orchestrator's response; throws if it was not 2xx
+ */
+async function deliverConversationTurn(tenant, turn) {
+  const { callbackUrl } = tenant.conversations;
+  const body = JSON.stringify(turn);
+  const { pathname, search } = new URL(callbackUrl);
+
+  const response = await axios.post(callbackUrl, body, {
+    headers: {
+      ...getAuthHeaders(tenant.auth, { method: 'POST', url: `${pathname}${search}`, body }),
+      'Content-Type': 'application/json'
+    },
+    timeout: 10000
+  });
+  return { status: response.status };
+}
+
+/**
+ * Creates the pipeline behind /conversation/process-message: stored user
+ * messages are batched per session id, marked processed and joined into one
+ * turn. With conversations.callbackUrl set, the turn is posted to the
+ * orchestrator, and a failed delivery is retried from the jobs table.
+ * Otherwise the orchestrator polls /conversation/check-batch-complete.
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} supabase - Supabase client for the tenant's database
+ * @returns {Object} - Pipeline; enqueue(sessionId, { phoneNumber, message }, { quietMs })
+ */
+function createConversationBatcher(tenant, supabase) {
+  return createMessagePipeline({
+    handler: async (sessionId, entries) => {
+      for (const { message } of entries) {
+        const { error } = await supabase
+          .from('conversation_messages')
+          .update({ metadata: { ...message.metadata, processed: true } })
+          .eq('id', message.id);
+
+        if (error) {
+          console.error('Error marking message processed:', error);
+        }
+      }
+
+      const turn = {
+        sessionId,
+        phoneNumber: entries[entries.length - 1].phoneNumber,
+        content: entries.map(({ message }) => message.content).join(' '),
+        messageCount: entries.length,
+        messageIds: entries.map(({ message }) => message.id)
+      };
+
+      if (tenant.conversations.callbackUrl) {
+        try {
+          await deliverConversationTurn(tenant, turn);
+        } catch (e) {
+          console.error(`Error delivering conversation turn for ${tenant.slug}, retrying from the jobs table:`, e.message);
+          await enqueueJob(tenant, CONVERSATION_TURN_JOB, turn, { runAt: new Date(Date.now() + getRetryDelay(1)) });
+        }
+      }
+
+      return turn;
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_QUIET_MS,
+  MAX_TIME_WINDOW_MS,
+  CONVERSATION_TURN_JOB,
+  createMessagePipeline,
+  deliverConversationTurn,
+  createConversationBatcher
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const GRAPH_API_VERSION = 'v19.0';
+
+// Replaces the configured sender for every tenant, e.g. with a fake in tests
+let senderOverride = null;
+const senderCache = new Map();
+
+/**
+ * Resolves a tenant's Meta app settings, falling back to the shared META_* variables
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - { verifyToken, appSecret, pageAccessToken }
+ */
+function getMetaConfig(tenant) {
+  const meta = tenant.meta || {};
+  return {
+    verifyToken: meta.verifyToken || process.env.META_VERIFY_TOKEN,
+    appSecret: meta.appSecret || process.env.META_APP_SECRET,
+    pageAccessToken: meta.pageAccessToken || process.env.META_PAGE_ACCESS_TOKEN
+  };
+}
+
+/**
+ * Checks the X-Hub-Signature-256 header Meta sends with every webhook delivery
+ * @param {string} appSecret - Meta app secret
+ * @param {string} signature - Header value, 'sha256=<hex>'
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @returns {boolean} - Whether the signature matches
+ */
+function validateMetaSignature(appSecret, signature, rawBody) {
+  if (!appSecret || !signature || !rawBody) {
+    return false;
+  }
+
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex')}`);
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Pulls the inbound text messages out of a Messenger or Instagram webhook payload.
+ * Echoes of our own replies, reactions and attachment-only messages are skipped.
+ * @param {Object} payload - Webhook body
+ * @returns {Array} - [{ platform, senderId, recipientId, messageId, text }]
+ */
+function parseMessagingEvents(payload) {
+  if (!payload || !Array.isArray(payload.entry)) {
+    return [];
+  }
+
+  const platform = payload.object === 'instagram' ? 'instagram' : 'messenger';
+
+  return payload.entry
+    .flatMap(entry => entry.messaging || [])
+    .filter(event => event.message && !event.message.is_echo && event.message.text)
+    .map(event => ({
+      platform,
+      senderId: event.sender.id,
+      recipientId: event.recipient.id,
+      messageId: event.message.mid,
+      text: event.message.text
+    }));
+}
+
+/**
+ * Creates a sender that replies through the Graph API Send API. Instagram
+ * messaging goes through the linked Page, so one page token covers both.
+ * @param {Object} config - { pageAccessToken }
+ * @returns {Object} - Sender with send({ recipientId, text, platform })
+ */
+function createGraphSender({ pageAccessToken }) {
+  return {
+    async send({ recipientId, text }) {
+      const response = await axios.post(
+        `https://graph.facebook.com/${GRAPH_API_VERSION}/me/messages`,
+        {
+          recipient: { id: recipientId },
+          messaging_type: 'RESPONSE',
+          message: { text }
+        },
+        {
+          params: { access_token: pageAccessToken },
+          timeout: 15000
+        }
+      );
+
+      return { messageId: response.data.message_id };
+    }
+  };
+}
+
+// Used when no page token is configured so local development still shows replies
+function createLogSender(tenant) {
+  return {
+    async send({ recipientId, text, platform }) {
+      console.log(`[${platform}:${tenant.slug}] to ${recipientId}: ${text}`);
+      return { messageId: null };
+    }
+  };
+}
+
+/**
+ * Returns the outbound DM sender for a tenant
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - Sender with send({ recipientId, text, platform })
+ */
+function getMetaSender(tenant) {
+  if (senderOverride) {
+    return senderOverride;
+  }
+
+  if (!senderCache.has(tenant.slug)) {
+    const config = getMetaConfig(tenant);
+    senderCache.set(tenant.slug, config.pageAccessToken ? createGraphSender(config) : createLogSender(tenant));
+  }
+  return senderCache.get(tenant.slug);
+}
+
+/**
+ * Routes every outbound DM through the given sender; pass null to restore the default
+ * @param {Object|null} sender - Object with an async send({ recipientId, text, platform })
+ */
+function setMetaSender(sender) {
+  senderOverride = sender;
+}
+
+/**
+ * Sends one direct message on behalf of a tenant
+ * @param {Object} tenant - Normalized tenant config
+ * @param {string} platform - 'instagram' or 'messenger'
+ * @param {string} recipientId - Page- or Instagram-scoped user id
+ * @param {string} text - Message text
+ * @returns {Object|null} - { messageId }, or null if sending failed
+ */
+async function sendDirectMessage(tenant, platform, recipientId, text) {
+  try {
+    return await getMetaSender(tenant).send({ recipientId, text, platform });
+  } catch (e) {
+    console.error(`Error sending ${platform} message for ${tenant.slug}:`, e.response ? e.response.data : e.message);
+    return null;
+  }
+}
+
+module.exports = {
+  getMetaConfig,
+  validateMetaSignature,
+  parseMessagingEvents,
+  createGraphSender,
+  getMetaSender,
+  setMetaSender,
+  sendDirectMessage
+};
@@ -0,0 +1,450 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { getTenantOperations } = require('./tenants');
+const { runAppointmentAction } = require('./providers');
+const { isHoldExpired } = require('./holds');
+const { enqueueJob, getRetryDelay } = require('./jobs');
+
+const STRIPE_API_URL = 'https://api.stripe.com/v1';
+
+// Webhook signatures older than this are refused so captured deliveries cannot be replayed
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Job that retries refunds the provider did not accept at cancellation
+const REFUND_JOB = 'refund-deposit';
+
+// Replaces the configured provider for every tenant, e.g. with a fake in tests
+let providerOverride = null;
+const providerCache = new Map();
+
+/**
+ * Resolves a tenant's payment settings. Tenants may bring their own Stripe
+ * account; otherwise the shared STRIPE_* variables are used.
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - { secretKey, webhookSecret, currency, successUrl, deposit, refundPolicy }
+ */
+function getPaymentsConfig(tenant) {
+  const payments = tenant.payments || {};
+  const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return {
+    secretKey: payments.secretKey || process.env.STRIPE_SECRET_KEY,
+    webhookSecret: payments.webhookSecret || process.env.STRIPE_WEBHOOK_SECRET,
+    currency: payments.currency || 'usd',
+    successUrl: payments.successUrl || `${baseUrl}/`,
+    deposit: payments.deposit || {},
+    refundPolicy: payments.refundPolicy || {}
+  };
+}
+
+/**
+ * Computes a Stripe-style webhook signature: HMAC-SHA256 over "<timestamp>.<body>"
+ * @param {string} secret - Webhook signing secret
+ * @param {number} timestamp - Unix seconds, sent as t= in the header
+ * @param {Buffer|string} rawBody - Request body exactly as sent
+ * @returns {string} - Hex signature, sent as v1= in the header
+ */
+function computePaymentSignature(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+/**
+ * Checks a Stripe-Signature header ("t=<unix seconds>,v1=<hex>[,v1=...]")
+ * @param {string} secret - Webhook signing secret
+ * @param {string} header - Value of the Stripe-Signature header
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {Date} now - Current time
+ * @returns {boolean} - Whether a signature matches and is recent enough
+ */
+function validatePaymentSignature(secret, header, rawBody, now = new Date()) {
+  if (!secret || !header || !rawBody) {
+    return false;
+  }
+
+  const parts = header.split(',').map(part => part.trim().split('='));
+  const timestamp = Number((parts.find(([key]) => key === 't') || [])[1]);
+  if (!timestamp || Math.abs(now.getTime() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(computePaymentSignature(secret, timestamp, rawBody));
+  return parts
+    .filter(([key]) => key === 'v1')
+    .some(([, value]) => {
+      const actual = Buffer.from(value || '');
+      return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    });
+}
+
+/**
+ * Creates a provider backed by the Stripe REST API. Any provider offers the
+ * same two calls, so another Stripe-compatible service can stand in.
+ * @param {Object} config - { secretKey }
+ * @returns {Object} - Provider with createCheckout(options) and refund(options)
+ */
+function createStripeProvider({ secretKey }) {
+  const post = async (path, params, idempotencyKey) => {
+    const response = await axios.post(`${STRIPE_API_URL}${path}`, new URLSearchParams(params).toString(), {
+      auth: { username: secretKey, password: '' },
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+      },
+      timeout: 15000
+    });
+    return response.data;
+  };
+
+  return {
+    // Hosted checkout page for one line item; metadata comes back on the webhook
+    async createCheckout({ amountCents, currency, description, metadata, successUrl, idempotencyKey }) {
+      const metadataParams = Object.fromEntries(Object.entries(metadata).map(([key, value]) => [`metadata[${key}]`, value]));
+      const session = await post('/checkout/sessions', {
+        mode: 'payment',
+        success_url: successUrl,
+        'line_items[0][quantity]': '1',
+        'line_items[0][price_data][currency]': currency,
+        'line_items[0][price_data][unit_amount]': String(amountCents),
+        'line_items[0][price_data][product_data][name]': description,
+        ...metadataParams
+      }, idempotencyKey);
+      return { id: session.id, url: session.url };
+    },
+
+    async refund({ paymentIntentId, amountCents, idempotencyKey }) {
+      const refund = await post('/refunds', { payment_intent: paymentIntentId, amount: String(amountCents) }, idempotencyKey);
+      return { id: refund.id, status: refund.status };
+    }
+  };
+}
+
+/**
+ * Returns the payment provider for a tenant
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object|null} - Provider, or null when payments are not configured
+ */
+function getPaymentProvider(tenant) {
+  if (providerOverride) {
+    return providerOverride;
+  }
+
+  if (!providerCache.has(tenant.slug)) {
+    const config = getPaymentsConfig(tenant);
+    providerCache.set(tenant.slug, config.secretKey ? createStripeProvider(config) : null);
+  }
+  return providerCache.get(tenant.slug);
+}
+
+/**
+ * Routes every payment call through the given provider; pass null to restore the default
+ * @param {Object|null} provider - Object with async createCheckout() and refund()
+ */
+function setPaymentProvider(provider) {
+  providerOverride = provider;
+}
+
+/**
+ * Works out the deposit for a service: payments.deposit.percent of its base
+ * price (in dollars), at least minimumCents, or amountCents when the price is unknown
+ * @param {Object} tenant - Normalized tenant config
+ * @param {number|null} basePrice - Service base_price
+ * @returns {number|null} - Deposit in cents, or null when none is due
+ */
+function getDepositAmount(tenant, basePrice) {
+  const { percent, minimumCents = 0, amountCents } = getPaymentsConfig(tenant).deposit;
+  if (percent && Number(basePrice) > 0) {
+    return Math.max(Math.round(Number(basePrice) * percent), minimumCents);
+  }
+  return amountCents || null;
+}
+
+/**
+ * Asks the client for a deposit on a pending appointment: a checkout link is
+ * created and recorded in the payments table, and the appointment's
+ * deposit_status becomes 'requested'
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} appointment - Appointment row
+ * @returns {Object|null} - { paymentId, url, amountCents, currency }, or null when no deposit was requested
+ */
+async function requestDeposit(tenant, appointment) {
+  const provider = getPaymentProvider(tenant);
+  if (!provider) {
+    return null;
+  }
+
+  const { supabase } = getTenantOperations(tenant);
+  const { data: services, error: serviceError } = await supabase
+    .from('services')
+    .select('*')
+    .ilike('name', appointment.service_type || '')
+    .limit(1);
+  if (serviceError) {
+    console.error('Error loading service for deposit:', serviceError);
+  }
+  const amountCents = getDepositAmount(tenant, services && services[0] ? services[0].base_price : null);
+  if (!amountCents) {
+    return null;
+  }
+
+  const config = getPaymentsConfig(tenant);
+  try {
+    const checkout = await provider.createCheckout({
+      amountCents,
+      currency: config.currency,
+      description: `Deposit: ${appointment.service_type || 'Appointment'} with ${tenant.name}`,
+      metadata: { tenant: tenant.slug, appointment_id: appointment.id },
+      successUrl: config.successUrl,
+      // One deposit per appointment, however often the request is retried
+      idempotencyKey: `deposit-${appointment.id}`
+    });
+
+    const { data, error } = await supabase
+      .from('payments')
+      .insert({
+        appointment_id: appointment.id,
+        kind: 'deposit',
+        provider_checkout_id: checkout.id,
+        url: checkout.url,
+        amount_cents: amountCents,
+        currency: config.currency,
+        status: 'pending'
+      })
+      .select();
+    if (error) {
+      throw error;
+    }
+
+    await supabase
+      .from('appointments')
+      .update({ deposit_status: 'requested', updated_at: new Date().toISOString() })
+      .eq('id', appointment.id);
+
+    return { paymentId: data[0].id, url: checkout.url, amountCents, currency: config.currency };
+  } catch (e) {
+    console.error(`Error requesting deposit for appointment ${appointment.id}:`, e.response ? e.response.data : e.message);
+    return null;
+  }
+}
+
+/**
+ * Works out how much of a paid deposit goes back when an appointment is
+ * cancelled: all of it up to refundPolicy.fullRefundHoursBefore the start,
+ * lateRefundPercent of it after that (default none)
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} appointment - Appointment row
+ * @param {number} paidCents - Amount paid
+ * @param {Date} now - Current time
+ * @returns {number} - Cents to refund
+ */
+function getRefundAmount(tenant, appointment, paidCents, now = new Date()) {
+  const { fullRefundHoursBefore = 0, lateRefundPercent = 0 } = getPaymentsConfig(tenant).refundPolicy;
+  const hoursLeft = (new Date(appointment.start_time) - now) / (60 * 60 * 1000);
+  if (hoursLeft >= fullRefundHoursBefore) {
+    return paidCents;
+  }
+  return Math.round(paidCents * lateRefundPercent / 100);
+}
+
+// Stores the outcome of a refund on the payment and mirrors it on the appointment
+async function recordRefund(supabase, payment, { status, refundedCents }, now) {
+  const { error } = await supabase
+    .from('payments')
+    .update({ status, refunded_cents: refundedCents, updated_at: now.toISOString() })
+    .eq('id', payment.id);
+  if (error) {
+    console.error(`Error recording refund for payment ${payment.id}:`, error);
+  }
+  await supabase
+    .from('appointments')
+    .update({ deposit_status: status, updated_at: now.toISOString() })
+    .eq('id', payment.appointment_id);
+}
+
+/**
+ * Refunds the paid deposits of a cancelled appointment according to the tenant's
+ * policy. A refund the provider does not accept marks the payment
+ * `refund_failed` and is retried from the jobs table (see retryRefund).
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} appointment - Appointment row
+ * @param {Object} options - { now, full } full refunds everything, e.g. when we could not honour the booking
+ * @returns {Object} - { refundedCents, failedCents }
+ */
+async function refundDeposits(tenant, appointment, { now = new Date(), full = false } = {}) {
+  const result = { refundedCents: 0, failedCents: 0 };
+  const provider = getPaymentProvider(tenant);
+  if (!provider) {
+    return result;
+  }
+
+  const { supabase } = getTenantOperations(tenant);
+  const { data: payments, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('appointment_id', appointment.id)
+    .eq('status', 'paid');
+  if (error) {
+    console.error(`Error loading payments for appointment ${appointment.id}:`, error);
+    return result;
+  }
+
+  for (const payment of payments) {
+    const amountCents = full ? payment.amount_cents : getRefundAmount(tenant, appointment, payment.amount_cents, now);
+    let outcome = { status: 'forfeited', refundedCents: 0 };
+    if (amountCents > 0) {
+      try {
+        await provider.refund({ paymentIntentId: payment.provider_payment_id, amountCents, idempotencyKey: `refund-${payment.id}` });
+        outcome = { status: amountCents < payment.amount_cents ? 'partially_refunded' : 'refunded', refundedCents: amountCents };
+        result.refundedCents += amountCents;
+      } catch (e) {
+        console.error(`Error refunding payment ${payment.id}, retrying from the jobs table:`, e.response ? e.response.data : e.message);
+        outcome = { status: 'refund_failed', refundedCents: 0 };
+        result.failedCents += amountCents;
+        await enqueueJob(tenant, REFUND_JOB, { paymentId: payment.id, amountCents }, { runAt: new Date(now.getTime() + getRetryDelay(1)) });
+      }
+    }
+    await recordRefund(supabase, payment, outcome, now);
+  }
+  return result;
+}
+
+/**
+ * Retries a refund that failed at cancellation; the handler of REFUND_JOB.
+ * Errors are thrown so the job runner backs off and tries again. A payment
+ * that is no longer `refund_failed` was settled some other way and is skipped.
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} payload - { paymentId, amountCents } as queued by refundDeposits
+ * @param {Date} now - Current time
+ * @returns {Object} - { refundedCents }, or { skipped: true }
+ */
+async function retryRefund(tenant, { paymentId, amountCents }, now = new Date()) {
+  const provider = getPaymentProvider(tenant);
+  if (!provider) {
+    throw new Error(`No payment provider configured for ${tenant.slug}`);
+  }
+
+  const { supabase } = getTenantOperations(tenant);
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('id', paymentId)
+    .eq('status', 'refund_failed')
+    .maybeSingle();
+  if (error) {
+    throw new Error(`Could not load payment ${paymentId}: ${error.message}`);
+  }
+  if (!payment) {
+    return { skipped: true };
+  }
+
+  await provider.refund({ paymentIntentId: payment.provider_payment_id, amountCents, idempotencyKey: `refund-${payment.id}` });
+  const status = amountCents < payment.amount_cents ? 'partially_refunded' : 'refunded';
+  await recordRefund(supabase, payment, { status, refundedCents: amountCents }, now);
+  return { refundedCents: amountCents };
+}
+
+// Statuses in which a paid deposit can no longer buy the booking
+const CLOSED_STATUSES = ['cancelled', 'canceled', 'expired'];
+
+/**
+ * Applies a verified payment webhook event. A completed checkout confirms the
+ * pending appointment through the tenant's own handler (see utils/providers.js),
+ * which books it in the calendar; a deposit for an appointment that was
+ * cancelled or whose hold lapsed is refunded in full. Providers deliver events
+ * at least once, so a payment already recorded is left alone.
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} event - { type, data: { object } } as Stripe sends it
+ * @returns {string} - 'confirmed', 'paid', 'refunded', 'expired', 'duplicate' or 'ignored'
+ */
+async function handlePaymentEvent(tenant, event) {
+  const session = event.data && event.data.object;
+  if (!session || !['checkout.session.completed', 'checkout.session.expired'].includes(event.type)) {
+    return 'ignored';
+  }
+
+  const { supabase } = getTenantOperations(tenant);
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('provider_checkout_id', session.id)
+    .maybeSingle();
+  if (error) {
+    throw error;
+  }
+  if (!payment) {
+    return 'ignored';
+  }
+  if (payment.status !== 'pending') {
+    return 'duplicate';
+  }
+
+  const now = new Date().toISOString();
+  if (event.type === 'checkout.session.expired') {
+    await supabase.from('payments').update({ status: 'expired', updated_at: now }).eq('id', payment.id);
+    return 'expired';
+  }
+  // Delayed methods such as bank debits complete the session before the money arrives
+  if (session.payment_status && session.payment_status !== 'paid') {
+    return 'ignored';
+  }
+
+  const { data: appointment, error: appointmentError } = await supabase
+    .from('appointments')
+    .select('*')
+    .eq('id', payment.appointment_id)
+    .maybeSingle();
+  if (appointmentError) {
+    throw appointmentError;
+  }
+
+  const bookable = appointment && !CLOSED_STATUSES.includes(appointment.status) && !isHoldExpired(tenant, appointment);
+  if (bookable && appointment.status === 'pending_confirmation') {
+    const provider = { table: tenant.calendarOwner.table, id: appointment.barber_id || tenant.calendarOwner.id };
+    const result = await runAppointmentAction(tenant, provider, appointment, 'confirm');
+    if (!result || !result.success) {
+      // Thrown before the payment is recorded, so the provider's retry tries again
+      throw new Error(`Could not confirm appointment ${appointment.id} after payment: ${result && result.error}`);
+    }
+  }
+
+  const { data: paid, error: paidError } = await supabase
+    .from('payments')
+    .update({ status: 'paid', provider_payment_id: session.payment_intent, paid_at: now, updated_at: now })
+    .eq('id', payment.id)
+    .eq('status', 'pending')
+    .select();
+  if (paidError) {
+    throw paidError;
+  }
+  if (paid.length === 0) {
+    return 'duplicate';
+  }
+  if (!appointment) {
+    return 'paid';
+  }
+
+  await supabase
+    .from('appointments')
+    .update({ deposit_status: 'paid', updated_at: now })
+    .eq('id', appointment.id);
+
+  if (!bookable) {
+    await refundDeposits(tenant, appointment, { full: true });
+    return 'refunded';
+  }
+  return appointment.status === 'pending_confirmation' ? 'confirmed' : 'paid';
+}
+
+module.exports = {
+  REFUND_JOB,
+  getPaymentsConfig,
+  computePaymentSignature,
+  validatePaymentSignature,
+  createStripeProvider,
+  getPaymentProvider,
+  setPaymentProvider,
+  getDepositAmount,
+  requestDeposit,
+  getRefundAmount,
+  refundDeposits,
+  retryRefund,
+  handlePaymentEvent
+};
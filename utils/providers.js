@@ -0,0 +1,190 @@
+const { getEnabledTenants, getTenantOperations } = require('./tenants');
+const { loadAgentTools, getWebhookBaseUrl, createToolExecutor } = require('./agent');
+const { parseDateTime } = require('./timeZoneHandler');
+
+const PAST_LIMIT = 20;
+const UPCOMING_LIMIT = 100;
+
+// Dashboard actions and the agent tool each one runs through the tenant's own handler
+const ACTION_TOOLS = {
+  confirm: 'confirm_appointment',
+  reschedule: 'reschedule_appointment',
+  cancel: 'cancel_appointment'
+};
+
+/**
+ * Finds the tenant whose bookings a signed-in provider manages. A tenant bound
+ * to one calendar owner (Justin) wins over a shared one (the barbershop).
+ * @param {Object} provider - Session provider { table, id }
+ * @returns {Object|null} - Normalized tenant config
+ */
+function findProviderTenant(provider) {
+  const candidates = getEnabledTenants().filter(tenant => tenant.calendarOwner.table === provider.table);
+  return candidates.find(tenant => tenant.calendarOwner.id && tenant.calendarOwner.id === provider.id)
+    || candidates.find(tenant => !tenant.calendarOwner.id)
+    || null;
+}
+
+// Shared barber databases hold every barber's bookings; single-owner databases need no filter
+function scopeToProvider(query, provider) {
+  return provider.table === 'barbers' ? query.eq('barber_id', provider.id) : query;
+}
+
+/**
+ * Lists the barbers whose bookings a tenant handles. Justin and the shop share
+ * one barbers table, so a shared tenant gets every barber not bound to another.
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Array|null} - Barber ids (empty if the lookup failed), or null when
+ *   the tenant's appointments need no filter
+ */
+async function listTenantBarberIds(tenant) {
+  const { table, id } = tenant.calendarOwner;
+  if (table !== 'barbers') {
+    return null;
+  }
+  if (id) {
+    return [id];
+  }
+
+  const { data, error } = await getTenantOperations(tenant).supabase.from('barbers').select('id');
+  if (error) {
+    console.error(`Error listing barbers for ${tenant.slug}:`, error);
+    return [];
+  }
+  return data
+    .filter(barber => {
+      const owner = findProviderTenant({ table, id: barber.id });
+      return owner && owner.slug === tenant.slug;
+    })
+    .map(barber => barber.id);
+}
+
+/**
+ * Loads a provider's appointments grouped for the dashboard
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} provider - Session provider { table, id }
+ * @param {Date} now - Current time
+ * @returns {Object} - { pending, upcoming, past } arrays of appointment rows
+ */
+async function getProviderAppointments(tenant, provider, now = new Date()) {
+  const { supabase } = getTenantOperations(tenant);
+
+  const [future, earlier] = await Promise.all([
+    scopeToProvider(supabase.from('appointments').select('*'), provider)
+      .gte('start_time', now.toISOString())
+      .order('start_time', { ascending: true })
+      .limit(UPCOMING_LIMIT),
+    scopeToProvider(supabase.from('appointments').select('*'), provider)
+      .lt('start_time', now.toISOString())
+      .order('start_time', { ascending: false })
+      .limit(PAST_LIMIT)
+  ]);
+
+  if (future.error || earlier.error) {
+    console.error('Error fetching provider appointments:', future.error || earlier.error);
+    return { pending: [], upcoming: [], past: [] };
+  }
+
+  const isPending = appointment => appointment.status === 'pending_confirmation';
+  // The makeup artist's handlers spell it 'canceled'; expired holds never became bookings
+  const isCancelled = appointment => ['cancelled', 'canceled', 'expired'].includes(appointment.status);
+
+  return {
+    pending: future.data.filter(isPending),
+    upcoming: future.data.filter(appointment => !isPending(appointment) && !isCancelled(appointment)),
+    past: earlier.data.filter(appointment => !isPending(appointment))
+  };
+}
+
+/**
+ * Loads one appointment, but only if it belongs to the provider
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} provider - Session provider { table, id }
+ * @param {string} appointmentId - Appointment row id
+ * @returns {Object|null} - Appointment row
+ */
+async function getProviderAppointment(tenant, provider, appointmentId) {
+  const { supabase } = getTenantOperations(tenant);
+  const { data, error } = await scopeToProvider(supabase.from('appointments').select('*'), provider)
+    .eq('id', appointmentId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching provider appointment:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Lists the dashboard actions a tenant's handlers support
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Array} - Subset of ['confirm', 'reschedule', 'cancel']
+ */
+function getSupportedActions(tenant) {
+  const toolNames = loadAgentTools(tenant).map(tool => tool.name);
+  return Object.keys(ACTION_TOOLS).filter(action => toolNames.includes(ACTION_TOOLS[action]));
+}
+
+/**
+ * Confirms, reschedules or cancels an appointment through the same webhook
+ * handler the agent and orchestrator use, so calendar and database stay in step
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} provider - Session provider { table, id }
+ * @param {Object} appointment - Appointment row from getProviderAppointment
+ * @param {string} action - 'confirm', 'reschedule' or 'cancel'
+ * @param {Object} options - { newStartDateTime } wall-clock time in the tenant's zone, for reschedule
+ * @returns {Object} - The handler's response body
+ */
+async function runAppointmentAction(tenant, provider, appointment, action, { newStartDateTime } = {}) {
+  const tools = loadAgentTools(tenant);
+  const toolName = ACTION_TOOLS[action];
+  if (!tools.some(tool => tool.name === toolName)) {
+    return { success: false, error: `${action} is not available for ${tenant.name}` };
+  }
+
+  const clientPhone = appointment.client_phone
+    || (appointment.platform === 'phone' ? appointment.client_identifier : null);
+  const clientIdentity = appointment.client_identifier && appointment.platform
+    ? { identifier: appointment.client_identifier, platform: appointment.platform }
+    : { identifier: clientPhone, platform: 'phone' };
+
+  const executeTool = createToolExecutor(tenant, tools, {
+    clientPhone,
+    clientIdentity,
+    baseUrl: getWebhookBaseUrl()
+  });
+
+  const start = parseDateTime(appointment.start_time, 'UTC');
+  const end = parseDateTime(appointment.end_time, 'UTC');
+  const args = {
+    // Pending appointments are cancelled through their calendar hold (see utils/holds.js)
+    eventId: appointment.google_calendar_event_id || appointment.hold_event_id,
+    clientName: appointment.client_name,
+    ...(provider.table === 'barbers' && { preferredBarberId: provider.id })
+  };
+
+  switch (action) {
+    case 'confirm':
+      return executeTool(toolName, { appointmentId: appointment.id, clientName: appointment.client_name });
+    case 'reschedule':
+      return executeTool(toolName, {
+        ...args,
+        newStartDateTime,
+        duration: Math.round((end - start) / 60000),
+        serviceType: appointment.service_type
+      });
+    default:
+      return executeTool(toolName, args);
+  }
+}
+
+module.exports = {
+  findProviderTenant,
+  scopeToProvider,
+  listTenantBarberIds,
+  getProviderAppointments,
+  getProviderAppointment,
+  getSupportedActions,
+  runAppointmentAction
+};
@@ -0,0 +1,230 @@
+// Database and calendar writes are not transactional, so a booking can end up
+// in only one of them. Reconciliation compares a provider's appointments with
+// the events in their booking calendar and, when asked, repairs the difference.
+const { getTenantOperations } = require('./tenants');
+const { scopeToProvider } = require('./providers');
+const { getAvailabilityRules } = require('./availability');
+const { getProviderCalendarId, getProviderCalendar, listConnectedProviders } = require('./calendarSync');
+
+const CANCELLED_STATUSES = ['cancelled', 'canceled'];
+
+// Past appointments are checked this far back; the future up to the booking horizon
+const DEFAULT_LOOKBACK_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const eventTime = (time) => (time ? new Date(time.dateTime || time.date).toISOString() : null);
+
+/**
+ * Tells whether an event was written by a booking route. Every router starts
+ * the description with the client's name, which personal events do not.
+ * @param {Object} event - Google Calendar event
+ * @returns {boolean} - True for booking events
+ */
+function isBookingEvent(event) {
+  return /^Client: /.test(event.description || '');
+}
+
+// Rebuilds the appointment row a booking event should have had
+function appointmentFromEvent(tenant, provider, event) {
+  const line = (label) => {
+    const match = (event.description || '').match(new RegExp(`^${label}: (.+)$`, 'm'));
+    return match ? match[1].trim() : null;
+  };
+  const summary = event.summary || '';
+
+  return {
+    client_name: line('Client'),
+    client_phone: line('Phone'),
+    service_type: summary.includes(':') ? summary.slice(0, summary.indexOf(':')).trim() : null,
+    start_time: eventTime(event.start),
+    end_time: eventTime(event.end),
+    google_calendar_event_id: event.id,
+    status: 'confirmed',
+    ...(tenant.calendarOwner.table === 'barbers' ? { barber_id: provider.id } : {})
+  };
+}
+
+async function listCalendarEvents(calendar, calendarId, from, to) {
+  const items = [];
+  let pageToken;
+  for (;;) {
+    const { data } = await calendar.events.list({
+      calendarId,
+      timeMin: from.toISOString(),
+      timeMax: to.toISOString(),
+      singleEvents: true,
+      maxResults: 2500,
+      ...(pageToken ? { pageToken } : {})
+    });
+    items.push(...(data.items || []));
+    if (!data.nextPageToken) {
+      return items;
+    }
+    pageToken = data.nextPageToken;
+  }
+}
+
+// Looks up an event outside the listed window; null when Google no longer has it
+async function fetchEvent(calendar, calendarId, eventId) {
+  try {
+    const { data } = await calendar.events.get({ calendarId, eventId });
+    return data.status === 'cancelled' ? null : data;
+  } catch (e) {
+    if (e.code === 404 || e.code === 410) {
+      return null;
+    }
+    throw e;
+  }
+}
+
+/**
+ * Compares one provider's appointments with their booking calendar
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} provider - Provider row with refresh_token
+ * @param {Object} options - { repair, now, lookbackDays }
+ * @returns {Object} - { providerId, calendarId, missingEvents, missingAppointments, mismatchedTimes, repaired }
+ */
+async function reconcileProvider(tenant, provider, { repair = false, now = new Date(), lookbackDays = DEFAULT_LOOKBACK_DAYS } = {}) {
+  const { supabase } = getTenantOperations(tenant);
+  const calendarId = getProviderCalendarId(tenant, provider);
+  const calendar = await getProviderCalendar(tenant, provider);
+  const from = new Date(now.getTime() - lookbackDays * DAY_MS);
+  const to = new Date(now.getTime() + (getAvailabilityRules(tenant).maxDaysAhead + 1) * DAY_MS);
+
+  const query = supabase
+    .from('appointments')
+    .select('*')
+    .not('google_calendar_event_id', 'is', null)
+    .gte('start_time', from.toISOString())
+    .lt('start_time', to.toISOString());
+  const { data: rows, error } = await scopeToProvider(query, { table: tenant.calendarOwner.table, id: provider.id });
+  if (error) {
+    throw error;
+  }
+  const appointments = rows.filter(appointment => !CANCELLED_STATUSES.includes(appointment.status));
+  const events = (await listCalendarEvents(calendar, calendarId, from, to)).filter(event => event.status !== 'cancelled');
+  const eventsById = new Map(events.map(event => [event.id, event]));
+  const linkedIds = new Set(rows.map(appointment => appointment.google_calendar_event_id));
+
+  const report = { providerId: provider.id, calendarId, missingEvents: [], missingAppointments: [], mismatchedTimes: [], repaired: 0 };
+
+  for (const appointment of appointments) {
+    const eventId = appointment.google_calendar_event_id;
+    // Moved out of the window, or gone from the calendar entirely
+    const event = eventsById.get(eventId) || await fetchEvent(calendar, calendarId, eventId);
+    if (!event) {
+      report.missingEvents.push({ appointmentId: appointment.id, eventId, startTime: appointment.start_time });
+      continue;
+    }
+
+    const startTime = eventTime(event.start);
+    const endTime = eventTime(event.end);
+    if (Date.parse(appointment.start_time) !== Date.parse(startTime) || Date.parse(appointment.end_time) !== Date.parse(endTime)) {
+      report.mismatchedTimes.push({
+        appointmentId: appointment.id,
+        eventId,
+        appointment: { start: appointment.start_time, end: appointment.end_time },
+        event: { start: startTime, end: endTime }
+      });
+    }
+  }
+
+  for (const event of events) {
+    // Cancelled rows still count as linked: their event is the calendar's to delete, not ours to re-add
+    if (linkedIds.has(event.id) || !isBookingEvent(event) || await isLinkedElsewhere(supabase, event.id)) {
+      continue;
+    }
+    report.missingAppointments.push({ eventId: event.id, summary: event.summary || null, start: eventTime(event.start), end: eventTime(event.end) });
+  }
+
+  if (repair) {
+    report.repaired = await repairProvider(supabase, tenant, provider, report, eventsById);
+  }
+  return report;
+}
+
+// A row outside the window (an appointment moved a long way) still links the event
+async function isLinkedElsewhere(supabase, eventId) {
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('id')
+    .eq('google_calendar_event_id', eventId);
+  if (error) {
+    throw error;
+  }
+  return data.length > 0;
+}
+
+/**
+ * Repairs a provider's differences. The calendar is taken as the truth: rows
+ * whose event is gone are cancelled, times are copied from the event, and
+ * booking events without a row get one rebuilt from the event.
+ * @param {Object} supabase - Tenant Supabase client
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} provider - Provider row
+ * @param {Object} report - Findings from reconcileProvider
+ * @param {Map} eventsById - Listed events by id
+ * @returns {number} - Rows written
+ */
+async function repairProvider(supabase, tenant, provider, report, eventsById) {
+  let repaired = 0;
+  const write = async (description, request) => {
+    const { error } = await request;
+    if (error) {
+      console.error(`Reconciliation could not ${description}:`, error);
+      return;
+    }
+    repaired += 1;
+  };
+  const updatedAt = new Date().toISOString();
+
+  for (const { appointmentId } of report.missingEvents) {
+    await write(`cancel appointment ${appointmentId}`, supabase
+      .from('appointments')
+      .update({ status: 'cancelled', updated_at: updatedAt })
+      .eq('id', appointmentId));
+  }
+
+  for (const { appointmentId, event } of report.mismatchedTimes) {
+    await write(`move appointment ${appointmentId}`, supabase
+      .from('appointments')
+      .update({ start_time: event.start, end_time: event.end, updated_at: updatedAt })
+      .eq('id', appointmentId));
+  }
+
+  for (const { eventId } of report.missingAppointments) {
+    await write(`restore the appointment for event ${eventId}`, supabase
+      .from('appointments')
+      .insert(appointmentFromEvent(tenant, provider, eventsById.get(eventId))));
+  }
+
+  return repaired;
+}
+
+/**
+ * Reconciles every connected provider of a tenant. A provider whose calendar
+ * cannot be read is reported with its error instead of stopping the run.
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} options - { providerId, repair, now, lookbackDays }
+ * @returns {Array} - One reconcileProvider report, or { providerId, error }, per provider
+ */
+async function reconcileTenant(tenant, { providerId, ...options } = {}) {
+  const reports = [];
+  for (const provider of await listConnectedProviders(tenant, providerId)) {
+    try {
+      reports.push(await reconcileProvider(tenant, provider, options));
+    } catch (e) {
+      console.error(`Reconciliation failed for ${tenant.slug} provider ${provider.id}:`, e.message);
+      reports.push({ providerId: provider.id, error: e.message, ...(e.code === 'REAUTH_REQUIRED' && { code: e.code }) });
+    }
+  }
+  return reports;
+}
+
+module.exports = {
+  DEFAULT_LOOKBACK_DAYS,
+  isBookingEvent,
+  reconcileProvider,
+  reconcileTenant
+};
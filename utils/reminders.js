@@ -0,0 +1,251 @@
+// Texts clients ahead of their appointments and acts on their replies: "C"
+// confirms and "CANCEL" cancels, through the tenant's own webhook handlers.
+const { getTenantOperations } = require('./tenants');
+const { runAppointmentAction, listTenantBarberIds } = require('./providers');
+const { parseDateTime } = require('./timeZoneHandler');
+const { sendSms } = require('./sms');
+const { releaseAppointmentHold } = require('./holds');
+
+// Minutes before the start at which reminders go out, unless the tenant sets reminders.offsetsMinutes
+const DEFAULT_OFFSETS_MINUTES = [48 * 60, 2 * 60];
+
+// A reply only counts for a reminder sent this recently
+const REPLY_WINDOW_MS = 72 * 60 * 60 * 1000;
+
+const REPLY_WORDS = {
+  confirm: ['C', 'CONFIRM', 'Y', 'YES'],
+  cancel: ['CANCEL']
+};
+
+// Appointments in these states get no reminders and take no replies
+const CANCELLED_STATUSES = ['cancelled', 'canceled', 'expired'];
+
+/**
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Array} - Reminder offsets in minutes, furthest first
+ */
+function getReminderOffsets(tenant) {
+  const offsets = (tenant.reminders && tenant.reminders.offsetsMinutes) || DEFAULT_OFFSETS_MINUTES;
+  return [...offsets].sort((a, b) => b - a);
+}
+
+// Reminders go out by SMS, so clients who only reached us on Instagram or Messenger are skipped
+function getClientPhone(appointment) {
+  return appointment.client_phone || (appointment.platform === 'phone' ? appointment.client_identifier : null);
+}
+
+/**
+ * Writes the reminder text for an appointment, in the tenant's time zone
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} appointment - Appointment row
+ * @returns {string} - SMS body
+ */
+function buildReminderMessage(tenant, appointment) {
+  const when = parseDateTime(appointment.start_time, 'UTC').toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: tenant.timeZone
+  });
+  const service = appointment.service_type || 'appointment';
+  const opening = appointment.status === 'pending_confirmation'
+    ? `your ${service} with ${tenant.name} on ${when} is not confirmed yet.`
+    : `this is a reminder of your ${service} with ${tenant.name} on ${when}.`;
+  const greeting = appointment.client_name
+    ? `Hi ${appointment.client_name}, ${opening}`
+    : opening.charAt(0).toUpperCase() + opening.slice(1);
+
+  return `${greeting} Reply C to confirm or CANCEL to cancel.`;
+}
+
+/**
+ * Sends the reminders that have come due. Each appointment gets at most one
+ * text per offset, and only the nearest offset that has passed: an appointment
+ * booked an hour ahead gets the 2-hour reminder, not the 48-hour one as well.
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Date} now - Current time
+ * @returns {number} - Reminders sent
+ */
+async function sendDueReminders(tenant, now = new Date()) {
+  const { supabase } = getTenantOperations(tenant);
+  const offsets = getReminderOffsets(tenant);
+  const until = new Date(now.getTime() + offsets[0] * 60 * 1000);
+
+  const query = supabase
+    .from('appointments')
+    .select('*')
+    .gt('start_time', now.toISOString())
+    .lte('start_time', until.toISOString())
+    .order('start_time', { ascending: true });
+  const { data: appointments, error } = await scopeToTenant(tenant, query);
+  if (error) {
+    console.error(`Error loading appointments to remind for ${tenant.slug}:`, error);
+    return 0;
+  }
+
+  const upcoming = appointments.filter(appointment => !CANCELLED_STATUSES.includes(appointment.status) && getClientPhone(appointment));
+  if (upcoming.length === 0) {
+    return 0;
+  }
+
+  const { data: reminders, error: remindersError } = await supabase
+    .from('appointment_reminders')
+    .select('appointment_id, offset_minutes')
+    .in('appointment_id', upcoming.map(appointment => appointment.id));
+  if (remindersError) {
+    console.error(`Error loading sent reminders for ${tenant.slug}:`, remindersError);
+    return 0;
+  }
+
+  let sent = 0;
+  for (const appointment of upcoming) {
+    const minutesLeft = (parseDateTime(appointment.start_time, 'UTC') - now) / 60000;
+    const offset = Math.min(...offsets.filter(candidate => minutesLeft <= candidate));
+    const alreadySent = reminders.some(reminder => reminder.appointment_id === appointment.id && reminder.offset_minutes <= offset);
+    if (alreadySent) {
+      continue;
+    }
+
+    const phone = getClientPhone(appointment);
+    const result = await sendSms(tenant, phone, buildReminderMessage(tenant, appointment));
+    if (!result) {
+      // Left unrecorded so the next run tries again
+      continue;
+    }
+
+    const { error: insertError } = await supabase
+      .from('appointment_reminders')
+      .insert({
+        appointment_id: appointment.id,
+        offset_minutes: offset,
+        client_phone: phone,
+        message_sid: result.sid,
+        sent_at: now.toISOString()
+      });
+    if (insertError) {
+      console.error(`Error recording reminder for appointment ${appointment.id}:`, insertError);
+    }
+    sent += 1;
+  }
+  return sent;
+}
+
+/**
+ * Reads a reply to a reminder
+ * @param {string} text - Inbound message
+ * @returns {string|null} - 'confirm', 'cancel', or null for anything else
+ */
+function parseReminderReply(text) {
+  const word = String(text || '').trim().replace(/[.!]+$/, '').toUpperCase();
+  return Object.keys(REPLY_WORDS).find(action => REPLY_WORDS[action].includes(word)) || null;
+}
+
+// Tenants can share a database, so appointments are limited to the tenant's own barbers
+async function scopeToTenant(tenant, query) {
+  const barberIds = await listTenantBarberIds(tenant);
+  return barberIds ? query.in('barber_id', barberIds) : query;
+}
+
+// Loads the newest unanswered reminder this tenant sent to a phone, with its appointment
+async function findRemindedAppointment(tenant, phone, now) {
+  const { supabase } = getTenantOperations(tenant);
+  const { data: reminders, error } = await supabase
+    .from('appointment_reminders')
+    .select('*')
+    .eq('client_phone', phone)
+    .is('reply', null)
+    .gte('sent_at', new Date(now.getTime() - REPLY_WINDOW_MS).toISOString())
+    .order('sent_at', { ascending: false });
+  if (error || reminders.length === 0) {
+    if (error) console.error('Error loading reminders for reply:', error);
+    return null;
+  }
+
+  const query = supabase
+    .from('appointments')
+    .select('*')
+    .in('id', reminders.map(reminder => reminder.appointment_id));
+  const { data: appointments, error: appointmentsError } = await scopeToTenant(tenant, query);
+  if (appointmentsError) {
+    console.error('Error loading reminded appointment:', appointmentsError);
+    return null;
+  }
+
+  for (const reminder of reminders) {
+    const appointment = appointments.find(row => row.id === reminder.appointment_id);
+    if (appointment) {
+      return CANCELLED_STATUSES.includes(appointment.status) ? null : { reminder, appointment };
+    }
+  }
+  return null;
+}
+
+/**
+ * Handles a client's "C" or "CANCEL" text. Cancelling, and confirming an
+ * appointment that is still pending, run the tenant's webhook handlers (see
+ * utils/providers.js), so the calendar is updated too. Confirming a booked
+ * appointment is only recorded on the reminder, and cancelling a pending one
+ * releases its calendar hold and cancels the row.
+ * @param {Object} tenant - Normalized tenant config
+ * @param {string} phone - Sender in E.164 form
+ * @param {string} text - Inbound message
+ * @param {Date} now - Current time
+ * @returns {string|null} - Reply to send, or null when the text is not a reminder reply
+ */
+async function handleReminderReply(tenant, phone, text, now = new Date()) {
+  const action = parseReminderReply(text);
+  if (!action) {
+    return null;
+  }
+
+  const { supabase } = getTenantOperations(tenant);
+  const found = await findRemindedAppointment(tenant, phone, now);
+  if (!found) {
+    return null;
+  }
+  const { reminder, appointment } = found;
+
+  const provider = { table: tenant.calendarOwner.table, id: appointment.barber_id || tenant.calendarOwner.id };
+  let result = { success: true };
+  if (action === 'cancel' && !appointment.google_calendar_event_id) {
+    // Not booked yet, so at most a calendar hold is released before the row changes
+    await releaseAppointmentHold(tenant, appointment);
+    const { error } = await supabase
+      .from('appointments')
+      .update({ status: 'cancelled', updated_at: now.toISOString() })
+      .eq('id', appointment.id);
+    result = error ? { success: false, error: error.message } : result;
+  } else if (action === 'cancel') {
+    result = await runAppointmentAction(tenant, provider, appointment, 'cancel');
+  } else if (appointment.status === 'pending_confirmation') {
+    result = await runAppointmentAction(tenant, provider, appointment, 'confirm');
+  }
+
+  if (!result || !result.success) {
+    console.error(`Reminder reply ${action} failed for appointment ${appointment.id}:`, result && result.error);
+    return `Sorry, we could not ${action} your appointment by text. Please contact ${tenant.name} directly.`;
+  }
+
+  const { error } = await supabase
+    .from('appointment_reminders')
+    .update({ reply: action, replied_at: now.toISOString() })
+    .eq('id', reminder.id);
+  if (error) {
+    console.error('Error recording reminder reply:', error);
+  }
+
+  return action === 'cancel'
+    ? `Your appointment with ${tenant.name} has been cancelled.`
+    : `Thanks, your appointment with ${tenant.name} is confirmed. See you then!`;
+}
+
+module.exports = {
+  DEFAULT_OFFSETS_MINUTES,
+  getReminderOffsets,
+  buildReminderMessage,
+  sendDueReminders,
+  parseReminderReply,
+  handleReminderReply
+};
@@ -0,0 +1,208 @@
+const { parseDateTime, getZonedDate, getZonedParts, atZonedTime } = require('./timeZoneHandler');
+
+// A provider's working time, stored as JSON on their row (schedule column):
+//   weekly:    { monday: [{ start: '09:00', end: '18:00' }], ... } - days left out are closed
+//   breaks:    { monday: [{ start: '12:00', end: '12:30' }] } - recurring, cut out of weekly hours
+//   overrides: { '2025-11-28': [{ start: '10:00', end: '14:00' }] } - replace that date's hours; [] closes it
+//   holidays:  [{ date: '2025-12-25', name: 'Christmas' }] - closed all day
+// Times are wall-clock in the tenant's time zone; '24:00' ends a window at midnight.
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Every hour of every day, for callers that ignore working hours
+const ALWAYS_OPEN = {
+  weekly: Object.fromEntries(DAYS.map(day => [day, [{ start: '00:00', end: '24:00' }]]))
+};
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+function validateWindows(windows, label, errors) {
+  if (!Array.isArray(windows)) {
+    errors.push(`${label} must be a list of { start, end } windows`);
+    return;
+  }
+  windows.forEach((window, index) => {
+    if (!window || !TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+      errors.push(`${label}[${index}] needs start and end as HH:MM`);
+    } else if (toMinutes(window.start) >= toMinutes(window.end)) {
+      errors.push(`${label}[${index}] ends before it starts`);
+    }
+  });
+}
+
+/**
+ * Checks a schedule before it is stored
+ * @param {Object} schedule - Schedule in the shape described above
+ * @returns {Array} - Error messages; empty if the schedule is valid
+ */
+function validateSchedule(schedule) {
+  const errors = [];
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return ['Schedule must be an object'];
+  }
+
+  ['weekly', 'breaks'].forEach(section => {
+    Object.entries(schedule[section] || {}).forEach(([day, windows]) => {
+      if (!DAYS.includes(day)) {
+        errors.push(`${section}.${day} is not a day of the week`);
+      } else {
+        validateWindows(windows, `${section}.${day}`, errors);
+      }
+    });
+  });
+
+  Object.entries(schedule.overrides || {}).forEach(([date, windows]) => {
+    if (!DATE_PATTERN.test(date)) {
+      errors.push(`overrides.${date} is not a YYYY-MM-DD date`);
+    } else {
+      validateWindows(windows, `overrides.${date}`, errors);
+    }
+  });
+
+  if (schedule.holidays !== undefined && !Array.isArray(schedule.holidays)) {
+    errors.push('holidays must be a list');
+  }
+  (Array.isArray(schedule.holidays) ? schedule.holidays : []).forEach((holiday, index) => {
+    const date = typeof holiday === 'string' ? holiday : holiday && holiday.date;
+    if (!DATE_PATTERN.test(date || '')) {
+      errors.push(`holidays[${index}] needs a YYYY-MM-DD date`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Picks the schedule that governs a provider: their own, then the older
+ * business_hours_start/end columns applied to every day, then the tenant default
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} provider - Provider row, or null
+ * @returns {Object} - Schedule
+ */
+function getProviderSchedule(tenant, provider) {
+  if (provider && provider.schedule && provider.schedule.weekly) {
+    return provider.schedule;
+  }
+
+  if (provider && provider.business_hours_start && provider.business_hours_end) {
+    const hours = [{ start: provider.business_hours_start.slice(0, 5), end: provider.business_hours_end.slice(0, 5) }];
+    return {
+      ...tenant.schedule,
+      weekly: Object.fromEntries(DAYS.map(day => [day, hours]))
+    };
+  }
+
+  return tenant.schedule;
+}
+
+// Removes breaks from a day's windows, all in minutes since midnight
+function subtractBreaks(windows, breaks) {
+  return breaks.reduce((open, pause) => open.flatMap(window => {
+    if (pause.end <= window.start || pause.start >= window.end) {
+      return [window];
+    }
+    return [
+      { start: window.start, end: pause.start },
+      { start: pause.end, end: window.end }
+    ].filter(part => part.end > part.start);
+  }), windows);
+}
+
+function isHoliday(schedule, date) {
+  return (schedule.holidays || []).some(holiday => (typeof holiday === 'string' ? holiday : holiday.date) === date);
+}
+
+/**
+ * Lists the open windows between two instants, one or more per working day
+ * @param {Object} schedule - Schedule from getProviderSchedule
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @param {string} timeZone - Tenant's IANA time zone
+ * @returns {Array} - [{ date, start, end }] with Date bounds clipped to the period, in order
+ */
+function getOpenWindows(schedule, from, to, timeZone) {
+  const windows = [];
+  const lastDate = getZonedDate(to, timeZone);
+
+  // Walk calendar days anchored at noon so DST changes never skip a day
+  for (let day = atZonedTime(from, 12, 0, timeZone); getZonedDate(day, timeZone) <= lastDate; day = atZonedTime(day, 12, 0, timeZone, 1)) {
+    const date = getZonedDate(day, timeZone);
+    if (isHoliday(schedule, date)) {
+      continue;
+    }
+
+    const weekday = DAYS[getZonedParts(day, timeZone).weekday];
+    const override = (schedule.overrides || {})[date];
+    const toRange = window => ({ start: toMinutes(window.start), end: toMinutes(window.end) });
+    const dayWindows = override
+      ? override.map(toRange)
+      : subtractBreaks(((schedule.weekly || {})[weekday] || []).map(toRange), ((schedule.breaks || {})[weekday] || []).map(toRange));
+
+    dayWindows
+      .sort((a, b) => a.start - b.start)
+      .forEach(window => {
+        const start = atZonedTime(day, Math.floor(window.start / 60), window.start % 60, timeZone);
+        const end = atZonedTime(day, Math.floor(window.end / 60), window.end % 60, timeZone);
+        const clippedStart = start < from ? from : start;
+        const clippedEnd = end > to ? to : end;
+        if (clippedStart < clippedEnd) {
+          windows.push({ date, start: new Date(clippedStart), end: new Date(clippedEnd) });
+        }
+      });
+  }
+
+  return windows;
+}
+
+/**
+ * Tells whether an appointment fits entirely inside one open window
+ * @param {Object} schedule - Schedule from getProviderSchedule
+ * @param {Date|string} start - Appointment start (wall-clock strings are read in timeZone)
+ * @param {Date|string} end - Appointment end
+ * @param {string} timeZone - Tenant's IANA time zone
+ * @returns {boolean} - True if the provider is working for the whole appointment
+ */
+function isWithinSchedule(schedule, start, end, timeZone) {
+  const startTime = parseDateTime(start, timeZone);
+  const endTime = parseDateTime(end, timeZone);
+  return getOpenWindows(schedule, startTime, endTime, timeZone)
+    .some(window => window.start.getTime() === startTime.getTime() && window.end.getTime() === endTime.getTime());
+}
+
+const formatTime = (time) => {
+  const minutes = toMinutes(time) % (24 * 60);
+  const hour = Math.floor(minutes / 60);
+  const minute = minutes % 60;
+  const suffix = hour < 12 ? 'AM' : 'PM';
+  return `${hour % 12 || 12}${minute ? `:${String(minute).padStart(2, '0')}` : ''} ${suffix}`;
+};
+
+/**
+ * Describes weekly hours for messages to clients, e.g.
+ * "Thursday 6 PM-10 PM, Friday 2 PM-8 PM"
+ * @param {Object} schedule - Schedule from getProviderSchedule
+ * @returns {string} - Working days and hours, Monday first
+ */
+function describeWeeklyHours(schedule) {
+  const days = [...DAYS.slice(1), DAYS[0]]
+    .filter(day => ((schedule.weekly || {})[day] || []).length > 0)
+    .map(day => {
+      const hours = schedule.weekly[day].map(window => `${formatTime(window.start)}-${formatTime(window.end)}`).join(', ');
+      return `${day[0].toUpperCase()}${day.slice(1)} ${hours}`;
+    });
+  return days.length > 0 ? days.join(', ') : 'no regular hours';
+}
+
+module.exports = {
+  DAYS,
+  ALWAYS_OPEN,
+  validateSchedule,
+  getProviderSchedule,
+  getOpenWindows,
+  isWithinSchedule,
+  describeWeeklyHours
+};
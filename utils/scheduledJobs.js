@@ -0,0 +1,84 @@
+// The recurring work each tenant's job runner keeps queued (see utils/jobs.js)
+const { isFeatureEnabled } = require('./tenants');
+const { sendDueReminders } = require('./reminders');
+const { reconcileTenant } = require('./reconciliation');
+const { expireStaleHolds } = require('./holds');
+const { renewExpiringChannels } = require('./calendarSync');
+const { CONVERSATION_TURN_JOB, deliverConversationTurn } = require('./messagePipeline');
+const { REFUND_JOB, retryRefund } = require('./payments');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Builds the job definitions for a tenant. Reminders run for tenants with the
+ * reminders feature, every REMINDER_INTERVAL_MINUTES (default 5); pending holds
+ * are expired every HOLD_EXPIRY_INTERVAL_MINUTES (default 5) for tenants that
+ * set holds.expiryMinutes; calendar reconciliation runs only when
+ * RECONCILE_INTERVAL_MINUTES is set. Calendar watch channels are renewed
+ * before they expire, checked every CHANNEL_RENEWAL_INTERVAL_MINUTES (default
+ * 60). Tenants with conversations.callbackUrl also get the one-off job that
+ * retries undelivered conversation turns, and tenants with payments the one
+ * that retries failed deposit refunds.
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - Definitions keyed by job type, for createJobRunner
+ */
+function getScheduledJobs(tenant) {
+  const definitions = {};
+
+  if (isFeatureEnabled(tenant, 'reminders')) {
+    definitions['send-reminders'] = {
+      everyMs: (Number(process.env.REMINDER_INTERVAL_MINUTES) || 5) * MINUTE,
+      handler: async () => ({ sent: await sendDueReminders(tenant) })
+    };
+  }
+
+  if (tenant.holds.expiryMinutes) {
+    definitions['expire-holds'] = {
+      everyMs: (Number(process.env.HOLD_EXPIRY_INTERVAL_MINUTES) || 5) * MINUTE,
+      handler: () => expireStaleHolds(tenant)
+    };
+  }
+
+  definitions['renew-calendar-channels'] = {
+    everyMs: (Number(process.env.CHANNEL_RENEWAL_INTERVAL_MINUTES) || 60) * MINUTE,
+    handler: () => renewExpiringChannels(tenant)
+  };
+
+  // Queued only when a batched conversation turn could not be delivered straight away
+  if (tenant.conversations.callbackUrl) {
+    definitions[CONVERSATION_TURN_JOB] = {
+      handler: turn => deliverConversationTurn(tenant, turn)
+    };
+  }
+
+  // Queued only when a deposit refund failed at cancellation
+  if (isFeatureEnabled(tenant, 'payments')) {
+    definitions[REFUND_JOB] = {
+      handler: payload => retryRefund(tenant, payload)
+    };
+  }
+
+  const reconcileMinutes = Number(process.env.RECONCILE_INTERVAL_MINUTES);
+  if (reconcileMinutes > 0) {
+    definitions['reconcile-calendars'] = {
+      everyMs: reconcileMinutes * MINUTE,
+      handler: async () => {
+        const reports = await reconcileTenant(tenant, { repair: Boolean(tenant.reconciliation.autoRepair) });
+        const found = reports.filter(report => !report.error && (report.missingEvents.length + report.missingAppointments.length + report.mismatchedTimes.length) > 0);
+        if (found.length > 0) {
+          console.warn(`Reconciliation found differences for ${tenant.slug}:`, JSON.stringify(found));
+        }
+        return {
+          providers: reports.length,
+          withDifferences: found.length,
+          failed: reports.filter(report => report.error).length,
+          repaired: reports.reduce((total, report) => total + (report.repaired || 0), 0)
+        };
+      }
+    };
+  }
+
+  return definitions;
+}
+
+module.exports = { getScheduledJobs };
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const TWILIO_API_URL = 'https://api.twilio.com/2010-04-01';
+
+// Replaces the configured sender for every tenant, e.g. with a fake in tests
+let senderOverride = null;
+const senderCache = new Map();
+
+/**
+ * Resolves a tenant's Twilio credentials. Tenants may bring their own account;
+ * otherwise the shared TWILIO_* variables are used.
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - { accountSid, authToken, from }
+ */
+function getTwilioConfig(tenant) {
+  const sms = tenant.sms || {};
+  return {
+    accountSid: sms.accountSid || process.env.TWILIO_ACCOUNT_SID,
+    authToken: sms.authToken || process.env.TWILIO_AUTH_TOKEN,
+    from: sms.from || process.env.TWILIO_FROM_NUMBER
+  };
+}
+
+/**
+ * Computes the X-Twilio-Signature for a request: HMAC-SHA1 over the full URL
+ * followed by each POST parameter name and value, sorted by name
+ * @param {string} authToken - Twilio auth token
+ * @param {string} url - Full URL Twilio requested, including the query string
+ * @param {Object} params - Form-encoded POST parameters
+ * @returns {string} - Base64 signature
+ */
+function computeTwilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + params[key], url);
+
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+/**
+ * Checks a request's X-Twilio-Signature header
+ * @param {string} authToken - Twilio auth token
+ * @param {string} signature - Value of the X-Twilio-Signature header
+ * @param {string} url - Full URL Twilio requested
+ * @param {Object} params - Form-encoded POST parameters
+ * @returns {boolean} - Whether the signature matches
+ */
+function validateTwilioSignature(authToken, signature, url, params) {
+  if (!authToken || !signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeTwilioSignature(authToken, url, params));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Creates a sender that delivers messages through the Twilio REST API
+ * @param {Object} config - { accountSid, authToken, from }
+ * @returns {Object} - Sender with send({ to, body, from })
+ */
+function createTwilioSender({ accountSid, authToken, from }) {
+  return {
+    async send({ to, body, from: fromOverride }) {
+      const response = await axios.post(
+        `${TWILIO_API_URL}/Accounts/${accountSid}/Messages.json`,
+        new URLSearchParams({ To: to, From: fromOverride || from, Body: body }).toString(),
+        {
+          auth: { username: accountSid, password: authToken },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 15000
+        }
+      );
+
+      return { sid: response.data.sid, status: response.data.status };
+    }
+  };
+}
+
+// Used when Twilio is not configured so local development still shows replies
+function createLogSender(tenant) {
+  return {
+    async send({ to, body }) {
+      console.log(`[sms:${tenant.slug}] to ${to}: ${body}`);
+      return { sid: null, status: 'logged' };
+    }
+  };
+}
+
+/**
+ * Returns the outbound SMS sender for a tenant
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - Sender with send({ to, body, from })
+ */
+function getSmsSender(tenant) {
+  if (senderOverride) {
+    return senderOverride;
+  }
+
+  if (!senderCache.has(tenant.slug)) {
+    const config = getTwilioConfig(tenant);
+    senderCache.set(tenant.slug, config.accountSid && config.authToken
+      ? createTwilioSender(config)
+      : createLogSender(tenant));
+  }
+  return senderCache.get(tenant.slug);
+}
+
+/**
+ * Routes every outbound SMS through the given sender; pass null to restore the default
+ * @param {Object|null} sender - Object with an async send({ to, body, from })
+ */
+function setSmsSender(sender) {
+  senderOverride = sender;
+}
+
+/**
+ * Sends one SMS on behalf of a tenant
+ * @param {Object} tenant - Normalized tenant config
+ * @param {string} to - Recipient in E.164 form
+ * @param {string} body - Message text
+ * @param {string} [from] - Sending number, defaults to the tenant's configured number
+ * @returns {Object|null} - { sid, status }, or null if sending failed
+ */
+async function sendSms(tenant, to, body, from) {
+  try {
+    return await getSmsSender(tenant).send({ to, body, from: from || getTwilioConfig(tenant).from });
+  } catch (e) {
+    console.error(`Error sending SMS for ${tenant.slug}:`, e.response ? e.response.data : e.message);
+    return null;
+  }
+}
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Builds a TwiML response, optionally replying with one message
+ * @param {string} [message] - Reply text
+ * @returns {string} - TwiML document
+ */
+function toTwiML(message) {
+  const body = message ? `<Message>${escapeXml(message)}</Message>` : '';
+  return `<?xml version="1.0" encoding="UTF-8"?><Response>${body}</Response>`;
+}
+
+module.exports = {
+  getTwilioConfig,
+  computeTwilioSignature,
+  validateTwilioSignature,
+  createTwilioSender,
+  getSmsSender,
+  setSmsSender,
+  sendSms,
+  toTwiML
+};
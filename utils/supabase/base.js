@@ -1,4 +1,5 @@
 const { createClient } = require('@supabase/supabase-js');
+const { refreshTokenColumns } = require('../tokenVault');
 
 /**
  * Creates a Supabase client with the provided credentials
@@ -36,7 +37,7 @@ function createClientOperations(supabase) {
     },
     
     async updateOrCreate(barberData) {
-      const { phone_number, name, email, refresh_token, selected_calendar_id } = barberData;
+      const { phone_number, name, email, google_email, refresh_token, selected_calendar_id } = barberData;
       
       // Check if barber exists
       const existingBarber = await this.getByPhoneNumber(phone_number);
@@ -48,7 +49,8 @@ function createClientOperations(supabase) {
           .update({
             name: name || existingBarber.name,
             email: email || existingBarber.email,
-            refresh_token: refresh_token || existingBarber.refresh_token,
+            google_email: google_email || existingBarber.google_email,
+            ...(refresh_token && refreshTokenColumns(refresh_token)),
             selected_calendar_id: selected_calendar_id || existingBarber.selected_calendar_id,
             updated_at: new Date()
           })
@@ -69,7 +71,8 @@ function createClientOperations(supabase) {
             phone_number,
             name: name || 'New Barber',
             email,
-            refresh_token,
+            google_email,
+            ...(refresh_token && refreshTokenColumns(refresh_token)),
             selected_calendar_id: selected_calendar_id || 'primary'
           })
           .select();
@@ -83,11 +86,12 @@ function createClientOperations(supabase) {
       }
     },
     
-    async updateCalendarId(phoneNumber, calendarId) {
+    async updateCalendarId(phoneNumber, calendarId, busyCalendarIds = []) {
       const { data, error } = await supabase
         .from('barbers')
         .update({
           selected_calendar_id: calendarId,
+          busy_calendar_ids: busyCalendarIds,
           updated_at: new Date()
         })
         .eq('phone_number', phoneNumber)
@@ -115,6 +119,21 @@ function createClientOperations(supabase) {
       return data;
     },
     
+    // Every barber with what the booking router needs to match and book them
+    async getBarbersWithSpecialties() {
+      const { data, error } = await supabase
+        .from('barbers')
+        .select('id, name, phone_number, specialties, schedule, refresh_token, needs_reauth, selected_calendar_id, busy_calendar_ids')
+        .order('name', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching barbers with specialties:', error);
+        return [];
+      }
+
+      return data;
+    },
+
     async getFirstWithRefreshToken() {
       const { data, error } = await supabase
         .from('barbers')
@@ -342,6 +361,21 @@ function createClientOperations(supabase) {
       return { success: true, data: data[0] };
     },
     
+    async getByEventId(eventId) {
+      const { data, error } = await supabase
+        .from('appointments')
+        .select('*')
+        .eq('google_calendar_event_id', eventId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching appointment by event ID:', error);
+        return null;
+      }
+
+      return data;
+    },
+
     async cancelAppointment(eventId) {
       const { data, error } = await supabase
         .from('appointments')
@@ -658,6 +692,77 @@ function createClientOperations(supabase) {
     }
   };
 
+  // IdempotencyOps - Stored results of write requests, so retries replay instead of repeating
+  const idempotencyOps = {
+    async get(key, scope) {
+      const { data, error } = await supabase
+        .from('idempotency_keys')
+        .select('*')
+        .eq('key', key)
+        .eq('scope', scope)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching idempotency key:', error);
+        return null;
+      }
+      return data;
+    },
+
+    // Claims a key for an in-flight request; returns null if it is already taken or the insert fails
+    async begin(key, scope, requestHash) {
+      const { data, error } = await supabase
+        .from('idempotency_keys')
+        .insert({
+          key,
+          scope,
+          request_hash: requestHash,
+          status: 'pending'
+        })
+        .select();
+
+      if (error) {
+        // 23505 is a unique violation: another request claimed the key first
+        if (error.code !== '23505') {
+          console.error('Error storing idempotency key:', error);
+        }
+        return null;
+      }
+      return data[0];
+    },
+
+    async complete(id, responseStatus, responseBody) {
+      const { error } = await supabase
+        .from('idempotency_keys')
+        .update({
+          status: 'completed',
+          response_status: responseStatus,
+          response_body: responseBody,
+          completed_at: new Date()
+        })
+        .eq('id', id);
+
+      if (error) {
+        console.error('Error completing idempotency key:', error);
+        return false;
+      }
+      return true;
+    },
+
+    async release(id) {
+      const { error } = await supabase
+        .from('idempotency_keys')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        console.error('Error releasing idempotency key:', error);
+        return false;
+      }
+      return true;
+    }
+  };
+
   // Return all operations in a single object
   return {
     supabase,
@@ -665,7 +770,8 @@ function createClientOperations(supabase) {
     clientOps,
     appointmentOps,
     bookingStateOps,
-    conversationOps
+    conversationOps,
+    idempotencyOps
   };
 }
 
@@ -1,13 +1,12 @@
 const { createSupabaseClient, createClientOperations } = require('../base');
 require('dotenv').config();
+const { getTenant } = require('../../tenants');
 
-// Get Justin-specific Supabase credentials from environment variables
-// If not specified, fall back to the default Supabase credentials
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
+// Justin-specific Supabase credentials come from the tenant registry
+const tenant = getTenant('justin');
 
 // Create Supabase client for Justin
-const supabase = createSupabaseClient(supabaseUrl, supabaseKey);
+const supabase = createSupabaseClient(tenant.supabase.url, tenant.supabase.key);
 
 // Create a simplified version of operations specific to Justin's needs
 // This allows for customization even when using the same database
@@ -27,20 +26,6 @@ const operations = {
         console.error('Error fetching Justin details:', error);
       }
       return data;
-    },
-    
-    async getJustinRefreshToken() {
-      const { data, error } = await supabase
-        .from('barbers')
-        .select('refresh_token')
-        .eq('id', process.env.JUSTIN_BARBER_ID)
-        .single();
-        
-      if (error) {
-        console.error('Error fetching Justin refresh token:', error);
-        return null;
-      }
-      return data?.refresh_token;
     }
   },
   
@@ -110,7 +95,40 @@ const operations = {
       }
       return data;
     },
-    
+
+    async getByEventId(googleCalendarEventId) {
+      const { data, error } = await supabase
+        .from('appointments')
+        .select('*')
+        .eq('google_calendar_event_id', googleCalendarEventId)
+        .eq('barber_id', process.env.JUSTIN_BARBER_ID)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching appointment by event ID:', error);
+        return null;
+      }
+      return data;
+    },
+
+    async updateByEventId(googleCalendarEventId, updateData) {
+      const { data, error } = await supabase
+        .from('appointments')
+        .update({
+          ...updateData,
+          updated_at: new Date()
+        })
+        .eq('google_calendar_event_id', googleCalendarEventId)
+        .eq('barber_id', process.env.JUSTIN_BARBER_ID)
+        .select();
+
+      if (error) {
+        console.error('Error updating appointment:', error);
+        return null;
+      }
+      return data[0] || null;
+    },
+
     async cancelAppointment(googleCalendarEventId) {
       const { data, error } = await supabase
         .from('appointments')
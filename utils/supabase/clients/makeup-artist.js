@@ -1,10 +1,11 @@
 // utils/supabase.js
 const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
+const { getTenant } = require('../../tenants');
+const { refreshTokenColumns } = require('../../tokenVault');
 
-// Create Supabase client
-const supabaseUrl = process.env.MAKEUP_ARTIST_SUPABASE_URL;
-const supabaseKey = process.env.MAKEUP_ARTIST_SUPABASE_KEY;
+// Create Supabase client from the makeup artist tenant's credentials
+const { url: supabaseUrl, key: supabaseKey } = getTenant('makeup-artist').supabase;
 
 if (!supabaseUrl || !supabaseKey) {
   console.error('Missing Supabase credentials');
@@ -736,7 +737,7 @@ const makeupArtistOps = {
           .update({
             name: name || existingArtist.name,
             email: email || existingArtist.email,
-            refresh_token: refresh_token || existingArtist.refresh_token,
+            ...(refresh_token && refreshTokenColumns(refresh_token)),
             selected_calendar_id: selected_calendar_id || existingArtist.selected_calendar_id,
             business_hours_start: business_hours_start || existingArtist.business_hours_start,
             business_hours_end: business_hours_end || existingArtist.business_hours_end,
@@ -762,7 +763,7 @@ const makeupArtistOps = {
             phone_number,
             name: name || 'New Makeup Artist',
             email,
-            refresh_token,
+            ...(refresh_token && refreshTokenColumns(refresh_token)),
             selected_calendar_id: selected_calendar_id || 'primary',
             business_hours_start,
             business_hours_end,
@@ -803,7 +804,7 @@ const makeupArtistOps = {
       const { data, error } = await supabase
         .from('makeup_artists')
         .update({
-          refresh_token: refreshToken,
+          ...refreshTokenColumns(refreshToken),
           updated_at: new Date()
         })
         .eq('phone_number', phoneNumber)
@@ -1,10 +1,11 @@
 // utils/supabase/makeup-artist-utils.js
 const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
+const { getTenant } = require('../tenants');
+const { refreshTokenColumns } = require('../tokenVault');
 
-// Create Supabase client for Makeup Artists
-const makeupArtistUrl = process.env.MAKEUP_ARTIST_SUPABASE_URL || process.env.SUPABASE_URL;
-const makeupArtistKey = process.env.MAKEUP_ARTIST_SUPABASE_KEY || process.env.SUPABASE_KEY;
+// Create Supabase client for Makeup Artists from the tenant registry
+const { url: makeupArtistUrl, key: makeupArtistKey } = getTenant('makeup-artist').supabase;
 
 if (!makeupArtistUrl || !makeupArtistKey) {
   console.error('Missing Makeup Artist Supabase credentials');
@@ -63,7 +64,7 @@ const makeupArtistOps = {
         // Only include fields that are provided
         if (name) updateData.name = name;
         if (email) updateData.email = email;
-        if (refresh_token) updateData.refresh_token = refresh_token;
+        if (refresh_token) Object.assign(updateData, refreshTokenColumns(refresh_token));
         if (selected_calendar_id) updateData.selected_calendar_id = selected_calendar_id;
         if (business_hours_start) updateData.business_hours_start = business_hours_start;
         if (business_hours_end) updateData.business_hours_end = business_hours_end;
@@ -89,7 +90,7 @@ const makeupArtistOps = {
             phone_number,
             name: name || 'New Makeup Artist',
             email,
-            refresh_token,
+            ...(refresh_token && refreshTokenColumns(refresh_token)),
             selected_calendar_id: selected_calendar_id || 'primary',
             business_hours_start: business_hours_start || '09:00',
             business_hours_end: business_hours_end || '18:00',
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { createSupabaseClient, createClientOperations } = require('./supabase/base');
+const { idempotency } = require('./idempotency');
+const { normalizeAuth } = require('./webhookAuth');
+
+// Every file in config/tenants describes one business we host
+const TENANTS_DIR = path.join(__dirname, '..', 'config', 'tenants');
+
+const REQUIRED_FIELDS = ['slug', 'businessType', 'timeZone'];
+
+let tenantCache = null;
+const operationsCache = new Map();
+
+/**
+ * Validates a tenant config and fills in defaults
+ * @param {Object} config - Raw tenant config as exported from config/tenants
+ * @param {string} source - File the config was loaded from, for error messages
+ * @returns {Object} - Normalized tenant config
+ */
+function normalizeTenant(config, source) {
+  const missing = REQUIRED_FIELDS.filter(field => !config[field]);
+  if (missing.length > 0) {
+    throw new Error(`Tenant config ${source} is missing: ${missing.join(', ')}`);
+  }
+
+  if (!/^[a-z0-9-]+$/.test(config.slug)) {
+    throw new Error(`Tenant config ${source} has an invalid slug: ${config.slug}`);
+  }
+
+  return {
+    ...config,
+    name: config.name || config.slug,
+    enabled: config.enabled !== false,
+    // Directory under routes/clients that holds the tenant's webhook router
+    router: config.router || config.slug,
+    supabase: config.supabase || {},
+    calendarOwner: config.calendarOwner || {},
+    // Hours for providers who have not stored their own (see utils/schedule.js)
+    schedule: config.schedule || { weekly: {} },
+    // Buffers, notice, horizon and slot spacing (see utils/availability.js)
+    availability: config.availability || {},
+    // Whether the periodic reconciliation job repairs what it finds (see utils/reconciliation.js)
+    reconciliation: config.reconciliation || {},
+    // When appointment reminders are texted (see utils/reminders.js)
+    reminders: config.reminders || {},
+    // How long pending appointments hold their time (see utils/holds.js)
+    holds: config.holds || {},
+    // Deposits, checkout links and refunds (see utils/payments.js)
+    payments: config.payments || {},
+    // Where /conversation/process-message delivers batched turns (see utils/messagePipeline.js)
+    conversations: config.conversations || {},
+    features: config.features || {},
+    agent: config.agent || {},
+    sms: config.sms || {},
+    meta: config.meta || {},
+    auth: normalizeAuth(config.auth)
+  };
+}
+
+/**
+ * Loads every tenant config from a directory
+ * @param {string} dir - Directory containing one .js config per tenant
+ * @returns {Array} - Normalized tenant configs, sorted by slug
+ */
+function loadTenants(dir = TENANTS_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const tenants = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .map(file => normalizeTenant(require(path.join(dir, file)), file));
+
+  const seen = new Set();
+  tenants.forEach(tenant => {
+    if (seen.has(tenant.slug)) {
+      throw new Error(`Duplicate tenant slug: ${tenant.slug}`);
+    }
+    seen.add(tenant.slug);
+  });
+
+  return tenants.sort((a, b) => a.slug.localeCompare(b.slug));
+}
+
+function getTenants() {
+  if (!tenantCache) {
+    tenantCache = loadTenants();
+  }
+  return tenantCache;
+}
+
+function getEnabledTenants() {
+  return getTenants().filter(tenant => tenant.enabled);
+}
+
+function getTenant(slug) {
+  return getTenants().find(tenant => tenant.slug === slug) || null;
+}
+
+function isFeatureEnabled(tenant, feature) {
+  return Boolean(tenant && tenant.features && tenant.features[feature]);
+}
+
+/**
+ * Returns the standard database operations bound to a tenant's Supabase project.
+ * Clients are created once per tenant and shared by every router that needs them.
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Object} - Operations from createClientOperations
+ */
+function getTenantOperations(tenant) {
+  if (!operationsCache.has(tenant.slug)) {
+    const supabase = createSupabaseClient(tenant.supabase.url, tenant.supabase.key);
+    operationsCache.set(tenant.slug, createClientOperations(supabase));
+  }
+  return operationsCache.get(tenant.slug);
+}
+
+/**
+ * Resolves the webhook router for a tenant. Router modules either export an
+ * express router directly or a createRouter(tenant) factory. Every tenant's
+ * write endpoints accept an Idempotency-Key so orchestrator retries cannot double-book.
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Function|null} - Express router, or null if the tenant has none
+ */
+function createTenantRouter(tenant) {
+  const routerPath = path.join(__dirname, '..', 'routes', 'clients', tenant.router, 'webhook.js');
+  if (!fs.existsSync(routerPath)) {
+    return null;
+  }
+
+  const routerModule = require(routerPath);
+  const router = typeof routerModule.createRouter === 'function'
+    ? routerModule.createRouter(tenant)
+    : routerModule;
+
+  return express.Router()
+    .use(idempotency(tenant.slug, () => getTenantOperations(tenant).idempotencyOps))
+    .use(router);
+}
+
+module.exports = {
+  loadTenants,
+  getTenants,
+  getEnabledTenants,
+  getTenant,
+  isFeatureEnabled,
+  getTenantOperations,
+  createTenantRouter
+};
@@ -1,25 +1,215 @@
-function parseDateTime(dateTimeString, clientType = 'barbershop') {
-    // If the input doesn't have a time zone indicator, it's already in Central Time
-    // Just create a Date object directly without any conversion
-    if (!dateTimeString.match(/[Z+-]/)) {
-      return new Date(dateTimeString);
+// Time zone handling shared by every tenant's scheduling code. Tenants store an
+// IANA zone (e.g. 'America/Chicago') in config/tenants; wall-clock input from
+// callers is interpreted in that zone, and everything stored or sent to Google
+// Calendar is an absolute UTC instant. Nothing here depends on the server's TZ.
+
+const WALL_CLOCK_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+const EXPLICIT_OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Breaks an instant into its wall-clock components in a time zone
+ * @param {Date} date - The instant to convert
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant, in minutes (CDT is -300)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Converts wall-clock components in a time zone to the matching UTC instant.
+ * Ambiguous times (when clocks fall back) resolve to the first occurrence and
+ * nonexistent times (when clocks spring forward) move forward by the gap.
+ * @param {Object} parts - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} - The UTC instant
+ */
+function zonedPartsToUtc(parts, timeZone) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = parts;
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  const firstOffset = getTimeZoneOffset(new Date(wallClockAsUtc), timeZone);
+  const candidate = new Date(wallClockAsUtc - firstOffset * 60000);
+  const secondOffset = getTimeZoneOffset(candidate, timeZone);
+
+  if (secondOffset === firstOffset) {
+    return candidate;
+  }
+
+  // The guess crossed a transition; prefer the other offset if it round-trips
+  const adjusted = new Date(wallClockAsUtc - secondOffset * 60000);
+  if (getTimeZoneOffset(adjusted, timeZone) === secondOffset) {
+    return adjusted;
+  }
+
+  return candidate;
+}
+
+/**
+ * Converts a wall-clock string such as "2025-07-17T14:00:00" in a time zone to UTC
+ * @param {string} wallClock - Date-time without an offset (date-only means midnight)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} - The UTC instant
+ */
+function zonedTimeToUtc(wallClock, timeZone) {
+  const match = String(wallClock).trim().match(WALL_CLOCK_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid date format: ${wallClock}`);
+  }
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+  return zonedPartsToUtc({
+    year: +year,
+    month: +month,
+    day: +day,
+    hour: +hour,
+    minute: +minute,
+    second: +second
+  }, timeZone);
+}
+
+/**
+ * Formats an instant as a wall-clock string ("YYYY-MM-DDTHH:MM:SS") in a time zone
+ */
+function utcToZonedTime(date, timeZone) {
+  const instant = date instanceof Date ? date : new Date(date);
+  if (isNaN(instant.getTime())) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+
+  const { year, month, day, hour, minute, second } = getZonedParts(instant, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}`;
+}
+
+/**
+ * Parses caller input into a UTC instant. Strings with an explicit offset or Z
+ * are absolute; anything else is wall-clock time in the tenant's zone.
+ * @param {string|Date} input - ISO-style date-time string or Date
+ * @param {string} timeZone - IANA time zone name used for wall-clock input
+ * @returns {Date} - The UTC instant
+ */
+function parseDateTime(input, timeZone) {
+  if (input instanceof Date) {
+    if (isNaN(input.getTime())) {
+      throw new Error(`Invalid date: ${input}`);
     }
-    
-    // For dates with time zone indicators, use standard Date parsing
-    return new Date(dateTimeString);
+    return new Date(input.getTime());
   }
-  
-  // Format a Date object to Google Calendar format with the correct time zone
-  function formatToTimeZone(date, clientType = 'makeup_artist') {
-    const timeZone = clientType === 'makeup_artist' ? 'America/Chicago' : 'America/Los_Angeles';
-    
-    return {
-      dateTime: date.toISOString(),
-      timeZone: timeZone
-    };
+
+  const value = String(input || '').trim();
+
+  if (EXPLICIT_OFFSET_PATTERN.test(value) && value.includes('T')) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid date format: ${input}`);
+    }
+    return date;
   }
-  
-  module.exports = {
-    parseDateTime,
-    formatToTimeZone
-  };
\ No newline at end of file
+
+  return zonedTimeToUtc(value, timeZone);
+}
+
+/**
+ * Returns the instant at a wall-clock time on the same zoned calendar day as
+ * `date`, optionally shifted by whole days (DST-safe, unlike adding 24h)
+ * @param {Date} date - Any instant on the reference day
+ * @param {number} hour - Hour of day in the zone (0-24)
+ * @param {number} minute - Minute of the hour
+ * @param {string} timeZone - IANA time zone name
+ * @param {number} dayOffset - Calendar days to add
+ * @returns {Date} - The UTC instant
+ */
+function atZonedTime(date, hour, minute, timeZone, dayOffset = 0) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  // Date.UTC normalizes day overflow so month and year boundaries roll over
+  const target = new Date(Date.UTC(year, month - 1, day + dayOffset));
+  return zonedPartsToUtc({
+    year: target.getUTCFullYear(),
+    month: target.getUTCMonth() + 1,
+    day: target.getUTCDate(),
+    hour,
+    minute
+  }, timeZone);
+}
+
+/**
+ * Calendar date ("YYYY-MM-DD") of an instant in a time zone
+ */
+function getZonedDate(date, timeZone) {
+  return utcToZonedTime(date, timeZone).split('T')[0];
+}
+
+// Start or end of a Google Calendar event; all-day events use the zone's midnight
+function parseEventTime(eventTime, timeZone) {
+  return parseDateTime(eventTime.dateTime || eventTime.date, timeZone);
+}
+
+function addMinutes(date, minutes) {
+  return new Date(date.getTime() + minutes * 60000);
+}
+
+// Format a Date object as a Google Calendar start/end in the tenant's time zone
+function formatToTimeZone(date, timeZone) {
+  return {
+    dateTime: date.toISOString(),
+    timeZone
+  };
+}
+
+module.exports = {
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedPartsToUtc,
+  zonedTimeToUtc,
+  utcToZonedTime,
+  parseDateTime,
+  atZonedTime,
+  getZonedDate,
+  parseEventTime,
+  addMinutes,
+  formatToTimeZone
+};
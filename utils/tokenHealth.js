@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const { getTenantOperations } = require('./tenants');
+const { findProviderTenant, listTenantBarberIds } = require('./providers');
+const { sendSms } = require('./sms');
+
+// Reconnect links go out by SMS, so they stay valid long enough to be noticed
+const RECONNECT_LINK_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// A healthy token is re-recorded at most this often, so calendar calls do not all write
+const SUCCESS_WRITE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Columns for a health report; refresh_token is only read to tell whether one is stored
+const HEALTH_COLUMNS = 'id, name, refresh_token, needs_reauth, token_last_success_at, token_last_failure_at, token_failure_reason';
+
+// Without a configured secret no link is issued or accepted
+function getLinkSecret() {
+  return process.env.RECONNECT_LINK_SECRET || process.env.SESSION_SECRET || null;
+}
+
+function getPublicBaseUrl() {
+  return process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+}
+
+function signLink(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Creates the token in a reconnect link. It names the provider and expires,
+ * so whoever holds the link can only reconnect that provider's own calendar.
+ * @param {string} table - 'barbers' or 'makeup_artists'
+ * @param {string} providerId - Provider row id
+ * @param {number} now - Current time in ms
+ * @returns {string|null} - Signed token for /auth/google?reconnect=, or null if no secret is set
+ */
+function createReconnectToken(table, providerId, now = Date.now()) {
+  const secret = getLinkSecret();
+  if (!secret) {
+    console.error('RECONNECT_LINK_SECRET is not set; not issuing a reconnect link');
+    return null;
+  }
+
+  const payload = Buffer.from(JSON.stringify({ table, id: providerId, exp: now + RECONNECT_LINK_TTL_MS })).toString('base64url');
+  return `${payload}.${signLink(secret, payload)}`;
+}
+
+/**
+ * Checks a reconnect token
+ * @param {string} token - Token from the reconnect link
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} - { table, providerId }, or null if forged, expired or no secret is set
+ */
+function verifyReconnectToken(token, now = Date.now()) {
+  const secret = getLinkSecret();
+  const [payload, signature] = String(token || '').split('.');
+  if (!secret || !payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(signLink(secret, payload));
+  const presented = Buffer.from(signature);
+  if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+    return null;
+  }
+
+  try {
+    const { table, id, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return exp > now ? { table, providerId: id } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * @param {string} table - 'barbers' or 'makeup_artists'
+ * @param {string} providerId - Provider row id
+ * @returns {string|null} - Absolute link that reconnects the provider's Google Calendar, or null if no secret is set
+ */
+function getReconnectUrl(table, providerId) {
+  const token = createReconnectToken(table, providerId);
+  return token && `${getPublicBaseUrl()}/auth/google?reconnect=${token}`;
+}
+
+function describeFailure(error) {
+  const data = error && error.response && error.response.data;
+  if (data && data.error) {
+    return data.error_description ? `${data.error}: ${data.error_description}` : data.error;
+  }
+  return (error && error.message) || 'Unknown error';
+}
+
+async function updateHealth(supabase, table, providerId, values) {
+  const { error } = await supabase
+    .from(table)
+    .update(values)
+    .eq('id', providerId);
+
+  if (error) {
+    console.error(`Error recording token health for ${table} ${providerId}:`, error);
+  }
+}
+
+/**
+ * Texts a provider a reconnect link after their Google access was revoked
+ * @param {string} table - 'barbers' or 'makeup_artists'
+ * @param {Object} provider - Provider row with id, name and phone_number
+ * @returns {Object|null} - sendSms result, or null if the provider cannot be texted
+ */
+async function notifyReauthRequired(table, provider) {
+  const tenant = findProviderTenant({ table, id: provider.id });
+  if (!tenant || !provider.phone_number) {
+    console.warn(`Cannot alert ${table} ${provider.id} that Google Calendar needs reconnecting`);
+    return null;
+  }
+
+  // Signing in asks for consent again too, so it stands in when links cannot be signed
+  const link = getReconnectUrl(table, provider.id) || `${getPublicBaseUrl()}/login`;
+  const greeting = provider.name ? `Hi ${provider.name}, ` : '';
+  return sendSms(
+    tenant,
+    provider.phone_number,
+    `${greeting}AI Concierge lost access to your Google Calendar, so new bookings cannot be added. Reconnect it here: ${link}`
+  );
+}
+
+/**
+ * Records that a provider's token just worked
+ * @param {Object} supabase - Supabase client for the database holding the provider
+ * @param {string} table - 'barbers' or 'makeup_artists'
+ * @param {Object} provider - Provider row
+ * @param {Date} now - Current time
+ */
+async function recordTokenSuccess(supabase, table, provider, now = new Date()) {
+  const lastSuccess = provider.token_last_success_at ? new Date(provider.token_last_success_at).getTime() : 0;
+  const lastFailure = provider.token_last_failure_at ? new Date(provider.token_last_failure_at).getTime() : 0;
+  if (now.getTime() - lastSuccess < SUCCESS_WRITE_INTERVAL_MS && lastSuccess >= lastFailure) {
+    return;
+  }
+
+  await updateHealth(supabase, table, provider.id, { token_last_success_at: now.toISOString() });
+}
+
+/**
+ * Records a failed token refresh. A revoked token also flags the provider for
+ * reauthorization and, the first time, texts them a reconnect link.
+ * @param {Object} supabase - Supabase client for the database holding the provider
+ * @param {string} table - 'barbers' or 'makeup_artists'
+ * @param {Object} provider - Provider row
+ * @param {Error} error - Error from Google
+ * @param {Object} options - { revoked } true for invalid_grant
+ */
+async function recordTokenFailure(supabase, table, provider, error, { revoked = false } = {}) {
+  await updateHealth(supabase, table, provider.id, {
+    token_last_failure_at: new Date().toISOString(),
+    token_failure_reason: describeFailure(error),
+    ...(revoked && { needs_reauth: true })
+  });
+
+  if (revoked && !provider.needs_reauth) {
+    await notifyReauthRequired(table, provider);
+  }
+}
+
+/**
+ * Summarizes a provider row's token health
+ * @param {Object} provider - Row selected with HEALTH_COLUMNS
+ * @returns {Object} - { status, lastSuccessAt, lastFailureAt, failureReason }; status is
+ *   'ok', 'failing' (recent errors that were not revocations), 'needs_reauth' or 'not_connected'
+ */
+function getTokenHealth(provider) {
+  let status = 'ok';
+  if (!provider.refresh_token) {
+    status = 'not_connected';
+  } else if (provider.needs_reauth) {
+    status = 'needs_reauth';
+  } else if (provider.token_last_failure_at
+    && (!provider.token_last_success_at || new Date(provider.token_last_failure_at) > new Date(provider.token_last_success_at))) {
+    status = 'failing';
+  }
+
+  return {
+    status,
+    lastSuccessAt: provider.token_last_success_at || null,
+    lastFailureAt: provider.token_last_failure_at || null,
+    failureReason: provider.token_failure_reason || null
+  };
+}
+
+/**
+ * Reports token health for every provider whose calendar a tenant books into
+ * @param {Object} tenant - Normalized tenant config
+ * @returns {Array|null} - [{ id, name, status, ... }], or null if the lookup failed
+ */
+async function getTenantTokenHealth(tenant) {
+  const { supabase } = getTenantOperations(tenant);
+  const { table, id } = tenant.calendarOwner;
+
+  let query = supabase.from(table).select(HEALTH_COLUMNS);
+  if (id) {
+    query = query.eq('id', id);
+  }
+  // The shop shares the barbers table with Justin and only reports its own barbers
+  const barberIds = await listTenantBarberIds(tenant);
+  if (barberIds) {
+    query = query.in('id', barberIds);
+  }
+  const { data, error } = await query;
+
+  if (error) {
+    console.error(`Error loading token health for ${tenant.slug}:`, error);
+    return null;
+  }
+  return (data || []).map(provider => ({ id: provider.id, name: provider.name, ...getTokenHealth(provider) }));
+}
+
+/**
+ * Reports token health for one signed-in provider
+ * @param {Object} tenant - Normalized tenant config
+ * @param {Object} provider - Session provider { table, id }
+ * @returns {Object|null} - getTokenHealth result, or null if the provider was not found
+ */
+async function getProviderTokenHealth(tenant, provider) {
+  const { supabase } = getTenantOperations(tenant);
+  const { data, error } = await supabase
+    .from(provider.table)
+    .select(HEALTH_COLUMNS)
+    .eq('id', provider.id)
+    .maybeSingle();
+
+  if (error || !data) {
+    if (error) console.error(`Error loading token health for ${provider.table} ${provider.id}:`, error);
+    return null;
+  }
+  return getTokenHealth(data);
+}
+
+module.exports = {
+  HEALTH_COLUMNS,
+  createReconnectToken,
+  verifyReconnectToken,
+  getReconnectUrl,
+  notifyReauthRequired,
+  recordTokenSuccess,
+  recordTokenFailure,
+  getTokenHealth,
+  getTenantTokenHealth,
+  getProviderTokenHealth
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+// Stored values look like enc:v1:<key id>:<wrapped data key>:<ciphertext>, so
+// plaintext tokens written before encryption can still be told apart and read
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * Reads the master keys from TOKEN_ENCRYPTION_KEYS, a comma-separated list of
+ * <key id>:<base64 32-byte key>. The first key encrypts; the rest only decrypt,
+ * so a new key can be put in front while tokens under the old one are rewrapped.
+ * @returns {Array} - [{ id, key }] with the current key first
+ */
+function getMasterKeys() {
+  return String(process.env.TOKEN_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      const id = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), 'base64');
+      if (separator < 1 || key.length !== 32) {
+        throw new Error('TOKEN_ENCRYPTION_KEYS entries must be <key id>:<base64 32-byte key>');
+      }
+      return { id, key };
+    });
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function open(key, sealed, aad) {
+  const buffer = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(buffer.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(buffer.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+/**
+ * @param {string} stored - Value from a refresh_token column
+ * @returns {boolean} - True if the value is an encrypted envelope
+ */
+function isEncrypted(stored) {
+  return typeof stored === 'string' && stored.startsWith(PREFIX);
+}
+
+/**
+ * Encrypts a token with a fresh data key, which is itself encrypted (wrapped)
+ * with the current master key
+ * @param {string} plaintext - Token to store
+ * @returns {string} - Envelope for the database
+ */
+function encryptToken(plaintext) {
+  const [current] = getMasterKeys();
+  if (!current) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not set; refusing to store a token in plaintext');
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(current.key, dataKey, current.id);
+  const ciphertext = seal(dataKey, Buffer.from(plaintext, 'utf8'), current.id);
+  return `${PREFIX}${current.id}:${wrappedKey}:${ciphertext}`;
+}
+
+/**
+ * Decrypts a stored token. Plaintext values from before encryption are returned as-is.
+ * @param {string} stored - Value from a refresh_token column
+ * @returns {string|null} - The token, or null if none is stored
+ */
+function decryptToken(stored) {
+  if (!stored) {
+    return null;
+  }
+  if (!isEncrypted(stored)) {
+    return stored;
+  }
+
+  const [keyId, wrappedKey, ciphertext] = stored.slice(PREFIX.length).split(':');
+  const master = getMasterKeys().find(candidate => candidate.id === keyId);
+  if (!master) {
+    throw new Error(`Token encryption key ${keyId} is not configured`);
+  }
+
+  const dataKey = open(master.key, wrappedKey, keyId);
+  return open(dataKey, ciphertext, keyId).toString('utf8');
+}
+
+/**
+ * Tells whether a stored token should be rewritten: it is still plaintext, or
+ * was wrapped with a master key that is no longer the current one
+ * @param {string} stored - Value from a refresh_token column
+ * @returns {boolean} - True if encryptToken(decryptToken(stored)) should be saved
+ */
+function needsRewrap(stored) {
+  if (!stored) {
+    return false;
+  }
+  const [current] = getMasterKeys();
+  if (!current) {
+    return false;
+  }
+  return !isEncrypted(stored) || !stored.startsWith(`${PREFIX}${current.id}:`);
+}
+
+/**
+ * Columns to write when a provider hands us a new refresh token. Tokens are
+ * only ever stored encrypted, and a new one clears any reauthorization flag.
+ * @param {string} refreshToken - Plaintext refresh token from Google
+ * @returns {Object} - { refresh_token, needs_reauth }
+ */
+function refreshTokenColumns(refreshToken) {
+  return {
+    refresh_token: encryptToken(refreshToken),
+    needs_reauth: false
+  };
+}
+
+module.exports = {
+  isEncrypted,
+  encryptToken,
+  decryptToken,
+  needsRewrap,
+  refreshTokenColumns
+};
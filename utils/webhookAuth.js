@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+
+// Signed requests older than this are rejected so captured ones cannot be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Reads a list of keys from config. Comma-separated strings (as they come from
+ * environment variables) and arrays are both accepted; listing more than one
+ * key is how keys are rotated.
+ * @param {string|Array} value - Keys from the tenant config
+ * @returns {Array} - Non-empty keys
+ */
+function parseKeyList(value) {
+  const keys = Array.isArray(value) ? value : String(value || '').split(',');
+  return keys.map(key => String(key).trim()).filter(Boolean);
+}
+
+/**
+ * Normalizes a tenant's auth section
+ * @param {Object} auth - { apiKeys, signingSecrets } from the tenant config
+ * @returns {Object} - { apiKeys: [], signingSecrets: [] }
+ */
+function normalizeAuth(auth = {}) {
+  return {
+    apiKeys: parseKeyList(auth.apiKeys),
+    signingSecrets: parseKeyList(auth.signingSecrets)
+  };
+}
+
+// Constant-time comparison that also works for values of different lengths
+function safeEqual(a, b) {
+  const left = crypto.createHash('sha256').update(String(a)).digest();
+  const right = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+function getPresentedKey(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : req.get('X-API-Key') || null;
+}
+
+/**
+ * Computes the v1 request signature: hex HMAC-SHA256 over
+ * "<timestamp>.<METHOD>.<path with query string>.<raw body>"
+ * @param {string} secret - Signing secret
+ * @param {Object} request - { timestamp, method, url, body }
+ * @returns {string} - Hex signature
+ */
+function computeRequestSignature(secret, { timestamp, method, url, body = '' }) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${url}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Builds the headers a caller sends to authenticate one request
+ * @param {Object} auth - Normalized tenant auth
+ * @param {Object} request - { method, url, body } where url is the path and query string
+ * @returns {Object} - Authorization and, when signing is configured, X-Signature headers
+ */
+function getAuthHeaders(auth, { method, url, body = '' }) {
+  const headers = {};
+  if (auth.apiKeys.length > 0) {
+    headers.Authorization = `Bearer ${auth.apiKeys[0]}`;
+  }
+  if (auth.signingSecrets.length > 0) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = computeRequestSignature(auth.signingSecrets[0], { timestamp, method, url, body });
+    headers['X-Signature'] = `t=${timestamp},v1=${signature}`;
+  }
+  return headers;
+}
+
+function verifySignature(auth, req) {
+  const header = req.get('X-Signature');
+  if (!header) {
+    return { status: 401, error: 'Missing request signature' };
+  }
+
+  const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) {
+    return { status: 403, error: 'Malformed request signature' };
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { status: 403, error: 'Request signature has expired' };
+  }
+
+  const request = {
+    timestamp,
+    method: req.method,
+    url: req.originalUrl,
+    body: req.rawBody ? req.rawBody.toString('utf8') : ''
+  };
+  const valid = auth.signingSecrets.some(secret => safeEqual(computeRequestSignature(secret, request), parts.v1));
+  return valid ? null : { status: 403, error: 'Invalid request signature' };
+}
+
+/**
+ * Creates middleware that authenticates webhook callers. Callers present one of
+ * the tenant's API keys (Authorization: Bearer or X-API-Key); tenants that set
+ * signing secrets also require an X-Signature HMAC. Any listed key or secret is
+ * accepted, so new ones can be rolled out before old ones are removed.
+ * Missing credentials get 401, wrong ones 403.
+ * @param {Object} auth - Normalized tenant auth
+ * @returns {Function} - Express middleware
+ */
+function requireWebhookAuth(auth) {
+  return (req, res, next) => {
+    if (auth.apiKeys.length === 0) {
+      if (process.env.WEBHOOK_AUTH_DISABLED === 'true') {
+        return next();
+      }
+      console.error(`Webhook auth is not configured for ${req.baseUrl}`);
+      return res.status(503).json({ success: false, error: 'Webhook authentication is not configured' });
+    }
+
+    const presented = getPresentedKey(req);
+    if (!presented) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ success: false, error: 'Missing API key' });
+    }
+    if (!auth.apiKeys.some(key => safeEqual(key, presented))) {
+      return res.status(403).json({ success: false, error: 'Invalid API key' });
+    }
+
+    if (auth.signingSecrets.length > 0) {
+      const failure = verifySignature(auth, req);
+      if (failure) {
+        return res.status(failure.status).json({ success: false, error: failure.error });
+      }
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  SIGNATURE_TOLERANCE_SECONDS,
+  normalizeAuth,
+  computeRequestSignature,
+  getAuthHeaders,
+  requireWebhookAuth
+};